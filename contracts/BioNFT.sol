@@ -3,18 +3,38 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "./interfaces/IBioNFT.sol";
+import "./interfaces/IInstitutionRegistry.sol";
+import "./interfaces/IRoyaltyCollector.sol";
 
 /**
  * @title BioNFT
  * @notice Bio-fingerprint NFT with optional soulbound functionality
- * @dev ERC721 implementation for biological data ownership
+ * @dev ERC721 implementation for biological data ownership. Secondary-sale royalties (ERC-2981) are paid to
+ *      the token's receiver at the RevenueSplitter, which splits them like any other royalty.
  */
-contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
+contract BioNFT is ERC721, ERC721URIStorage, ERC2981, Ownable, IBioNFT {
     using Counters for Counters.Counter;
 
+    // Status reason codes
+    uint256 public constant REASON_NONE = 0;
+    uint256 public constant REASON_FRAUDULENT_ATTESTATION = 1;
+    uint256 public constant REASON_SAMPLE_MIXUP = 2;
+    uint256 public constant REASON_CONTAMINATION = 3;
+    uint256 public constant REASON_ATTESTATION_CHALLENGED = 4;
+
+    // Purpose codes, combined as a bitmask in consent scopes and licenses
+    uint256 public constant PURPOSE_ACADEMIC = 1 << 0;
+    uint256 public constant PURPOSE_COMMERCIAL = 1 << 1;
+    uint256 public constant PURPOSE_CLINICAL = 1 << 2;
+    uint256 public constant PURPOSE_REIDENTIFICATION = 1 << 3;
+
+    // Purposes allowed for tokens without recorded consent: everything except re-identification
+    uint256 public constant DEFAULT_CONSENT_SCOPE = ~PURPOSE_REIDENTIFICATION;
+
     Counters.Counter private _tokenIdCounter;
 
     // Mapping from token ID to bio-hash
@@ -29,14 +49,45 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
     // Mapping from bio-hash to token ID (prevent duplicate minting)
     mapping(bytes32 => uint256) private _bioHashToTokenId;
 
+    // Mapping from token ID to fraudulent attestation flag
+    mapping(uint256 => bool) private _flaggedAttestations;
+
+    // Mapping from token ID to latest status record
+    mapping(uint256 => StatusRecord) private _statusRecords;
+
+    // Mapping from token ID to staking lock (stake-in-place)
+    mapping(uint256 => bool) private _lockedTokens;
+
+    // Mapping from token ID to donor consent
+    mapping(uint256 => Consent) private _consents;
+
     // Address authorized to mint (MintGateway)
     address public mintGateway;
 
+    // Address authorized to flag fraudulent attestations (InstitutionRegistry)
+    address public institutionRegistry;
+
+    // Address authorized to lock tokens staked in place (RestakeVault)
+    address public restakeVault;
+
+    // Royalty collector secondary-sale royalties are paid through (RevenueSplitter)
+    address public revenueSplitter;
+
     modifier onlyMintGateway() {
         require(msg.sender == mintGateway, "Only mint gateway");
         _;
     }
 
+    modifier onlyInstitutionRegistry() {
+        require(msg.sender == institutionRegistry, "Only institution registry");
+        _;
+    }
+
+    modifier onlyRestakeVault() {
+        require(msg.sender == restakeVault, "Only restake vault");
+        _;
+    }
+
     constructor() ERC721("AstralSeed BioNFT", "BIONFT") Ownable(msg.sender) {}
 
     /**
@@ -48,6 +99,35 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
         mintGateway = gateway;
     }
 
+    /**
+     * @notice Set the institution registry address
+     * @param registry The institution registry contract address
+     */
+    function setInstitutionRegistry(address registry) external onlyOwner {
+        require(registry != address(0), "Invalid registry address");
+        institutionRegistry = registry;
+    }
+
+    /**
+     * @notice Set the restake vault address
+     * @param vault The restake vault contract address
+     */
+    function setRestakeVault(address vault) external onlyOwner {
+        require(vault != address(0), "Invalid vault address");
+        restakeVault = vault;
+    }
+
+    /**
+     * @notice Set the revenue splitter and the royalty charged on secondary sales
+     * @param splitter The revenue splitter contract address
+     * @param royaltyBps Royalty in basis points of the sale price
+     */
+    function setRevenueSplitter(address splitter, uint96 royaltyBps) external onlyOwner {
+        require(splitter != address(0), "Invalid splitter address");
+        revenueSplitter = splitter;
+        _setDefaultRoyalty(splitter, royaltyBps);
+    }
+
     /**
      * @notice Mint a new bio-NFT
      * @param to The address to mint to
@@ -91,6 +171,96 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
         emit SoulboundToggled(tokenId, soulbound);
     }
 
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function setConsent(uint256 tokenId, uint256 scope, bytes32 termsHash) external override {
+        require(ownerOf(tokenId) == msg.sender, "Not token owner");
+
+        _setConsent(tokenId, scope, termsHash);
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     * @dev Withdrawing from a token without recorded consent narrows the default scope
+     */
+    function withdrawConsent(uint256 tokenId, uint256 purposes) external override {
+        require(ownerOf(tokenId) == msg.sender, "Not token owner");
+
+        Consent storage consent = _consents[tokenId];
+        uint256 scope = consent.recorded ? consent.scope : DEFAULT_CONSENT_SCOPE;
+        _setConsent(tokenId, scope & ~purposes, consent.termsHash);
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function lock(uint256 tokenId) external override onlyRestakeVault {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        require(!_lockedTokens[tokenId], "Token already locked");
+
+        _lockedTokens[tokenId] = true;
+
+        emit TokenLocked(tokenId);
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function unlock(uint256 tokenId) external override onlyRestakeVault {
+        require(_lockedTokens[tokenId], "Token not locked");
+
+        _lockedTokens[tokenId] = false;
+
+        emit TokenUnlocked(tokenId);
+    }
+
+    /**
+     * @notice Flag a token's attestation as fraudulent after a challenge is upheld
+     * @dev Also revokes the token
+     * @param tokenId The token ID
+     * @param evidenceURI URI of the evidence behind the upheld challenge
+     */
+    function flagAttestation(uint256 tokenId, string memory evidenceURI) external onlyInstitutionRegistry {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        require(!_flaggedAttestations[tokenId], "Already flagged");
+
+        _flaggedAttestations[tokenId] = true;
+        _setTokenStatus(tokenId, TokenStatus.Revoked, REASON_FRAUDULENT_ATTESTATION, evidenceURI);
+
+        emit AttestationFlagged(tokenId);
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     * @dev Callable by the attesting institution's pubkey or signers, the owner, or the
+     * institution registry. Only the owner or registry can change a revoked token's status, or clear
+     * a dispute raised by a pending attestation challenge.
+     */
+    function setTokenStatus(
+        uint256 tokenId,
+        TokenStatus status,
+        uint256 reasonCode,
+        string memory evidenceURI
+    ) external override {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+
+        bool isAdmin = msg.sender == owner() || msg.sender == institutionRegistry;
+        require(isAdmin || _isAttestingInstitution(tokenId, msg.sender), "Not authorized");
+        require(
+            isAdmin || _statusRecords[tokenId].status != TokenStatus.Revoked,
+            "Token revoked"
+        );
+        require(
+            isAdmin ||
+                _statusRecords[tokenId].status != TokenStatus.Disputed ||
+                _statusRecords[tokenId].reasonCode != REASON_ATTESTATION_CHALLENGED,
+            "Attestation challenged"
+        );
+
+        _setTokenStatus(tokenId, status, reasonCode, evidenceURI);
+    }
+
     /**
      * @inheritdoc IBioNFT
      */
@@ -106,6 +276,13 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
         return _soulboundTokens[tokenId];
     }
 
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function isLocked(uint256 tokenId) external view override returns (bool) {
+        return _lockedTokens[tokenId];
+    }
+
     /**
      * @inheritdoc IBioNFT
      */
@@ -114,6 +291,55 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
         return _institutionIds[tokenId];
     }
 
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function isAttestationFlagged(uint256 tokenId) external view override returns (bool) {
+        return _flaggedAttestations[tokenId];
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function getTokenStatus(uint256 tokenId) external view override returns (TokenStatus) {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        return _statusRecords[tokenId].status;
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function getStatusRecord(uint256 tokenId) external view override returns (StatusRecord memory) {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        return _statusRecords[tokenId];
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function isRevoked(uint256 tokenId) external view override returns (bool) {
+        return _statusRecords[tokenId].status == TokenStatus.Revoked;
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     */
+    function getConsent(uint256 tokenId) external view override returns (Consent memory) {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        return _consents[tokenId];
+    }
+
+    /**
+     * @inheritdoc IBioNFT
+     * @dev Tokens without recorded consent are checked against DEFAULT_CONSENT_SCOPE, so sensitive purposes
+     *      need the donor's explicit consent
+     */
+    function isConsented(uint256 tokenId, uint256 purposes) external view override returns (bool) {
+        Consent storage consent = _consents[tokenId];
+        uint256 scope = consent.recorded ? consent.scope : DEFAULT_CONSENT_SCOPE;
+        return purposes & ~scope == 0;
+    }
+
     /**
      * @notice Get token ID by bio-hash
      * @param bioHash The bio-hash
@@ -132,7 +358,57 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
     }
 
     /**
-     * @dev Override transfer functions to prevent soulbound transfers
+     * @dev Record a status change for a token
+     */
+    function _setTokenStatus(
+        uint256 tokenId,
+        TokenStatus status,
+        uint256 reasonCode,
+        string memory evidenceURI
+    ) internal {
+        _statusRecords[tokenId] = StatusRecord({
+            status: status,
+            reasonCode: reasonCode,
+            evidenceURI: evidenceURI,
+            updatedBy: msg.sender,
+            updatedAt: block.timestamp
+        });
+
+        emit TokenStatusChanged(tokenId, status, reasonCode, evidenceURI, msg.sender);
+    }
+
+    /**
+     * @dev Record a donor's consent for a token
+     */
+    function _setConsent(uint256 tokenId, uint256 scope, bytes32 termsHash) internal {
+        _consents[tokenId] = Consent({
+            scope: scope,
+            termsHash: termsHash,
+            recorded: true,
+            updatedAt: block.timestamp
+        });
+
+        emit ConsentUpdated(tokenId, scope, termsHash);
+    }
+
+    /**
+     * @dev Check if an account acts for the institution that attested to a token
+     */
+    function _isAttestingInstitution(uint256 tokenId, address account) internal view returns (bool) {
+        if (institutionRegistry == address(0)) {
+            return false;
+        }
+
+        IInstitutionRegistry registry = IInstitutionRegistry(institutionRegistry);
+        uint256 institutionId = _institutionIds[tokenId];
+
+        return
+            registry.getInstitution(institutionId).pubkey == account ||
+            registry.isSigner(institutionId, account);
+    }
+
+    /**
+     * @dev Override transfer functions to prevent soulbound and locked transfers
      */
     function _update(
         address to,
@@ -144,6 +420,7 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
         // Allow minting (from == address(0))
         if (from != address(0)) {
             require(!_soulboundTokens[tokenId], "Token is soulbound");
+            require(!_lockedTokens[tokenId], "Token is locked");
         }
 
         return super._update(to, tokenId, auth);
@@ -159,10 +436,29 @@ contract BioNFT is ERC721, ERC721URIStorage, Ownable, IBioNFT {
         return super.tokenURI(tokenId);
     }
 
+    /**
+     * @notice Get the royalty owed on a sale of a token
+     * @dev Royalties routed to the revenue splitter are paid to the token's own receiver there, so the
+     *      splitter can tell which token a bare transfer was for
+     * @param tokenId The token ID
+     * @param salePrice The sale price
+     * @return receiver The address to pay
+     * @return amount The royalty amount
+     */
+    function royaltyInfo(
+        uint256 tokenId,
+        uint256 salePrice
+    ) public view override returns (address receiver, uint256 amount) {
+        (receiver, amount) = super.royaltyInfo(tokenId, salePrice);
+        if (receiver != address(0) && receiver == revenueSplitter) {
+            receiver = IRoyaltyCollector(receiver).royaltyReceiverOf(tokenId);
+        }
+    }
+
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage)
+        override(ERC721, ERC721URIStorage, ERC2981, IERC165)
         returns (bool)
     {
         return super.supportsInterface(interfaceId);
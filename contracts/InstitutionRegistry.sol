@@ -2,25 +2,76 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./interfaces/IInstitutionRegistry.sol";
+import "./BioNFT.sol";
 
 /**
  * @title InstitutionRegistry
  * @notice Manages verified research institutions and their attestations
- * @dev Uses AccessControl for governance
+ * @dev Uses AccessControl for governance. Institutions post an ETH bond that
+ *      can be slashed to a challenger who proves an attestation fraudulent.
  */
-contract InstitutionRegistry is IInstitutionRegistry, AccessControl {
+contract InstitutionRegistry is IInstitutionRegistry, AccessControl, ReentrancyGuard {
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant MINT_GATEWAY_ROLE = keccak256("MINT_GATEWAY_ROLE");
+
+    BioNFT public bioNFT;
+
+    // Minimum bond an institution must hold to attest
+    uint256 public minimumBond;
+
+    // Minimum counter-bond required to challenge an attestation
+    uint256 public challengeBond;
+
+    // Time a deactivated institution's minimum bond stays locked, leaving room for late challenges
+    uint256 public unbondingPeriod = 14 days;
 
     uint256 private _institutionCounter;
     mapping(uint256 => Institution) private _institutions;
     mapping(address => uint256) private _pubkeyToId;
 
+    // Mapping from institution ID to attestation signer keys
+    mapping(uint256 => address[]) private _signers;
+
+    // Mapping from institution ID to signer to membership
+    mapping(uint256 => mapping(address => bool)) private _isSigner;
+
+    // Mapping from institution ID to required number of signatures (M of N)
+    mapping(uint256 => uint256) private _signerThresholds;
+
+    uint256 private _challengeCounter;
+    mapping(uint256 => Challenge) private _challenges;
+
+    // Mapping from token ID to its pending challenge ID
+    mapping(uint256 => uint256) private _pendingChallengeForToken;
+
+    // Mapping from institution ID to number of pending challenges
+    mapping(uint256 => uint256) private _pendingChallengeCount;
+
+    // Mapping from institution ID to when it was last deactivated
+    mapping(uint256 => uint256) private _deactivatedAt;
+
+    // Slashed bonds and refunded counter-bonds awaiting withdrawal
+    mapping(address => uint256) public pendingWithdrawals;
+
+    event Withdrawn(address indexed recipient, uint256 amount);
+
+    modifier onlyArbiter() {
+        require(
+            hasRole(ARBITER_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender),
+            "Not arbiter"
+        );
+        _;
+    }
+
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(REGISTRAR_ROLE, msg.sender);
+        _grantRole(ARBITER_ROLE, msg.sender);
     }
 
     /**
@@ -30,7 +81,7 @@ contract InstitutionRegistry is IInstitutionRegistry, AccessControl {
         address pubkey,
         string memory name,
         string memory metadata
-    ) external override onlyRole(REGISTRAR_ROLE) returns (uint256) {
+    ) external payable override onlyRole(REGISTRAR_ROLE) returns (uint256) {
         require(pubkey != address(0), "Invalid pubkey");
         require(bytes(name).length > 0, "Name required");
         require(_pubkeyToId[pubkey] == 0, "Institution already registered");
@@ -45,13 +96,23 @@ contract InstitutionRegistry is IInstitutionRegistry, AccessControl {
             metadata: metadata,
             isActive: true,
             registeredAt: block.timestamp,
-            attestationCount: 0
+            attestationCount: 0,
+            bond: msg.value
         });
 
         _pubkeyToId[pubkey] = institutionId;
 
         emit InstitutionRegistered(institutionId, pubkey, name);
 
+        // The registering key is the initial 1-of-1 attestation signer
+        _addSigner(institutionId, pubkey);
+        _signerThresholds[institutionId] = 1;
+        emit SignerThresholdUpdated(institutionId, 1);
+
+        if (msg.value > 0) {
+            emit BondPosted(institutionId, msg.sender, msg.value);
+        }
+
         return institutionId;
     }
 
@@ -63,6 +124,7 @@ contract InstitutionRegistry is IInstitutionRegistry, AccessControl {
         require(_institutions[institutionId].isActive, "Already deactivated");
 
         _institutions[institutionId].isActive = false;
+        _deactivatedAt[institutionId] = block.timestamp;
 
         emit InstitutionDeactivated(institutionId);
     }
@@ -107,9 +169,311 @@ contract InstitutionRegistry is IInstitutionRegistry, AccessControl {
     /**
      * @inheritdoc IInstitutionRegistry
      */
-    function incrementAttestationCount(uint256 institutionId) external override {
+    function addSigner(uint256 institutionId, address signer) external override onlyRole(REGISTRAR_ROLE) {
+        require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
+        _addSigner(institutionId, signer);
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function removeSigner(uint256 institutionId, address signer) external override onlyRole(REGISTRAR_ROLE) {
+        require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
+        require(
+            _signers[institutionId].length > _signerThresholds[institutionId],
+            "Would fall below threshold"
+        );
+        _removeSigner(institutionId, signer);
+
+        if (_institutions[institutionId].pubkey == signer) {
+            _setPubkey(institutionId, _signers[institutionId][0]);
+        }
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function rotateSigner(
+        uint256 institutionId,
+        address oldSigner,
+        address newSigner
+    ) external override onlyRole(REGISTRAR_ROLE) {
+        require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
+        _removeSigner(institutionId, oldSigner);
+        _addSigner(institutionId, newSigner);
+
+        if (_institutions[institutionId].pubkey == oldSigner) {
+            _setPubkey(institutionId, newSigner);
+        }
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function setSignerThreshold(
+        uint256 institutionId,
+        uint256 threshold
+    ) external override onlyRole(REGISTRAR_ROLE) {
+        require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
+        require(threshold > 0, "Threshold must be positive");
+        require(threshold <= _signers[institutionId].length, "Threshold exceeds signers");
+
+        _signerThresholds[institutionId] = threshold;
+
+        emit SignerThresholdUpdated(institutionId, threshold);
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function getSigners(uint256 institutionId) external view override returns (address[] memory) {
+        return _signers[institutionId];
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function getSignerThreshold(uint256 institutionId) external view override returns (uint256) {
+        return _signerThresholds[institutionId];
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function isSigner(uint256 institutionId, address signer) external view override returns (bool) {
+        return _isSigner[institutionId][signer];
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function postBond(uint256 institutionId) external payable override {
+        require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
+        require(msg.value > 0, "No bond provided");
+
+        _institutions[institutionId].bond += msg.value;
+
+        emit BondPosted(institutionId, msg.sender, msg.value);
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     * @dev The minimum bond only unlocks once the institution has been deactivated for the unbonding period
+     */
+    function withdrawBond(uint256 institutionId, uint256 amount) external override nonReentrant {
+        require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
+        Institution storage institution = _institutions[institutionId];
+        require(msg.sender == institution.pubkey, "Not institution");
+        require(_pendingChallengeCount[institutionId] == 0, "Challenges pending");
+        require(amount <= institution.bond, "Insufficient bond");
+        if (institution.bond - amount < minimumBond) {
+            require(!institution.isActive, "Bond below minimum");
+            require(block.timestamp >= bondUnlocksAt(institutionId), "Bond still unbonding");
+        }
+
+        institution.bond -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit BondWithdrawn(institutionId, amount);
+    }
+
+    /**
+     * @notice Get when a deactivated institution can withdraw its minimum bond
+     * @param institutionId The institution ID
+     * @return The unlock timestamp (0 if the institution was never deactivated)
+     */
+    function bondUnlocksAt(uint256 institutionId) public view returns (uint256) {
+        if (_deactivatedAt[institutionId] == 0) {
+            return 0;
+        }
+        return _deactivatedAt[institutionId] + unbondingPeriod;
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function hasSufficientBond(uint256 institutionId) public view override returns (bool) {
+        return _institutions[institutionId].bond >= minimumBond;
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function challengeAttestation(
+        uint256 tokenId,
+        string memory evidenceURI
+    ) external payable override returns (uint256) {
+        require(address(bioNFT) != address(0), "BioNFT not set");
+        require(msg.value > 0 && msg.value >= challengeBond, "Insufficient challenge bond");
+        require(bytes(evidenceURI).length > 0, "Evidence required");
+        require(_pendingChallengeForToken[tokenId] == 0, "Challenge already pending");
+        require(!bioNFT.isAttestationFlagged(tokenId), "Attestation already flagged");
+
+        uint256 institutionId = bioNFT.getInstitutionId(tokenId);
+
+        _challengeCounter++;
+        uint256 challengeId = _challengeCounter;
+
+        _challenges[challengeId] = Challenge({
+            challengeId: challengeId,
+            tokenId: tokenId,
+            institutionId: institutionId,
+            challenger: msg.sender,
+            bond: msg.value,
+            evidenceURI: evidenceURI,
+            status: ChallengeStatus.Pending,
+            createdAt: block.timestamp
+        });
+
+        _pendingChallengeForToken[tokenId] = challengeId;
+        _pendingChallengeCount[institutionId]++;
+
+        if (bioNFT.getTokenStatus(tokenId) == IBioNFT.TokenStatus.Active) {
+            bioNFT.setTokenStatus(
+                tokenId,
+                IBioNFT.TokenStatus.Disputed,
+                bioNFT.REASON_ATTESTATION_CHALLENGED(),
+                evidenceURI
+            );
+        }
+
+        emit AttestationChallenged(challengeId, tokenId, institutionId, msg.sender);
+
+        return challengeId;
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function resolveChallenge(
+        uint256 challengeId,
+        bool upheld,
+        uint256 slashAmount,
+        uint256[] memory affectedTokenIds
+    ) external override onlyArbiter {
+        Challenge storage challenge = _challenges[challengeId];
+        require(challenge.status == ChallengeStatus.Pending, "Challenge not pending");
+
+        Institution storage institution = _institutions[challenge.institutionId];
+        uint256 slashed = 0;
+
+        delete _pendingChallengeForToken[challenge.tokenId];
+        _pendingChallengeCount[challenge.institutionId]--;
+
+        if (upheld) {
+            challenge.status = ChallengeStatus.Upheld;
+
+            slashed = slashAmount > institution.bond ? institution.bond : slashAmount;
+            institution.bond -= slashed;
+            pendingWithdrawals[challenge.challenger] += challenge.bond + slashed;
+
+            bioNFT.flagAttestation(challenge.tokenId, challenge.evidenceURI);
+            for (uint256 i = 0; i < affectedTokenIds.length; i++) {
+                require(
+                    bioNFT.getInstitutionId(affectedTokenIds[i]) == challenge.institutionId,
+                    "Token not from institution"
+                );
+                if (!bioNFT.isAttestationFlagged(affectedTokenIds[i])) {
+                    bioNFT.flagAttestation(affectedTokenIds[i], challenge.evidenceURI);
+                }
+            }
+        } else {
+            challenge.status = ChallengeStatus.Rejected;
+
+            // Frivolous challenges forfeit their counter-bond to the institution
+            institution.bond += challenge.bond;
+
+            // Clear the dispute raised by this challenge
+            IBioNFT.StatusRecord memory record = bioNFT.getStatusRecord(challenge.tokenId);
+            if (
+                record.status == IBioNFT.TokenStatus.Disputed &&
+                record.reasonCode == bioNFT.REASON_ATTESTATION_CHALLENGED()
+            ) {
+                bioNFT.setTokenStatus(
+                    challenge.tokenId,
+                    IBioNFT.TokenStatus.Active,
+                    bioNFT.REASON_NONE(),
+                    ""
+                );
+            }
+        }
+
+        emit ChallengeResolved(challengeId, upheld, slashed);
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function getChallenge(uint256 challengeId) external view override returns (Challenge memory) {
+        require(_challenges[challengeId].challengeId != 0, "Challenge does not exist");
+        return _challenges[challengeId];
+    }
+
+    /**
+     * @notice Withdraw slashed bonds and refunded counter-bonds
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Set the BioNFT contract used for challenges
+     * @param _bioNFT The BioNFT contract address
+     */
+    function setBioNFT(address _bioNFT) external onlyRole(ADMIN_ROLE) {
+        require(_bioNFT != address(0), "Invalid address");
+        bioNFT = BioNFT(_bioNFT);
+    }
+
+    /**
+     * @notice Set the minimum bond required to attest
+     * @param amount The minimum bond in wei
+     */
+    function setMinimumBond(uint256 amount) external onlyRole(ADMIN_ROLE) {
+        minimumBond = amount;
+    }
+
+    /**
+     * @notice Set the minimum counter-bond required to challenge
+     * @param amount The challenge bond in wei
+     */
+    function setChallengeBond(uint256 amount) external onlyRole(ADMIN_ROLE) {
+        challengeBond = amount;
+    }
+
+    /**
+     * @notice Set how long a deactivated institution's minimum bond stays locked
+     * @param period The unbonding period in seconds
+     */
+    function setUnbondingPeriod(uint256 period) external onlyRole(ADMIN_ROLE) {
+        unbondingPeriod = period;
+    }
+
+    /**
+     * @notice Get the total number of challenges filed
+     * @return The total count
+     */
+    function getTotalChallenges() external view returns (uint256) {
+        return _challengeCounter;
+    }
+
+    /**
+     * @inheritdoc IInstitutionRegistry
+     */
+    function incrementAttestationCount(uint256 institutionId) external override onlyRole(MINT_GATEWAY_ROLE) {
         require(institutionId > 0 && institutionId <= _institutionCounter, "Invalid institution ID");
         require(_institutions[institutionId].isActive, "Institution not active");
+        require(hasSufficientBond(institutionId), "Insufficient institution bond");
         
         _institutions[institutionId].attestationCount++;
     }
@@ -122,5 +486,53 @@ contract InstitutionRegistry is IInstitutionRegistry, AccessControl {
     function getInstitutionIdByPubkey(address pubkey) external view returns (uint256) {
         return _pubkeyToId[pubkey];
     }
-}
 
+    /**
+     * @dev Add a signer key to an institution's signer set
+     */
+    function _addSigner(uint256 institutionId, address signer) internal {
+        require(signer != address(0), "Invalid signer");
+        require(!_isSigner[institutionId][signer], "Signer already added");
+
+        _isSigner[institutionId][signer] = true;
+        _signers[institutionId].push(signer);
+
+        emit SignerAdded(institutionId, signer);
+    }
+
+    /**
+     * @dev Remove a signer key from an institution's signer set
+     */
+    function _removeSigner(uint256 institutionId, address signer) internal {
+        require(_isSigner[institutionId][signer], "Not a signer");
+
+        _isSigner[institutionId][signer] = false;
+
+        address[] storage signers = _signers[institutionId];
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (signers[i] == signer) {
+                signers[i] = signers[signers.length - 1];
+                signers.pop();
+                break;
+            }
+        }
+
+        emit SignerRemoved(institutionId, signer);
+    }
+
+    /**
+     * @dev Move an institution's pubkey, and the bond withdrawal, future payout and sponsor rights tied to it, to
+     *      another signer. RevenueSplitter balances and vesting already credited to the old pubkey stay with it,
+     *      so the old key must withdraw them before it is rotated out.
+     */
+    function _setPubkey(uint256 institutionId, address newPubkey) internal {
+        require(_pubkeyToId[newPubkey] == 0, "Pubkey already registered");
+
+        address oldPubkey = _institutions[institutionId].pubkey;
+        delete _pubkeyToId[oldPubkey];
+        _pubkeyToId[newPubkey] = institutionId;
+        _institutions[institutionId].pubkey = newPubkey;
+
+        emit InstitutionPubkeyUpdated(institutionId, oldPubkey, newPubkey);
+    }
+}
@@ -0,0 +1,285 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/ILicenseManager.sol";
+import "./LicenseManager.sol";
+
+/**
+ * @title LicenseEscrow
+ * @notice Holds license payments and releases them to the revenue splitter as licenses are used up
+ * @dev Deployed by LicenseManager, which deposits every license payment here. Timed licenses and
+ *      subscriptions release pro rata by time, usage licenses pro rata by usage, and perpetual licenses
+ *      at once. When a license is revoked early, the unreleased balance is refunded to its licensee.
+ *      Escrows are frozen while the bio-NFT is revoked or the donor has withdrawn consent for the license's
+ *      purposes. Whatever accrues while frozen is refunded to the licensee instead of released, and the rest
+ *      is refunded in full if the license is closed during the freeze.
+ */
+contract LicenseEscrow is ReentrancyGuard {
+    struct Escrow {
+        uint256 balance; // Paid but not yet released
+        uint256 checkpoint; // Timestamp or usage count the balance is streamed from
+        bool frozen; // Whether the escrow was last seen frozen, so the freeze is settled once it lifts
+    }
+
+    LicenseManager public immutable licenseManager;
+
+    // Mapping from license ID to its escrowed payment
+    mapping(uint256 => Escrow) private _escrows;
+
+    // Refunds owed to licensees of revoked licenses
+    mapping(address => uint256) public pendingRefunds;
+
+    event PaymentEscrowed(uint256 indexed licenseId, uint256 amount);
+
+    event PaymentReleased(uint256 indexed licenseId, uint256 amount);
+
+    event PaymentRefunded(uint256 indexed licenseId, address indexed licensee, uint256 amount);
+
+    event RefundWithdrawn(address indexed recipient, uint256 amount);
+
+    modifier onlyLicenseManager() {
+        require(msg.sender == address(licenseManager), "Only license manager");
+        _;
+    }
+
+    constructor() {
+        licenseManager = LicenseManager(msg.sender);
+    }
+
+    /**
+     * @notice Escrow a payment for a license
+     * @dev Whatever has accrued under the license's current terms is released first, so a renewal
+     *      only streams the new payment over the extended term
+     * @param licenseId The license being paid for
+     */
+    function deposit(uint256 licenseId) external payable onlyLicenseManager nonReentrant {
+        ILicenseManager.License memory license = licenseManager.getLicense(licenseId);
+        _release(licenseId, license);
+
+        _escrows[licenseId].balance += msg.value;
+
+        emit PaymentEscrowed(licenseId, msg.value);
+
+        // Perpetual licenses have no term to stream over
+        if (license.licenseType == ILicenseManager.LicenseType.Perpetual) {
+            _release(licenseId, license);
+        }
+    }
+
+    /**
+     * @notice Release the accrued part of a license's escrow to the revenue splitter
+     * @dev Anyone can trigger a release. While the escrow is frozen, the accrued part is refunded to the
+     *      licensee instead, so the licensee can call this to claim the frozen share as it accrues
+     * @param licenseId The license ID
+     * @return The amount released
+     */
+    function release(uint256 licenseId) external nonReentrant returns (uint256) {
+        return _release(licenseId, licenseManager.getLicense(licenseId));
+    }
+
+    /**
+     * @notice Close a license's escrow once its token is burned
+     * @dev Releases what has accrued, then refunds the rest to the licensee if asked or if the escrow is
+     *      frozen, and otherwise releases it too
+     * @param licenseId The license ID
+     * @param refundUnused Whether the unreleased balance goes back to the licensee
+     */
+    function settle(uint256 licenseId, bool refundUnused) external onlyLicenseManager nonReentrant {
+        Escrow storage escrow = _escrows[licenseId];
+        if (escrow.balance == 0) {
+            return;
+        }
+
+        ILicenseManager.License memory license = licenseManager.getLicense(licenseId);
+        _release(licenseId, license);
+
+        uint256 unused = escrow.balance;
+        if (unused == 0) {
+            return;
+        }
+        escrow.balance = 0;
+
+        if (refundUnused || _isFrozen(license)) {
+            pendingRefunds[license.licensee] += unused;
+
+            emit PaymentRefunded(licenseId, license.licensee, unused);
+        } else {
+            _forwardPayment(license.tokenId, unused);
+
+            emit PaymentReleased(licenseId, unused);
+        }
+    }
+
+    /**
+     * @notice Withdraw refunds owed for revoked licenses
+     */
+    function withdrawRefund() external nonReentrant {
+        uint256 amount = pendingRefunds[msg.sender];
+        require(amount > 0, "No refund to withdraw");
+
+        pendingRefunds[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Refund transfer failed");
+
+        emit RefundWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Get the amount a release would currently pay out for a license
+     * @param licenseId The license ID
+     * @return The releasable amount
+     */
+    function releasable(uint256 licenseId) external view returns (uint256) {
+        ILicenseManager.License memory license = licenseManager.getLicense(licenseId);
+        if (_isFrozen(license)) {
+            return 0;
+        }
+
+        Escrow memory escrow = _escrows[licenseId];
+        if (escrow.frozen) {
+            // What accrued until the freeze lifted is refunded first
+            uint256 unfrozenAt = _unfrozenAt(escrow, license);
+            escrow.balance -= _releasable(escrow, license, unfrozenAt);
+            escrow.checkpoint = unfrozenAt;
+        }
+        return _releasable(escrow, license, _progress(license));
+    }
+
+    /**
+     * @notice Get the escrowed payment of a license
+     * @param licenseId The license ID
+     * @return The escrow balance and checkpoint
+     */
+    function getEscrow(uint256 licenseId) external view returns (Escrow memory) {
+        return _escrows[licenseId];
+    }
+
+    /**
+     * @dev Pay out the accrued part of an escrow and move its checkpoint to the license's current progress.
+     *      While frozen, the accrued part is refunded to the licensee instead, as is what accrued before the
+     *      freeze was seen to lift.
+     */
+    function _release(uint256 licenseId, ILicenseManager.License memory license) internal returns (uint256) {
+        Escrow storage escrow = _escrows[licenseId];
+        if (_isFrozen(license)) {
+            escrow.frozen = true;
+            _refundAccrued(licenseId, license, _progress(license));
+            return 0;
+        }
+        if (escrow.frozen) {
+            escrow.frozen = false;
+            _refundAccrued(licenseId, license, _unfrozenAt(escrow, license));
+        }
+
+        uint256 amount = _releasable(escrow, license, _progress(license));
+        escrow.checkpoint = _progress(license);
+
+        if (amount > 0) {
+            escrow.balance -= amount;
+            _forwardPayment(license.tokenId, amount);
+
+            emit PaymentReleased(licenseId, amount);
+        }
+
+        return amount;
+    }
+
+    /**
+     * @dev Refund the part of an escrow accrued up to `progress` to the licensee and move its checkpoint there
+     */
+    function _refundAccrued(uint256 licenseId, ILicenseManager.License memory license, uint256 progress) internal {
+        Escrow storage escrow = _escrows[licenseId];
+        uint256 amount = _releasable(escrow, license, progress);
+        escrow.checkpoint = progress;
+
+        if (amount > 0) {
+            escrow.balance -= amount;
+            pendingRefunds[license.licensee] += amount;
+
+            emit PaymentRefunded(licenseId, license.licensee, amount);
+        }
+    }
+
+    /**
+     * @dev Progress at which a freeze lifted: the token's last status or consent change, or the usage count for
+     *      usage licenses, which cannot be used while frozen
+     */
+    function _unfrozenAt(
+        Escrow memory escrow,
+        ILicenseManager.License memory license
+    ) internal view returns (uint256) {
+        if (license.licenseType == ILicenseManager.LicenseType.Usage) {
+            return license.usageCount;
+        }
+
+        BioNFT bioNFT = licenseManager.bioNFT();
+        uint256 changedAt = bioNFT.getStatusRecord(license.tokenId).updatedAt;
+        uint256 consentUpdatedAt = bioNFT.getConsent(license.tokenId).updatedAt;
+        if (consentUpdatedAt > changedAt) {
+            changedAt = consentUpdatedAt;
+        }
+        return changedAt > escrow.checkpoint ? changedAt : escrow.checkpoint;
+    }
+
+    /**
+     * @dev Check if an escrow must stay put until it is refunded: royalties cannot be distributed for revoked
+     *      tokens, and licensees should not pay for use the donor no longer consents to
+     */
+    function _isFrozen(ILicenseManager.License memory license) internal view returns (bool) {
+        BioNFT bioNFT = licenseManager.bioNFT();
+        return bioNFT.isRevoked(license.tokenId) || !bioNFT.isConsented(license.tokenId, license.purposes);
+    }
+
+    /**
+     * @dev Forward a payment to the revenue splitter as a royalty for the token
+     */
+    function _forwardPayment(uint256 tokenId, uint256 amount) internal {
+        (bool success, ) = licenseManager.revenueSplitter().call{value: amount}(
+            abi.encodeWithSignature("distributeRoyalty(uint256)", tokenId)
+        );
+        require(success, "Payment transfer failed");
+    }
+
+    /**
+     * @dev Share of an escrow balance accrued from its checkpoint to `progress`, a timestamp or usage count
+     */
+    function _releasable(
+        Escrow memory escrow,
+        ILicenseManager.License memory license,
+        uint256 progress
+    ) internal pure returns (uint256) {
+        if (escrow.balance == 0) {
+            return 0;
+        }
+
+        if (
+            license.licenseType == ILicenseManager.LicenseType.Timed ||
+            license.licenseType == ILicenseManager.LicenseType.Subscription
+        ) {
+            if (progress >= license.expiresAt) {
+                return escrow.balance;
+            }
+            return (escrow.balance * (progress - escrow.checkpoint)) / (license.expiresAt - escrow.checkpoint);
+        }
+
+        if (license.licenseType == ILicenseManager.LicenseType.Usage) {
+            if (progress >= license.usageLimit) {
+                return escrow.balance;
+            }
+            return (escrow.balance * (progress - escrow.checkpoint)) / (license.usageLimit - escrow.checkpoint);
+        }
+
+        return escrow.balance;
+    }
+
+    /**
+     * @dev How far a license has run: the current time for timed terms, its usage count for usage licenses
+     */
+    function _progress(ILicenseManager.License memory license) internal view returns (uint256) {
+        if (license.licenseType == ILicenseManager.LicenseType.Usage) {
+            return license.usageCount;
+        }
+        return block.timestamp;
+    }
+}
@@ -1,40 +1,78 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Burnable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./interfaces/ILicenseManager.sol";
 import "./BioNFT.sol";
+import "./LicenseRenderer.sol";
+import "./LicenseEscrow.sol";
 
 /**
  * @title LicenseManager
  * @notice Manages licensing of bio-data usage rights
- * @dev Supports timed, usage-based, and perpetual licenses
+ * @dev Supports timed, usage-based, perpetual and subscription licenses. Licensees can transfer or sublicense
+ *      when the token owner allows it, forming a license tree rooted at each issued license.
+ *      Every license is also an ERC721 token held by its licensee, with metadata generated on-chain
+ *      by a LicenseRenderer.
+ *      Burning the token revokes the license, and revoking the license burns the token.
+ *      Each license declares the purposes the data may be used for, which must stay within the donor's
+ *      consent scope on the BioNFT.
+ *      Token owners can also publish standing offers that researchers buy or counter.
+ *      Licensees pay for their licenses, and payments are held by a LicenseEscrow that releases them
+ *      to the revenue splitter as each license is used up.
  */
-contract LicenseManager is ILicenseManager, Ownable, ReentrancyGuard {
+contract LicenseManager is ILicenseManager, ERC721, ERC721Burnable, Ownable, ReentrancyGuard {
     BioNFT public bioNFT;
     address public revenueSplitter;
+    IInstitutionRegistry public institutionRegistry;
+    address public usageMeter;
+    LicenseRenderer public licenseRenderer;
+    LicenseEscrow public immutable licenseEscrow;
 
     uint256 private _licenseCounter;
     mapping(uint256 => License) private _licenses;
     mapping(uint256 => uint256[]) private _tokenLicenses;
     mapping(address => uint256[]) private _licenseeLicenses;
+    mapping(uint256 => uint256) private _licenseeLicenseIndex;
+    mapping(uint256 => uint256[]) private _sublicenses;
+
+    // Subscriptions stay valid this long past expiry to allow late renewals
+    uint256 public subscriptionGracePeriod = 7 days;
+    mapping(uint256 => Subscription) private _subscriptions;
+
+    uint256 private _offerCounter;
+    mapping(uint256 => LicenseOffer) private _offers;
+    mapping(uint256 => uint256[]) private _offerAllowedInstitutions;
+    mapping(uint256 => uint256[]) private _tokenOffers;
+
+    uint256 private _counterOfferCounter;
+    mapping(uint256 => CounterOffer) private _counterOffers;
+    mapping(uint256 => uint256[]) private _offerCounterOffers;
 
     modifier onlyTokenOwner(uint256 tokenId) {
         require(bioNFT.ownerOf(tokenId) == msg.sender, "Not token owner");
         _;
     }
 
-    constructor(address _bioNFT, address _revenueSplitter) Ownable(msg.sender) {
+    constructor(address _bioNFT, address _revenueSplitter)
+        ERC721("AstralSeed License", "BIOLICENSE")
+        Ownable(msg.sender)
+    {
         require(_bioNFT != address(0), "Invalid BioNFT address");
         require(_revenueSplitter != address(0), "Invalid splitter address");
         
         bioNFT = BioNFT(_bioNFT);
         revenueSplitter = _revenueSplitter;
+        licenseRenderer = new LicenseRenderer();
+        licenseEscrow = new LicenseEscrow();
     }
 
     /**
      * @inheritdoc ILicenseManager
+     * @dev The term of a timed license or subscription runs from issuance, not from payment
      */
     function issueLicense(
         uint256 tokenId,
@@ -42,71 +80,387 @@ contract LicenseManager is ILicenseManager, Ownable, ReentrancyGuard {
         LicenseType licenseType,
         uint256 duration,
         uint256 usageLimit,
-        uint256 price
-    ) external payable override onlyTokenOwner(tokenId) nonReentrant returns (uint256) {
-        require(licensee != address(0), "Invalid licensee");
-        require(msg.value >= price, "Insufficient payment");
+        uint256 price,
+        bool transferable,
+        bool sublicensable,
+        uint256 purposes
+    ) external override onlyTokenOwner(tokenId) returns (uint256) {
+        uint256 licenseId = _createLicense(
+            tokenId,
+            0,
+            licensee,
+            licenseType,
+            duration,
+            usageLimit,
+            price,
+            transferable,
+            sublicensable,
+            purposes
+        );
+        _licenses[licenseId].paid = price == 0;
 
-        _licenseCounter++;
-        uint256 licenseId = _licenseCounter;
+        return licenseId;
+    }
 
-        uint256 expiresAt = 0;
-        if (licenseType == LicenseType.Timed) {
-            require(duration > 0, "Duration required for timed license");
-            expiresAt = block.timestamp + duration;
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function payLicense(uint256 licenseId) external payable override nonReentrant {
+        License storage license = _licenses[licenseId];
+        require(license.licensee == msg.sender, "Not licensee");
+        require(!license.paid, "License already paid");
+        require(msg.value >= license.price, "Insufficient payment");
+        require(!bioNFT.isRevoked(license.tokenId), "Token revoked");
+
+        license.paid = true;
+        require(isLicenseValid(licenseId), "License not valid");
+
+        _escrowPayment(licenseId, license.price);
+
+        uint256 excess = msg.value - license.price;
+        if (excess > 0) {
+            (bool success, ) = msg.sender.call{value: excess}("");
+            require(success, "Refund failed");
         }
 
-        if (licenseType == LicenseType.Usage) {
-            require(usageLimit > 0, "Usage limit required");
+        emit LicensePaid(licenseId, msg.sender, license.price);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function issueSublicense(
+        uint256 parentLicenseId,
+        address licensee,
+        LicenseType licenseType,
+        uint256 duration,
+        uint256 usageLimit,
+        bool transferable,
+        bool sublicensable
+    ) external override returns (uint256) {
+        License storage parent = _licenses[parentLicenseId];
+        require(parent.licenseId != 0, "License does not exist");
+        require(parent.licensee == msg.sender, "Not licensee");
+        require(parent.sublicensable, "License not sublicensable");
+        require(isLicenseValid(parentLicenseId), "License not valid");
+        require(!transferable || parent.transferable, "Exceeds parent license");
+        require(licenseType != LicenseType.Subscription, "Subscriptions cannot be sublicensed");
+
+        // A sublicense must fit inside whatever is left of the parent's term or usage
+        if (parent.licenseType == LicenseType.Timed || parent.licenseType == LicenseType.Subscription) {
+            require(
+                licenseType == LicenseType.Timed && block.timestamp + duration <= parent.expiresAt,
+                "Exceeds parent license"
+            );
+        } else if (parent.licenseType == LicenseType.Usage) {
+            require(
+                licenseType == LicenseType.Usage && usageLimit <= parent.usageLimit - parent.usageCount,
+                "Exceeds parent license"
+            );
         }
 
-        _licenses[licenseId] = License({
-            licenseId: licenseId,
+        uint256 licenseId = _createLicense(
+            parent.tokenId,
+            parentLicenseId,
+            licensee,
+            licenseType,
+            duration,
+            usageLimit,
+            0,
+            transferable,
+            sublicensable,
+            parent.purposes
+        );
+        _sublicenses[parentLicenseId].push(licenseId);
+
+        emit SublicenseIssued(parentLicenseId, licenseId, licensee);
+
+        return licenseId;
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev Equivalent to transferring the license token, which is also possible through the ERC721 interface
+     */
+    function transferLicense(uint256 licenseId, address to) external override {
+        License storage license = _licenses[licenseId];
+        require(license.licenseId != 0, "License does not exist");
+        require(license.licensee == msg.sender, "Not licensee");
+        require(license.isActive, "License not valid");
+        require(to != address(0) && to != msg.sender, "Invalid licensee");
+
+        _transfer(msg.sender, to, licenseId);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev Renewing within the grace period continues from the old expiry; after it, a new period starts now
+     */
+    function renewSubscription(uint256 licenseId, uint256 periods) external payable override nonReentrant {
+        License storage license = _licenses[licenseId];
+        require(license.licenseType == LicenseType.Subscription, "Not a subscription");
+        require(license.isActive, "License not active");
+        require(license.paid, "License not paid");
+        Subscription storage subscription = _subscriptions[licenseId];
+        require(!subscription.cancelled, "Subscription cancelled");
+        require(periods > 0, "Invalid periods");
+        require(msg.value == subscription.pricePerPeriod * periods, "Incorrect payment");
+        require(!bioNFT.isRevoked(license.tokenId), "Token revoked");
+
+        uint256 start = license.expiresAt;
+        if (block.timestamp > license.expiresAt + subscriptionGracePeriod) {
+            start = block.timestamp;
+        }
+
+        // Escrow before extending, so what accrued under the old expiry is released first
+        _escrowPayment(licenseId, msg.value);
+        license.expiresAt = start + subscription.period * periods;
+
+        emit SubscriptionRenewed(licenseId, periods, license.expiresAt, msg.value);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev Periods already paid for keep their price
+     */
+    function setSubscriptionPrice(uint256 licenseId, uint256 pricePerPeriod) external override {
+        License storage license = _licenses[licenseId];
+        require(license.licenseType == LicenseType.Subscription, "Not a subscription");
+        require(bioNFT.ownerOf(license.tokenId) == msg.sender, "Not token owner");
+
+        _subscriptions[licenseId].pricePerPeriod = pricePerPeriod;
+
+        emit SubscriptionPriceUpdated(licenseId, pricePerPeriod);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev Cancelled subscriptions get no grace period
+     */
+    function cancelSubscription(uint256 licenseId) external override {
+        License storage license = _licenses[licenseId];
+        require(license.licenseType == LicenseType.Subscription, "Not a subscription");
+        require(license.licensee == msg.sender, "Not licensee");
+        Subscription storage subscription = _subscriptions[licenseId];
+        require(!subscription.cancelled, "Subscription cancelled");
+
+        subscription.cancelled = true;
+
+        emit SubscriptionCancelled(licenseId, license.expiresAt);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function createOffer(
+        uint256 tokenId,
+        LicenseType licenseType,
+        uint256 duration,
+        uint256 usageLimit,
+        uint256 price,
+        bool transferable,
+        bool sublicensable,
+        uint256 purposes,
+        uint256 expiresAt,
+        uint256[] calldata allowedInstitutionIds
+    ) external override onlyTokenOwner(tokenId) returns (uint256) {
+        require(!bioNFT.isRevoked(tokenId), "Token revoked");
+        require(expiresAt > block.timestamp, "Invalid expiry");
+        _validateTerms(licenseType, duration, usageLimit);
+        _validatePurposes(tokenId, purposes);
+
+        _offerCounter++;
+        uint256 offerId = _offerCounter;
+
+        _offers[offerId] = LicenseOffer({
+            offerId: offerId,
             tokenId: tokenId,
-            licensee: licensee,
+            seller: msg.sender,
             licenseType: licenseType,
-            expiresAt: expiresAt,
+            duration: duration,
             usageLimit: usageLimit,
-            usageCount: 0,
             price: price,
+            transferable: transferable,
+            sublicensable: sublicensable,
+            purposes: purposes,
+            expiresAt: expiresAt,
             isActive: true
         });
+        _offerAllowedInstitutions[offerId] = allowedInstitutionIds;
+        _tokenOffers[tokenId].push(offerId);
 
-        _tokenLicenses[tokenId].push(licenseId);
-        _licenseeLicenses[licensee].push(licenseId);
+        emit LicenseOfferCreated(offerId, tokenId, msg.sender, price, expiresAt);
 
-        // Forward payment to revenue splitter
-        if (msg.value > 0) {
-            (bool success, ) = revenueSplitter.call{value: msg.value}(
-                abi.encodeWithSignature("distributeRoyalty(uint256)", tokenId)
-            );
-            require(success, "Payment transfer failed");
-        }
+        return offerId;
+    }
 
-        emit LicenseIssued(licenseId, tokenId, licensee, licenseType);
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev Pending counter-offers stay open and can still be accepted or cancelled
+     */
+    function cancelOffer(uint256 offerId) external override {
+        LicenseOffer storage offer = _offers[offerId];
+        require(offer.offerId != 0, "Offer does not exist");
+        require(
+            offer.seller == msg.sender || bioNFT.ownerOf(offer.tokenId) == msg.sender,
+            "Not authorized"
+        );
+        require(offer.isActive, "Offer not active");
+
+        offer.isActive = false;
+
+        emit LicenseOfferCancelled(offerId);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function purchaseLicense(uint256 offerId) external payable override nonReentrant returns (uint256) {
+        LicenseOffer storage offer = _offers[offerId];
+        _requireOpenOffer(offer);
+        require(_isAllowedBuyer(offerId, msg.sender), "Not allowed to buy");
+        require(msg.value == offer.price, "Incorrect payment");
+
+        uint256 licenseId = _createLicense(
+            offer.tokenId,
+            0,
+            msg.sender,
+            offer.licenseType,
+            offer.duration,
+            offer.usageLimit,
+            offer.price,
+            offer.transferable,
+            offer.sublicensable,
+            offer.purposes
+        );
+
+        _escrowPayment(licenseId, msg.value);
+
+        emit LicensePurchased(offerId, licenseId, msg.sender, msg.value);
 
         return licenseId;
     }
 
     /**
      * @inheritdoc ILicenseManager
+     * @dev The license type and transfer rights are taken from the offer
+     */
+    function makeCounterOffer(
+        uint256 offerId,
+        uint256 duration,
+        uint256 usageLimit,
+        uint256 expiresAt
+    ) external payable override nonReentrant returns (uint256) {
+        LicenseOffer storage offer = _offers[offerId];
+        _requireOpenOffer(offer);
+        require(_isAllowedBuyer(offerId, msg.sender), "Not allowed to buy");
+        require(expiresAt > block.timestamp, "Invalid expiry");
+        _validateTerms(offer.licenseType, duration, usageLimit);
+
+        _counterOfferCounter++;
+        uint256 counterOfferId = _counterOfferCounter;
+
+        _counterOffers[counterOfferId] = CounterOffer({
+            counterOfferId: counterOfferId,
+            offerId: offerId,
+            buyer: msg.sender,
+            duration: duration,
+            usageLimit: usageLimit,
+            price: msg.value,
+            expiresAt: expiresAt,
+            status: CounterOfferStatus.Pending
+        });
+        _offerCounterOffers[offerId].push(counterOfferId);
+
+        emit CounterOfferMade(counterOfferId, offerId, msg.sender, msg.value);
+
+        return counterOfferId;
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function acceptCounterOffer(uint256 counterOfferId) external override nonReentrant returns (uint256) {
+        CounterOffer storage counterOffer = _counterOffers[counterOfferId];
+        require(counterOffer.counterOfferId != 0, "Counter-offer does not exist");
+        LicenseOffer storage offer = _offers[counterOffer.offerId];
+        require(bioNFT.ownerOf(offer.tokenId) == msg.sender, "Not token owner");
+        require(counterOffer.status == CounterOfferStatus.Pending, "Counter-offer not pending");
+        require(block.timestamp <= counterOffer.expiresAt, "Counter-offer expired");
+
+        counterOffer.status = CounterOfferStatus.Accepted;
+
+        uint256 licenseId = _createLicense(
+            offer.tokenId,
+            0,
+            counterOffer.buyer,
+            offer.licenseType,
+            counterOffer.duration,
+            counterOffer.usageLimit,
+            counterOffer.price,
+            offer.transferable,
+            offer.sublicensable,
+            offer.purposes
+        );
+
+        _escrowPayment(licenseId, counterOffer.price);
+
+        emit CounterOfferResolved(counterOfferId, CounterOfferStatus.Accepted, licenseId);
+
+        return licenseId;
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function rejectCounterOffer(uint256 counterOfferId) external override nonReentrant {
+        CounterOffer storage counterOffer = _counterOffers[counterOfferId];
+        require(counterOffer.counterOfferId != 0, "Counter-offer does not exist");
+        require(
+            bioNFT.ownerOf(_offers[counterOffer.offerId].tokenId) == msg.sender,
+            "Not token owner"
+        );
+
+        _closeCounterOffer(counterOffer, CounterOfferStatus.Rejected);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev Also how buyers reclaim the escrow of expired counter-offers
+     */
+    function cancelCounterOffer(uint256 counterOfferId) external override nonReentrant {
+        CounterOffer storage counterOffer = _counterOffers[counterOfferId];
+        require(counterOffer.counterOfferId != 0, "Counter-offer does not exist");
+        require(counterOffer.buyer == msg.sender, "Not buyer");
+
+        _closeCounterOffer(counterOffer, CounterOfferStatus.Cancelled);
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev The licensee of a parent license may also revoke sublicenses issued under it.
+     *      The licensee can withdraw their refund from the LicenseEscrow.
      */
     function revokeLicense(uint256 licenseId) external override {
         License storage license = _licenses[licenseId];
         require(license.licenseId != 0, "License does not exist");
         require(
-            bioNFT.ownerOf(license.tokenId) == msg.sender || owner() == msg.sender,
+            bioNFT.ownerOf(license.tokenId) == msg.sender ||
+                owner() == msg.sender ||
+                (license.parentLicenseId != 0 && _licenses[license.parentLicenseId].licensee == msg.sender),
             "Not authorized"
         );
         require(license.isActive, "License already revoked");
 
-        license.isActive = false;
+        licenseEscrow.settle(licenseId, true);
 
-        emit LicenseRevoked(licenseId);
+        // Marks the license inactive and emits LicenseRevoked
+        _burn(licenseId);
     }
 
     /**
      * @inheritdoc ILicenseManager
+     * @dev Once a usage meter is set, licensees can no longer self-report usage of Usage licenses
      */
     function recordUsage(uint256 licenseId) external override {
         License storage license = _licenses[licenseId];
@@ -116,37 +470,38 @@ contract LicenseManager is ILicenseManager, Ownable, ReentrancyGuard {
             msg.sender == license.licensee || msg.sender == owner(),
             "Not authorized"
         );
+        require(
+            usageMeter == address(0) || license.licenseType != LicenseType.Usage || msg.sender == owner(),
+            "Usage is metered"
+        );
 
-        if (license.licenseType == LicenseType.Usage) {
-            license.usageCount++;
-        }
-
-        emit LicenseUsed(licenseId, license.usageCount);
+        _consumeUsage(licenseId, 1);
     }
 
     /**
      * @inheritdoc ILicenseManager
      */
-    function isLicenseValid(uint256 licenseId) public view override returns (bool) {
-        License memory license = _licenses[licenseId];
-        
-        if (!license.isActive) {
-            return false;
-        }
+    function recordMeteredUsage(uint256 licenseId, uint256 units) external override {
+        require(msg.sender == usageMeter, "Only usage meter");
+        require(_licenses[licenseId].isActive, "License not active");
+        require(isLicenseValid(licenseId), "License expired or limit reached");
+        require(units > 0, "Invalid units");
 
-        // Check expiration for timed licenses
-        if (license.licenseType == LicenseType.Timed) {
-            if (block.timestamp > license.expiresAt) {
-                return false;
-            }
-        }
+        _consumeUsage(licenseId, units);
+    }
 
-        // Check usage limit for usage-based licenses
-        if (license.licenseType == LicenseType.Usage) {
-            if (license.usageCount >= license.usageLimit) {
+    /**
+     * @inheritdoc ILicenseManager
+     * @dev A sublicense is only valid while every license above it is valid
+     */
+    function isLicenseValid(uint256 licenseId) public view override returns (bool) {
+        uint256 currentId = licenseId;
+        do {
+            if (!_isWithinTerms(_licenses[currentId])) {
                 return false;
             }
-        }
+            currentId = _licenses[currentId].parentLicenseId;
+        } while (currentId != 0);
 
         return true;
     }
@@ -166,6 +521,74 @@ contract LicenseManager is ILicenseManager, Ownable, ReentrancyGuard {
         return _tokenLicenses[tokenId];
     }
 
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function getSublicenses(uint256 licenseId) external view override returns (uint256[] memory) {
+        return _sublicenses[licenseId];
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function getSubscription(uint256 licenseId) external view override returns (Subscription memory) {
+        require(_licenses[licenseId].licenseType == LicenseType.Subscription, "Not a subscription");
+        return _subscriptions[licenseId];
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function getOffer(uint256 offerId) external view override returns (LicenseOffer memory) {
+        require(_offers[offerId].offerId != 0, "Offer does not exist");
+        return _offers[offerId];
+    }
+
+    /**
+     * @inheritdoc ILicenseManager
+     */
+    function getCounterOffer(uint256 counterOfferId) external view override returns (CounterOffer memory) {
+        require(_counterOffers[counterOfferId].counterOfferId != 0, "Counter-offer does not exist");
+        return _counterOffers[counterOfferId];
+    }
+
+    /**
+     * @notice Get all offers published for a token
+     * @param tokenId The bio-NFT token ID
+     * @return Array of offer IDs
+     */
+    function getOffersForToken(uint256 tokenId) external view returns (uint256[] memory) {
+        return _tokenOffers[tokenId];
+    }
+
+    /**
+     * @notice Get the institutions allowed to buy from an offer
+     * @param offerId The offer ID
+     * @return Array of institution IDs (empty if anyone may buy)
+     */
+    function getOfferAllowedInstitutions(uint256 offerId) external view returns (uint256[] memory) {
+        return _offerAllowedInstitutions[offerId];
+    }
+
+    /**
+     * @notice Get all counter-offers made against an offer
+     * @param offerId The offer ID
+     * @return Array of counter-offer IDs
+     */
+    function getCounterOffersForOffer(uint256 offerId) external view returns (uint256[] memory) {
+        return _offerCounterOffers[offerId];
+    }
+
+    /**
+     * @notice Get the on-chain metadata of a license token
+     * @param licenseId The license ID
+     * @return A base64-encoded JSON data URI describing the license terms
+     */
+    function tokenURI(uint256 licenseId) public view override returns (string memory) {
+        _requireOwned(licenseId);
+        return licenseRenderer.tokenURI(_licenses[licenseId], isLicenseValid(licenseId));
+    }
+
     /**
      * @notice Get all licenses for a licensee
      * @param licensee The licensee address
@@ -184,6 +607,41 @@ contract LicenseManager is ILicenseManager, Ownable, ReentrancyGuard {
         revenueSplitter = _revenueSplitter;
     }
 
+    /**
+     * @notice Set the institution registry used to check offer allow-lists
+     * @param registry The institution registry address
+     */
+    function setInstitutionRegistry(address registry) external onlyOwner {
+        require(registry != address(0), "Invalid registry address");
+        institutionRegistry = IInstitutionRegistry(registry);
+    }
+
+    /**
+     * @notice Set the usage meter allowed to record usage from signed compute receipts
+     * @param _usageMeter The usage meter address
+     */
+    function setUsageMeter(address _usageMeter) external onlyOwner {
+        require(_usageMeter != address(0), "Invalid meter address");
+        usageMeter = _usageMeter;
+    }
+
+    /**
+     * @notice Replace the renderer that generates license token metadata
+     * @param _licenseRenderer The new renderer address
+     */
+    function setLicenseRenderer(address _licenseRenderer) external onlyOwner {
+        require(_licenseRenderer != address(0), "Invalid renderer address");
+        licenseRenderer = LicenseRenderer(_licenseRenderer);
+    }
+
+    /**
+     * @notice Set how long subscriptions stay valid past expiry while awaiting renewal
+     * @param gracePeriod The grace period in seconds
+     */
+    function setSubscriptionGracePeriod(uint256 gracePeriod) external onlyOwner {
+        subscriptionGracePeriod = gracePeriod;
+    }
+
     /**
      * @notice Get total number of licenses issued
      * @return Total license count
@@ -191,5 +649,257 @@ contract LicenseManager is ILicenseManager, Ownable, ReentrancyGuard {
     function getTotalLicenses() external view returns (uint256) {
         return _licenseCounter;
     }
-}
 
+    /**
+     * @notice Record a new license and index it by token and licensee
+     */
+    function _createLicense(
+        uint256 tokenId,
+        uint256 parentLicenseId,
+        address licensee,
+        LicenseType licenseType,
+        uint256 duration,
+        uint256 usageLimit,
+        uint256 price,
+        bool transferable,
+        bool sublicensable,
+        uint256 purposes
+    ) internal returns (uint256) {
+        require(licensee != address(0), "Invalid licensee");
+        require(!bioNFT.isRevoked(tokenId), "Token revoked");
+
+        _validateTerms(licenseType, duration, usageLimit);
+        _validatePurposes(tokenId, purposes);
+
+        _licenseCounter++;
+        uint256 licenseId = _licenseCounter;
+
+        uint256 expiresAt = 0;
+        if (licenseType == LicenseType.Timed || licenseType == LicenseType.Subscription) {
+            expiresAt = block.timestamp + duration;
+        }
+
+        if (licenseType == LicenseType.Subscription) {
+            // The first period is paid at issuance
+            _subscriptions[licenseId] = Subscription({period: duration, pricePerPeriod: price, cancelled: false});
+        }
+
+        _licenses[licenseId] = License({
+            licenseId: licenseId,
+            tokenId: tokenId,
+            licensee: licensee,
+            licenseType: licenseType,
+            expiresAt: expiresAt,
+            usageLimit: usageLimit,
+            usageCount: 0,
+            price: price,
+            isActive: true,
+            parentLicenseId: parentLicenseId,
+            transferable: transferable,
+            sublicensable: sublicensable,
+            paid: true,
+            purposes: purposes
+        });
+
+        _tokenLicenses[tokenId].push(licenseId);
+        _licenseeLicenseIndex[licenseId] = _licenseeLicenses[licensee].length;
+        _licenseeLicenses[licensee].push(licenseId);
+        _mint(licensee, licenseId);
+
+        emit LicenseIssued(licenseId, tokenId, licensee, licenseType);
+
+        return licenseId;
+    }
+
+    /**
+     * @notice Draw usage down on a license and every usage-based license above it
+     * @dev Sublicenses share their parent's budget, so units count against the whole chain
+     */
+    function _consumeUsage(uint256 licenseId, uint256 units) internal {
+        uint256 currentId = licenseId;
+        while (currentId != 0) {
+            License storage current = _licenses[currentId];
+            if (current.licenseType == LicenseType.Usage) {
+                require(current.usageCount + units <= current.usageLimit, "Exceeds usage limit");
+                current.usageCount += units;
+            }
+            currentId = current.parentLicenseId;
+        }
+
+        emit LicenseUsed(licenseId, _licenses[licenseId].usageCount);
+    }
+
+    /**
+     * @notice Check that license terms fit their license type
+     */
+    function _validateTerms(LicenseType licenseType, uint256 duration, uint256 usageLimit) internal pure {
+        if (licenseType == LicenseType.Timed) {
+            require(duration > 0, "Duration required for timed license");
+        }
+
+        if (licenseType == LicenseType.Usage) {
+            require(usageLimit > 0, "Usage limit required");
+        }
+
+        if (licenseType == LicenseType.Subscription) {
+            require(duration > 0, "Period required for subscription");
+        }
+    }
+
+    /**
+     * @notice Check that a license declares its purposes and the donor consents to all of them
+     */
+    function _validatePurposes(uint256 tokenId, uint256 purposes) internal view {
+        require(purposes != 0, "Purpose required");
+        require(bioNFT.isConsented(tokenId, purposes), "Purpose not consented");
+    }
+
+    /**
+     * @notice Hand a license payment to the escrow, which releases it to the revenue splitter over the license term
+     */
+    function _escrowPayment(uint256 licenseId, uint256 amount) internal {
+        if (amount > 0) {
+            licenseEscrow.deposit{value: amount}(licenseId);
+        }
+    }
+
+    /**
+     * @notice Check that an offer can still be bought or countered
+     */
+    function _requireOpenOffer(LicenseOffer storage offer) internal view {
+        require(offer.offerId != 0, "Offer does not exist");
+        require(offer.isActive, "Offer not active");
+        require(block.timestamp <= offer.expiresAt, "Offer expired");
+        // Offers lapse if the token changes hands, including custodial staking
+        require(bioNFT.ownerOf(offer.tokenId) == offer.seller, "Seller no longer owns token");
+    }
+
+    /**
+     * @notice Check an offer's allow-list against an account
+     */
+    function _isAllowedBuyer(uint256 offerId, address account) internal view returns (bool) {
+        uint256[] storage institutionIds = _offerAllowedInstitutions[offerId];
+        if (institutionIds.length == 0) {
+            return true;
+        }
+
+        for (uint256 i = 0; i < institutionIds.length; i++) {
+            if (_isInstitutionMember(institutionIds[i], account)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @notice Check if an account acts for an active institution
+     */
+    function _isInstitutionMember(uint256 institutionId, address account) internal view returns (bool) {
+        if (address(institutionRegistry) == address(0) || !institutionRegistry.isInstitutionActive(institutionId)) {
+            return false;
+        }
+
+        return
+            institutionRegistry.getInstitution(institutionId).pubkey == account ||
+            institutionRegistry.isSigner(institutionId, account);
+    }
+
+    /**
+     * @notice Close a pending counter-offer and refund its escrow to the buyer
+     */
+    function _closeCounterOffer(CounterOffer storage counterOffer, CounterOfferStatus status) internal {
+        require(counterOffer.status == CounterOfferStatus.Pending, "Counter-offer not pending");
+
+        counterOffer.status = status;
+
+        if (counterOffer.price > 0) {
+            (bool success, ) = counterOffer.buyer.call{value: counterOffer.price}("");
+            require(success, "Refund failed");
+        }
+
+        emit CounterOfferResolved(counterOffer.counterOfferId, status, 0);
+    }
+
+    /**
+     * @notice Remove a license from a licensee's list in O(1)
+     */
+    function _removeLicenseeLicense(address licensee, uint256 licenseId) internal {
+        uint256[] storage licenses = _licenseeLicenses[licensee];
+        uint256 index = _licenseeLicenseIndex[licenseId];
+        uint256 lastLicenseId = licenses[licenses.length - 1];
+
+        licenses[index] = lastLicenseId;
+        _licenseeLicenseIndex[lastLicenseId] = index;
+        licenses.pop();
+    }
+
+    /**
+     * @notice Check a single license's own status, consent, expiry and usage, ignoring its parents
+     */
+    function _isWithinTerms(License storage license) internal view returns (bool) {
+        if (!license.isActive || !license.paid) {
+            return false;
+        }
+
+        // Withdrawing consent for any of its purposes invalidates a license
+        if (!bioNFT.isConsented(license.tokenId, license.purposes)) {
+            return false;
+        }
+
+        // Check expiration for timed licenses
+        if (license.licenseType == LicenseType.Timed) {
+            if (block.timestamp > license.expiresAt) {
+                return false;
+            }
+        }
+
+        // Check usage limit for usage-based licenses
+        if (license.licenseType == LicenseType.Usage) {
+            if (license.usageCount >= license.usageLimit) {
+                return false;
+            }
+        }
+
+        // Subscriptions awaiting renewal stay valid through the grace period
+        if (license.licenseType == LicenseType.Subscription) {
+            uint256 validUntil = license.expiresAt;
+            if (!_subscriptions[license.licenseId].cancelled) {
+                validUntil += subscriptionGracePeriod;
+            }
+            if (block.timestamp > validUntil) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * @notice Keep license state in sync with the license token
+     * @dev Transfers move the license to the new holder if its terms allow it, and burns revoke it.
+     *      A licensee burning their own license forfeits the rest of its escrowed payment.
+     */
+    function _update(address to, uint256 licenseId, address auth) internal override returns (address) {
+        address from = _ownerOf(licenseId);
+        License storage license = _licenses[licenseId];
+
+        if (from != address(0) && to != address(0)) {
+            require(license.transferable, "License not transferable");
+            require(isLicenseValid(licenseId), "License not valid");
+
+            _removeLicenseeLicense(from, licenseId);
+            _licenseeLicenseIndex[licenseId] = _licenseeLicenses[to].length;
+            _licenseeLicenses[to].push(licenseId);
+            license.licensee = to;
+
+            emit LicenseTransferred(licenseId, from, to);
+        } else if (to == address(0) && license.isActive) {
+            license.isActive = false;
+            licenseEscrow.settle(licenseId, false);
+
+            emit LicenseRevoked(licenseId);
+        }
+
+        return super._update(to, licenseId, auth);
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/ILicenseManager.sol";
+
+/**
+ * @title LicenseRenderer
+ * @notice Generates on-chain metadata for LicenseManager license tokens
+ * @dev Kept separate from LicenseManager to stay under the contract size limit
+ */
+contract LicenseRenderer {
+    /**
+     * @notice Render a license as token metadata
+     * @param license The license to describe
+     * @param valid Whether the license is currently valid, including its parents
+     * @return A base64-encoded JSON data URI describing the license terms
+     */
+    function tokenURI(ILicenseManager.License calldata license, bool valid) external pure returns (string memory) {
+        string memory json = string.concat(
+            '{"name":"AstralSeed License #',
+            Strings.toString(license.licenseId),
+            '","description":"Usage rights to AstralSeed bio-NFT #',
+            Strings.toString(license.tokenId),
+            '","attributes":[',
+            _licenseAttributes(license, valid),
+            "]}"
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Build the JSON attributes array describing a license
+     */
+    function _licenseAttributes(
+        ILicenseManager.License calldata license,
+        bool valid
+    ) internal pure returns (string memory) {
+        string memory expiresAt = license.expiresAt != 0 ? Strings.toString(license.expiresAt) : '"Never"';
+        string memory usageRemaining = license.licenseType == ILicenseManager.LicenseType.Usage
+            ? Strings.toString(license.usageLimit - license.usageCount)
+            : '"Unlimited"';
+
+        return string.concat(
+            _attribute("License Type", _quote(_licenseTypeName(license.licenseType))),
+            ",",
+            _attribute("Expires At", expiresAt),
+            ",",
+            _attribute("Usage Remaining", usageRemaining),
+            ",",
+            _attribute("Bio-NFT", Strings.toString(license.tokenId)),
+            ",",
+            _attribute("Parent License", Strings.toString(license.parentLicenseId)),
+            ",",
+            _attribute("Transferable", license.transferable ? "true" : "false"),
+            ",",
+            _attribute("Sublicensable", license.sublicensable ? "true" : "false"),
+            ",",
+            _attribute("Purposes", Strings.toString(license.purposes)),
+            ",",
+            _attribute("Valid", valid ? "true" : "false")
+        );
+    }
+
+    /**
+     * @dev Format a single JSON attribute from a trait name and an already-encoded JSON value
+     */
+    function _attribute(string memory traitType, string memory value) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', traitType, '","value":', value, "}");
+    }
+
+    /**
+     * @dev Wrap a string in JSON quotes
+     */
+    function _quote(string memory value) internal pure returns (string memory) {
+        return string.concat('"', value, '"');
+    }
+
+    /**
+     * @dev Human-readable name of a license type
+     */
+    function _licenseTypeName(ILicenseManager.LicenseType licenseType) internal pure returns (string memory) {
+        if (licenseType == ILicenseManager.LicenseType.Timed) {
+            return "Timed";
+        }
+        if (licenseType == ILicenseManager.LicenseType.Usage) {
+            return "Usage";
+        }
+        if (licenseType == ILicenseManager.LicenseType.Subscription) {
+            return "Subscription";
+        }
+        return "Perpetual";
+    }
+}
@@ -8,13 +8,22 @@ import "./BioNFT.sol";
 /**
  * @title MetadataVault
  * @notice Manages encrypted metadata storage and access control
- * @dev Stores IPFS CIDs and encrypted access keys
+ * @dev Stores IPFS CIDs and encrypted access keys. Keys are versioned in epochs: revoking an accessor advances
+ *      the epoch, after which the owner re-encrypts the metadata under a new key and re-grants the remaining
+ *      accessors, so a revoked accessor's cached key no longer opens the current metadata.
  */
 contract MetadataVault is IMetadataVault, Ownable {
     struct MetadataRecord {
         string metadataCID;
         bytes encryptionKey;
         bool exists;
+        uint256 epoch; // Current key epoch, advanced on every revocation
+        uint256 keyEpoch; // Epoch the published CID and encryption key belong to
+    }
+
+    struct AccessKey {
+        bytes key;
+        uint256 epoch; // Epoch of the encryption key it wraps
     }
 
     BioNFT public bioNFT;
@@ -23,7 +32,7 @@ contract MetadataVault is IMetadataVault, Ownable {
     mapping(uint256 => MetadataRecord) private _metadata;
     
     // Mapping from token ID to accessor to access key
-    mapping(uint256 => mapping(address => bytes)) private _accessKeys;
+    mapping(uint256 => mapping(address => AccessKey)) private _accessKeys;
     
     // Mapping from token ID to list of authorized accessors
     mapping(uint256 => address[]) private _authorizedAccessors;
@@ -40,19 +49,20 @@ contract MetadataVault is IMetadataVault, Ownable {
 
     /**
      * @inheritdoc IMetadataVault
+     * @dev Only for the first store. Later CID and key changes go through rotateKey, so they open a new epoch.
      */
     function storeMetadata(
         uint256 tokenId,
         string memory metadataCID,
         bytes memory encryptionKey
     ) external override onlyTokenOwner(tokenId) {
+        MetadataRecord storage record = _metadata[tokenId];
+        require(!record.exists, "Metadata already stored");
         require(bytes(metadataCID).length > 0, "Invalid CID");
 
-        _metadata[tokenId] = MetadataRecord({
-            metadataCID: metadataCID,
-            encryptionKey: encryptionKey,
-            exists: true
-        });
+        record.metadataCID = metadataCID;
+        record.encryptionKey = encryptionKey;
+        record.exists = true;
 
         emit MetadataStored(tokenId, metadataCID);
     }
@@ -67,9 +77,10 @@ contract MetadataVault is IMetadataVault, Ownable {
     ) external override onlyTokenOwner(tokenId) {
         require(accessor != address(0), "Invalid accessor");
         require(_metadata[tokenId].exists, "Metadata not stored");
-        require(_accessKeys[tokenId][accessor].length == 0, "Access already granted");
+        require(_accessKeys[tokenId][accessor].key.length == 0, "Access already granted");
+        require(accessKey.length > 0, "Invalid access key");
 
-        _accessKeys[tokenId][accessor] = accessKey;
+        _accessKeys[tokenId][accessor] = AccessKey({key: accessKey, epoch: _metadata[tokenId].keyEpoch});
         _authorizedAccessors[tokenId].push(accessor);
 
         emit AccessGranted(tokenId, accessor);
@@ -77,17 +88,67 @@ contract MetadataVault is IMetadataVault, Ownable {
 
     /**
      * @inheritdoc IMetadataVault
+     * @dev Advances the key epoch, since the revoked accessor may have cached the current key
      */
     function revokeAccess(
         uint256 tokenId,
         address accessor
     ) external override onlyTokenOwner(tokenId) {
-        require(_accessKeys[tokenId][accessor].length > 0, "No access to revoke");
+        require(_accessKeys[tokenId][accessor].key.length > 0, "No access to revoke");
 
         delete _accessKeys[tokenId][accessor];
         _removeAccessor(tokenId, accessor);
 
+        uint256 epoch = ++_metadata[tokenId].epoch;
+
         emit AccessRevoked(tokenId, accessor);
+        emit EpochAdvanced(tokenId, epoch);
+    }
+
+    /**
+     * @inheritdoc IMetadataVault
+     * @dev Publishes the key for the current epoch, or opens a new epoch if the current one already has its
+     *      key. Accessors left out keep their old access key until re-granted with regrantAccess.
+     */
+    function rotateKey(
+        uint256 tokenId,
+        string memory metadataCID,
+        bytes memory encryptionKey,
+        address[] memory accessors,
+        bytes[] memory accessKeys
+    ) external override onlyTokenOwner(tokenId) {
+        MetadataRecord storage record = _metadata[tokenId];
+        require(record.exists, "Metadata not stored");
+        require(bytes(metadataCID).length > 0, "Invalid CID");
+
+        if (record.keyEpoch == record.epoch) {
+            record.epoch++;
+
+            emit EpochAdvanced(tokenId, record.epoch);
+        }
+        record.metadataCID = metadataCID;
+        record.encryptionKey = encryptionKey;
+        record.keyEpoch = record.epoch;
+
+        emit MetadataStored(tokenId, metadataCID);
+        emit KeyRotated(tokenId, record.epoch, metadataCID);
+
+        _regrantAccess(tokenId, accessors, accessKeys);
+    }
+
+    /**
+     * @notice Replace authorized accessors' access keys with keys for the current encryption key
+     * @dev For re-granting accessors that did not fit in the rotateKey batch
+     * @param tokenId The bio-NFT token ID
+     * @param accessors Authorized accessors to receive new access keys
+     * @param accessKeys The new access keys (each encrypted for its accessor)
+     */
+    function regrantAccess(
+        uint256 tokenId,
+        address[] memory accessors,
+        bytes[] memory accessKeys
+    ) external onlyTokenOwner(tokenId) {
+        _regrantAccess(tokenId, accessors, accessKeys);
     }
 
     /**
@@ -96,7 +157,7 @@ contract MetadataVault is IMetadataVault, Ownable {
     function getMetadataCID(uint256 tokenId) external view override returns (string memory) {
         address owner = bioNFT.ownerOf(tokenId);
         require(
-            msg.sender == owner || _accessKeys[tokenId][msg.sender].length > 0,
+            msg.sender == owner || _accessKeys[tokenId][msg.sender].key.length > 0,
             "Not authorized"
         );
         require(_metadata[tokenId].exists, "Metadata not stored");
@@ -112,7 +173,7 @@ contract MetadataVault is IMetadataVault, Ownable {
         if (accessor == owner) {
             return true;
         }
-        return _accessKeys[tokenId][accessor].length > 0;
+        return _accessKeys[tokenId][accessor].key.length > 0;
     }
 
     /**
@@ -123,9 +184,51 @@ contract MetadataVault is IMetadataVault, Ownable {
             msg.sender == accessor || msg.sender == bioNFT.ownerOf(tokenId),
             "Not authorized"
         );
-        require(_accessKeys[tokenId][accessor].length > 0, "No access granted");
+        require(_accessKeys[tokenId][accessor].key.length > 0, "No access granted");
+
+        return _accessKeys[tokenId][accessor].key;
+    }
+
+    /**
+     * @notice Get the epoch of the encryption key an accessor's access key wraps
+     * @dev An access key older than the token's key epoch cannot open the current metadata
+     * @param tokenId The bio-NFT token ID
+     * @param accessor The accessor address
+     * @return The access key's epoch
+     */
+    function getAccessKeyEpoch(uint256 tokenId, address accessor) external view returns (uint256) {
+        require(_accessKeys[tokenId][accessor].key.length > 0, "No access granted");
+        return _accessKeys[tokenId][accessor].epoch;
+    }
+
+    /**
+     * @notice Get a token's key epochs
+     * @param tokenId The bio-NFT token ID
+     * @return epoch The current epoch
+     * @return keyEpoch The epoch the published CID and encryption key belong to
+     */
+    function getEpochs(uint256 tokenId) external view returns (uint256 epoch, uint256 keyEpoch) {
+        return (_metadata[tokenId].epoch, _metadata[tokenId].keyEpoch);
+    }
 
-        return _accessKeys[tokenId][accessor];
+    /**
+     * @notice Check if a token's metadata must be re-encrypted because access was revoked since its last rotation
+     * @param tokenId The bio-NFT token ID
+     * @return Whether the published key is from an earlier epoch
+     */
+    function needsRotation(uint256 tokenId) external view returns (bool) {
+        return _metadata[tokenId].keyEpoch < _metadata[tokenId].epoch;
+    }
+
+    /**
+     * @notice Get the encryption key of a token's metadata (owner only)
+     * @param tokenId The bio-NFT token ID
+     * @return The encryption key (encrypted for owner)
+     */
+    function getEncryptionKey(uint256 tokenId) external view returns (bytes memory) {
+        require(msg.sender == bioNFT.ownerOf(tokenId), "Not token owner");
+        require(_metadata[tokenId].exists, "Metadata not stored");
+        return _metadata[tokenId].encryptionKey;
     }
 
     /**
@@ -140,14 +243,18 @@ contract MetadataVault is IMetadataVault, Ownable {
 
     /**
      * @notice Update metadata CID (owner only)
+     * @dev For moving the same ciphertext to a new CID, so the key and epoch are kept. Re-encrypted metadata
+     *      and new keys go through rotateKey, which is also required first while a rotation is pending.
      * @param tokenId The bio-NFT token ID
      * @param newCID The new IPFS CID
      */
     function updateMetadataCID(uint256 tokenId, string memory newCID) external onlyTokenOwner(tokenId) {
-        require(_metadata[tokenId].exists, "Metadata not stored");
+        MetadataRecord storage record = _metadata[tokenId];
+        require(record.exists, "Metadata not stored");
         require(bytes(newCID).length > 0, "Invalid CID");
+        require(record.keyEpoch == record.epoch, "Key rotation required");
 
-        _metadata[tokenId].metadataCID = newCID;
+        record.metadataCID = newCID;
 
         emit MetadataStored(tokenId, newCID);
     }
@@ -161,6 +268,25 @@ contract MetadataVault is IMetadataVault, Ownable {
         return _metadata[tokenId].exists;
     }
 
+    /**
+     * @dev Re-grant authorized accessors with access keys for the current encryption key
+     */
+    function _regrantAccess(uint256 tokenId, address[] memory accessors, bytes[] memory accessKeys) internal {
+        require(accessors.length == accessKeys.length, "Length mismatch");
+
+        uint256 keyEpoch = _metadata[tokenId].keyEpoch;
+        for (uint256 i = 0; i < accessors.length; i++) {
+            AccessKey storage accessKey = _accessKeys[tokenId][accessors[i]];
+            require(accessKey.key.length > 0, "No access granted");
+            require(accessKeys[i].length > 0, "Invalid access key");
+
+            accessKey.key = accessKeys[i];
+            accessKey.epoch = keyEpoch;
+
+            emit AccessKeyUpdated(tokenId, accessors[i], keyEpoch);
+        }
+    }
+
     /**
      * @dev Remove an accessor from the authorized list
      */
@@ -3,25 +3,53 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "./BioNFT.sol";
 import "./InstitutionRegistry.sol";
 
 /**
  * @title MintGateway
  * @notice Entry point for minting bio-NFTs with signature verification
- * @dev Validates institution attestations before minting
+ * @dev Validates EIP-712 typed institution attestations before minting.
+ *      Mints can also be relayed: the donor signs a MintIntent off-chain and
+ *      any relayer submits it, paying gas while the NFT goes to the donor.
  */
-contract MintGateway is Ownable {
+contract MintGateway is Ownable, EIP712 {
     using ECDSA for bytes32;
-    using MessageHashUtils for bytes32;
+
+    // EIP-712 type hash for institution attestations
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "Attestation(bytes32 bioHash,uint256 institutionId,address minter,"
+        "string metadataURI,bytes32 nonce,uint256 deadline)"
+    );
+
+    // EIP-712 type hash for donor mint intents submitted by relayers
+    bytes32 public constant MINT_INTENT_TYPEHASH = keccak256(
+        "MintIntent(address donor,bytes32 bioHash,uint256 institutionId,"
+        "string metadataURI,bytes32 nonce,uint256 deadline)"
+    );
 
     BioNFT public bioNFT;
     InstitutionRegistry public institutionRegistry;
 
+    struct MintQuota {
+        uint256 windowLimit;     // Max attestations per window (0 = unlimited)
+        uint256 windowDuration;  // Window length in seconds
+        uint256 lifetimeCap;     // Max lifetime attestations (0 = unlimited)
+    }
+
     // Mapping to prevent replay attacks
     mapping(bytes32 => bool) public usedNonces;
 
+    // Mapping from institution ID to mint quota
+    mapping(uint256 => MintQuota) private _mintQuotas;
+
+    // Mapping from institution ID to a ring of its last windowLimit mint timestamps
+    mapping(uint256 => uint256[]) private _recentMints;
+
+    // Mapping from institution ID to the ring index of its oldest recent mint
+    mapping(uint256 => uint256) private _recentMintsHead;
+
     event MintRequested(
         address indexed minter,
         bytes32 indexed bioHash,
@@ -29,7 +57,29 @@ contract MintGateway is Ownable {
         uint256 tokenId
     );
 
-    constructor(address _bioNFT, address _institutionRegistry) Ownable(msg.sender) {
+    event BatchMintFailed(
+        uint256 indexed index,
+        bytes32 indexed bioHash,
+        string reason
+    );
+
+    event MintQuotaUpdated(
+        uint256 indexed institutionId,
+        uint256 windowLimit,
+        uint256 windowDuration,
+        uint256 lifetimeCap
+    );
+
+    event MintRelayed(
+        address indexed donor,
+        address indexed relayer,
+        uint256 indexed tokenId
+    );
+
+    constructor(
+        address _bioNFT,
+        address _institutionRegistry
+    ) Ownable(msg.sender) EIP712("AstralSeed MintGateway", "1") {
         require(_bioNFT != address(0), "Invalid BioNFT address");
         require(_institutionRegistry != address(0), "Invalid registry address");
         
@@ -43,7 +93,9 @@ contract MintGateway is Ownable {
      * @param institutionId The ID of the attesting institution
      * @param metadataURI The IPFS URI for metadata
      * @param nonce Unique nonce to prevent replay attacks
-     * @param signature Institution's signature attesting to the bio-hash
+     * @param deadline Timestamp after which the attestation is no longer valid
+     * @param signature Institution signers' EIP-712 signatures over the Attestation struct,
+     *        concatenated in ascending signer address order (at least the signer threshold)
      * @return tokenId The minted token ID
      */
     function mintBioNFT(
@@ -51,40 +103,278 @@ contract MintGateway is Ownable {
         uint256 institutionId,
         string memory metadataURI,
         bytes32 nonce,
+        uint256 deadline,
         bytes memory signature
     ) external returns (uint256) {
-        require(bioHash != bytes32(0), "Invalid bio-hash");
-        require(!usedNonces[nonce], "Nonce already used");
-        require(
-            institutionRegistry.isInstitutionActive(institutionId),
-            "Institution not active"
+        return _mintWithAttestation(
+            msg.sender,
+            bioHash,
+            institutionId,
+            metadataURI,
+            nonce,
+            deadline,
+            signature
         );
+    }
 
-        // Verify signature
-        bytes32 messageHash = keccak256(
-            abi.encodePacked(bioHash, institutionId, msg.sender, nonce)
+    /**
+     * @notice Mint several bio-NFTs attested by one institution in a single transaction
+     * @dev Items that fail validation or minting are skipped and reported through
+     *      BatchMintFailed instead of reverting the whole batch
+     * @param bioHashes The cryptographic hashes of biological data
+     * @param institutionId The ID of the attesting institution
+     * @param metadataURIs The IPFS URIs for metadata
+     * @param nonces Unique nonces, one per item
+     * @param deadlines Attestation expiry timestamps, one per item
+     * @param signatures Institution signers' concatenated EIP-712 signatures, one per item
+     * @return tokenIds The minted token IDs (0 for items that failed)
+     */
+    function mintBioNFTBatch(
+        bytes32[] memory bioHashes,
+        uint256 institutionId,
+        string[] memory metadataURIs,
+        bytes32[] memory nonces,
+        uint256[] memory deadlines,
+        bytes[] memory signatures
+    ) external returns (uint256[] memory tokenIds) {
+        uint256 count = bioHashes.length;
+        require(count > 0, "Empty batch");
+        require(
+            metadataURIs.length == count &&
+                nonces.length == count &&
+                deadlines.length == count &&
+                signatures.length == count,
+            "Array length mismatch"
         );
-        bytes32 ethSignedMessageHash = messageHash.toEthSignedMessageHash();
-        address signer = ethSignedMessageHash.recover(signature);
 
-        IInstitutionRegistry.Institution memory institution = 
-            institutionRegistry.getInstitution(institutionId);
-        require(signer == institution.pubkey, "Invalid signature");
+        tokenIds = new uint256[](count);
 
-        // Mark nonce as used
-        usedNonces[nonce] = true;
+        for (uint256 i = 0; i < count; i++) {
+            string memory reason = _attestationError(
+                msg.sender,
+                bioHashes[i],
+                institutionId,
+                metadataURIs[i],
+                nonces[i],
+                deadlines[i],
+                signatures[i]
+            );
+            if (bytes(reason).length == 0) {
+                (tokenIds[i], reason) = _tryMint(
+                    msg.sender,
+                    bioHashes[i],
+                    institutionId,
+                    metadataURIs[i],
+                    nonces[i]
+                );
+            }
+            if (tokenIds[i] == 0) {
+                emit BatchMintFailed(i, bioHashes[i], reason);
+            }
+        }
+    }
 
-        // Mint NFT
-        uint256 tokenId = bioNFT.mint(msg.sender, bioHash, institutionId, metadataURI);
+    /**
+     * @notice Mint a bio-NFT to a donor on their behalf (gasless for the donor)
+     * @dev The institution attests with `minter` set to the donor, and the donor
+     *      signs a matching MintIntent. The caller only pays gas.
+     * @param donor The address receiving the NFT
+     * @param bioHash The cryptographic hash of biological data
+     * @param institutionId The ID of the attesting institution
+     * @param metadataURI The IPFS URI for metadata
+     * @param nonce Unique nonce shared by the attestation and the intent
+     * @param deadline Timestamp after which the attestation and intent expire
+     * @param signature Institution signers' concatenated EIP-712 signatures over the Attestation struct
+     * @param intentSignature Donor's EIP-712 signature over the MintIntent struct
+     * @return tokenId The minted token ID
+     */
+    function mintBioNFTFor(
+        address donor,
+        bytes32 bioHash,
+        uint256 institutionId,
+        string memory metadataURI,
+        bytes32 nonce,
+        uint256 deadline,
+        bytes memory signature,
+        bytes memory intentSignature
+    ) external returns (uint256) {
+        require(donor != address(0), "Invalid donor");
 
-        // Increment attestation count
-        institutionRegistry.incrementAttestationCount(institutionId);
+        bytes32 intentDigest = hashMintIntent(
+            donor,
+            bioHash,
+            institutionId,
+            metadataURI,
+            nonce,
+            deadline
+        );
+        require(intentDigest.recover(intentSignature) == donor, "Invalid intent signature");
+
+        uint256 tokenId = _mintWithAttestation(
+            donor,
+            bioHash,
+            institutionId,
+            metadataURI,
+            nonce,
+            deadline,
+            signature
+        );
 
-        emit MintRequested(msg.sender, bioHash, institutionId, tokenId);
+        emit MintRelayed(donor, msg.sender, tokenId);
 
         return tokenId;
     }
 
+    /**
+     * @notice Compute the EIP-712 digest an institution signs for a mint
+     * @param bioHash The cryptographic hash of biological data
+     * @param institutionId The ID of the attesting institution
+     * @param minter The address allowed to mint with this attestation
+     * @param metadataURI The IPFS URI for metadata
+     * @param nonce Unique nonce to prevent replay attacks
+     * @param deadline Timestamp after which the attestation is no longer valid
+     * @return The typed data digest
+     */
+    function hashAttestation(
+        bytes32 bioHash,
+        uint256 institutionId,
+        address minter,
+        string memory metadataURI,
+        bytes32 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    ATTESTATION_TYPEHASH,
+                    bioHash,
+                    institutionId,
+                    minter,
+                    keccak256(bytes(metadataURI)),
+                    nonce,
+                    deadline
+                )
+            )
+        );
+    }
+
+    /**
+     * @notice Compute the EIP-712 digest a donor signs to authorize a relayed mint
+     * @param donor The address receiving the NFT
+     * @param bioHash The cryptographic hash of biological data
+     * @param institutionId The ID of the attesting institution
+     * @param metadataURI The IPFS URI for metadata
+     * @param nonce Unique nonce shared with the institution attestation
+     * @param deadline Timestamp after which the intent is no longer valid
+     * @return The typed data digest
+     */
+    function hashMintIntent(
+        address donor,
+        bytes32 bioHash,
+        uint256 institutionId,
+        string memory metadataURI,
+        bytes32 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    MINT_INTENT_TYPEHASH,
+                    donor,
+                    bioHash,
+                    institutionId,
+                    keccak256(bytes(metadataURI)),
+                    nonce,
+                    deadline
+                )
+            )
+        );
+    }
+
+    /**
+     * @notice Get the EIP-712 domain separator for this gateway
+     * @return The domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @notice Set an institution's attestation quota (institution registrar only)
+     * @dev The window is rolling: at most windowLimit mints in any windowDuration span.
+     *      Recent mints are kept, so lowering a limit takes effect immediately
+     * @param institutionId The institution ID
+     * @param windowLimit Max attestations per window (0 = unlimited)
+     * @param windowDuration Window length in seconds (e.g. 1 days)
+     * @param lifetimeCap Max lifetime attestations, checked against the
+     *        registry's attestation count (0 = unlimited)
+     */
+    function setMintQuota(
+        uint256 institutionId,
+        uint256 windowLimit,
+        uint256 windowDuration,
+        uint256 lifetimeCap
+    ) external {
+        require(
+            institutionRegistry.hasRole(institutionRegistry.REGISTRAR_ROLE(), msg.sender),
+            "Not registrar"
+        );
+        require(windowLimit == 0 || windowDuration > 0, "Window duration required");
+
+        MintQuota storage quota = _mintQuotas[institutionId];
+        if (windowLimit != quota.windowLimit) {
+            _resizeRecentMints(institutionId, windowLimit);
+        }
+        quota.windowLimit = windowLimit;
+        quota.windowDuration = windowDuration;
+        quota.lifetimeCap = lifetimeCap;
+
+        emit MintQuotaUpdated(institutionId, windowLimit, windowDuration, lifetimeCap);
+    }
+
+    /**
+     * @notice Get the configured quota for an institution
+     * @param institutionId The institution ID
+     * @return The mint quota struct
+     */
+    function getMintQuota(uint256 institutionId) external view returns (MintQuota memory) {
+        return _mintQuotas[institutionId];
+    }
+
+    /**
+     * @notice Get how many more attestations an institution can mint
+     * @param institutionId The institution ID
+     * @return windowRemaining Attestations left in the current window (max uint if unlimited)
+     * @return lifetimeRemaining Attestations left under the lifetime cap (max uint if unlimited)
+     * @return nextSlotAt When the oldest mint in the window leaves it, freeing a slot (0 if none are in it)
+     */
+    function getRemainingQuota(uint256 institutionId)
+        public
+        view
+        returns (uint256 windowRemaining, uint256 lifetimeRemaining, uint256 nextSlotAt)
+    {
+        MintQuota memory quota = _mintQuotas[institutionId];
+
+        windowRemaining = type(uint256).max;
+        if (quota.windowLimit > 0) {
+            uint256[] storage times = _recentMints[institutionId];
+            uint256 head = _recentMintsHead[institutionId];
+            uint256 used = 0;
+            for (uint256 i = 0; i < times.length; i++) {
+                uint256 mintedAt = times[(head + i) % times.length];
+                if (mintedAt + quota.windowDuration > block.timestamp) {
+                    if (used == 0) {
+                        nextSlotAt = mintedAt + quota.windowDuration;
+                    }
+                    used++;
+                }
+            }
+            windowRemaining = used >= quota.windowLimit ? 0 : quota.windowLimit - used;
+        }
+
+        lifetimeRemaining = _lifetimeRemaining(institutionId, quota.lifetimeCap);
+    }
+
     /**
      * @notice Update BioNFT contract address
      * @param _bioNFT New BioNFT address
@@ -111,5 +401,208 @@ contract MintGateway is Ownable {
     function isNonceUsed(bytes32 nonce) external view returns (bool) {
         return usedNonces[nonce];
     }
-}
 
+    /**
+     * @dev Verify an institution attestation and mint to the attested minter
+     */
+    function _mintWithAttestation(
+        address minter,
+        bytes32 bioHash,
+        uint256 institutionId,
+        string memory metadataURI,
+        bytes32 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) internal returns (uint256) {
+        string memory reason = _attestationError(
+            minter,
+            bioHash,
+            institutionId,
+            metadataURI,
+            nonce,
+            deadline,
+            signature
+        );
+        require(bytes(reason).length == 0, reason);
+
+        // Mark nonce as used
+        usedNonces[nonce] = true;
+        _consumeQuota(institutionId);
+
+        // Mint NFT
+        uint256 tokenId = bioNFT.mint(minter, bioHash, institutionId, metadataURI);
+
+        // Increment attestation count
+        institutionRegistry.incrementAttestationCount(institutionId);
+
+        emit MintRequested(minter, bioHash, institutionId, tokenId);
+
+        return tokenId;
+    }
+
+    /**
+     * @dev Mint an already validated attestation without reverting on failure
+     * @return tokenId The minted token ID (0 on failure)
+     * @return reason The failure reason (empty on success)
+     */
+    function _tryMint(
+        address minter,
+        bytes32 bioHash,
+        uint256 institutionId,
+        string memory metadataURI,
+        bytes32 nonce
+    ) internal returns (uint256 tokenId, string memory reason) {
+        usedNonces[nonce] = true;
+
+        try bioNFT.mint(minter, bioHash, institutionId, metadataURI) returns (uint256 mintedId) {
+            tokenId = mintedId;
+        } catch Error(string memory err) {
+            usedNonces[nonce] = false;
+            return (0, err);
+        } catch {
+            usedNonces[nonce] = false;
+            return (0, "Mint failed");
+        }
+
+        _consumeQuota(institutionId);
+        institutionRegistry.incrementAttestationCount(institutionId);
+
+        emit MintRequested(minter, bioHash, institutionId, tokenId);
+    }
+
+    /**
+     * @dev Check an institution attestation without reverting
+     * @return The failure reason, or an empty string if the attestation is valid
+     */
+    function _attestationError(
+        address minter,
+        bytes32 bioHash,
+        uint256 institutionId,
+        string memory metadataURI,
+        bytes32 nonce,
+        uint256 deadline,
+        bytes memory signature
+    ) internal view returns (string memory) {
+        if (bioHash == bytes32(0)) return "Invalid bio-hash";
+        if (block.timestamp > deadline) return "Attestation expired";
+        if (usedNonces[nonce]) return "Nonce already used";
+        if (!institutionRegistry.isInstitutionActive(institutionId)) return "Institution not active";
+        if (!institutionRegistry.hasSufficientBond(institutionId)) return "Insufficient institution bond";
+
+        if (_lifetimeRemaining(institutionId, _mintQuotas[institutionId].lifetimeCap) == 0) {
+            return "Lifetime attestation cap reached";
+        }
+        if (_isWindowFull(institutionId)) return "Attestation quota exceeded for window";
+
+        // Verify signatures
+        bytes32 digest = hashAttestation(
+            bioHash,
+            institutionId,
+            minter,
+            metadataURI,
+            nonce,
+            deadline
+        );
+
+        return _signerError(institutionId, digest, signature);
+    }
+
+    /**
+     * @dev Check that `signatures` holds at least the institution's threshold of
+     *      signatures over `digest` from distinct registered signers. Signatures are
+     *      65-byte (r, s, v) values concatenated in ascending signer address order.
+     * @return The failure reason, or an empty string if the signatures are valid
+     */
+    function _signerError(
+        uint256 institutionId,
+        bytes32 digest,
+        bytes memory signatures
+    ) internal view returns (string memory) {
+        uint256 count = signatures.length / 65;
+        if (signatures.length % 65 != 0) return "Invalid signature";
+        if (count == 0 || count < institutionRegistry.getSignerThreshold(institutionId)) {
+            return "Insufficient signatures";
+        }
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < count; i++) {
+            (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, _signatureAt(signatures, i));
+            if (err != ECDSA.RecoverError.NoError) return "Invalid signature";
+            if (!institutionRegistry.isSigner(institutionId, signer)) return "Invalid signature";
+            if (signer <= lastSigner) return "Signers not in ascending order";
+
+            lastSigner = signer;
+        }
+
+        return "";
+    }
+
+    /**
+     * @dev Copy the 65-byte signature at `index` out of a concatenated signature list
+     */
+    function _signatureAt(bytes memory signatures, uint256 index) internal pure returns (bytes memory signature) {
+        signature = new bytes(65);
+        for (uint256 j = 0; j < 65; j++) {
+            signature[j] = signatures[index * 65 + j];
+        }
+    }
+
+    /**
+     * @dev Attestations left under a lifetime cap (max uint if unlimited)
+     */
+    function _lifetimeRemaining(uint256 institutionId, uint256 lifetimeCap) internal view returns (uint256) {
+        if (lifetimeCap == 0) {
+            return type(uint256).max;
+        }
+        uint256 attested = institutionRegistry.getInstitution(institutionId).attestationCount;
+        return attested >= lifetimeCap ? 0 : lifetimeCap - attested;
+    }
+
+    /**
+     * @dev Check whether the institution's last windowLimit mints all fall inside the rolling window
+     */
+    function _isWindowFull(uint256 institutionId) internal view returns (bool) {
+        MintQuota storage quota = _mintQuotas[institutionId];
+        uint256[] storage times = _recentMints[institutionId];
+        if (quota.windowLimit == 0 || times.length < quota.windowLimit) {
+            return false;
+        }
+        return times[_recentMintsHead[institutionId]] + quota.windowDuration > block.timestamp;
+    }
+
+    /**
+     * @dev Record a mint in the institution's ring of recent mints, replacing the oldest once it is full
+     */
+    function _consumeQuota(uint256 institutionId) internal {
+        uint256 windowLimit = _mintQuotas[institutionId].windowLimit;
+        if (windowLimit == 0) {
+            return;
+        }
+
+        uint256[] storage times = _recentMints[institutionId];
+        if (times.length < windowLimit) {
+            times.push(block.timestamp);
+        } else {
+            uint256 head = _recentMintsHead[institutionId];
+            times[head] = block.timestamp;
+            _recentMintsHead[institutionId] = (head + 1) % times.length;
+        }
+    }
+
+    /**
+     * @dev Resize the ring of recent mints to a new window limit, keeping the most recent mints
+     */
+    function _resizeRecentMints(uint256 institutionId, uint256 windowLimit) internal {
+        uint256[] storage times = _recentMints[institutionId];
+        uint256 head = _recentMintsHead[institutionId];
+        uint256 kept = times.length < windowLimit ? times.length : windowLimit;
+
+        uint256[] memory recent = new uint256[](kept);
+        for (uint256 i = 0; i < kept; i++) {
+            recent[i] = times[(head + times.length - kept + i) % times.length];
+        }
+
+        _recentMints[institutionId] = recent;
+        _recentMintsHead[institutionId] = 0;
+    }
+}
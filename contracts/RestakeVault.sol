@@ -1,115 +1,308 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./interfaces/IRestakeVault.sol";
+import "./interfaces/IBeneficialOwner.sol";
+import "./interfaces/IBioNFT.sol";
+import "./interfaces/IInstitutionRegistry.sol";
 
 /**
  * @title RestakeVault
  * @notice Vault for restaking bio-NFTs to earn rewards from research pools
- * @dev Implements staking mechanism with reward distribution
+ * @dev Each pool distributes fixed reward budgets through its own reward-per-token accumulator
  */
-contract RestakeVault is IRestakeVault, IERC721Receiver, Ownable, ReentrancyGuard {
-    struct StakeInfo {
-        address staker;
-        uint256 stakedAt;
-        uint256 lastRewardClaim;
-    }
-
-    IERC721 public bioNFT;
-    
-    // Reward rate per second per staked NFT (in wei)
-    uint256 public rewardRate;
-    
-    // Total rewards pool
-    uint256 public rewardsPool;
-    
+contract RestakeVault is IRestakeVault, IBeneficialOwner, IERC721Receiver, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Fixed-point precision of the reward-per-token accumulator
+    uint256 private constant PRECISION = 1e18;
+
+    // Basis points denominator; a 1x multiplier is 10000
+    uint256 private constant BPS = 10000;
+
+    IBioNFT public bioNFT;
+
+    // Registry used to authorize sponsoring institutions
+    IInstitutionRegistry public institutionRegistry;
+
+    // ERC-20 tokens pools may pay rewards in
+    mapping(address => bool) public allowedRewardTokens;
+
+    // Mapping from reward token to the rewards budgeted across all pools and not yet claimed
+    mapping(address => uint256) public budgetedRewards;
+
+    // Mapping from lock-up term (seconds) to reward multiplier (basis points, 0 if not offered)
+    mapping(uint256 => uint256) public lockMultipliers;
+
+    // Offered lock-up terms, excluding the no-lock term 0
+    uint256[] private _lockTerms;
+
+    // Counter for pool IDs
+    uint256 private _poolCounter;
+
+    // Mapping from pool ID to pool data
+    mapping(uint256 => Pool) private _pools;
+
+    // Mapping from pool ID to eligible institution IDs (empty for any institution)
+    mapping(uint256 => uint256[]) private _eligibleInstitutions;
+
+    // Mapping from pool ID to institution ID to eligibility
+    mapping(uint256 => mapping(uint256 => bool)) private _isEligibleInstitution;
+
+    // Mapping from pool ID to staker addresses
+    mapping(uint256 => address[]) private _poolStakers;
+
+    // Mapping from pool ID to staker to index in the pool's staker list
+    mapping(uint256 => mapping(address => uint256)) private _poolStakerIndex;
+
+    // Mapping from pool ID to staker to number of staked tokens
+    mapping(uint256 => mapping(address => uint256)) private _stakedBalances;
+
+    // Mapping from pool ID to staker to multiplier-weighted stake
+    mapping(uint256 => mapping(address => uint256)) private _stakedWeights;
+
     // Mapping from token ID to stake info
     mapping(uint256 => StakeInfo) private _stakes;
-    
+
     // Mapping from staker to staked token IDs
     mapping(address => uint256[]) private _stakerTokens;
-    
-    // Mapping from staker to accumulated rewards
-    mapping(address => uint256) private _accumulatedRewards;
 
-    constructor(address _bioNFT, uint256 _rewardRate) Ownable(msg.sender) {
+    // Mapping from token ID to its index in the staker's token list
+    mapping(uint256 => uint256) private _stakerTokenIndex;
+
+    // Mapping from pool ID to staker to accumulator value at their last update
+    mapping(uint256 => mapping(address => uint256)) private _rewardPerTokenPaid;
+
+    // Mapping from pool ID to staker to accumulated rewards
+    mapping(uint256 => mapping(address => uint256)) private _accumulatedRewards;
+
+    // Mapping from token ID to its pool's accumulator value at the token's last reward checkpoint
+    mapping(uint256 => uint256) private _stakeRewardPerTokenPaid;
+
+    // Mapping from token ID to rewards it accrued while locked, held back until it unlocks
+    mapping(uint256 => uint256) private _lockedRewards;
+
+    event RewardsDeposited(uint256 indexed poolId, uint256 amount, uint256 rewardRate, uint256 periodFinish);
+    event RewardRateUpdated(uint256 indexed poolId, uint256 rewardRate, uint256 periodFinish);
+    event RewardsDurationUpdated(uint256 indexed poolId, uint256 rewardsDuration);
+    event RewardTokenAllowed(address indexed token, bool allowed);
+    event LockTermUpdated(uint256 lockTerm, uint256 multiplierBps);
+    event EarlyExitPolicyUpdated(uint256 indexed poolId, bool allowed, uint256 penaltyBps);
+    event RewardsForfeited(uint256 indexed poolId, uint256 indexed tokenId, address indexed staker, uint256 amount);
+
+    modifier poolExists(uint256 poolId) {
+        require(_pools[poolId].poolId != 0, "Pool does not exist");
+        _;
+    }
+
+    modifier onlyPoolAdmin(uint256 poolId) {
+        require(_pools[poolId].poolId != 0, "Pool does not exist");
+        require(msg.sender == _pools[poolId].sponsor || msg.sender == owner(), "Not pool admin");
+        _;
+    }
+
+    constructor(address _bioNFT) Ownable(msg.sender) {
         require(_bioNFT != address(0), "Invalid BioNFT address");
-        bioNFT = IERC721(_bioNFT);
-        rewardRate = _rewardRate;
+        bioNFT = IBioNFT(_bioNFT);
+
+        lockMultipliers[0] = BPS;
+        _setLockTerm(30 days, 11000);
+        _setLockTerm(90 days, 12500);
+        _setLockTerm(365 days, 15000);
     }
 
     /**
      * @inheritdoc IRestakeVault
      */
-    function stake(uint256 tokenId) external override nonReentrant {
-        require(bioNFT.ownerOf(tokenId) == msg.sender, "Not token owner");
-        require(_stakes[tokenId].staker == address(0), "Already staked");
+    function createPool(
+        string memory name,
+        address rewardToken,
+        uint256 rewardsDuration,
+        uint256[] memory eligibleInstitutionIds,
+        uint256 sponsorInstitutionId
+    ) external payable override returns (uint256) {
+        require(bytes(name).length > 0, "Name required");
+        require(rewardsDuration > 0, "Invalid rewards duration");
+        require(rewardToken == address(0) || allowedRewardTokens[rewardToken], "Reward token not allowed");
+        require(rewardToken == address(0) || msg.value == 0, "Pool pays in ERC-20");
+
+        if (msg.sender != owner() || sponsorInstitutionId != 0) {
+            require(
+                _isInstitutionSponsor(sponsorInstitutionId, msg.sender),
+                "Not authorized to create pool"
+            );
+        }
 
-        // Update rewards before staking
-        _updateRewards(msg.sender);
+        _poolCounter++;
+        uint256 poolId = _poolCounter;
+
+        Pool storage pool = _pools[poolId];
+        pool.poolId = poolId;
+        pool.name = name;
+        pool.sponsor = msg.sender;
+        pool.sponsorInstitutionId = sponsorInstitutionId;
+        pool.rewardToken = rewardToken;
+        pool.rewardsDuration = rewardsDuration;
+        pool.createdAt = block.timestamp;
+
+        for (uint256 i = 0; i < eligibleInstitutionIds.length; i++) {
+            uint256 institutionId = eligibleInstitutionIds[i];
+            if (!_isEligibleInstitution[poolId][institutionId]) {
+                _isEligibleInstitution[poolId][institutionId] = true;
+                _eligibleInstitutions[poolId].push(institutionId);
+            }
+        }
 
-        // Transfer NFT to vault
-        bioNFT.safeTransferFrom(msg.sender, address(this), tokenId);
+        emit PoolCreated(poolId, name, msg.sender, sponsorInstitutionId);
 
-        // Record stake
-        _stakes[tokenId] = StakeInfo({
-            staker: msg.sender,
-            stakedAt: block.timestamp,
-            lastRewardClaim: block.timestamp
-        });
+        if (msg.value > 0) {
+            _depositRewards(poolId, msg.value);
+        }
 
-        _stakerTokens[msg.sender].push(tokenId);
+        return poolId;
+    }
 
-        emit Staked(tokenId, msg.sender, block.timestamp);
+    /**
+     * @inheritdoc IRestakeVault
+     */
+    function stake(
+        uint256 poolId,
+        uint256 tokenId,
+        uint256 lockTerm
+    ) external override nonReentrant poolExists(poolId) {
+        _stake(poolId, tokenId, lockTerm, true);
     }
 
     /**
      * @inheritdoc IRestakeVault
      */
-    function unstake(uint256 tokenId) external override nonReentrant {
-        require(_stakes[tokenId].staker == msg.sender, "Not your stake");
+    function stakeInPlace(
+        uint256 poolId,
+        uint256 tokenId,
+        uint256 lockTerm
+    ) external override nonReentrant poolExists(poolId) {
+        _stake(poolId, tokenId, lockTerm, false);
+    }
 
-        // Update and auto-claim rewards
-        _updateRewards(msg.sender);
-        _claimRewards(msg.sender);
+    /**
+     * @inheritdoc IRestakeVault
+     * @dev Before the unlock time this reverts, unless the pool allows early exit, in which case
+     * part of the rewards the token itself accrued while locked is forfeited
+     */
+    function unstake(uint256 tokenId) external override nonReentrant {
+        StakeInfo memory info = _stakes[tokenId];
+        require(info.staker == msg.sender, "Not your stake");
+        uint256 poolId = info.poolId;
+        Pool storage pool = _pools[poolId];
+
+        // Update rewards, forfeiting part of them on early exit
+        _updateRewards(poolId, msg.sender);
+        if (block.timestamp < info.unlockTime) {
+            require(pool.earlyExitAllowed, "Lock-up period active");
+            _forfeitRewards(poolId, tokenId);
+        }
+        _claimRewards(poolId, msg.sender);
 
         // Remove from staker's token list
         _removeTokenFromStaker(msg.sender, tokenId);
 
+        _stakedBalances[poolId][msg.sender]--;
+        _stakedWeights[poolId][msg.sender] -= info.multiplierBps;
+        if (_stakedBalances[poolId][msg.sender] == 0) {
+            _removeStakerFromPool(poolId, msg.sender);
+        }
+        pool.totalStaked--;
+        pool.totalWeight -= info.multiplierBps;
+
         // Clear stake info
+        bool custodial = info.custodial;
         delete _stakes[tokenId];
+        delete _stakeRewardPerTokenPaid[tokenId];
+        delete _lockedRewards[tokenId];
+
+        // Return the NFT to the staker, or lift its lock if it was staked in place
+        if (custodial) {
+            bioNFT.safeTransferFrom(address(this), msg.sender, tokenId);
+        } else {
+            bioNFT.unlock(tokenId);
+        }
 
-        // Transfer NFT back to staker
-        bioNFT.safeTransferFrom(address(this), msg.sender, tokenId);
-
-        emit Unstaked(tokenId, msg.sender, block.timestamp);
+        emit Unstaked(poolId, tokenId, msg.sender, block.timestamp);
     }
 
     /**
      * @inheritdoc IRestakeVault
+     * @dev Rewards accrued by tokens still in their lock-up are held back until they unlock
      */
-    function claimRewards() external override nonReentrant {
-        _updateRewards(msg.sender);
-        _claimRewards(msg.sender);
+    function claimRewards(uint256 poolId) external override nonReentrant poolExists(poolId) {
+        _updateRewards(poolId, msg.sender);
+        _claimRewards(poolId, msg.sender);
     }
 
     /**
      * @inheritdoc IRestakeVault
      */
-    function getStakeInfo(uint256 tokenId) external view override returns (address, uint256) {
-        StakeInfo memory info = _stakes[tokenId];
-        return (info.staker, info.stakedAt);
+    function getStakeInfo(uint256 tokenId) external view override returns (StakeInfo memory) {
+        return _stakes[tokenId];
+    }
+
+    /**
+     * @notice Check if a token is held by the vault or staked in place
+     * @param tokenId The token ID
+     * @return Whether the vault holds the token (false if staked in place or not staked)
+     */
+    function isCustodial(uint256 tokenId) external view returns (bool) {
+        return _stakes[tokenId].custodial;
+    }
+
+    /**
+     * @inheritdoc IBeneficialOwner
+     * @dev Returns the staker of tokens the vault holds, so their royalties are not credited to the vault
+     */
+    function beneficialOwnerOf(uint256 tokenId) external view returns (address) {
+        return _stakes[tokenId].custodial ? _stakes[tokenId].staker : address(0);
+    }
+
+    /**
+     * @notice Get the pool a token is staked in
+     * @param tokenId The token ID
+     * @return The pool ID (0 if not staked)
+     */
+    function getStakePool(uint256 tokenId) external view returns (uint256) {
+        return _stakes[tokenId].poolId;
     }
 
     /**
      * @inheritdoc IRestakeVault
+     * @dev Includes rewards held back for locked tokens
      */
-    function pendingRewards(address staker) external view override returns (uint256) {
-        return _calculatePendingRewards(staker);
+    function pendingRewards(uint256 poolId, address staker) external view override returns (uint256) {
+        uint256 pending = _calculatePendingRewards(poolId, staker);
+        uint256[] storage tokens = _stakerTokens[staker];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (_stakes[tokens[i]].poolId == poolId) {
+                pending += _lockedRewards[tokens[i]];
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * @notice Get the rewards a staked token accrued during its lock-up and that are not yet claimable
+     * @param tokenId The token ID
+     * @return The locked rewards (0 once the token has unlocked)
+     */
+    function getLockedRewards(uint256 tokenId) external view returns (uint256) {
+        StakeInfo storage info = _stakes[tokenId];
+        if (block.timestamp >= info.unlockTime) {
+            return 0;
+        }
+        return _lockedRewards[tokenId] + _tokenAccrual(tokenId, rewardPerToken(info.poolId));
     }
 
     /**
@@ -119,6 +312,69 @@ contract RestakeVault is IRestakeVault, IERC721Receiver, Ownable, ReentrancyGuar
         return _stakes[tokenId].staker != address(0);
     }
 
+    /**
+     * @inheritdoc IRestakeVault
+     */
+    function getPool(uint256 poolId) external view override poolExists(poolId) returns (Pool memory) {
+        return _pools[poolId];
+    }
+
+    /**
+     * @inheritdoc IRestakeVault
+     */
+    function getPoolStakers(uint256 poolId) external view override returns (address[] memory) {
+        return _poolStakers[poolId];
+    }
+
+    /**
+     * @notice Get the institutions whose tokens may stake into a pool
+     * @param poolId The pool ID
+     * @return Array of institution IDs (empty if any institution is eligible)
+     */
+    function getEligibleInstitutions(uint256 poolId) external view returns (uint256[] memory) {
+        return _eligibleInstitutions[poolId];
+    }
+
+    /**
+     * @notice Check if a token may be staked into a pool
+     * @param poolId The pool ID
+     * @param tokenId The token ID
+     * @return Whether the token's institution is eligible
+     */
+    function isEligible(uint256 poolId, uint256 tokenId) public view returns (bool) {
+        if (_eligibleInstitutions[poolId].length == 0) {
+            return true;
+        }
+        return _isEligibleInstitution[poolId][bioNFT.getInstitutionId(tokenId)];
+    }
+
+    /**
+     * @notice Get the number of tokens a staker has in a pool
+     * @param poolId The pool ID
+     * @param staker The staker address
+     * @return The staked token count
+     */
+    function getStakedBalance(uint256 poolId, address staker) external view returns (uint256) {
+        return _stakedBalances[poolId][staker];
+    }
+
+    /**
+     * @notice Get the offered lock-up terms
+     * @dev The no-lock term 0 is always offered at a 1x multiplier and is not listed
+     * @return Array of lock-up terms in seconds
+     */
+    function getLockTerms() external view returns (uint256[] memory) {
+        return _lockTerms;
+    }
+
+    /**
+     * @notice Get total number of pools
+     * @return The total count
+     */
+    function getTotalPools() external view returns (uint256) {
+        return _poolCounter;
+    }
+
     /**
      * @notice Get all staked tokens for a staker
      * @param staker The staker address
@@ -129,109 +385,454 @@ contract RestakeVault is IRestakeVault, IERC721Receiver, Ownable, ReentrancyGuar
     }
 
     /**
-     * @notice Deposit rewards into the pool
+     * @notice Get the last timestamp at which a pool emits rewards
+     * @param poolId The pool ID
+     * @return The current timestamp, capped at the end of the pool's reward period
+     */
+    function lastTimeRewardApplicable(uint256 poolId) public view returns (uint256) {
+        uint256 periodFinish = _pools[poolId].periodFinish;
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @notice Get the accumulated reward per staked NFT in a pool
+     * @param poolId The pool ID
+     * @return The reward per token, scaled by 1e18
+     */
+    function rewardPerToken(uint256 poolId) public view returns (uint256) {
+        Pool storage pool = _pools[poolId];
+        if (pool.totalWeight == 0 || pool.lastUpdateTime >= pool.periodFinish) {
+            return pool.rewardPerTokenStored;
+        }
+
+        uint256 elapsed = lastTimeRewardApplicable(poolId) - pool.lastUpdateTime;
+        return pool.rewardPerTokenStored + (elapsed * pool.rewardRate * PRECISION * BPS) / pool.totalWeight;
+    }
+
+    /**
+     * @notice Deposit rewards into a pool
+     * @dev The deposit plus any undistributed rewards is spread over a new rewards period
+     * @param poolId The pool ID
+     */
+    function depositRewards(uint256 poolId) external payable onlyPoolAdmin(poolId) {
+        require(_pools[poolId].rewardToken == address(0), "Pool pays in ERC-20");
+        require(msg.value > 0, "No rewards provided");
+        _depositRewards(poolId, msg.value);
+    }
+
+    /**
+     * @notice Deposit ERC-20 rewards into a pool that pays in that token
+     * @dev Caller must approve this contract for `amount` of the pool's reward token
+     * @param poolId The pool ID
+     * @param amount The amount to deposit
      */
-    function depositRewards() external payable onlyOwner {
-        rewardsPool += msg.value;
+    function depositTokenRewards(uint256 poolId, uint256 amount) external nonReentrant onlyPoolAdmin(poolId) {
+        IERC20 token = IERC20(_pools[poolId].rewardToken);
+        require(address(token) != address(0), "Pool pays in ETH");
+        require(amount > 0, "No rewards provided");
+
+        // Budget what actually arrived, in case the token charges transfer fees
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        _depositRewards(poolId, token.balanceOf(address(this)) - balanceBefore);
     }
 
     /**
-     * @notice Update reward rate
+     * @notice Update a pool's reward rate
+     * @dev Applies from now on; the remaining budget is re-spread, moving the period end. What does not fill a
+     *      whole second at the new rate is carried into the next deposit.
+     * @param poolId The pool ID
      * @param newRate New reward rate per second
      */
-    function setRewardRate(uint256 newRate) external onlyOwner {
-        rewardRate = newRate;
+    function setRewardRate(uint256 poolId, uint256 newRate) external onlyPoolAdmin(poolId) {
+        Pool storage pool = _pools[poolId];
+        require(newRate > 0, "Invalid reward rate");
+        require(block.timestamp < pool.periodFinish, "No active reward period");
+        _updateRewardPerToken(poolId);
+
+        uint256 remaining = _remainingRewards(poolId) + pool.undistributedRewards;
+        pool.rewardRate = newRate;
+        pool.periodFinish = block.timestamp + remaining / newRate;
+        pool.undistributedRewards = remaining % newRate;
+
+        emit RewardRateUpdated(poolId, newRate, pool.periodFinish);
+    }
+
+    /**
+     * @notice Update the length of a pool's future reward periods
+     * @param poolId The pool ID
+     * @param newDuration New rewards duration in seconds
+     */
+    function setRewardsDuration(uint256 poolId, uint256 newDuration) external onlyPoolAdmin(poolId) {
+        require(newDuration > 0, "Invalid rewards duration");
+        require(block.timestamp >= _pools[poolId].periodFinish, "Reward period active");
+
+        _pools[poolId].rewardsDuration = newDuration;
+
+        emit RewardsDurationUpdated(poolId, newDuration);
+    }
+
+    /**
+     * @notice Configure whether a pool's stakers may leave before their lock-up ends
+     * @param poolId The pool ID
+     * @param allowed Whether early unstaking is allowed (otherwise it reverts)
+     * @param penaltyBps Share of the token's accrued rewards forfeited to the pool on early exit
+     */
+    function setEarlyExitPolicy(uint256 poolId, bool allowed, uint256 penaltyBps) external onlyPoolAdmin(poolId) {
+        require(penaltyBps <= BPS, "Invalid penalty");
+
+        _pools[poolId].earlyExitAllowed = allowed;
+        _pools[poolId].earlyExitPenaltyBps = penaltyBps;
+
+        emit EarlyExitPolicyUpdated(poolId, allowed, penaltyBps);
+    }
+
+    /**
+     * @notice Offer, update or withdraw a lock-up term
+     * @dev Existing stakes keep the multiplier they staked with
+     * @param lockTerm The lock-up term in seconds
+     * @param multiplierBps The reward multiplier in basis points (0 to stop offering the term)
+     */
+    function setLockTerm(uint256 lockTerm, uint256 multiplierBps) external onlyOwner {
+        require(lockTerm > 0, "Invalid lock term");
+        require(multiplierBps == 0 || multiplierBps >= BPS, "Invalid multiplier");
+        _setLockTerm(lockTerm, multiplierBps);
+    }
+
+    /**
+     * @notice Set the institution registry used to authorize pool sponsors
+     * @param registry The institution registry address
+     */
+    function setInstitutionRegistry(address registry) external onlyOwner {
+        require(registry != address(0), "Invalid registry address");
+        institutionRegistry = IInstitutionRegistry(registry);
+    }
+
+    /**
+     * @notice Allow or disallow an ERC-20 token for new pools
+     * @dev Existing pools keep paying in their token
+     * @param token The ERC-20 token address
+     * @param allowed Whether pools may pay rewards in the token
+     */
+    function setRewardTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "Invalid token address");
+        allowedRewardTokens[token] = allowed;
+        emit RewardTokenAllowed(token, allowed);
     }
 
     /**
      * @notice Emergency withdraw (owner only)
+     * @dev Limited to the surplus over pool reward budgets, so stakers can always claim
+     * @param amount Amount to withdraw
+     */
+    function emergencyWithdraw(uint256 amount) external onlyOwner nonReentrant {
+        require(amount <= address(this).balance - budgetedRewards[address(0)], "Exceeds surplus");
+
+        (bool success, ) = payable(owner()).call{value: amount}("");
+        require(success, "Transfer failed");
+    }
+
+    /**
+     * @notice Emergency withdraw of an ERC-20 token (owner only)
+     * @dev Limited to the surplus over pool reward budgets, so stakers can always claim
+     * @param token The ERC-20 token address
      * @param amount Amount to withdraw
      */
-    function emergencyWithdraw(uint256 amount) external onlyOwner {
-        require(amount <= address(this).balance, "Insufficient balance");
-        payable(owner()).transfer(amount);
+    function emergencyWithdrawToken(address token, uint256 amount) external onlyOwner {
+        require(amount <= IERC20(token).balanceOf(address(this)) - budgetedRewards[token], "Exceeds surplus");
+        IERC20(token).safeTransfer(owner(), amount);
     }
 
     /**
-     * @dev Update accumulated rewards for a staker
+     * @dev Handle NFT reception
      */
-    function _updateRewards(address staker) internal {
-        uint256 pending = _calculatePendingRewards(staker);
-        if (pending > 0) {
-            _accumulatedRewards[staker] += pending;
-            
-            // Update last claim time for all staked tokens
-            uint256[] memory tokens = _stakerTokens[staker];
-            for (uint256 i = 0; i < tokens.length; i++) {
-                _stakes[tokens[i]].lastRewardClaim = block.timestamp;
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes calldata
+    ) external pure override returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     * @notice Get a pool's rewards balance
+     * @param poolId The pool ID
+     */
+    function getRewardsPool(uint256 poolId) external view returns (uint256) {
+        return _pools[poolId].rewardsBalance;
+    }
+
+    /**
+     * @dev Record a stake, taking custody of the token or locking it in the owner's wallet
+     */
+    function _stake(uint256 poolId, uint256 tokenId, uint256 lockTerm, bool custodial) internal {
+        require(bioNFT.ownerOf(tokenId) == msg.sender, "Not token owner");
+        require(_stakes[tokenId].staker == address(0), "Already staked");
+        require(!bioNFT.isRevoked(tokenId), "Token revoked");
+        require(isEligible(poolId, tokenId), "Token not eligible for pool");
+
+        uint256 multiplierBps = lockMultipliers[lockTerm];
+        require(multiplierBps > 0, "Invalid lock term");
+
+        // Update rewards before staking, and checkpoint the token's own accrual
+        _updateRewards(poolId, msg.sender);
+        _stakeRewardPerTokenPaid[tokenId] = _pools[poolId].rewardPerTokenStored;
+
+        // Transfer NFT to vault, or lock it where it is
+        if (custodial) {
+            bioNFT.safeTransferFrom(msg.sender, address(this), tokenId);
+        } else {
+            bioNFT.lock(tokenId);
+        }
+
+        // Record stake
+        _stakes[tokenId] = StakeInfo({
+            staker: msg.sender,
+            poolId: poolId,
+            stakedAt: block.timestamp,
+            custodial: custodial,
+            lockTerm: lockTerm,
+            unlockTime: block.timestamp + lockTerm,
+            multiplierBps: multiplierBps
+        });
+
+        _stakerTokenIndex[tokenId] = _stakerTokens[msg.sender].length;
+        _stakerTokens[msg.sender].push(tokenId);
+
+        if (_stakedBalances[poolId][msg.sender] == 0) {
+            _poolStakerIndex[poolId][msg.sender] = _poolStakers[poolId].length;
+            _poolStakers[poolId].push(msg.sender);
+        }
+        _stakedBalances[poolId][msg.sender]++;
+        _stakedWeights[poolId][msg.sender] += multiplierBps;
+        _pools[poolId].totalStaked++;
+        _pools[poolId].totalWeight += multiplierBps;
+
+        emit Staked(poolId, tokenId, msg.sender, custodial, block.timestamp);
+    }
+
+    /**
+     * @dev Spread a reward deposit plus any undistributed rewards over a new period, carrying the rounding
+     *      remainder so the pool's budget always matches what it will pay out
+     */
+    function _depositRewards(uint256 poolId, uint256 amount) internal {
+        Pool storage pool = _pools[poolId];
+        _updateRewardPerToken(poolId);
+
+        uint256 total = amount + _remainingRewards(poolId) + pool.undistributedRewards;
+        pool.rewardRate = total / pool.rewardsDuration;
+        pool.undistributedRewards = total % pool.rewardsDuration;
+        require(pool.rewardRate > 0, "Reward rate too low");
+
+        pool.rewardsBalance += amount;
+        budgetedRewards[pool.rewardToken] += amount;
+        pool.lastUpdateTime = block.timestamp;
+        pool.periodFinish = block.timestamp + pool.rewardsDuration;
+
+        emit RewardsDeposited(poolId, amount, pool.rewardRate, pool.periodFinish);
+    }
+
+    /**
+     * @dev Bring a pool's reward-per-token accumulator up to date
+     */
+    function _updateRewardPerToken(uint256 poolId) internal {
+        Pool storage pool = _pools[poolId];
+        if (pool.totalWeight == 0) {
+            // Nothing is staked, so pause the period rather than emit rewards to no one
+            if (pool.lastUpdateTime < pool.periodFinish) {
+                pool.periodFinish = block.timestamp + (pool.periodFinish - pool.lastUpdateTime);
             }
+        } else {
+            pool.rewardPerTokenStored = rewardPerToken(poolId);
         }
+
+        pool.lastUpdateTime = lastTimeRewardApplicable(poolId);
+    }
+
+    /**
+     * @dev Update accumulated rewards for a staker in a pool, holding back what their locked tokens accrued
+     */
+    function _updateRewards(uint256 poolId, address staker) internal {
+        _updateRewardPerToken(poolId);
+        _accumulatedRewards[poolId][staker] = _calculatePendingRewards(poolId, staker);
+        _rewardPerTokenPaid[poolId][staker] = _pools[poolId].rewardPerTokenStored;
+        _updateLockedRewards(poolId, staker);
     }
 
     /**
-     * @dev Calculate pending rewards for a staker
+     * @dev Move what a staker's locked tokens accrued since their last checkpoint out of the claimable
+     *      balance, and release what tokens that have since unlocked held back
      */
-    function _calculatePendingRewards(address staker) internal view returns (uint256) {
-        uint256[] memory tokens = _stakerTokens[staker];
-        uint256 totalRewards = 0;
+    function _updateLockedRewards(uint256 poolId, address staker) internal {
+        uint256 rewardPerTokenStored = _pools[poolId].rewardPerTokenStored;
+        uint256 accumulated = _accumulatedRewards[poolId][staker];
+        uint256[] storage tokens = _stakerTokens[staker];
 
         for (uint256 i = 0; i < tokens.length; i++) {
-            StakeInfo memory info = _stakes[tokens[i]];
-            uint256 duration = block.timestamp - info.lastRewardClaim;
-            totalRewards += duration * rewardRate;
+            uint256 tokenId = tokens[i];
+            if (_stakes[tokenId].poolId != poolId) {
+                continue;
+            }
+
+            if (block.timestamp < _stakes[tokenId].unlockTime) {
+                uint256 tokenAccrued = _tokenAccrual(tokenId, rewardPerTokenStored);
+                if (tokenAccrued > accumulated) {
+                    tokenAccrued = accumulated;
+                }
+                accumulated -= tokenAccrued;
+                _lockedRewards[tokenId] += tokenAccrued;
+                _stakeRewardPerTokenPaid[tokenId] = rewardPerTokenStored;
+            } else if (_lockedRewards[tokenId] > 0) {
+                accumulated += _lockedRewards[tokenId];
+                delete _lockedRewards[tokenId];
+            }
+        }
+
+        _accumulatedRewards[poolId][staker] = accumulated;
+    }
+
+    /**
+     * @dev Rewards a staked token accrued since its last checkpoint
+     */
+    function _tokenAccrual(uint256 tokenId, uint256 rewardPerTokenValue) internal view returns (uint256) {
+        uint256 accrued = rewardPerTokenValue - _stakeRewardPerTokenPaid[tokenId];
+        return (_stakes[tokenId].multiplierBps * accrued) / (PRECISION * BPS);
+    }
+
+    /**
+     * @dev Calculate pending rewards for a staker in a pool
+     */
+    function _calculatePendingRewards(uint256 poolId, address staker) internal view returns (uint256) {
+        uint256 accrued = rewardPerToken(poolId) - _rewardPerTokenPaid[poolId][staker];
+        return _accumulatedRewards[poolId][staker] + (_stakedWeights[poolId][staker] * accrued) / (PRECISION * BPS);
+    }
+
+    /**
+     * @dev Return part of the rewards an early-exiting token accrued while locked to the pool, and release the
+     *      rest to the staker. What the staker's other tokens earned is untouched.
+     */
+    function _forfeitRewards(uint256 poolId, uint256 tokenId) internal {
+        Pool storage pool = _pools[poolId];
+        uint256 tokenAccrued = _lockedRewards[tokenId];
+        uint256 forfeited = (tokenAccrued * pool.earlyExitPenaltyBps) / BPS;
+
+        delete _lockedRewards[tokenId];
+        _accumulatedRewards[poolId][msg.sender] += tokenAccrued - forfeited;
+        if (forfeited == 0) {
+            return;
+        }
+
+        // Spread over the rest of the active period, or carry into the next deposit
+        if (block.timestamp < pool.periodFinish) {
+            uint256 remainingTime = pool.periodFinish - block.timestamp;
+            uint256 total = _remainingRewards(poolId) + pool.undistributedRewards + forfeited;
+            pool.rewardRate = total / remainingTime;
+            pool.undistributedRewards = total % remainingTime;
+        } else {
+            pool.undistributedRewards += forfeited;
         }
 
-        return totalRewards;
+        emit RewardsForfeited(poolId, tokenId, msg.sender, forfeited);
+    }
+
+    /**
+     * @dev Rewards left to distribute in a pool's current period
+     */
+    function _remainingRewards(uint256 poolId) internal view returns (uint256) {
+        Pool storage pool = _pools[poolId];
+        if (block.timestamp >= pool.periodFinish) {
+            return 0;
+        }
+        return (pool.periodFinish - block.timestamp) * pool.rewardRate;
     }
 
     /**
-     * @dev Claim accumulated rewards
+     * @dev Claim accumulated rewards from a pool
      */
-    function _claimRewards(address staker) internal {
-        uint256 amount = _accumulatedRewards[staker];
+    function _claimRewards(uint256 poolId, address staker) internal {
+        uint256 amount = _accumulatedRewards[poolId][staker];
         if (amount > 0) {
-            require(amount <= rewardsPool, "Insufficient rewards pool");
-            
-            _accumulatedRewards[staker] = 0;
-            rewardsPool -= amount;
-            
-            payable(staker).transfer(amount);
-            
-            emit RewardsClaimed(staker, amount);
+            Pool storage pool = _pools[poolId];
+            require(amount <= pool.rewardsBalance, "Insufficient rewards pool");
+
+            _accumulatedRewards[poolId][staker] = 0;
+            pool.rewardsBalance -= amount;
+            budgetedRewards[pool.rewardToken] -= amount;
+
+            if (pool.rewardToken == address(0)) {
+                (bool success, ) = payable(staker).call{value: amount}("");
+                require(success, "Transfer failed");
+            } else {
+                IERC20(pool.rewardToken).safeTransfer(staker, amount);
+            }
+
+            emit RewardsClaimed(poolId, staker, amount);
         }
     }
 
     /**
-     * @dev Remove a token from staker's list
+     * @dev Offer, update or withdraw a lock-up term
      */
-    function _removeTokenFromStaker(address staker, uint256 tokenId) internal {
-        uint256[] storage tokens = _stakerTokens[staker];
-        for (uint256 i = 0; i < tokens.length; i++) {
-            if (tokens[i] == tokenId) {
-                tokens[i] = tokens[tokens.length - 1];
-                tokens.pop();
-                break;
+    function _setLockTerm(uint256 lockTerm, uint256 multiplierBps) internal {
+        bool offered = lockMultipliers[lockTerm] > 0;
+        if (multiplierBps > 0 && !offered) {
+            _lockTerms.push(lockTerm);
+        } else if (multiplierBps == 0 && offered) {
+            for (uint256 i = 0; i < _lockTerms.length; i++) {
+                if (_lockTerms[i] == lockTerm) {
+                    _lockTerms[i] = _lockTerms[_lockTerms.length - 1];
+                    _lockTerms.pop();
+                    break;
+                }
             }
         }
+
+        lockMultipliers[lockTerm] = multiplierBps;
+
+        emit LockTermUpdated(lockTerm, multiplierBps);
     }
 
     /**
-     * @dev Handle NFT reception
+     * @dev Check if an account acts for a sponsoring institution
      */
-    function onERC721Received(
-        address,
-        address,
-        uint256,
-        bytes calldata
-    ) external pure override returns (bytes4) {
-        return this.onERC721Received.selector;
+    function _isInstitutionSponsor(uint256 institutionId, address account) internal view returns (bool) {
+        if (address(institutionRegistry) == address(0) || !institutionRegistry.isInstitutionActive(institutionId)) {
+            return false;
+        }
+
+        return
+            institutionRegistry.getInstitution(institutionId).pubkey == account ||
+            institutionRegistry.isSigner(institutionId, account);
+    }
+
+    /**
+     * @dev Remove a token from staker's list
+     */
+    function _removeTokenFromStaker(address staker, uint256 tokenId) internal {
+        uint256[] storage tokens = _stakerTokens[staker];
+        uint256 index = _stakerTokenIndex[tokenId];
+        uint256 lastTokenId = tokens[tokens.length - 1];
+
+        tokens[index] = lastTokenId;
+        _stakerTokenIndex[lastTokenId] = index;
+        tokens.pop();
+
+        delete _stakerTokenIndex[tokenId];
     }
 
     /**
-     * @notice Get rewards pool balance
+     * @dev Remove a staker from a pool's staker list
      */
-    function getRewardsPool() external view returns (uint256) {
-        return rewardsPool;
+    function _removeStakerFromPool(uint256 poolId, address staker) internal {
+        address[] storage stakers = _poolStakers[poolId];
+        uint256 index = _poolStakerIndex[poolId][staker];
+        address lastStaker = stakers[stakers.length - 1];
+
+        stakers[index] = lastStaker;
+        _poolStakerIndex[poolId][lastStaker] = index;
+        stakers.pop();
+
+        delete _poolStakerIndex[poolId][staker];
     }
 }
-
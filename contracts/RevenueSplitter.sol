@@ -2,17 +2,54 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
 import "./BioNFT.sol";
 import "./InstitutionRegistry.sol";
+import "./interfaces/IBeneficialOwner.sol";
+import "./interfaces/IRoyaltyCollector.sol";
+import "./RoyaltyReceiver.sol";
 
 /**
  * @title RevenueSplitter
  * @notice Manages programmable royalty distribution for bio-NFT licensing
- * @dev ERC-2981 compatible royalty splitter
+ * @dev ERC-2981 compatible royalty splitter. Royalties follow the most specific split: a token-level split
+ *      agreed with the token's owner, then an institution-level split, then the global shares. Tokens held by
+ *      a registered custodian, such as RestakeVault, are credited to the account the custodian holds them for.
+ *      Institution and protocol shares can optionally vest linearly before they are withdrawn. Secondary-sale
+ *      royalties are paid to a per-token RoyaltyReceiver, which tells the splitter which token they are for.
  */
-contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
+contract RevenueSplitter is IRoyaltyCollector, ERC2981, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Payee {
+        address account;
+        uint96 share; // Basis points
+    }
+
+    struct Split {
+        uint96 nftOwnerShare;
+        uint96 institutionShare;
+        uint96 protocolShare;
+        Payee[] payees; // Extra payees, such as a patient-advocacy address
+    }
+
+    struct Vesting {
+        uint256 balance; // Credited but not yet vested
+        uint256 checkpoint; // When the balance last vested
+        uint256 end; // When the balance is fully vested
+    }
+
+    // Upper bound on extra payees per split, to keep distribution gas bounded
+    uint256 public constant MAX_PAYEES = 10;
+
+    // Vesting ends are rounded up to 1/MAX_VESTING_TRANCHES of the vesting period, which bounds the live
+    // tranches per account and keeps withdrawal gas flat however many credits arrive
+    uint256 public constant MAX_VESTING_TRANCHES = 10;
+
     BioNFT public bioNFT;
     InstitutionRegistry public institutionRegistry;
 
@@ -25,21 +62,90 @@ contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
     // Protocol fee recipient
     address public protocolFeeRecipient;
 
-    // Accumulated balances
+    // Accumulated ETH balances
     mapping(address => uint256) public pendingWithdrawals;
 
+    // Accumulated ERC-20 balances (token => account => amount)
+    mapping(address => mapping(address => uint256)) public pendingTokenWithdrawals;
+
+    // ERC-20 tokens accepted as royalty payment
+    mapping(address => bool) public allowedPaymentTokens;
+
+    // Period institution and protocol shares vest over (0 credits them at once)
+    uint256 public vestingDuration;
+
+    // Vesting tranches by payment token (address(0) for ETH) and account, oldest first
+    mapping(address => mapping(address => Vesting[])) private _vestings;
+
+    // Index of each account's oldest tranche that has not fully vested
+    mapping(address => mapping(address => uint256)) private _vestingHeads;
+
+    // Custodian contracts whose tokens are credited to their beneficial owners
+    mapping(address => bool) public custodians;
+
+    // Split overrides negotiated with partner institutions
+    mapping(uint256 => Split) private _institutionSplits;
+
+    // Split overrides for single tokens, and the token owner who consented to each
+    mapping(uint256 => Split) private _tokenSplits;
+    mapping(uint256 => address) private _tokenSplitOwners;
+
+    // Token splits awaiting the other party's acceptance, and who proposed them
+    mapping(uint256 => Split) private _proposedTokenSplits;
+    mapping(uint256 => address) private _tokenSplitProposers;
+
     event RoyaltyDistributed(
         uint256 indexed tokenId,
+        address indexed paymentToken,
         uint256 amount,
         address nftOwner,
         address institution,
         address protocol
     );
 
-    event Withdrawn(address indexed recipient, uint256 amount);
+    event Withdrawn(address indexed account, address indexed paymentToken, uint256 amount, address recipient);
+
+    event PaymentTokenAllowed(address indexed token, bool allowed);
 
     event SharesUpdated(uint96 nftOwner, uint96 institution, uint96 protocol);
 
+    event PayeeCredited(
+        uint256 indexed tokenId,
+        address indexed paymentToken,
+        address indexed payee,
+        uint256 amount
+    );
+
+    event InstitutionSplitSet(uint256 indexed institutionId);
+
+    event InstitutionSplitCleared(uint256 indexed institutionId);
+
+    event TokenSplitProposed(uint256 indexed tokenId, address indexed proposer);
+
+    event TokenSplitSet(uint256 indexed tokenId, address indexed nftOwner);
+
+    event TokenSplitCleared(uint256 indexed tokenId);
+
+    event CustodianUpdated(address indexed custodian, bool registered);
+
+    event VestingScheduled(address indexed account, address indexed paymentToken, uint256 amount, uint256 end);
+
+    event VestingDurationUpdated(uint256 duration);
+
+    event StrandedRoyaltiesRecovered(
+        address indexed custodian,
+        address indexed paymentToken,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event RoyaltiesRescued(
+        uint256 indexed tokenId,
+        address indexed paymentToken,
+        address indexed recipient,
+        uint256 amount
+    );
+
     constructor(
         address _bioNFT,
         address _institutionRegistry,
@@ -63,42 +169,84 @@ contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
      */
     function distributeRoyalty(uint256 tokenId) external payable nonReentrant {
         require(msg.value > 0, "No payment provided");
+        _distribute(tokenId, address(0), msg.value);
+    }
 
-        address nftOwner = bioNFT.ownerOf(tokenId);
-        uint256 institutionId = bioNFT.getInstitutionId(tokenId);
-        IInstitutionRegistry.Institution memory institution = 
-            institutionRegistry.getInstitution(institutionId);
+    /**
+     * @notice Distribute an ERC-20 royalty payment for a token
+     * @dev Caller must approve this contract for `amount` of `paymentToken`
+     * @param tokenId The bio-NFT token ID
+     * @param paymentToken The allow-listed ERC-20 token paid in
+     * @param amount The payment amount
+     */
+    function distributeTokenRoyalty(
+        uint256 tokenId,
+        address paymentToken,
+        uint256 amount
+    ) external nonReentrant {
+        require(allowedPaymentTokens[paymentToken], "Payment token not allowed");
+        require(amount > 0, "No payment provided");
 
-        // Calculate splits
-        uint256 ownerAmount = (msg.value * nftOwnerShare) / 10000;
-        uint256 institutionAmount = (msg.value * institutionShare) / 10000;
-        uint256 protocolAmount = (msg.value * protocolShare) / 10000;
+        // Split what actually arrived, in case the token charges transfer fees
+        IERC20 token = IERC20(paymentToken);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
 
-        // Accumulate balances
-        pendingWithdrawals[nftOwner] += ownerAmount;
-        pendingWithdrawals[institution.pubkey] += institutionAmount;
-        pendingWithdrawals[protocolFeeRecipient] += protocolAmount;
+        _distribute(tokenId, paymentToken, received);
+    }
 
-        emit RoyaltyDistributed(
-            tokenId,
-            msg.value,
-            nftOwner,
-            institution.pubkey,
-            protocolFeeRecipient
-        );
+    /**
+     * @inheritdoc IRoyaltyCollector
+     */
+    function collectRoyalties(uint256 tokenId, address paymentToken) external returns (uint256) {
+        return _deployedReceiverOf(tokenId).forward(paymentToken);
     }
 
     /**
-     * @notice Withdraw accumulated funds
+     * @notice Withdraw accumulated and vested ETH
      */
     function withdraw() external nonReentrant {
-        uint256 amount = pendingWithdrawals[msg.sender];
-        require(amount > 0, "No funds to withdraw");
+        _withdraw(address(0), msg.sender);
+    }
+
+    /**
+     * @notice Withdraw accumulated and vested ETH to another address
+     * @param recipient The address to pay, such as a multisig
+     */
+    function withdrawTo(address recipient) external nonReentrant {
+        _withdraw(address(0), recipient);
+    }
+
+    /**
+     * @notice Withdraw accumulated and vested ERC-20 royalties
+     * @param paymentToken The ERC-20 token to withdraw
+     */
+    function withdrawToken(address paymentToken) external nonReentrant {
+        require(paymentToken != address(0), "Invalid token address");
+        _withdraw(paymentToken, msg.sender);
+    }
 
-        pendingWithdrawals[msg.sender] = 0;
-        payable(msg.sender).transfer(amount);
+    /**
+     * @notice Withdraw accumulated and vested ERC-20 royalties to another address
+     * @param paymentToken The ERC-20 token to withdraw
+     * @param recipient The address to pay
+     */
+    function withdrawTokenTo(address paymentToken, address recipient) external nonReentrant {
+        require(paymentToken != address(0), "Invalid token address");
+        _withdraw(paymentToken, recipient);
+    }
 
-        emit Withdrawn(msg.sender, amount);
+    /**
+     * @notice Allow or disallow an ERC-20 token as royalty payment
+     * @dev Disallowing a token blocks new distributions but not withdrawals
+     * @param token The ERC-20 token address
+     * @param allowed Whether the token is accepted
+     */
+    function setPaymentTokenAllowed(address token, bool allowed) external onlyOwner {
+        require(token != address(0), "Invalid token address");
+        allowedPaymentTokens[token] = allowed;
+        emit PaymentTokenAllowed(token, allowed);
     }
 
     /**
@@ -124,6 +272,164 @@ contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
         emit SharesUpdated(_nftOwner, _institution, _protocol);
     }
 
+    /**
+     * @notice Override the split for every token attested by an institution
+     * @param institutionId The institution ID
+     * @param split Shares and extra payees, summing to 10000 basis points
+     */
+    function setInstitutionSplit(uint256 institutionId, Split calldata split) external onlyOwner {
+        _storeSplit(_institutionSplits[institutionId], split);
+
+        emit InstitutionSplitSet(institutionId);
+    }
+
+    /**
+     * @notice Remove an institution's split override
+     * @param institutionId The institution ID
+     */
+    function clearInstitutionSplit(uint256 institutionId) external onlyOwner {
+        delete _institutionSplits[institutionId];
+
+        emit InstitutionSplitCleared(institutionId);
+    }
+
+    /**
+     * @notice Propose a split override for a single token
+     * @dev Either the contract owner or the token owner proposes, and the other accepts, so a token split
+     *      never applies without its owner's consent. A new proposal replaces any pending one.
+     * @param tokenId The bio-NFT token ID
+     * @param split Shares and extra payees, summing to 10000 basis points
+     */
+    function proposeTokenSplit(uint256 tokenId, Split calldata split) external {
+        require(msg.sender == owner() || msg.sender == beneficialOwnerOf(tokenId), "Not authorized");
+
+        _storeSplit(_proposedTokenSplits[tokenId], split);
+        _tokenSplitProposers[tokenId] = msg.sender;
+
+        emit TokenSplitProposed(tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Accept a proposed token split, replacing any split already in place
+     * @dev The split only applies while the owner who consented to it still owns the token
+     * @param tokenId The bio-NFT token ID
+     */
+    function acceptTokenSplit(uint256 tokenId) external {
+        address proposer = _tokenSplitProposers[tokenId];
+        require(proposer != address(0), "No proposed split");
+
+        address nftOwner = beneficialOwnerOf(tokenId);
+        if (proposer == owner()) {
+            require(msg.sender == nftOwner, "Not token owner");
+        } else {
+            require(msg.sender == owner(), "Not authorized");
+            require(proposer == nftOwner, "Token changed hands");
+        }
+
+        _storeSplit(_tokenSplits[tokenId], _proposedTokenSplits[tokenId]);
+        _tokenSplitOwners[tokenId] = nftOwner;
+        delete _proposedTokenSplits[tokenId];
+        delete _tokenSplitProposers[tokenId];
+
+        emit TokenSplitSet(tokenId, nftOwner);
+    }
+
+    /**
+     * @notice Remove a token's split override, or withdraw a pending proposal
+     * @dev Either party can withdraw from a token split
+     * @param tokenId The bio-NFT token ID
+     */
+    function clearTokenSplit(uint256 tokenId) external {
+        require(msg.sender == owner() || msg.sender == beneficialOwnerOf(tokenId), "Not authorized");
+
+        delete _tokenSplits[tokenId];
+        delete _tokenSplitOwners[tokenId];
+        delete _proposedTokenSplits[tokenId];
+        delete _tokenSplitProposers[tokenId];
+
+        emit TokenSplitCleared(tokenId);
+    }
+
+    /**
+     * @notice Set the period institution and protocol shares vest over
+     * @dev Only applies to shares credited from now on; 0 turns vesting off
+     * @param duration The vesting period in seconds
+     */
+    function setVestingDuration(uint256 duration) external onlyOwner {
+        vestingDuration = duration;
+
+        emit VestingDurationUpdated(duration);
+    }
+
+    /**
+     * @notice Register or unregister a custodian contract
+     * @dev Custodians should implement IBeneficialOwner. Tokens a custodian holds for no one, or whose
+     *      beneficial owner it cannot report, are still credited to the custodian.
+     * @param custodian The custodian contract
+     * @param registered Whether royalties for its tokens go to their beneficial owners
+     */
+    function setCustodian(address custodian, bool registered) external onlyOwner {
+        require(custodian != address(0), "Invalid address");
+        custodians[custodian] = registered;
+
+        emit CustodianUpdated(custodian, registered);
+    }
+
+    /**
+     * @notice Move royalties stranded at a custodian contract to the account they belong to
+     * @dev Custodians cannot withdraw, so royalties credited to them before they were registered are
+     *      recovered here. The rightful recipients are found off-chain from RoyaltyDistributed events.
+     * @param custodian The registered custodian holding the balance
+     * @param paymentToken The ERC-20 token of the balance, or address(0) for ETH
+     * @param recipient The account to credit
+     * @param amount The amount to move
+     */
+    function recoverStrandedRoyalties(
+        address custodian,
+        address paymentToken,
+        address recipient,
+        uint256 amount
+    ) external onlyOwner {
+        require(custodians[custodian], "Not a custodian");
+        require(recipient != address(0), "Invalid address");
+
+        if (paymentToken == address(0)) {
+            require(amount <= pendingWithdrawals[custodian], "Insufficient balance");
+            pendingWithdrawals[custodian] -= amount;
+        } else {
+            require(amount <= pendingTokenWithdrawals[paymentToken][custodian], "Insufficient balance");
+            pendingTokenWithdrawals[paymentToken][custodian] -= amount;
+        }
+        _credit(paymentToken, recipient, amount);
+
+        emit StrandedRoyaltiesRecovered(custodian, paymentToken, recipient, amount);
+    }
+
+    /**
+     * @notice Send royalties stuck in a token's receiver to another address
+     * @dev Only for royalties that cannot be collected, because the token is revoked or the payment token is not
+     *      allow-listed. The rightful recipient, such as the payer for a refund, is chosen off-chain.
+     * @param tokenId The bio-NFT token ID
+     * @param paymentToken The ERC-20 token to rescue, or address(0) for ETH
+     * @param recipient The address to send the royalties to
+     * @return amount The amount rescued
+     */
+    function rescueRoyalties(
+        uint256 tokenId,
+        address paymentToken,
+        address recipient
+    ) external onlyOwner nonReentrant returns (uint256 amount) {
+        require(recipient != address(0), "Invalid address");
+        require(
+            bioNFT.isRevoked(tokenId) || (paymentToken != address(0) && !allowedPaymentTokens[paymentToken]),
+            "Royalties can be collected"
+        );
+
+        amount = _deployedReceiverOf(tokenId).rescue(paymentToken, recipient);
+
+        emit RoyaltiesRescued(tokenId, paymentToken, recipient, amount);
+    }
+
     /**
      * @notice Update protocol fee recipient
      * @param newRecipient New protocol fee recipient address
@@ -151,6 +457,16 @@ contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
         return pendingWithdrawals[account];
     }
 
+    /**
+     * @notice Get pending ERC-20 withdrawal amount for an address
+     * @param paymentToken The ERC-20 token
+     * @param account The account address
+     * @return The pending amount
+     */
+    function getPendingTokenWithdrawal(address paymentToken, address account) external view returns (uint256) {
+        return pendingTokenWithdrawals[paymentToken][account];
+    }
+
     /**
      * @notice Get current share configuration
      * @return NFT owner share, institution share, protocol share
@@ -159,6 +475,356 @@ contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
         return (nftOwnerShare, institutionShare, protocolShare);
     }
 
+    /**
+     * @inheritdoc IRoyaltyCollector
+     */
+    function royaltyReceiverOf(uint256 tokenId) public view returns (address) {
+        bytes32 bytecodeHash = keccak256(abi.encodePacked(type(RoyaltyReceiver).creationCode, abi.encode(tokenId)));
+        return Create2.computeAddress(bytes32(tokenId), bytecodeHash);
+    }
+
+    /**
+     * @notice Get an account's vesting tranches that have not fully vested, oldest first
+     * @param paymentToken The ERC-20 token, or address(0) for ETH
+     * @param account The account address
+     * @return tranches The unvested balance, last vesting checkpoint and vesting end of each tranche
+     */
+    function getVestingTranches(
+        address paymentToken,
+        address account
+    ) external view returns (Vesting[] memory tranches) {
+        Vesting[] storage vestings = _vestings[paymentToken][account];
+        uint256 head = _vestingHeads[paymentToken][account];
+
+        tranches = new Vesting[](vestings.length - head);
+        for (uint256 i = head; i < vestings.length; i++) {
+            tranches[i - head] = vestings[i];
+        }
+    }
+
+    /**
+     * @notice Get the amount that has vested for an account since it last withdrew
+     * @param paymentToken The ERC-20 token, or address(0) for ETH
+     * @param account The account address
+     * @return amount The vested amount
+     */
+    function vestedAmount(address paymentToken, address account) public view returns (uint256 amount) {
+        Vesting[] storage vestings = _vestings[paymentToken][account];
+        for (uint256 i = _vestingHeads[paymentToken][account]; i < vestings.length; i++) {
+            amount += _vestable(vestings[i]);
+        }
+    }
+
+    /**
+     * @notice Get the amount an account can withdraw now
+     * @param paymentToken The ERC-20 token, or address(0) for ETH
+     * @param account The account address
+     * @return The pending balance plus the vested amount
+     */
+    function claimableAmount(address paymentToken, address account) external view returns (uint256) {
+        return _pendingBalance(paymentToken, account) + vestedAmount(paymentToken, account);
+    }
+
+    /**
+     * @notice Get the account royalties for a token are credited to
+     * @param tokenId The bio-NFT token ID
+     * @return The token's owner, or the account a registered custodian holds it for
+     */
+    function beneficialOwnerOf(uint256 tokenId) public view returns (address) {
+        address holder = bioNFT.ownerOf(tokenId);
+        if (!custodians[holder]) {
+            return holder;
+        }
+
+        try IBeneficialOwner(holder).beneficialOwnerOf(tokenId) returns (address beneficialOwner) {
+            if (beneficialOwner != address(0)) {
+                return beneficialOwner;
+            }
+        } catch {}
+        return holder;
+    }
+
+    /**
+     * @notice Get the split a royalty for a token would currently follow
+     * @param tokenId The bio-NFT token ID
+     * @return The token's split, its institution's split, or the global shares, whichever is most specific
+     */
+    function getSplit(uint256 tokenId) external view returns (Split memory) {
+        return _resolveSplit(tokenId, beneficialOwnerOf(tokenId), bioNFT.getInstitutionId(tokenId));
+    }
+
+    /**
+     * @notice Get an institution's split override
+     * @param institutionId The institution ID
+     * @return The split (all zero if none is set)
+     */
+    function getInstitutionSplit(uint256 institutionId) external view returns (Split memory) {
+        return _institutionSplits[institutionId];
+    }
+
+    /**
+     * @notice Get a token's split override and the owner who consented to it
+     * @param tokenId The bio-NFT token ID
+     * @return split The split (all zero if none is set)
+     * @return nftOwner The consenting token owner
+     */
+    function getTokenSplit(uint256 tokenId) external view returns (Split memory split, address nftOwner) {
+        return (_tokenSplits[tokenId], _tokenSplitOwners[tokenId]);
+    }
+
+    /**
+     * @notice Get a token split awaiting acceptance
+     * @param tokenId The bio-NFT token ID
+     * @return split The proposed split
+     * @return proposer Who proposed it (address(0) if nothing is pending)
+     */
+    function getProposedTokenSplit(uint256 tokenId) external view returns (Split memory split, address proposer) {
+        return (_proposedTokenSplits[tokenId], _tokenSplitProposers[tokenId]);
+    }
+
+    /**
+     * @dev Split a royalty payment and credit each party's pending balance
+     * @param paymentToken The ERC-20 token paid in, or address(0) for ETH
+     */
+    function _distribute(uint256 tokenId, address paymentToken, uint256 amount) internal {
+        require(!bioNFT.isRevoked(tokenId), "Token revoked");
+
+        address nftOwner = beneficialOwnerOf(tokenId);
+        uint256 institutionId = bioNFT.getInstitutionId(tokenId);
+        IInstitutionRegistry.Institution memory institution =
+            institutionRegistry.getInstitution(institutionId);
+        Split memory split = _resolveSplit(tokenId, nftOwner, institutionId);
+
+        // Calculate splits
+        uint256 ownerAmount = (amount * split.nftOwnerShare) / 10000;
+        uint256 institutionAmount = (amount * split.institutionShare) / 10000;
+        uint256 protocolAmount = (amount * split.protocolShare) / 10000;
+
+        // Accumulate balances
+        _credit(paymentToken, nftOwner, ownerAmount);
+        _creditVesting(paymentToken, institution.pubkey, institutionAmount);
+        _creditVesting(paymentToken, protocolFeeRecipient, protocolAmount);
+
+        for (uint256 i = 0; i < split.payees.length; i++) {
+            uint256 payeeAmount = (amount * split.payees[i].share) / 10000;
+            _credit(paymentToken, split.payees[i].account, payeeAmount);
+
+            emit PayeeCredited(tokenId, paymentToken, split.payees[i].account, payeeAmount);
+        }
+
+        emit RoyaltyDistributed(
+            tokenId,
+            paymentToken,
+            amount,
+            nftOwner,
+            institution.pubkey,
+            protocolFeeRecipient
+        );
+    }
+
+    /**
+     * @dev Pick the most specific split for a token: its own, then its institution's, then the global shares
+     */
+    function _resolveSplit(
+        uint256 tokenId,
+        address nftOwner,
+        uint256 institutionId
+    ) internal view returns (Split memory split) {
+        // A token split lapses when the token changes hands, since the new owner never consented to it
+        if (_tokenSplitOwners[tokenId] != address(0) && _tokenSplitOwners[tokenId] == nftOwner) {
+            return _tokenSplits[tokenId];
+        }
+        if (_isSplitSet(_institutionSplits[institutionId])) {
+            return _institutionSplits[institutionId];
+        }
+
+        split.nftOwnerShare = nftOwnerShare;
+        split.institutionShare = institutionShare;
+        split.protocolShare = protocolShare;
+    }
+
+    /**
+     * @dev Validate a split and copy it into storage
+     */
+    function _storeSplit(Split storage stored, Split memory split) internal {
+        require(split.payees.length <= MAX_PAYEES, "Too many payees");
+
+        uint256 total = split.nftOwnerShare + split.institutionShare + split.protocolShare;
+        for (uint256 i = 0; i < split.payees.length; i++) {
+            require(split.payees[i].account != address(0) && split.payees[i].share > 0, "Invalid payee");
+            total += split.payees[i].share;
+        }
+        require(total == 10000, "Shares must sum to 10000");
+
+        stored.nftOwnerShare = split.nftOwnerShare;
+        stored.institutionShare = split.institutionShare;
+        stored.protocolShare = split.protocolShare;
+        delete stored.payees;
+        for (uint256 i = 0; i < split.payees.length; i++) {
+            stored.payees.push(split.payees[i]);
+        }
+    }
+
+    /**
+     * @dev Check if a split override has been set (a set split always sums to 10000)
+     */
+    function _isSplitSet(Split storage split) internal view returns (bool) {
+        return split.nftOwnerShare + split.institutionShare + split.protocolShare > 0 || split.payees.length > 0;
+    }
+
+    /**
+     * @dev Get a token's royalty receiver, deploying it first if needed
+     */
+    function _deployedReceiverOf(uint256 tokenId) internal returns (RoyaltyReceiver) {
+        address receiver = royaltyReceiverOf(tokenId);
+        if (receiver.code.length == 0) {
+            new RoyaltyReceiver{salt: bytes32(tokenId)}(tokenId);
+
+            emit RoyaltyReceiverDeployed(tokenId, receiver);
+        }
+
+        return RoyaltyReceiver(payable(receiver));
+    }
+
+    /**
+     * @dev Pay out an account's pending and vested balance. Uses a call rather than transfer so smart-contract
+     *      wallets such as multisigs can receive ETH.
+     */
+    function _withdraw(address paymentToken, address recipient) internal {
+        require(recipient != address(0), "Invalid address");
+        _releaseVested(paymentToken, msg.sender);
+
+        uint256 amount = _pendingBalance(paymentToken, msg.sender);
+        require(amount > 0, "No funds to withdraw");
+
+        if (paymentToken == address(0)) {
+            pendingWithdrawals[msg.sender] = 0;
+            (bool success, ) = payable(recipient).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            pendingTokenWithdrawals[paymentToken][msg.sender] = 0;
+            IERC20(paymentToken).safeTransfer(recipient, amount);
+        }
+
+        emit Withdrawn(msg.sender, paymentToken, amount, recipient);
+    }
+
+    /**
+     * @dev Credit a share that vests over the vesting period, or at once if vesting is off. Each credit vests
+     *      as its own tranche, except that credits whose rounded-up end is the same share one.
+     */
+    function _creditVesting(address paymentToken, address account, uint256 amount) internal {
+        if (vestingDuration == 0 || amount == 0) {
+            _credit(paymentToken, account, amount);
+            return;
+        }
+
+        uint256 granularity = vestingDuration / MAX_VESTING_TRANCHES;
+        if (granularity == 0) {
+            granularity = 1;
+        }
+        uint256 end = ((block.timestamp + vestingDuration + granularity - 1) / granularity) * granularity;
+
+        _releaseExpired(paymentToken, account);
+
+        Vesting[] storage vestings = _vestings[paymentToken][account];
+        uint256 last = vestings.length;
+        if (last > _vestingHeads[paymentToken][account] && vestings[last - 1].end == end) {
+            // Settle what the tranche already vested, so the new amount vests from now
+            Vesting storage vesting = vestings[last - 1];
+            uint256 vested = _vestable(vesting);
+            if (vested > 0) {
+                vesting.balance -= vested;
+                _credit(paymentToken, account, vested);
+            }
+            vesting.checkpoint = block.timestamp;
+            vesting.balance += amount;
+        } else {
+            vestings.push(Vesting({balance: amount, checkpoint: block.timestamp, end: end}));
+        }
+
+        emit VestingScheduled(account, paymentToken, amount, end);
+    }
+
+    /**
+     * @dev Move fully vested tranches at the front of an account's schedule into its pending balance
+     */
+    function _releaseExpired(address paymentToken, address account) internal {
+        Vesting[] storage vestings = _vestings[paymentToken][account];
+        uint256 head = _vestingHeads[paymentToken][account];
+        uint256 amount = 0;
+
+        while (head < vestings.length && vestings[head].end <= block.timestamp) {
+            amount += vestings[head].balance;
+            delete vestings[head];
+            head++;
+        }
+        _vestingHeads[paymentToken][account] = head;
+
+        if (amount > 0) {
+            _credit(paymentToken, account, amount);
+        }
+    }
+
+    /**
+     * @dev Move the vested part of an account's tranches into its pending balance, dropping fully vested
+     *      tranches from the front
+     */
+    function _releaseVested(address paymentToken, address account) internal {
+        Vesting[] storage vestings = _vestings[paymentToken][account];
+        uint256 head = _vestingHeads[paymentToken][account];
+        uint256 amount = 0;
+
+        for (uint256 i = head; i < vestings.length; i++) {
+            Vesting storage vesting = vestings[i];
+            uint256 vested = _vestable(vesting);
+            vesting.checkpoint = block.timestamp;
+            vesting.balance -= vested;
+            amount += vested;
+
+            if (vesting.balance == 0 && i == head) {
+                delete vestings[i];
+                head++;
+            }
+        }
+        _vestingHeads[paymentToken][account] = head;
+
+        if (amount > 0) {
+            _credit(paymentToken, account, amount);
+        }
+    }
+
+    /**
+     * @dev Part of a vesting balance vested since its checkpoint
+     */
+    function _vestable(Vesting storage vesting) internal view returns (uint256) {
+        if (vesting.balance == 0 || block.timestamp >= vesting.end) {
+            return vesting.balance;
+        }
+        return (vesting.balance * (block.timestamp - vesting.checkpoint)) / (vesting.end - vesting.checkpoint);
+    }
+
+    /**
+     * @dev Pending balance in ETH or an ERC-20 token
+     */
+    function _pendingBalance(address paymentToken, address account) internal view returns (uint256) {
+        if (paymentToken == address(0)) {
+            return pendingWithdrawals[account];
+        }
+        return pendingTokenWithdrawals[paymentToken][account];
+    }
+
+    /**
+     * @dev Credit a pending balance in ETH or an ERC-20 token
+     */
+    function _credit(address paymentToken, address account, uint256 amount) internal {
+        if (paymentToken == address(0)) {
+            pendingWithdrawals[account] += amount;
+        } else {
+            pendingTokenWithdrawals[paymentToken][account] += amount;
+        }
+    }
+
     // Required override
     function supportsInterface(bytes4 interfaceId)
         public
@@ -166,7 +832,7 @@ contract RevenueSplitter is ERC2981, Ownable, ReentrancyGuard {
         override(ERC2981)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IRoyaltyCollector).interfaceId || super.supportsInterface(interfaceId);
     }
 }
 
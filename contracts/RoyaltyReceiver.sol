@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./RevenueSplitter.sol";
+
+/**
+ * @title RoyaltyReceiver
+ * @notice Receives secondary-sale royalties for a single bio-NFT and forwards them to the revenue splitter
+ * @dev Deployed by RevenueSplitter with CREATE2, one per token. It accepts plain transfers with the 2300 gas
+ *      stipend and only forwards when asked, so marketplaces can pay it like any other royalty receiver.
+ *      Balances the splitter cannot take, for a revoked token or a payment token that is not allow-listed,
+ *      can be rescued by the splitter's owner.
+ */
+contract RoyaltyReceiver {
+    using SafeERC20 for IERC20;
+
+    RevenueSplitter public immutable revenueSplitter;
+    uint256 public immutable tokenId;
+
+    constructor(uint256 _tokenId) {
+        revenueSplitter = RevenueSplitter(msg.sender);
+        tokenId = _tokenId;
+    }
+
+    receive() external payable {}
+
+    /**
+     * @notice Forward the held balance to the revenue splitter as a royalty for this token
+     * @dev Anyone can forward, since the balance can only go to the splitter
+     * @param paymentToken The ERC-20 token to forward, or address(0) for ETH
+     * @return amount The amount forwarded
+     */
+    function forward(address paymentToken) external returns (uint256 amount) {
+        if (paymentToken == address(0)) {
+            amount = address(this).balance;
+            require(amount > 0, "No royalties to collect");
+            revenueSplitter.distributeRoyalty{value: amount}(tokenId);
+        } else {
+            amount = IERC20(paymentToken).balanceOf(address(this));
+            require(amount > 0, "No royalties to collect");
+            IERC20(paymentToken).forceApprove(address(revenueSplitter), amount);
+            revenueSplitter.distributeTokenRoyalty(tokenId, paymentToken, amount);
+        }
+    }
+
+    /**
+     * @notice Send the held balance to a recipient chosen by the revenue splitter's owner
+     * @dev Only called by the splitter, for royalties it cannot distribute
+     * @param paymentToken The ERC-20 token to send, or address(0) for ETH
+     * @param recipient The address to send the balance to
+     * @return amount The amount sent
+     */
+    function rescue(address paymentToken, address recipient) external returns (uint256 amount) {
+        require(msg.sender == address(revenueSplitter), "Only revenue splitter");
+
+        if (paymentToken == address(0)) {
+            amount = address(this).balance;
+            require(amount > 0, "No royalties to rescue");
+            (bool success, ) = payable(recipient).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            amount = IERC20(paymentToken).balanceOf(address(this));
+            require(amount > 0, "No royalties to rescue");
+            IERC20(paymentToken).safeTransfer(recipient, amount);
+        }
+    }
+}
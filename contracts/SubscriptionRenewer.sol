@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/ILicenseManager.sol";
+
+/**
+ * @title SubscriptionRenewer
+ * @notice Renews subscription licenses automatically from funds the licensee prepays
+ * @dev Licensees opt in with a deposit and the highest price per period they accept. Once a period
+ *      ends, anyone (typically a keeper) can renew it for one more period, paid from the deposit
+ *      through LicenseManager.renewSubscription. Deposits are kept per licensee, so a transferred
+ *      license is not renewed from the previous licensee's funds.
+ */
+contract SubscriptionRenewer is ReentrancyGuard {
+    struct AutoRenewal {
+        bool enabled;
+        uint256 maxPricePerPeriod;  // Highest price the licensee agreed to renew at
+        uint256 balance;            // Prepaid funds left for renewals
+    }
+
+    ILicenseManager public immutable licenseManager;
+
+    // Mapping from license ID to licensee to their auto-renewal settings
+    mapping(uint256 => mapping(address => AutoRenewal)) private _renewals;
+
+    event AutoRenewEnabled(
+        uint256 indexed licenseId,
+        address indexed licensee,
+        uint256 maxPricePerPeriod,
+        uint256 balance
+    );
+
+    event AutoRenewCancelled(uint256 indexed licenseId, address indexed licensee, uint256 refund);
+
+    event SubscriptionAutoRenewed(uint256 indexed licenseId, address indexed licensee, uint256 amount);
+
+    constructor(address _licenseManager) {
+        require(_licenseManager != address(0), "Invalid license manager address");
+        licenseManager = ILicenseManager(_licenseManager);
+    }
+
+    /**
+     * @notice Opt in to automatic renewal, or top up and update the price limit
+     * @dev Any ETH sent is added to the licensee's prepaid balance
+     * @param licenseId The subscription license ID
+     * @param maxPricePerPeriod The highest price per period to renew at
+     */
+    function enableAutoRenew(uint256 licenseId, uint256 maxPricePerPeriod) external payable {
+        ILicenseManager.License memory license = licenseManager.getLicense(licenseId);
+        require(license.licenseType == ILicenseManager.LicenseType.Subscription, "Not a subscription");
+        require(license.licensee == msg.sender, "Not licensee");
+        require(!licenseManager.getSubscription(licenseId).cancelled, "Subscription cancelled");
+
+        AutoRenewal storage renewal = _renewals[licenseId][msg.sender];
+        renewal.enabled = true;
+        renewal.maxPricePerPeriod = maxPricePerPeriod;
+        renewal.balance += msg.value;
+
+        emit AutoRenewEnabled(licenseId, msg.sender, maxPricePerPeriod, renewal.balance);
+    }
+
+    /**
+     * @notice Opt out of automatic renewal and withdraw the unused balance
+     * @dev Works for former licensees too, so funds are never stuck after a transfer or cancellation
+     * @param licenseId The subscription license ID
+     */
+    function cancelAutoRenew(uint256 licenseId) external nonReentrant {
+        AutoRenewal storage renewal = _renewals[licenseId][msg.sender];
+        require(renewal.enabled || renewal.balance > 0, "Auto-renew not enabled");
+
+        uint256 refund = renewal.balance;
+        delete _renewals[licenseId][msg.sender];
+
+        if (refund > 0) {
+            (bool success, ) = payable(msg.sender).call{value: refund}("");
+            require(success, "Refund failed");
+        }
+
+        emit AutoRenewCancelled(licenseId, msg.sender, refund);
+    }
+
+    /**
+     * @notice Renew an opted-in subscription for one period from the licensee's balance
+     * @dev Callable by anyone once the current period has ended
+     * @param licenseId The subscription license ID
+     */
+    function renew(uint256 licenseId) external nonReentrant {
+        ILicenseManager.License memory license = licenseManager.getLicense(licenseId);
+        AutoRenewal storage renewal = _renewals[licenseId][license.licensee];
+        require(renewal.enabled, "Auto-renew not enabled");
+        require(block.timestamp >= license.expiresAt, "Renewal not due");
+
+        uint256 price = licenseManager.getSubscription(licenseId).pricePerPeriod;
+        require(price <= renewal.maxPricePerPeriod, "Price above auto-renew limit");
+        require(renewal.balance >= price, "Insufficient prepaid funds");
+
+        renewal.balance -= price;
+        licenseManager.renewSubscription{value: price}(licenseId, 1);
+
+        emit SubscriptionAutoRenewed(licenseId, license.licensee, price);
+    }
+
+    /**
+     * @notice Get a licensee's auto-renewal settings for a license
+     * @param licenseId The subscription license ID
+     * @param licensee The licensee
+     * @return The auto-renewal settings and prepaid balance
+     */
+    function getAutoRenewal(uint256 licenseId, address licensee) external view returns (AutoRenewal memory) {
+        return _renewals[licenseId][licensee];
+    }
+}
@@ -0,0 +1,208 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/IBioNFT.sol";
+import "./interfaces/IInstitutionRegistry.sol";
+import "./interfaces/ILicenseManager.sol";
+
+/**
+ * @title UsageMeter
+ * @notice Records license usage from signed compute receipts
+ * @dev Compute providers and institutions sign EIP-712 UsageReceipts off-chain for the jobs
+ *      they run. Anyone can submit a receipt, which is checked and forwarded to LicenseManager.
+ *      A receipt is only accepted from a provider registered for the licensed token, or from the
+ *      institution that attested to it. Each job is recorded once per license.
+ */
+contract UsageMeter is Ownable, EIP712 {
+    using ECDSA for bytes32;
+
+    // EIP-712 type hash for compute receipts
+    bytes32 public constant USAGE_RECEIPT_TYPEHASH = keccak256(
+        "UsageReceipt(uint256 licenseId,bytes32 jobId,uint256 units,uint256 timestamp)"
+    );
+
+    IBioNFT public bioNFT;
+    ILicenseManager public licenseManager;
+    IInstitutionRegistry public institutionRegistry;
+
+    // Receipts older than this can no longer be submitted
+    uint256 public maxReceiptAge = 7 days;
+
+    // Mapping from token ID to compute providers registered by the owner for its licenses
+    mapping(uint256 => mapping(address => bool)) public computeProviders;
+
+    // Mapping from license ID to recorded job IDs, to prevent replays
+    mapping(uint256 => mapping(bytes32 => bool)) private _recordedJobs;
+
+    event UsageMetered(
+        uint256 indexed licenseId,
+        bytes32 indexed jobId,
+        address indexed signer,
+        uint256 units,
+        uint256 timestamp
+    );
+
+    event ComputeProviderUpdated(uint256 indexed tokenId, address indexed provider, bool allowed);
+
+    event MaxReceiptAgeUpdated(uint256 maxReceiptAge);
+
+    constructor(
+        address _bioNFT,
+        address _licenseManager,
+        address _institutionRegistry
+    ) Ownable(msg.sender) EIP712("AstralSeed UsageMeter", "1") {
+        require(_bioNFT != address(0), "Invalid BioNFT address");
+        require(_licenseManager != address(0), "Invalid license manager address");
+        require(_institutionRegistry != address(0), "Invalid registry address");
+
+        bioNFT = IBioNFT(_bioNFT);
+        licenseManager = ILicenseManager(_licenseManager);
+        institutionRegistry = IInstitutionRegistry(_institutionRegistry);
+    }
+
+    /**
+     * @notice Record usage from a signed compute receipt
+     * @param licenseId The license the job ran under
+     * @param jobId Unique job identifier assigned by the compute provider
+     * @param units Units of usage consumed by the job
+     * @param timestamp When the job ran
+     * @param institutionId Institution the signer acts for (0 for a compute provider registered for the token)
+     * @param signature Provider's or institution's EIP-712 signature over the UsageReceipt struct
+     */
+    function submitReceipt(
+        uint256 licenseId,
+        bytes32 jobId,
+        uint256 units,
+        uint256 timestamp,
+        uint256 institutionId,
+        bytes calldata signature
+    ) external {
+        require(!_recordedJobs[licenseId][jobId], "Receipt already recorded");
+        require(timestamp <= block.timestamp, "Receipt from the future");
+        require(block.timestamp - timestamp <= maxReceiptAge, "Receipt expired");
+
+        address signer = hashReceipt(licenseId, jobId, units, timestamp).recover(signature);
+        require(_isAuthorizedSigner(licenseId, signer, institutionId), "Unauthorized receipt signer");
+
+        _recordedJobs[licenseId][jobId] = true;
+        licenseManager.recordMeteredUsage(licenseId, units);
+
+        emit UsageMetered(licenseId, jobId, signer, units, timestamp);
+    }
+
+    /**
+     * @notice Compute the EIP-712 digest a compute provider signs for a job
+     * @param licenseId The license the job ran under
+     * @param jobId Unique job identifier
+     * @param units Units of usage consumed
+     * @param timestamp When the job ran
+     * @return The typed data digest
+     */
+    function hashReceipt(
+        uint256 licenseId,
+        bytes32 jobId,
+        uint256 units,
+        uint256 timestamp
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(
+            keccak256(abi.encode(USAGE_RECEIPT_TYPEHASH, licenseId, jobId, units, timestamp))
+        );
+    }
+
+    /**
+     * @notice Get the EIP-712 domain separator for this meter
+     * @return The domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @notice Check if a job has already been recorded for a license
+     * @param licenseId The license ID
+     * @param jobId The job ID
+     * @return Whether the job has been recorded
+     */
+    function isJobRecorded(uint256 licenseId, bytes32 jobId) external view returns (bool) {
+        return _recordedJobs[licenseId][jobId];
+    }
+
+    /**
+     * @notice Register or remove a compute provider for a token's licenses
+     * @param tokenId The bio-NFT token ID
+     * @param provider The provider's signing address
+     * @param allowed Whether the provider may sign receipts for the token's licenses
+     */
+    function setComputeProvider(uint256 tokenId, address provider, bool allowed) external onlyOwner {
+        require(provider != address(0), "Invalid provider address");
+        computeProviders[tokenId][provider] = allowed;
+
+        emit ComputeProviderUpdated(tokenId, provider, allowed);
+    }
+
+    /**
+     * @notice Set how long after a job its receipt can still be submitted
+     * @param _maxReceiptAge Maximum receipt age in seconds
+     */
+    function setMaxReceiptAge(uint256 _maxReceiptAge) external onlyOwner {
+        require(_maxReceiptAge > 0, "Invalid receipt age");
+        maxReceiptAge = _maxReceiptAge;
+
+        emit MaxReceiptAgeUpdated(_maxReceiptAge);
+    }
+
+    /**
+     * @notice Update BioNFT contract address
+     * @param _bioNFT New BioNFT address
+     */
+    function setBioNFT(address _bioNFT) external onlyOwner {
+        require(_bioNFT != address(0), "Invalid address");
+        bioNFT = IBioNFT(_bioNFT);
+    }
+
+    /**
+     * @notice Update LicenseManager contract address
+     * @param _licenseManager New LicenseManager address
+     */
+    function setLicenseManager(address _licenseManager) external onlyOwner {
+        require(_licenseManager != address(0), "Invalid address");
+        licenseManager = ILicenseManager(_licenseManager);
+    }
+
+    /**
+     * @notice Update InstitutionRegistry contract address
+     * @param _institutionRegistry New registry address
+     */
+    function setInstitutionRegistry(address _institutionRegistry) external onlyOwner {
+        require(_institutionRegistry != address(0), "Invalid address");
+        institutionRegistry = IInstitutionRegistry(_institutionRegistry);
+    }
+
+    /**
+     * @dev Check if a receipt signer is a compute provider registered for the licensed token, or acts
+     *      for the active institution that attested to it
+     */
+    function _isAuthorizedSigner(
+        uint256 licenseId,
+        address signer,
+        uint256 institutionId
+    ) internal view returns (bool) {
+        uint256 tokenId = licenseManager.getLicense(licenseId).tokenId;
+        if (institutionId == 0) {
+            return computeProviders[tokenId][signer];
+        }
+        if (institutionId != bioNFT.getInstitutionId(tokenId)) {
+            return false;
+        }
+        if (!institutionRegistry.isInstitutionActive(institutionId)) {
+            return false;
+        }
+
+        return
+            institutionRegistry.getInstitution(institutionId).pubkey == signer ||
+            institutionRegistry.isSigner(institutionId, signer);
+    }
+}
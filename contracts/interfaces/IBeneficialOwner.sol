@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IBeneficialOwner
+ * @notice Interface for contracts that hold bio-NFTs in custody on behalf of someone else
+ * @dev RevenueSplitter asks registered custodians who a token really belongs to, so royalties reach that
+ *      account rather than the custodian contract
+ */
+interface IBeneficialOwner {
+    /**
+     * @notice Get the account a custodied token is held for
+     * @param tokenId The bio-NFT token ID
+     * @return The beneficial owner (address(0) if the token is not held for anyone)
+     */
+    function beneficialOwnerOf(uint256 tokenId) external view returns (address);
+}
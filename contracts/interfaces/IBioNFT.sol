@@ -9,6 +9,37 @@ import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
  * @dev Extends ERC721 with bio-data specific functionality
  */
 interface IBioNFT is IERC721 {
+    /**
+     * @notice Validity status of a token's attestation
+     */
+    enum TokenStatus {
+        Active,
+        Disputed,
+        Revoked
+    }
+
+    /**
+     * @notice Latest status change recorded for a token
+     */
+    struct StatusRecord {
+        TokenStatus status;
+        uint256 reasonCode;
+        string evidenceURI;
+        address updatedBy;
+        uint256 updatedAt;
+    }
+
+    /**
+     * @notice Donor consent recorded for a token
+     * @dev Tokens without a recorded consent are unrestricted
+     */
+    struct Consent {
+        uint256 scope;          // Bitmask of purpose codes the donor consents to
+        bytes32 termsHash;      // Hash of the consent terms document
+        bool recorded;
+        uint256 updatedAt;
+    }
+
     /**
      * @notice Emitted when a new bio-hash NFT is minted
      * @param tokenId The unique identifier of the minted NFT
@@ -30,6 +61,48 @@ interface IBioNFT is IERC721 {
      */
     event SoulboundToggled(uint256 indexed tokenId, bool isSoulbound);
 
+    /**
+     * @notice Emitted when a token's attestation is found fraudulent
+     * @param tokenId The token ID
+     */
+    event AttestationFlagged(uint256 indexed tokenId);
+
+    /**
+     * @notice Emitted when a token is locked in place for non-custodial staking
+     * @param tokenId The token ID
+     */
+    event TokenLocked(uint256 indexed tokenId);
+
+    /**
+     * @notice Emitted when a token's staking lock is lifted
+     * @param tokenId The token ID
+     */
+    event TokenUnlocked(uint256 indexed tokenId);
+
+    /**
+     * @notice Emitted when a token's status changes
+     * @param tokenId The token ID
+     * @param status The new status
+     * @param reasonCode The reason code for the change
+     * @param evidenceURI URI of the supporting evidence
+     * @param updatedBy The address that changed the status
+     */
+    event TokenStatusChanged(
+        uint256 indexed tokenId,
+        TokenStatus status,
+        uint256 reasonCode,
+        string evidenceURI,
+        address indexed updatedBy
+    );
+
+    /**
+     * @notice Emitted when a donor records, narrows or withdraws consent
+     * @param tokenId The token ID
+     * @param scope The new bitmask of consented purpose codes
+     * @param termsHash Hash of the consent terms document
+     */
+    event ConsentUpdated(uint256 indexed tokenId, uint256 scope, bytes32 termsHash);
+
     /**
      * @notice Get the bio-hash associated with a token
      * @param tokenId The token ID
@@ -44,6 +117,25 @@ interface IBioNFT is IERC721 {
      */
     function isSoulbound(uint256 tokenId) external view returns (bool);
 
+    /**
+     * @notice Lock a token against transfers while it is staked in place
+     * @param tokenId The token ID
+     */
+    function lock(uint256 tokenId) external;
+
+    /**
+     * @notice Lift a token's staking lock
+     * @param tokenId The token ID
+     */
+    function unlock(uint256 tokenId) external;
+
+    /**
+     * @notice Check if a token is locked against transfers while staked in place
+     * @param tokenId The token ID
+     * @return Whether the token is locked
+     */
+    function isLocked(uint256 tokenId) external view returns (bool);
+
     /**
      * @notice Get the institution ID that attested to a token
      * @param tokenId The token ID
@@ -51,6 +143,79 @@ interface IBioNFT is IERC721 {
      */
     function getInstitutionId(uint256 tokenId) external view returns (uint256);
 
+    /**
+     * @notice Check if a token's attestation has been flagged as fraudulent
+     * @param tokenId The token ID
+     * @return Whether the attestation is flagged
+     */
+    function isAttestationFlagged(uint256 tokenId) external view returns (bool);
+
+    /**
+     * @notice Set the status of a token
+     * @param tokenId The token ID
+     * @param status The new status
+     * @param reasonCode The reason code for the change
+     * @param evidenceURI URI of the supporting evidence
+     */
+    function setTokenStatus(
+        uint256 tokenId,
+        TokenStatus status,
+        uint256 reasonCode,
+        string memory evidenceURI
+    ) external;
+
+    /**
+     * @notice Get the current status of a token
+     * @param tokenId The token ID
+     * @return The token status
+     */
+    function getTokenStatus(uint256 tokenId) external view returns (TokenStatus);
+
+    /**
+     * @notice Get the latest status record of a token
+     * @param tokenId The token ID
+     * @return The status record
+     */
+    function getStatusRecord(uint256 tokenId) external view returns (StatusRecord memory);
+
+    /**
+     * @notice Check if a token has been revoked
+     * @param tokenId The token ID
+     * @return Whether the token is revoked
+     */
+    function isRevoked(uint256 tokenId) external view returns (bool);
+
+    /**
+     * @notice Record the purposes the donor consents to their data being used for
+     * @dev Narrowing the scope withdraws consent, which invalidates licenses for the withdrawn purposes
+     * @param tokenId The token ID
+     * @param scope Bitmask of consented purpose codes
+     * @param termsHash Hash of the consent terms document
+     */
+    function setConsent(uint256 tokenId, uint256 scope, bytes32 termsHash) external;
+
+    /**
+     * @notice Withdraw consent for some purposes, keeping the rest of the scope
+     * @param tokenId The token ID
+     * @param purposes Bitmask of purpose codes to withdraw
+     */
+    function withdrawConsent(uint256 tokenId, uint256 purposes) external;
+
+    /**
+     * @notice Get the consent recorded for a token
+     * @param tokenId The token ID
+     * @return The consent record
+     */
+    function getConsent(uint256 tokenId) external view returns (Consent memory);
+
+    /**
+     * @notice Check if every given purpose falls within a token's consent scope
+     * @param tokenId The token ID
+     * @param purposes Bitmask of purpose codes
+     * @return Whether the donor consents to all of the purposes
+     */
+    function isConsented(uint256 tokenId, uint256 purposes) external view returns (bool);
+
     /**
      * @notice Get the metadata URI for a token
      * @param tokenId The token ID
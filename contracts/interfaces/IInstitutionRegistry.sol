@@ -14,6 +14,25 @@ interface IInstitutionRegistry {
         bool isActive;
         uint256 registeredAt;
         uint256 attestationCount;
+        uint256 bond;
+    }
+
+    enum ChallengeStatus {
+        None,       // No challenge recorded
+        Pending,    // Awaiting arbiter resolution
+        Upheld,     // Attestation found fraudulent, institution slashed
+        Rejected    // Attestation found valid, counter-bond forfeited
+    }
+
+    struct Challenge {
+        uint256 challengeId;
+        uint256 tokenId;
+        uint256 institutionId;
+        address challenger;
+        uint256 bond;
+        string evidenceURI;
+        ChallengeStatus status;
+        uint256 createdAt;
     }
 
     /**
@@ -40,18 +59,89 @@ interface IInstitutionRegistry {
      */
     event InstitutionReactivated(uint256 indexed institutionId);
 
+    /**
+     * @notice Emitted when an attestation signer is added to an institution
+     * @param institutionId The institution ID
+     * @param signer The signer key address
+     */
+    event SignerAdded(uint256 indexed institutionId, address indexed signer);
+
+    /**
+     * @notice Emitted when an attestation signer is removed from an institution
+     * @param institutionId The institution ID
+     * @param signer The signer key address
+     */
+    event SignerRemoved(uint256 indexed institutionId, address indexed signer);
+
+    /**
+     * @notice Emitted when an institution's pubkey moves to another of its signers
+     * @param institutionId The institution ID
+     * @param oldPubkey The signer key that was rotated out or removed
+     * @param newPubkey The signer key now acting as the institution's pubkey
+     */
+    event InstitutionPubkeyUpdated(
+        uint256 indexed institutionId,
+        address indexed oldPubkey,
+        address indexed newPubkey
+    );
+
+    /**
+     * @notice Emitted when an institution's signature threshold changes
+     * @param institutionId The institution ID
+     * @param threshold The number of distinct signatures required per attestation
+     */
+    event SignerThresholdUpdated(uint256 indexed institutionId, uint256 threshold);
+
+    /**
+     * @notice Emitted when ETH is added to an institution's bond
+     * @param institutionId The institution ID
+     * @param from The address posting the bond
+     * @param amount The amount added
+     */
+    event BondPosted(uint256 indexed institutionId, address indexed from, uint256 amount);
+
+    /**
+     * @notice Emitted when an institution withdraws part of its bond
+     * @param institutionId The institution ID
+     * @param amount The amount withdrawn
+     */
+    event BondWithdrawn(uint256 indexed institutionId, uint256 amount);
+
+    /**
+     * @notice Emitted when a token's attestation is challenged
+     * @param challengeId The challenge ID
+     * @param tokenId The challenged bio-NFT token ID
+     * @param institutionId The attesting institution ID
+     * @param challenger The address posting the counter-bond
+     */
+    event AttestationChallenged(
+        uint256 indexed challengeId,
+        uint256 indexed tokenId,
+        uint256 indexed institutionId,
+        address challenger
+    );
+
+    /**
+     * @notice Emitted when a challenge is resolved
+     * @param challengeId The challenge ID
+     * @param upheld Whether the attestation was found fraudulent
+     * @param slashedAmount The bond amount slashed to the challenger
+     */
+    event ChallengeResolved(uint256 indexed challengeId, bool upheld, uint256 slashedAmount);
+
     /**
      * @notice Register a new institution
      * @param pubkey The institution's public key address
      * @param name The institution name
      * @param metadata Additional metadata (IPFS CID or JSON)
      * @return institutionId The assigned institution ID
+     * @dev Any ETH sent is posted as the institution's bond
      */
     function registerInstitution(
         address pubkey,
         string memory name,
         string memory metadata
-    ) external returns (uint256 institutionId);
+    ) external payable returns (uint256 institutionId);
 
     /**
      * @notice Deactivate an institution
@@ -86,7 +176,112 @@ interface IInstitutionRegistry {
     function getTotalInstitutions() external view returns (uint256);
 
     /**
-     * @notice Increment attestation count for an institution
+     * @notice Add an attestation signer key to an institution
+     * @param institutionId The institution ID
+     * @param signer The signer key address
+     */
+    function addSigner(uint256 institutionId, address signer) external;
+
+    /**
+     * @notice Remove an attestation signer key from an institution
+     * @param institutionId The institution ID
+     * @param signer The signer key address
+     * @dev Removing the pubkey moves it to a remaining signer
+     */
+    function removeSigner(uint256 institutionId, address signer) external;
+
+    /**
+     * @notice Replace an attestation signer key, keeping the threshold unchanged
+     * @param institutionId The institution ID
+     * @param oldSigner The signer key to remove
+     * @param newSigner The signer key to add
+     * @dev Rotating out the pubkey moves it to the new signer
+     */
+    function rotateSigner(uint256 institutionId, address oldSigner, address newSigner) external;
+
+    /**
+     * @notice Set how many distinct signers must sign each attestation
+     * @param institutionId The institution ID
+     * @param threshold The required number of signatures (M of N)
+     */
+    function setSignerThreshold(uint256 institutionId, uint256 threshold) external;
+
+    /**
+     * @notice Get the attestation signer keys for an institution
+     * @param institutionId The institution ID
+     * @return An array of signer addresses
+     */
+    function getSigners(uint256 institutionId) external view returns (address[] memory);
+
+    /**
+     * @notice Get the signature threshold for an institution
+     * @param institutionId The institution ID
+     * @return The required number of distinct signatures
+     */
+    function getSignerThreshold(uint256 institutionId) external view returns (uint256);
+
+    /**
+     * @notice Check if an address is an attestation signer for an institution
+     * @param institutionId The institution ID
+     * @param signer The address to check
+     * @return Whether the address is a registered signer
+     */
+    function isSigner(uint256 institutionId, address signer) external view returns (bool);
+
+    /**
+     * @notice Add ETH to an institution's bond
+     * @param institutionId The institution ID
+     */
+    function postBond(uint256 institutionId) external payable;
+
+    /**
+     * @notice Withdraw part of an institution's bond (institution pubkey only)
+     * @param institutionId The institution ID
+     * @param amount The amount to withdraw
+     */
+    function withdrawBond(uint256 institutionId, uint256 amount) external;
+
+    /**
+     * @notice Check if an institution's bond meets the minimum required to attest
+     * @param institutionId The institution ID
+     * @return Whether the bond is sufficient
+     */
+    function hasSufficientBond(uint256 institutionId) external view returns (bool);
+
+    /**
+     * @notice Dispute a token's attestation by posting a counter-bond
+     * @param tokenId The bio-NFT token ID
+     * @param evidenceURI URI of the evidence supporting the challenge
+     * @return challengeId The new challenge ID
+     */
+    function challengeAttestation(
+        uint256 tokenId,
+        string memory evidenceURI
+    ) external payable returns (uint256 challengeId);
+
+    /**
+     * @notice Resolve a pending challenge
+     * @param challengeId The challenge ID
+     * @param upheld Whether the attestation was fraudulent
+     * @param slashAmount Bond amount to slash to the challenger if upheld
+     * @param affectedTokenIds Other tokens from the same institution to flag if upheld
+     */
+    function resolveChallenge(
+        uint256 challengeId,
+        bool upheld,
+        uint256 slashAmount,
+        uint256[] memory affectedTokenIds
+    ) external;
+
+    /**
+     * @notice Get challenge details
+     * @param challengeId The challenge ID
+     * @return challenge The challenge struct
+     */
+    function getChallenge(uint256 challengeId) external view returns (Challenge memory);
+
+    /**
+     * @notice Increment attestation count for an institution (mint gateway only)
      * @param institutionId The institution ID
      */
     function incrementAttestationCount(uint256 institutionId) external;
@@ -9,7 +9,8 @@ interface ILicenseManager {
     enum LicenseType {
         Timed,      // Time-based license
         Usage,      // Usage-based license
-        Perpetual   // Perpetual license
+        Perpetual,  // Perpetual license
+        Subscription // Renewable per-period license
     }
 
     struct License {
@@ -22,6 +23,50 @@ interface ILicenseManager {
         uint256 usageCount;
         uint256 price;
         bool isActive;
+        uint256 parentLicenseId;    // 0 for licenses issued by the token owner
+        bool transferable;
+        bool sublicensable;
+        bool paid;                  // False until the licensee pays for a license issued by the token owner
+        uint256 purposes;           // Bitmask of BioNFT purpose codes the data may be used for
+    }
+
+    struct Subscription {
+        uint256 period;             // Length of each paid period in seconds
+        uint256 pricePerPeriod;     // Price of the next renewal
+        bool cancelled;
+    }
+
+    struct LicenseOffer {
+        uint256 offerId;
+        uint256 tokenId;
+        address seller;
+        LicenseType licenseType;
+        uint256 duration;
+        uint256 usageLimit;
+        uint256 price;
+        bool transferable;
+        bool sublicensable;
+        uint256 purposes;
+        uint256 expiresAt;
+        bool isActive;
+    }
+
+    enum CounterOfferStatus {
+        Pending,
+        Accepted,
+        Rejected,
+        Cancelled
+    }
+
+    struct CounterOffer {
+        uint256 counterOfferId;
+        uint256 offerId;
+        address buyer;
+        uint256 duration;
+        uint256 usageLimit;
+        uint256 price;              // Escrowed until accepted, rejected or cancelled
+        uint256 expiresAt;
+        CounterOfferStatus status;
     }
 
     /**
@@ -51,14 +96,118 @@ interface ILicenseManager {
      */
     event LicenseUsed(uint256 indexed licenseId, uint256 usageCount);
 
+    /**
+     * @notice Emitted when a licensee pays for a license issued to them
+     * @param licenseId The license ID
+     * @param payer The licensee
+     * @param amount The price escrowed, excluding any refunded excess
+     */
+    event LicensePaid(uint256 indexed licenseId, address indexed payer, uint256 amount);
+
+    /**
+     * @notice Emitted when a license is transferred to a new licensee
+     * @param licenseId The license ID
+     * @param from The previous licensee
+     * @param to The new licensee
+     */
+    event LicenseTransferred(uint256 indexed licenseId, address indexed from, address indexed to);
+
+    /**
+     * @notice Emitted when a licensee issues a sublicense
+     * @param parentLicenseId The license the sublicense is derived from
+     * @param licenseId The new sublicense ID
+     * @param licensee The address receiving the sublicense
+     */
+    event SublicenseIssued(uint256 indexed parentLicenseId, uint256 indexed licenseId, address indexed licensee);
+
+    /**
+     * @notice Emitted when a subscription is renewed
+     * @param licenseId The license ID
+     * @param periods The number of periods paid for
+     * @param expiresAt The new expiry
+     * @param amount The amount paid
+     */
+    event SubscriptionRenewed(uint256 indexed licenseId, uint256 periods, uint256 expiresAt, uint256 amount);
+
+    /**
+     * @notice Emitted when the token owner changes the price of future subscription periods
+     * @param licenseId The license ID
+     * @param pricePerPeriod The new price per period
+     */
+    event SubscriptionPriceUpdated(uint256 indexed licenseId, uint256 pricePerPeriod);
+
+    /**
+     * @notice Emitted when a licensee cancels a subscription
+     * @param licenseId The license ID
+     * @param expiresAt When the last paid period ends
+     */
+    event SubscriptionCancelled(uint256 indexed licenseId, uint256 expiresAt);
+
+    /**
+     * @notice Emitted when a token owner publishes a license offer
+     * @param offerId The offer ID
+     * @param tokenId The bio-NFT token ID
+     * @param seller The token owner publishing the offer
+     * @param price The price per license
+     * @param expiresAt When the offer stops accepting purchases
+     */
+    event LicenseOfferCreated(
+        uint256 indexed offerId,
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 price,
+        uint256 expiresAt
+    );
+
+    /**
+     * @notice Emitted when a license offer is cancelled
+     * @param offerId The offer ID
+     */
+    event LicenseOfferCancelled(uint256 indexed offerId);
+
+    /**
+     * @notice Emitted when a license is bought from an offer
+     * @param offerId The offer ID
+     * @param licenseId The new license ID
+     * @param buyer The buyer and licensee
+     * @param price The price paid
+     */
+    event LicensePurchased(uint256 indexed offerId, uint256 indexed licenseId, address indexed buyer, uint256 price);
+
+    /**
+     * @notice Emitted when a buyer makes a counter-offer
+     * @param counterOfferId The counter-offer ID
+     * @param offerId The offer being countered
+     * @param buyer The buyer making the counter-offer
+     * @param price The escrowed price
+     */
+    event CounterOfferMade(
+        uint256 indexed counterOfferId,
+        uint256 indexed offerId,
+        address indexed buyer,
+        uint256 price
+    );
+
+    /**
+     * @notice Emitted when a counter-offer is accepted, rejected or cancelled
+     * @param counterOfferId The counter-offer ID
+     * @param status The new status
+     * @param licenseId The license issued on acceptance, otherwise 0
+     */
+    event CounterOfferResolved(uint256 indexed counterOfferId, CounterOfferStatus status, uint256 licenseId);
+
     /**
      * @notice Issue a new license for a bio-NFT
+     * @dev A priced license is not valid until the licensee pays for it with payLicense
      * @param tokenId The bio-NFT token ID
      * @param licensee The address to receive the license
      * @param licenseType The type of license
-     * @param duration Duration in seconds (for timed licenses)
+     * @param duration Duration in seconds (for timed licenses), or period length (for subscriptions)
      * @param usageLimit Maximum usage count (for usage-based licenses)
-     * @param price The license price
+     * @param price The license price, or the price per period (for subscriptions)
+     * @param transferable Whether the licensee may transfer the license
+     * @param sublicensable Whether the licensee may issue sublicenses
+     * @param purposes Bitmask of purpose codes the data may be used for, within the token's consent scope
      * @return licenseId The new license ID
      */
     function issueLicense(
@@ -67,11 +216,147 @@ interface ILicenseManager {
         LicenseType licenseType,
         uint256 duration,
         uint256 usageLimit,
-        uint256 price
-    ) external payable returns (uint256 licenseId);
+        uint256 price,
+        bool transferable,
+        bool sublicensable,
+        uint256 purposes
+    ) external returns (uint256 licenseId);
+
+    /**
+     * @notice Pay for a license issued to the caller
+     * @dev The price is escrowed and released to the revenue splitter as the license is used up.
+     *      Any excess is refunded to the caller.
+     * @param licenseId The license ID
+     */
+    function payLicense(uint256 licenseId) external payable;
+
+    /**
+     * @notice Issue a sublicense derived from a sublicensable license
+     * @dev The sublicense can never outlast the parent's remaining term or usage, and has the parent's purposes
+     * @param parentLicenseId The license to derive from
+     * @param licensee The address to receive the sublicense
+     * @param licenseType The type of sublicense
+     * @param duration Duration in seconds (for timed licenses)
+     * @param usageLimit Maximum usage count (for usage-based licenses)
+     * @param transferable Whether the sublicensee may transfer the sublicense
+     * @param sublicensable Whether the sublicensee may issue further sublicenses
+     * @return licenseId The new sublicense ID
+     */
+    function issueSublicense(
+        uint256 parentLicenseId,
+        address licensee,
+        LicenseType licenseType,
+        uint256 duration,
+        uint256 usageLimit,
+        bool transferable,
+        bool sublicensable
+    ) external returns (uint256 licenseId);
+
+    /**
+     * @notice Transfer a transferable license to a new licensee
+     * @param licenseId The license ID
+     * @param to The new licensee
+     */
+    function transferLicense(uint256 licenseId, address to) external;
+
+    /**
+     * @notice Pay for more subscription periods, extending the license's expiry
+     * @dev Anyone may pay, so renewals can be automated by a keeper
+     * @param licenseId The license ID
+     * @param periods The number of periods to pay for
+     */
+    function renewSubscription(uint256 licenseId, uint256 periods) external payable;
+
+    /**
+     * @notice Change the price of future subscription periods (token owner only)
+     * @param licenseId The license ID
+     * @param pricePerPeriod The new price per period
+     */
+    function setSubscriptionPrice(uint256 licenseId, uint256 pricePerPeriod) external;
+
+    /**
+     * @notice Cancel a subscription; it stays valid until the paid periods run out
+     * @param licenseId The license ID
+     */
+    function cancelSubscription(uint256 licenseId) external;
+
+    /**
+     * @notice Publish a standing offer that anyone allowed can buy licenses from
+     * @param tokenId The bio-NFT token ID
+     * @param licenseType The type of license sold
+     * @param duration Duration in seconds (for timed licenses)
+     * @param usageLimit Maximum usage count (for usage-based licenses)
+     * @param price The price per license
+     * @param transferable Whether licenses sold may be transferred
+     * @param sublicensable Whether licenses sold may be sublicensed
+     * @param purposes Bitmask of purpose codes licenses sold may be used for
+     * @param expiresAt When the offer stops accepting purchases and counter-offers
+     * @param allowedInstitutionIds Institutions whose pubkey or signers may buy (empty for anyone)
+     * @return offerId The new offer ID
+     */
+    function createOffer(
+        uint256 tokenId,
+        LicenseType licenseType,
+        uint256 duration,
+        uint256 usageLimit,
+        uint256 price,
+        bool transferable,
+        bool sublicensable,
+        uint256 purposes,
+        uint256 expiresAt,
+        uint256[] calldata allowedInstitutionIds
+    ) external returns (uint256 offerId);
+
+    /**
+     * @notice Cancel a license offer
+     * @param offerId The offer ID
+     */
+    function cancelOffer(uint256 offerId) external;
+
+    /**
+     * @notice Buy a license from an offer at its listed price
+     * @param offerId The offer ID
+     * @return licenseId The new license ID
+     */
+    function purchaseLicense(uint256 offerId) external payable returns (uint256 licenseId);
+
+    /**
+     * @notice Propose different terms for an offer, escrowing the proposed price
+     * @param offerId The offer ID
+     * @param duration Proposed duration in seconds (for timed licenses)
+     * @param usageLimit Proposed usage count (for usage-based licenses)
+     * @param expiresAt When the counter-offer can no longer be accepted
+     * @return counterOfferId The new counter-offer ID
+     */
+    function makeCounterOffer(
+        uint256 offerId,
+        uint256 duration,
+        uint256 usageLimit,
+        uint256 expiresAt
+    ) external payable returns (uint256 counterOfferId);
+
+    /**
+     * @notice Accept a counter-offer, issuing the license and paying out the escrow
+     * @param counterOfferId The counter-offer ID
+     * @return licenseId The new license ID
+     */
+    function acceptCounterOffer(uint256 counterOfferId) external returns (uint256 licenseId);
+
+    /**
+     * @notice Reject a counter-offer, refunding the buyer
+     * @param counterOfferId The counter-offer ID
+     */
+    function rejectCounterOffer(uint256 counterOfferId) external;
+
+    /**
+     * @notice Withdraw a counter-offer, refunding the buyer
+     * @param counterOfferId The counter-offer ID
+     */
+    function cancelCounterOffer(uint256 counterOfferId) external;
 
     /**
      * @notice Revoke an existing license
+     * @dev The unreleased part of the license's escrowed payment is refunded to the licensee
      * @param licenseId The license ID to revoke
      */
     function revokeLicense(uint256 licenseId) external;
@@ -82,6 +367,14 @@ interface ILicenseManager {
      */
     function recordUsage(uint256 licenseId) external;
 
+    /**
+     * @notice Record metered usage from a verified compute receipt (usage meter only)
+     * @dev Usage licenses are drawn down by `units` instead of 1
+     * @param licenseId The license ID
+     * @param units The units consumed
+     */
+    function recordMeteredUsage(uint256 licenseId, uint256 units) external;
+
     /**
      * @notice Check if a license is valid
      * @param licenseId The license ID
@@ -102,5 +395,33 @@ interface ILicenseManager {
      * @return An array of license IDs
      */
     function getLicensesForToken(uint256 tokenId) external view returns (uint256[] memory);
+
+    /**
+     * @notice Get the sublicenses issued directly under a license
+     * @param licenseId The license ID
+     * @return An array of sublicense IDs
+     */
+    function getSublicenses(uint256 licenseId) external view returns (uint256[] memory);
+
+    /**
+     * @notice Get subscription details
+     * @param licenseId The license ID
+     * @return The subscription struct
+     */
+    function getSubscription(uint256 licenseId) external view returns (Subscription memory);
+
+    /**
+     * @notice Get license offer details
+     * @param offerId The offer ID
+     * @return The offer struct
+     */
+    function getOffer(uint256 offerId) external view returns (LicenseOffer memory);
+
+    /**
+     * @notice Get counter-offer details
+     * @param counterOfferId The counter-offer ID
+     * @return The counter-offer struct
+     */
+    function getCounterOffer(uint256 counterOfferId) external view returns (CounterOffer memory);
 }
 
@@ -27,8 +27,32 @@ interface IMetadataVault {
      */
     event AccessRevoked(uint256 indexed tokenId, address indexed accessor);
 
+    /**
+     * @notice Emitted when a token's key epoch advances, leaving its published key to be rotated
+     * @param tokenId The bio-NFT token ID
+     * @param epoch The new epoch
+     */
+    event EpochAdvanced(uint256 indexed tokenId, uint256 epoch);
+
+    /**
+     * @notice Emitted when re-encrypted metadata and a new encryption key are published
+     * @param tokenId The bio-NFT token ID
+     * @param epoch The epoch the new key belongs to
+     * @param metadataCID The IPFS CID of the re-encrypted metadata
+     */
+    event KeyRotated(uint256 indexed tokenId, uint256 epoch, string metadataCID);
+
+    /**
+     * @notice Emitted when an accessor's access key is replaced with one for the current key
+     * @param tokenId The bio-NFT token ID
+     * @param accessor The accessor address
+     * @param epoch The epoch the access key belongs to
+     */
+    event AccessKeyUpdated(uint256 indexed tokenId, address indexed accessor, uint256 epoch);
+
     /**
      * @notice Store encrypted metadata for a bio-NFT
+     * @dev Only once per token; later changes go through rotateKey
      * @param tokenId The bio-NFT token ID
      * @param metadataCID The IPFS CID of encrypted metadata
      * @param encryptionKey The encryption key (encrypted for owner)
@@ -58,6 +82,22 @@ interface IMetadataVault {
      */
     function revokeAccess(uint256 tokenId, address accessor) external;
 
+    /**
+     * @notice Publish re-encrypted metadata under a new key and re-grant access keys for it in one batch
+     * @param tokenId The bio-NFT token ID
+     * @param metadataCID The IPFS CID of the re-encrypted metadata
+     * @param encryptionKey The new encryption key (encrypted for owner)
+     * @param accessors Authorized accessors to receive new access keys
+     * @param accessKeys The new access keys (each encrypted for its accessor)
+     */
+    function rotateKey(
+        uint256 tokenId,
+        string memory metadataCID,
+        bytes memory encryptionKey,
+        address[] memory accessors,
+        bytes[] memory accessKeys
+    ) external;
+
     /**
      * @notice Get metadata CID for a token
      * @param tokenId The bio-NFT token ID
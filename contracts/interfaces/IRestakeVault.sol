@@ -6,34 +6,122 @@ pragma solidity ^0.8.20;
  * @notice Interface for restaking bio-NFTs into research pools
  */
 interface IRestakeVault {
+    struct Pool {
+        uint256 poolId;
+        string name;
+        address sponsor;
+        uint256 sponsorInstitutionId;
+        address rewardToken;
+        uint256 rewardRate;
+        uint256 rewardsDuration;
+        uint256 periodFinish;
+        uint256 lastUpdateTime;
+        uint256 rewardPerTokenStored;
+        uint256 totalStaked;
+        uint256 totalWeight;
+        uint256 rewardsBalance;
+        uint256 undistributedRewards;
+        bool earlyExitAllowed;
+        uint256 earlyExitPenaltyBps;
+        uint256 createdAt;
+    }
+
+    struct StakeInfo {
+        address staker;
+        uint256 poolId;
+        uint256 stakedAt;
+        bool custodial;
+        uint256 lockTerm;
+        uint256 unlockTime;
+        uint256 multiplierBps;
+    }
+
+    /**
+     * @notice Emitted when a research pool is created
+     * @param poolId The pool ID
+     * @param name The pool name
+     * @param sponsor The address sponsoring the pool
+     * @param sponsorInstitutionId The sponsoring institution ID (0 if created by the owner)
+     */
+    event PoolCreated(
+        uint256 indexed poolId,
+        string name,
+        address indexed sponsor,
+        uint256 sponsorInstitutionId
+    );
+
     /**
      * @notice Emitted when a bio-NFT is staked
+     * @param poolId The pool the token was staked into
      * @param tokenId The staked token ID
      * @param staker The address of the staker
+     * @param custodial Whether the vault holds the token (false when staked in place)
      * @param timestamp The stake timestamp
      */
-    event Staked(uint256 indexed tokenId, address indexed staker, uint256 timestamp);
+    event Staked(
+        uint256 indexed poolId,
+        uint256 indexed tokenId,
+        address indexed staker,
+        bool custodial,
+        uint256 timestamp
+    );
 
     /**
      * @notice Emitted when a bio-NFT is unstaked
+     * @param poolId The pool the token was staked in
      * @param tokenId The unstaked token ID
      * @param staker The address of the staker
      * @param timestamp The unstake timestamp
      */
-    event Unstaked(uint256 indexed tokenId, address indexed staker, uint256 timestamp);
+    event Unstaked(
+        uint256 indexed poolId,
+        uint256 indexed tokenId,
+        address indexed staker,
+        uint256 timestamp
+    );
 
     /**
      * @notice Emitted when rewards are claimed
+     * @param poolId The pool the rewards were earned in
      * @param staker The address claiming rewards
      * @param amount The reward amount
      */
-    event RewardsClaimed(address indexed staker, uint256 amount);
+    event RewardsClaimed(uint256 indexed poolId, address indexed staker, uint256 amount);
+
+    /**
+     * @notice Create a research pool
+     * @dev Callable by the owner, or by an active institution sponsoring the pool
+     * @param name The pool name
+     * @param rewardToken The allow-listed ERC-20 rewards are paid in, or address(0) for ETH
+     * @param rewardsDuration Length of the period each reward deposit is distributed over
+     * @param eligibleInstitutionIds Institutions whose tokens may stake (empty for any)
+     * @param sponsorInstitutionId The sponsoring institution ID (0 when created by the owner)
+     * @return poolId The new pool ID
+     */
+    function createPool(
+        string memory name,
+        address rewardToken,
+        uint256 rewardsDuration,
+        uint256[] memory eligibleInstitutionIds,
+        uint256 sponsorInstitutionId
+    ) external payable returns (uint256);
+
+    /**
+     * @notice Stake a bio-NFT into a research pool
+     * @param poolId The pool ID
+     * @param tokenId The token ID to stake
+     * @param lockTerm The commitment term in seconds (0 for no lock-up)
+     */
+    function stake(uint256 poolId, uint256 tokenId, uint256 lockTerm) external;
 
     /**
-     * @notice Stake a bio-NFT into the vault
+     * @notice Stake a bio-NFT into a research pool without transferring it
+     * @dev The token stays in the caller's wallet and is locked against transfers until unstaked
+     * @param poolId The pool ID
      * @param tokenId The token ID to stake
+     * @param lockTerm The commitment term in seconds (0 for no lock-up)
      */
-    function stake(uint256 tokenId) external;
+    function stakeInPlace(uint256 poolId, uint256 tokenId, uint256 lockTerm) external;
 
     /**
      * @notice Unstake a bio-NFT from the vault
@@ -42,24 +130,25 @@ interface IRestakeVault {
     function unstake(uint256 tokenId) external;
 
     /**
-     * @notice Claim accumulated rewards
+     * @notice Claim accumulated rewards from a pool
+     * @param poolId The pool ID
      */
-    function claimRewards() external;
+    function claimRewards(uint256 poolId) external;
 
     /**
      * @notice Get the staking information for a token
      * @param tokenId The token ID
-     * @return staker The address of the staker
-     * @return stakedAt The timestamp when staked
+     * @return The stake, including its lock-up term, unlock time and reward multiplier
      */
-    function getStakeInfo(uint256 tokenId) external view returns (address staker, uint256 stakedAt);
+    function getStakeInfo(uint256 tokenId) external view returns (StakeInfo memory);
 
     /**
-     * @notice Calculate pending rewards for a staker
+     * @notice Calculate pending rewards for a staker in a pool
+     * @param poolId The pool ID
      * @param staker The staker address
      * @return The pending reward amount
      */
-    function pendingRewards(address staker) external view returns (uint256);
+    function pendingRewards(uint256 poolId, address staker) external view returns (uint256);
 
     /**
      * @notice Check if a token is currently staked
@@ -67,5 +156,19 @@ interface IRestakeVault {
      * @return Whether the token is staked
      */
     function isStaked(uint256 tokenId) external view returns (bool);
+
+    /**
+     * @notice Get a research pool
+     * @param poolId The pool ID
+     * @return The pool data
+     */
+    function getPool(uint256 poolId) external view returns (Pool memory);
+
+    /**
+     * @notice Get the addresses with tokens staked in a pool
+     * @param poolId The pool ID
+     * @return Array of staker addresses
+     */
+    function getPoolStakers(uint256 poolId) external view returns (address[] memory);
 }
 
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRoyaltyCollector
+ * @notice Interface for collecting secondary-sale royalties per bio-NFT
+ * @dev Marketplaces pay ERC-2981 royalties with a bare transfer that carries no token ID. Each token therefore
+ *      gets its own receiver address, so a payment's token is known from where it was sent.
+ */
+interface IRoyaltyCollector {
+    /**
+     * @notice Emitted when a token's royalty receiver is deployed
+     * @param tokenId The bio-NFT token ID
+     * @param receiver The receiver contract
+     */
+    event RoyaltyReceiverDeployed(uint256 indexed tokenId, address receiver);
+
+    /**
+     * @notice Get the address a token's secondary-sale royalties are paid to
+     * @dev The address is deterministic and can receive payments before its contract is deployed
+     * @param tokenId The bio-NFT token ID
+     * @return The token's royalty receiver
+     */
+    function royaltyReceiverOf(uint256 tokenId) external view returns (address);
+
+    /**
+     * @notice Distribute the royalties a token's receiver holds, deploying the receiver if needed
+     * @param tokenId The bio-NFT token ID
+     * @param paymentToken The ERC-20 token to collect, or address(0) for ETH
+     * @return The amount distributed
+     */
+    function collectRoyalties(uint256 tokenId, address paymentToken) external returns (uint256);
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockWallet
+ * @notice Smart-contract wallet for tests that, like a Safe multisig, needs more than the 2300 gas stipend to
+ *         receive ETH
+ */
+contract MockWallet {
+    uint256 public totalReceived;
+
+    receive() external payable {
+        totalReceived += msg.value;
+    }
+
+    /**
+     * @notice Call another contract from the wallet, forwarding any ETH sent
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        require(success, "Call failed");
+        return result;
+    }
+}
@@ -1,6 +1,34 @@
 const hre = require("hardhat");
 const fs = require("fs");
 
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+/**
+ * Compute TVL and APR for a research pool
+ * Bio-NFTs have no market price, so TVL is valued at a notional price per staked token
+ * @param {Object} pool - Pool struct returned by RestakeVault.getPool
+ * @param {BigInt} tokenValue - Notional value of one staked bio-NFT in wei
+ * @param {number} now - Current block timestamp in seconds
+ * @returns {Object} Pool TVL in wei and APR as a percentage (null for ERC-20 reward pools)
+ */
+function getPoolMetrics(pool, tokenValue, now) {
+  const tvl = pool.totalStaked * tokenValue;
+  const emitting = BigInt(now) < pool.periodFinish;
+
+  // ERC-20 rewards cannot be compared to an ETH valuation without a price feed
+  if (pool.rewardToken !== hre.ethers.ZeroAddress) {
+    return { tvl, apr: null };
+  }
+
+  let apr = 0;
+  if (emitting && tvl > 0n) {
+    // Basis points keep two decimals of precision through integer math
+    apr = Number((pool.rewardRate * SECONDS_PER_YEAR * 10000n) / tvl) / 100;
+  }
+
+  return { tvl, apr };
+}
+
 /**
  * Analytics script for AstralSeed protocol
  * Generates statistics and insights from on-chain data
@@ -25,13 +53,13 @@ async function main() {
   // Fetch statistics
   const totalNFTs = await bioNFT.totalSupply();
   const totalInstitutions = await institutionRegistry.getTotalInstitutions();
-  const rewardsPool = await restakeVault.getRewardsPool();
+  const totalPools = await restakeVault.getTotalPools();
 
   console.log("\nProtocol Statistics:");
   console.log("-".repeat(60));
   console.log(`Total Bio-NFTs Minted: ${totalNFTs}`);
   console.log(`Total Institutions: ${totalInstitutions}`);
-  console.log(`Rewards Pool Balance: ${hre.ethers.formatEther(rewardsPool)} ETH`);
+  console.log(`Total Research Pools: ${totalPools}`);
 
   // Get institution details
   console.log("\nInstitutions:");
@@ -44,6 +72,39 @@ async function main() {
     console.log(`    Attestations: ${institution.attestationCount}`);
   }
 
+  // Get research pool details
+  const tokenValue = hre.ethers.parseEther(process.env.BIONFT_VALUATION_ETH || "1");
+  const { timestamp: now } = await hre.ethers.provider.getBlock("latest");
+  const pools = [];
+
+  console.log("\nResearch Pools:");
+  console.log("-".repeat(60));
+  for (let i = 1; i <= Number(totalPools); i++) {
+    const pool = await restakeVault.getPool(i);
+    const stakers = await restakeVault.getPoolStakers(i);
+    const { tvl, apr } = getPoolMetrics(pool, tokenValue, now);
+
+    console.log(`\n[${i}] ${pool.name}`);
+    console.log(`    Sponsor: ${pool.sponsor}`);
+    console.log(`    Staked Tokens: ${pool.totalStaked} (${stakers.length} stakers)`);
+    console.log(`    TVL: ${hre.ethers.formatEther(tvl)} ETH`);
+    console.log(`    Reward Token: ${pool.rewardToken}`);
+    console.log(`    APR: ${apr === null ? "n/a (ERC-20 rewards)" : `${apr.toFixed(2)}%`}`);
+    console.log(`    Rewards Balance: ${pool.rewardsBalance}`);
+
+    pools.push({
+      poolId: i,
+      name: pool.name,
+      sponsor: pool.sponsor,
+      totalStaked: pool.totalStaked.toString(),
+      stakers: stakers.length,
+      tvl: hre.ethers.formatEther(tvl),
+      apr,
+      rewardToken: pool.rewardToken,
+      rewardsBalance: pool.rewardsBalance.toString(),
+    });
+  }
+
   // Export data
   const analytics = {
     timestamp: new Date().toISOString(),
@@ -51,8 +112,9 @@ async function main() {
     statistics: {
       totalNFTs: totalNFTs.toString(),
       totalInstitutions: totalInstitutions.toString(),
-      rewardsPool: hre.ethers.formatEther(rewardsPool),
+      totalPools: totalPools.toString(),
     },
+    pools,
   };
 
   fs.writeFileSync("analytics.json", JSON.stringify(analytics, null, 2));
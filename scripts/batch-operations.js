@@ -1,26 +1,202 @@
 const hre = require("hardhat");
 const fs = require("fs");
+const path = require("path");
+const { parseEvents } = require("./utils");
 
 /**
  * Batch operations for AstralSeed protocol
  * Efficiently process multiple operations in batches
  */
 
-async function batchMint(bioHashes, metadataURIs) {
-  console.log(`Batch minting ${bioHashes.length} tokens...`);
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync("deployment.json", "utf8"));
-  const mintGateway = await hre.ethers.getContractAt(
-    "MintGateway",
-    deploymentInfo.contracts.MintGateway
-  );
+const MANIFEST_FIELDS = ["bioHash", "institutionId", "metadataURI", "nonce", "deadline", "signature"];
 
-  for (let i = 0; i < bioHashes.length; i++) {
-    console.log(`  Minting token ${i + 1}/${bioHashes.length}...`);
-    // Implementation would go here
+/**
+ * Read a mint manifest from a CSV (with header row) or JSON array file
+ * @param {string} manifestPath - Path to the manifest file
+ * @returns {Array<Object>} Manifest items
+ */
+function readManifest(manifestPath) {
+  const contents = fs.readFileSync(manifestPath, "utf8");
+
+  let items;
+  if (path.extname(manifestPath).toLowerCase() === ".json") {
+    items = JSON.parse(contents);
+  } else {
+    const lines = contents.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    const header = lines[0].split(",").map((column) => column.trim());
+    items = lines.slice(1).map((line) => {
+      const values = line.split(",").map((value) => value.trim());
+      return Object.fromEntries(header.map((column, i) => [column, values[i]]));
+    });
   }
-  
-  console.log("Batch minting complete!");
+
+  for (const [index, item] of items.entries()) {
+    for (const field of MANIFEST_FIELDS) {
+      if (item[field] === undefined || item[field] === "") {
+        throw new Error(`Manifest item ${index} is missing "${field}"`);
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Build mintBioNFTBatch arguments for a chunk of manifest items
+ * @param {Array<Object>} chunk - Manifest items from one institution
+ * @returns {Array} Contract call arguments
+ */
+function buildBatchArgs(chunk) {
+  return [
+    chunk.map((item) => item.bioHash),
+    chunk[0].institutionId,
+    chunk.map((item) => item.metadataURI),
+    chunk.map((item) => item.nonce),
+    chunk.map((item) => item.deadline),
+    chunk.map((item) => item.signature),
+  ];
+}
+
+/**
+ * Take the largest prefix of items whose batch mint fits the gas budget. A chunk whose
+ * estimate fails is halved too, so an item that can never be submitted ends up alone.
+ * @param {Object} mintGateway - MintGateway contract instance
+ * @param {Array<Object>} items - Remaining manifest items from one institution
+ * @param {number} maxChunkSize - Upper bound on items per transaction
+ * @param {BigInt} maxGas - Gas budget per transaction
+ * @returns {Promise<Array<Object>>} The chunk to submit
+ */
+async function nextChunk(mintGateway, items, maxChunkSize, maxGas) {
+  let size = Math.min(maxChunkSize, items.length);
+
+  while (size > 1) {
+    const chunk = items.slice(0, size);
+    try {
+      const estimatedGas = await mintGateway.mintBioNFTBatch.estimateGas(...buildBatchArgs(chunk));
+      if (estimatedGas <= maxGas) {
+        return chunk;
+      }
+    } catch {
+      // Narrow down to the item that breaks the estimate
+    }
+    size = Math.floor(size / 2);
+  }
+
+  return items.slice(0, 1);
+}
+
+/**
+ * Build the per-item result record for a manifest item
+ * @param {Object} item - Manifest item
+ * @param {string} status - "minted" or "failed"
+ * @param {Object} details - txHash, tokenId or error
+ * @returns {Object} Result record
+ */
+function itemResult(item, status, details) {
+  return {
+    bioHash: item.bioHash,
+    institutionId: item.institutionId.toString(),
+    metadataURI: item.metadataURI,
+    status,
+    ...details,
+  };
+}
+
+/**
+ * Batch mint bio-NFTs from a manifest of institution attestations
+ * @param {string} manifestPath - CSV or JSON manifest with columns
+ *   bioHash, institutionId, metadataURI, nonce, deadline, signature
+ * @param {Object} options - Batch options
+ * @param {string} options.resultsPath - Where to write per-item results
+ * @param {number} options.maxChunkSize - Upper bound on items per transaction
+ * @param {BigInt} options.maxGas - Gas budget per transaction (default 80% of block gas limit)
+ * @param {Object} options.mintGateway - MintGateway instance (default from deployment.json)
+ * @param {Object} options.signer - Minter submitting the batch (default first signer)
+ * @returns {Promise<Array<Object>>} Per-item results
+ */
+async function batchMint(manifestPath, options = {}) {
+  const items = readManifest(manifestPath);
+  const resultsPath = options.resultsPath || "batch-mint-results.json";
+  const maxChunkSize = options.maxChunkSize || 50;
+
+  console.log(`Batch minting ${items.length} tokens...`);
+
+  let mintGateway = options.mintGateway;
+  if (!mintGateway) {
+    const deploymentInfo = JSON.parse(fs.readFileSync("deployment.json", "utf8"));
+    mintGateway = await hre.ethers.getContractAt(
+      "MintGateway",
+      deploymentInfo.contracts.MintGateway
+    );
+  }
+  const signer = options.signer || (await hre.ethers.getSigners())[0];
+  mintGateway = mintGateway.connect(signer);
+
+  let maxGas = options.maxGas;
+  if (!maxGas) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    maxGas = (block.gasLimit * 80n) / 100n;
+  }
+
+  // mintBioNFTBatch takes a single institution, so group items by institution
+  const byInstitution = new Map();
+  for (const item of items) {
+    const key = item.institutionId.toString();
+    if (!byInstitution.has(key)) {
+      byInstitution.set(key, []);
+    }
+    byInstitution.get(key).push(item);
+  }
+
+  const results = [];
+  for (const [institutionId, institutionItems] of byInstitution) {
+    let remaining = institutionItems;
+
+    while (remaining.length > 0) {
+      const chunk = await nextChunk(mintGateway, remaining, maxChunkSize, maxGas);
+      remaining = remaining.slice(chunk.length);
+
+      console.log(`  Minting ${chunk.length} token(s) for institution ${institutionId}...`);
+
+      try {
+        const tx = await mintGateway.mintBioNFTBatch(...buildBatchArgs(chunk));
+        const receipt = await tx.wait();
+
+        const minted = parseEvents(receipt, mintGateway, "MintRequested");
+        const failed = parseEvents(receipt, mintGateway, "BatchMintFailed");
+        const failures = new Map(failed.map((event) => [Number(event.index), event.reason]));
+
+        let mintedIndex = 0;
+        chunk.forEach((item, i) => {
+          const txHash = receipt.hash;
+          results.push(
+            failures.has(i)
+              ? itemResult(item, "failed", { txHash, error: failures.get(i) })
+              : itemResult(item, "minted", {
+                  txHash,
+                  tokenId: minted[mintedIndex++].tokenId.toString(),
+                })
+          );
+        });
+      } catch (error) {
+        console.error(`  Chunk failed: ${error.shortMessage || error.message}`);
+        for (const item of chunk) {
+          results.push(itemResult(item, "failed", { error: error.shortMessage || error.message }));
+        }
+      }
+
+      // Save after every chunk so a crash later on keeps the record of what was minted
+      fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+    }
+  }
+
+  fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+
+  const mintedCount = results.filter((result) => result.status === "minted").length;
+  console.log(`Batch minting complete! ${mintedCount}/${items.length} minted`);
+  console.log(`Results written to ${resultsPath}`);
+
+  return results;
 }
 
 async function batchStake(tokenIds) {
@@ -58,6 +234,7 @@ async function batchMetadataGrant(tokenId, accessors, keys) {
 }
 
 module.exports = {
+  readManifest,
   batchMint,
   batchStake,
   batchMetadataGrant,
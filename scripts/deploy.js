@@ -35,17 +35,40 @@ async function main() {
   // Set MintGateway in BioNFT
   console.log("Setting MintGateway in BioNFT...");
   await bioNFT.setMintGateway(mintGatewayAddress);
+  await institutionRegistry.grantRole(
+    await institutionRegistry.MINT_GATEWAY_ROLE(),
+    mintGatewayAddress
+  );
   console.log("MintGateway set successfully\n");
 
+  // Wire InstitutionRegistry and BioNFT for attestation challenges
+  console.log("Configuring institution bonds and challenges...");
+  await bioNFT.setInstitutionRegistry(institutionRegistryAddress);
+  await institutionRegistry.setBioNFT(bioNFTAddress);
+  await institutionRegistry.setMinimumBond(
+    hre.ethers.parseEther(process.env.MIN_INSTITUTION_BOND || "0")
+  );
+  await institutionRegistry.setChallengeBond(
+    hre.ethers.parseEther(process.env.CHALLENGE_BOND || "0")
+  );
+  console.log("Bonds and challenges configured\n");
+
   // Deploy RestakeVault
   console.log("Deploying RestakeVault...");
-  const rewardRate = hre.ethers.parseEther("0.0001"); // 0.0001 ETH per second
   const RestakeVault = await hre.ethers.getContractFactory("RestakeVault");
-  const restakeVault = await RestakeVault.deploy(bioNFTAddress, rewardRate);
+  const restakeVault = await RestakeVault.deploy(bioNFTAddress);
   await restakeVault.waitForDeployment();
   const restakeVaultAddress = await restakeVault.getAddress();
   console.log("RestakeVault deployed to:", restakeVaultAddress, "\n");
 
+  // Configure research pools and stake-in-place locking
+  console.log("Creating general research pool...");
+  await restakeVault.setInstitutionRegistry(institutionRegistryAddress);
+  await bioNFT.setRestakeVault(restakeVaultAddress);
+  const rewardsDuration = process.env.REWARDS_DURATION || 30 * 24 * 60 * 60; // 30 days
+  await restakeVault.createPool("General Research", hre.ethers.ZeroAddress, rewardsDuration, [], 0);
+  console.log("Research pool 1 created\n");
+
   // Deploy RevenueSplitter
   console.log("Deploying RevenueSplitter...");
   const protocolFeeRecipient = deployer.address; // Using deployer as protocol recipient
@@ -59,13 +82,48 @@ async function main() {
   const revenueSplitterAddress = await revenueSplitter.getAddress();
   console.log("RevenueSplitter deployed to:", revenueSplitterAddress, "\n");
 
+  // Credit royalties for staked tokens to their stakers rather than the vault
+  await revenueSplitter.setCustodian(restakeVaultAddress, true);
+
+  // Route secondary-sale royalties through per-token receivers at the splitter
+  const royaltyBps = await revenueSplitter.DEFAULT_ROYALTY_BPS();
+  await bioNFT.setRevenueSplitter(revenueSplitterAddress, royaltyBps);
+
   // Deploy LicenseManager
   console.log("Deploying LicenseManager...");
   const LicenseManager = await hre.ethers.getContractFactory("LicenseManager");
   const licenseManager = await LicenseManager.deploy(bioNFTAddress, revenueSplitterAddress);
   await licenseManager.waitForDeployment();
   const licenseManagerAddress = await licenseManager.getAddress();
-  console.log("LicenseManager deployed to:", licenseManagerAddress, "\n");
+  const licenseEscrowAddress = await licenseManager.licenseEscrow();
+  console.log("LicenseManager deployed to:", licenseManagerAddress);
+  console.log("LicenseEscrow deployed to:", licenseEscrowAddress, "\n");
+
+  // Configure institution allow-lists for license offers
+  await licenseManager.setInstitutionRegistry(institutionRegistryAddress);
+
+  // Deploy UsageMeter
+  console.log("Deploying UsageMeter...");
+  const UsageMeter = await hre.ethers.getContractFactory("UsageMeter");
+  const usageMeter = await UsageMeter.deploy(
+    bioNFTAddress,
+    licenseManagerAddress,
+    institutionRegistryAddress
+  );
+  await usageMeter.waitForDeployment();
+  const usageMeterAddress = await usageMeter.getAddress();
+  console.log("UsageMeter deployed to:", usageMeterAddress, "\n");
+
+  // Meter usage licenses from signed compute receipts
+  await licenseManager.setUsageMeter(usageMeterAddress);
+
+  // Deploy SubscriptionRenewer
+  console.log("Deploying SubscriptionRenewer...");
+  const SubscriptionRenewer = await hre.ethers.getContractFactory("SubscriptionRenewer");
+  const subscriptionRenewer = await SubscriptionRenewer.deploy(licenseManagerAddress);
+  await subscriptionRenewer.waitForDeployment();
+  const subscriptionRenewerAddress = await subscriptionRenewer.getAddress();
+  console.log("SubscriptionRenewer deployed to:", subscriptionRenewerAddress, "\n");
 
   // Deploy MetadataVault
   console.log("Deploying MetadataVault...");
@@ -85,6 +143,9 @@ async function main() {
   console.log("RestakeVault:       ", restakeVaultAddress);
   console.log("RevenueSplitter:    ", revenueSplitterAddress);
   console.log("LicenseManager:     ", licenseManagerAddress);
+  console.log("LicenseEscrow:      ", licenseEscrowAddress);
+  console.log("UsageMeter:         ", usageMeterAddress);
+  console.log("SubscriptionRenewer:", subscriptionRenewerAddress);
   console.log("MetadataVault:      ", metadataVaultAddress);
   console.log("=".repeat(60));
 
@@ -101,6 +162,9 @@ async function main() {
       RestakeVault: restakeVaultAddress,
       RevenueSplitter: revenueSplitterAddress,
       LicenseManager: licenseManagerAddress,
+      LicenseEscrow: licenseEscrowAddress,
+      UsageMeter: usageMeterAddress,
+      SubscriptionRenewer: subscriptionRenewerAddress,
       MetadataVault: metadataVaultAddress,
     },
   };
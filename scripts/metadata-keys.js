@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * Key rotation helpers for AstralSeed MetadataVault
+ * Metadata is encrypted off-chain with a random data key (AES-256-GCM). The data
+ * key is wrapped to the owner and to each accessor with an ephemeral secp256k1
+ * ECDH exchange, and the wrapped keys are stored in MetadataVault
+ *
+ * After an accessor is revoked, rotateMetadataKey re-encrypts the metadata under
+ * a new data key, publishes it and re-grants every remaining accessor in one
+ * transaction, so the revoked accessor's cached key no longer opens it
+ *
+ * Helpers that talk to MetadataVault take its address and ABI, e.g. from the
+ * compiled artifact, and an ethers signer, so they run outside Hardhat
+ */
+
+const DATA_KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const COMPRESSED_PUBLIC_KEY_LENGTH = 33;
+const KEY_WRAP_INFO = "AstralSeed MetadataVault key wrap";
+
+/**
+ * Content identifier of stored data, derived from its SHA-256 hash
+ * @param {Buffer} data - Content to identify
+ * @returns {string} The CID
+ */
+function computeCid(data) {
+  return `local://${crypto.createHash("sha256").update(data).digest("hex")}`;
+}
+
+/**
+ * In-memory stand-in for an IPFS node, addressing content by its SHA-256 hash
+ */
+class LocalCidStore {
+  constructor() {
+    this.contents = new Map();
+  }
+
+  /**
+   * Store content
+   * @param {Buffer} data - Content to store
+   * @returns {Promise<string>} The content's CID
+   */
+  async put(data) {
+    const cid = computeCid(data);
+    this.contents.set(cid, Buffer.from(data));
+    return cid;
+  }
+
+  /**
+   * Fetch content
+   * @param {string} cid - CID returned by put
+   * @returns {Promise<Buffer>} The stored content
+   */
+  async get(cid) {
+    if (!this.contents.has(cid)) {
+      throw new Error(`Unknown CID: ${cid}`);
+    }
+    return Buffer.from(this.contents.get(cid));
+  }
+}
+
+/**
+ * Generate a random data key
+ * @returns {Buffer} A 256-bit AES key
+ */
+function generateDataKey() {
+  return crypto.randomBytes(DATA_KEY_LENGTH);
+}
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer|string} plaintext - Data to encrypt
+ * @param {Buffer} key - 256-bit AES key
+ * @returns {Buffer} IV, auth tag and ciphertext, concatenated
+ */
+function encryptData(plaintext, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt data produced by encryptData
+ * @param {Buffer} blob - IV, auth tag and ciphertext
+ * @param {Buffer} key - 256-bit AES key
+ * @returns {Buffer} The plaintext
+ */
+function decryptData(blob, key) {
+  const iv = blob.subarray(0, IV_LENGTH);
+  const tag = blob.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(blob.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Derive the AES key wrapping a data key from an ECDH shared secret
+ * @param {Buffer} sharedSecret - ECDH shared secret
+ * @param {Buffer} ephemeralPublicKey - Compressed ephemeral public key, used as salt
+ * @returns {Buffer} The key-wrapping key
+ */
+function deriveWrappingKey(sharedSecret, ephemeralPublicKey) {
+  return Buffer.from(
+    crypto.hkdfSync("sha256", sharedSecret, ephemeralPublicKey, KEY_WRAP_INFO, DATA_KEY_LENGTH)
+  );
+}
+
+/**
+ * Wrap a data key to a secp256k1 public key
+ * @param {Buffer} dataKey - Data key to wrap
+ * @param {string} publicKey - Recipient public key (hex, compressed or uncompressed)
+ * @returns {string} Hex bytes for MetadataVault: ephemeral public key, IV, auth tag and wrapped key
+ */
+function wrapKey(dataKey, publicKey) {
+  const ephemeral = crypto.createECDH("secp256k1");
+  ephemeral.generateKeys();
+  const ephemeralPublicKey = ephemeral.getPublicKey(null, "compressed");
+  const sharedSecret = ephemeral.computeSecret(Buffer.from(ethers.getBytes(publicKey)));
+
+  const wrapped = encryptData(dataKey, deriveWrappingKey(sharedSecret, ephemeralPublicKey));
+  return ethers.hexlify(Buffer.concat([ephemeralPublicKey, wrapped]));
+}
+
+/**
+ * Unwrap a data key wrapped with wrapKey
+ * @param {string} wrappedKey - Wrapped key bytes (hex)
+ * @param {string} privateKey - Recipient private key (hex)
+ * @returns {Buffer} The data key
+ */
+function unwrapKey(wrappedKey, privateKey) {
+  const bytes = Buffer.from(ethers.getBytes(wrappedKey));
+  const ephemeralPublicKey = bytes.subarray(0, COMPRESSED_PUBLIC_KEY_LENGTH);
+
+  const recipient = crypto.createECDH("secp256k1");
+  recipient.setPrivateKey(Buffer.from(ethers.getBytes(privateKey)));
+  const sharedSecret = recipient.computeSecret(ephemeralPublicKey);
+
+  return decryptData(
+    bytes.subarray(COMPRESSED_PUBLIC_KEY_LENGTH),
+    deriveWrappingKey(sharedSecret, ephemeralPublicKey)
+  );
+}
+
+/**
+ * Connect to a MetadataVault deployment
+ * @param {Object} deployment - MetadataVault deployment
+ * @param {string} deployment.address - MetadataVault address
+ * @param {Array|Object} deployment.abi - MetadataVault ABI
+ * @param {Object} runner - Ethers signer or provider to send calls with
+ * @returns {Object} The MetadataVault contract
+ */
+function connectVault(deployment, runner) {
+  return new ethers.Contract(deployment.address, deployment.abi, runner);
+}
+
+/**
+ * Re-encrypt a token's metadata under a new data key and re-grant its accessors
+ * @param {Object} deployment - MetadataVault address and ABI, as taken by connectVault
+ * @param {Object} owner - Ethers signer of the token owner
+ * @param {number|BigInt} tokenId - Bio-NFT token ID
+ * @param {Object} options - Rotation options
+ * @param {Object} options.store - Content store holding the metadata (LocalCidStore or FileCidStore)
+ * @param {string} options.ownerPrivateKey - Private key the owner's encryption key is wrapped to
+ * @param {Object<string, string>} options.publicKeys - Public key of every authorized accessor, by address
+ * @returns {Promise<Object>} The new metadata CID and data key, and the transaction receipt
+ */
+async function rotateMetadataKey(deployment, owner, tokenId, options) {
+  const { store, ownerPrivateKey, publicKeys } = options;
+  const vault = connectVault(deployment, owner);
+
+  // Recover the plaintext with the current data key
+  const oldKey = unwrapKey(await vault.getEncryptionKey(tokenId), ownerPrivateKey);
+  const plaintext = decryptData(await store.get(await vault.getMetadataCID(tokenId)), oldKey);
+
+  // Re-encrypt under a fresh key and wrap it for the owner and every remaining accessor
+  const dataKey = generateDataKey();
+  const metadataCID = await store.put(encryptData(plaintext, dataKey));
+  const encryptionKey = wrapKey(dataKey, ethers.SigningKey.computePublicKey(ownerPrivateKey));
+
+  const accessors = await vault.getAuthorizedAccessors(tokenId);
+  const accessKeys = accessors.map((accessor) => {
+    const publicKey = publicKeys[accessor] ?? publicKeys[accessor.toLowerCase()];
+    if (!publicKey) {
+      throw new Error(`No public key for accessor ${accessor}`);
+    }
+    return wrapKey(dataKey, publicKey);
+  });
+
+  const tx = await vault.rotateKey(tokenId, metadataCID, encryptionKey, [...accessors], accessKeys);
+  return { metadataCID, dataKey, receipt: await tx.wait() };
+}
+
+module.exports = {
+  computeCid,
+  LocalCidStore,
+  generateDataKey,
+  encryptData,
+  decryptData,
+  wrapKey,
+  unwrapKey,
+  connectVault,
+  rotateMetadataKey,
+};
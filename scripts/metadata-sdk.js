@@ -0,0 +1,230 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  computeCid,
+  LocalCidStore,
+  generateDataKey,
+  encryptData,
+  decryptData,
+  wrapKey,
+  unwrapKey,
+  connectVault,
+  rotateMetadataKey,
+} = require("./metadata-keys");
+
+/**
+ * Client-side encryption SDK for AstralSeed MetadataVault
+ * Encrypts metadata JSON files and produces the encryptionKey and accessKey
+ * bytes MetadataVault stores, so every integrator uses the same format:
+ *
+ *   Metadata blob: IV (12) || GCM tag (16) || AES-256-GCM ciphertext
+ *   Wrapped key:   ephemeral compressed secp256k1 public key (33) || IV (12)
+ *                  || GCM tag (16) || AES-256-GCM encrypted data key (32)
+ *
+ * Keys are wrapped with ECIES: an ephemeral ECDH exchange with the recipient's
+ * secp256k1 key, HKDF-SHA256 salted with the ephemeral public key and the info
+ * string "AstralSeed MetadataVault key wrap". Any Ethereum account can receive
+ * keys, and its public key can be recovered from a transaction or signature
+ *
+ * Only the ethers package is needed: vault helpers take the MetadataVault
+ * address and ABI ({ address, abi }) and the signer to act as
+ */
+
+// CIDs computeCid produces, so a CID cannot name a file outside the store
+const CID_PATTERN = /^local:\/\/[0-9a-f]{64}$/;
+
+// The part of the BioNFT ABI the SDK calls
+const BIO_NFT_ABI = ["function ownerOf(uint256 tokenId) view returns (address)"];
+
+/**
+ * Filesystem-backed content store, addressing content like LocalCidStore
+ */
+class FileCidStore {
+  /**
+   * @param {string} directory - Directory to keep content in (created if missing)
+   */
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Store content
+   * @param {Buffer} data - Content to store
+   * @returns {Promise<string>} The content's CID
+   */
+  async put(data) {
+    const cid = computeCid(data);
+    await fs.promises.writeFile(this._pathOf(cid), data);
+    return cid;
+  }
+
+  /**
+   * Fetch content
+   * @param {string} cid - CID returned by put
+   * @returns {Promise<Buffer>} The stored content
+   */
+  async get(cid) {
+    try {
+      return await fs.promises.readFile(this._pathOf(cid));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(`Unknown CID: ${cid}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * File a CID's content is kept in
+   */
+  _pathOf(cid) {
+    if (!CID_PATTERN.test(cid)) {
+      throw new Error(`Invalid CID: ${cid}`);
+    }
+    return path.join(this.directory, cid.slice("local://".length));
+  }
+}
+
+/**
+ * Recover an account's public key from a transaction it sent
+ * @param {Object} provider - Ethers provider
+ * @param {string} txHash - Hash of a transaction sent by the account
+ * @returns {Promise<string>} The uncompressed public key
+ */
+async function recoverPublicKeyFromTransaction(provider, txHash) {
+  const tx = await provider.getTransaction(txHash);
+  if (!tx) {
+    throw new Error(`Transaction not found: ${txHash}`);
+  }
+  return ethers.Transaction.from(tx).fromPublicKey;
+}
+
+/**
+ * Recover an account's public key from an EIP-191 signed message
+ * @param {string|Uint8Array} message - The signed message
+ * @param {string} signature - The account's signature
+ * @returns {string} The uncompressed public key
+ */
+function recoverPublicKeyFromSignature(message, signature) {
+  return ethers.SigningKey.recoverPublicKey(ethers.hashMessage(message), signature);
+}
+
+/**
+ * Encrypt a metadata JSON file
+ * @param {string} filePath - Path of the JSON file
+ * @param {Buffer} dataKey - 256-bit AES key
+ * @returns {Buffer} The encrypted metadata blob
+ */
+function encryptMetadataFile(filePath, dataKey) {
+  const json = fs.readFileSync(filePath, "utf8");
+  JSON.parse(json); // Reject malformed metadata before it is encrypted
+
+  return encryptData(json, dataKey);
+}
+
+/**
+ * Decrypt a metadata blob
+ * @param {Buffer} blob - The encrypted metadata blob
+ * @param {Buffer} dataKey - 256-bit AES key
+ * @returns {Object} The parsed metadata
+ */
+function decryptMetadata(blob, dataKey) {
+  return JSON.parse(decryptData(blob, dataKey).toString("utf8"));
+}
+
+/**
+ * Encrypt a metadata JSON file, upload it and store it for a token
+ * @param {Object} deployment - MetadataVault address and ABI
+ * @param {Object} owner - Ethers signer of the token owner
+ * @param {number|BigInt} tokenId - Bio-NFT token ID
+ * @param {string} filePath - Path of the metadata JSON file
+ * @param {Object} options - Storage options
+ * @param {Object} options.store - Content store to upload to
+ * @param {string} [options.ownerPublicKey] - Public key to wrap the owner's key to (defaults to the owner's)
+ * @returns {Promise<Object>} The metadata CID and data key, and the transaction receipt
+ */
+async function storeMetadataFile(deployment, owner, tokenId, filePath, options) {
+  const ownerPublicKey = options.ownerPublicKey ?? owner.signingKey?.publicKey;
+  if (!ownerPublicKey) {
+    throw new Error("ownerPublicKey is required for signers without a local key");
+  }
+
+  const dataKey = generateDataKey();
+  const metadataCID = await options.store.put(encryptMetadataFile(filePath, dataKey));
+
+  const tx = await connectVault(deployment, owner).storeMetadata(
+    tokenId,
+    metadataCID,
+    wrapKey(dataKey, ownerPublicKey)
+  );
+  return { metadataCID, dataKey, receipt: await tx.wait() };
+}
+
+/**
+ * Grant an accessor metadata access by wrapping the token's data key to their public key
+ * @param {Object} deployment - MetadataVault address and ABI
+ * @param {Object} owner - Ethers signer of the token owner
+ * @param {number|BigInt} tokenId - Bio-NFT token ID
+ * @param {string} accessor - Accessor address
+ * @param {string} publicKey - Accessor public key, e.g. from recoverPublicKeyFromTransaction
+ * @param {Object} [options] - Grant options
+ * @param {string} [options.ownerPrivateKey] - Key the owner's encryption key is wrapped to (defaults to the owner's)
+ * @returns {Promise<Object>} The transaction receipt
+ */
+async function grantMetadataAccess(deployment, owner, tokenId, accessor, publicKey, options = {}) {
+  if (ethers.computeAddress(publicKey) !== ethers.getAddress(accessor)) {
+    throw new Error("Public key does not match accessor");
+  }
+
+  const vault = connectVault(deployment, owner);
+  const dataKey = unwrapKey(
+    await vault.getEncryptionKey(tokenId),
+    options.ownerPrivateKey ?? owner.privateKey
+  );
+
+  const tx = await vault.grantAccess(tokenId, accessor, wrapKey(dataKey, publicKey));
+  return await tx.wait();
+}
+
+/**
+ * Fetch and decrypt a token's metadata as its owner or an accessor
+ * @param {Object} deployment - MetadataVault address and ABI
+ * @param {Object} reader - Ethers signer of the owner or accessor
+ * @param {number|BigInt} tokenId - Bio-NFT token ID
+ * @param {Object} options - Read options
+ * @param {Object} options.store - Content store holding the metadata
+ * @param {string} [options.privateKey] - Key the reader's key is wrapped to (defaults to the reader's)
+ * @returns {Promise<Object>} The parsed metadata
+ */
+async function readMetadata(deployment, reader, tokenId, options) {
+  const vault = connectVault(deployment, reader);
+  const bioNFT = new ethers.Contract(await vault.bioNFT(), BIO_NFT_ABI, reader);
+  const readerAddress = await reader.getAddress();
+
+  const wrappedKey =
+    (await bioNFT.ownerOf(tokenId)) === readerAddress
+      ? await vault.getEncryptionKey(tokenId)
+      : await vault.getAccessKey(tokenId, readerAddress);
+  const dataKey = unwrapKey(wrappedKey, options.privateKey ?? reader.privateKey);
+
+  return decryptMetadata(await options.store.get(await vault.getMetadataCID(tokenId)), dataKey);
+}
+
+module.exports = {
+  LocalCidStore,
+  FileCidStore,
+  generateDataKey,
+  wrapKey,
+  unwrapKey,
+  connectVault,
+  recoverPublicKeyFromTransaction,
+  recoverPublicKeyFromSignature,
+  encryptMetadataFile,
+  decryptMetadata,
+  storeMetadataFile,
+  grantMetadataAccess,
+  readMetadata,
+  rotateMetadataKey,
+};
@@ -2,9 +2,10 @@ const hre = require("hardhat");
 const { 
   generateBioHash, 
   generateNonce, 
-  signAttestation,
+  signTypedAttestation,
   waitForTransaction,
-  formatTokenId
+  formatTokenId,
+  formatTimestamp
 } = require("./utils");
 
 /**
@@ -103,28 +104,37 @@ async function main() {
   console.log("-".repeat(60));
   
   const nonce = generateNonce();
-  const signature = await signAttestation(
+  const metadataURI = "ipfs://QmExampleMetadataHashForBioNFT";
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  const deadline = latestBlock.timestamp + 60 * 60; // Valid for 1 hour
+
+  const signature = await signTypedAttestation(
     institutionSigner,
-    bioHash,
-    institutionId,
-    user.address,
-    nonce
+    deploymentInfo.contracts.MintGateway,
+    {
+      bioHash,
+      institutionId,
+      minter: user.address,
+      metadataURI,
+      nonce,
+      deadline,
+    }
   );
   
   console.log(`✓ Attestation signature created`);
   console.log(`  Nonce: ${nonce}`);
+  console.log(`  Deadline: ${formatTimestamp(deadline)}`);
 
   // Step 4: Mint BioNFT
   console.log("\nStep 4: Minting BioNFT");
   console.log("-".repeat(60));
   
-  const metadataURI = "ipfs://QmExampleMetadataHashForBioNFT";
-  
   const mintTx = await mintGateway.connect(user).mintBioNFT(
     bioHash,
     institutionId,
     metadataURI,
     nonce,
+    deadline,
     signature
   );
   
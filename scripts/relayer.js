@@ -0,0 +1,158 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { parseEvents } = require("./utils");
+
+/**
+ * Mint relayer for AstralSeed protocol
+ * Submits donor-signed mint intents from a local queue file so donors
+ * receive their bio-NFT without holding ETH for gas
+ *
+ * Queue entries are JSON objects with the fields:
+ *   donor, bioHash, institutionId, metadataURI, nonce, deadline,
+ *   signature (institution attestation), intentSignature (donor intent)
+ */
+
+const DEFAULT_QUEUE_PATH = "relay-queue.json";
+
+/**
+ * Read the relay queue from disk
+ * @param {string} queuePath - Path to the queue file
+ * @returns {Array<Object>} Queue entries (empty if the file does not exist)
+ */
+function readQueue(queuePath) {
+  if (!fs.existsSync(queuePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(queuePath, "utf8"));
+}
+
+/**
+ * Write the relay queue to disk
+ * @param {string} queuePath - Path to the queue file
+ * @param {Array<Object>} entries - Queue entries
+ */
+function writeQueue(queuePath, entries) {
+  fs.writeFileSync(queuePath, JSON.stringify(entries, null, 2));
+}
+
+/**
+ * Append a signed mint intent to the relay queue
+ * @param {string} queuePath - Path to the queue file
+ * @param {Object} entry - Signed mint intent
+ * @returns {Object} The queued entry
+ */
+function enqueueMintIntent(queuePath, entry) {
+  const entries = readQueue(queuePath);
+  const queued = {
+    donor: entry.donor,
+    bioHash: entry.bioHash,
+    institutionId: entry.institutionId.toString(),
+    metadataURI: entry.metadataURI,
+    nonce: entry.nonce,
+    deadline: entry.deadline.toString(),
+    signature: entry.signature,
+    intentSignature: entry.intentSignature,
+    status: "pending",
+  };
+
+  entries.push(queued);
+  writeQueue(queuePath, entries);
+
+  return queued;
+}
+
+/**
+ * Submit every pending intent in the queue
+ * @param {Object} mintGateway - MintGateway contract instance
+ * @param {Object} relayer - Ethers signer paying gas
+ * @param {string} queuePath - Path to the queue file
+ * @returns {Promise<Object>} Counts of minted and failed entries
+ */
+async function processQueue(mintGateway, relayer, queuePath = DEFAULT_QUEUE_PATH) {
+  const entries = readQueue(queuePath);
+  const gateway = mintGateway.connect(relayer);
+  const summary = { minted: 0, failed: 0 };
+
+  for (const entry of entries) {
+    if (entry.status !== "pending") {
+      continue;
+    }
+
+    const args = [
+      entry.donor,
+      entry.bioHash,
+      entry.institutionId,
+      entry.metadataURI,
+      entry.nonce,
+      entry.deadline,
+      entry.signature,
+      entry.intentSignature,
+    ];
+
+    try {
+      // Simulate first so a bad intent does not cost the relayer gas
+      await gateway.mintBioNFTFor.staticCall(...args);
+
+      const tx = await gateway.mintBioNFTFor(...args);
+      const receipt = await tx.wait();
+      const [relayed] = parseEvents(receipt, mintGateway, "MintRelayed");
+
+      entry.status = "minted";
+      entry.txHash = receipt.hash;
+      entry.tokenId = relayed.tokenId.toString();
+      summary.minted++;
+
+      console.log(`  Minted token ${entry.tokenId} to ${entry.donor}`);
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.shortMessage || error.message;
+      summary.failed++;
+
+      console.log(`  Failed to relay mint for ${entry.donor}: ${entry.error}`);
+    }
+
+    // Persist after each entry so a crash never resubmits a mined intent
+    writeQueue(queuePath, entries);
+  }
+
+  return summary;
+}
+
+async function main() {
+  const queuePath = process.env.RELAY_QUEUE_PATH || DEFAULT_QUEUE_PATH;
+  const deploymentInfo = JSON.parse(fs.readFileSync("deployment.json", "utf8"));
+
+  const [relayer] = await hre.ethers.getSigners();
+  const mintGateway = await hre.ethers.getContractAt(
+    "MintGateway",
+    deploymentInfo.contracts.MintGateway
+  );
+
+  console.log("AstralSeed Mint Relayer");
+  console.log("=".repeat(60));
+  console.log("Relayer:", relayer.address);
+  console.log("Queue:  ", queuePath);
+  console.log();
+
+  const summary = await processQueue(mintGateway, relayer, queuePath);
+
+  console.log();
+  console.log(`Relayed ${summary.minted} mint(s), ${summary.failed} failed`);
+}
+
+module.exports = {
+  readQueue,
+  writeQueue,
+  enqueueMintIntent,
+  processQueue,
+};
+
+// CLI execution
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
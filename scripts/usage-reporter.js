@@ -0,0 +1,128 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { signUsageReceipt } = require("./utils");
+
+/**
+ * Usage reporter for AstralSeed compute workers
+ * Signs a compute receipt for each job run under a license and submits it to
+ * UsageMeter, which draws the units down on the license in LicenseManager
+ *
+ * The worker's key must be a compute provider registered for the licensed token,
+ * or the pubkey or a signer of the token's attesting institution, passed as
+ * INSTITUTION_ID
+ */
+
+/**
+ * Turn a job label into a bytes32 job ID (bytes32 values are kept as-is)
+ * @param {string} job - Job label or bytes32 job ID
+ * @returns {string} The bytes32 job ID
+ */
+function toJobId(job) {
+  return hre.ethers.isHexString(job, 32) ? job : hre.ethers.id(job);
+}
+
+/**
+ * Build and sign a compute receipt
+ * @param {Object} signer - Ethers signer of the compute provider or institution
+ * @param {string} meterAddress - UsageMeter contract address
+ * @param {Object} job - Job details
+ * @param {number|BigInt} job.licenseId - License the job ran under
+ * @param {string} job.jobId - Job label or bytes32 job ID, unique per license
+ * @param {number|BigInt} job.units - Units of usage consumed
+ * @param {number|BigInt} [job.timestamp] - When the job ran (defaults to the latest block time)
+ * @returns {Promise<Object>} The signed receipt
+ */
+async function createUsageReceipt(signer, meterAddress, job) {
+  // Chain time rather than the local clock, so receipts are never rejected as from the future
+  const timestamp = job.timestamp ?? (await signer.provider.getBlock("latest")).timestamp;
+
+  const receipt = {
+    licenseId: job.licenseId.toString(),
+    jobId: toJobId(job.jobId),
+    units: job.units.toString(),
+    timestamp: timestamp.toString(),
+  };
+
+  return {
+    ...receipt,
+    signature: await signUsageReceipt(signer, meterAddress, receipt),
+  };
+}
+
+/**
+ * Submit a signed compute receipt to UsageMeter
+ * @param {Object} usageMeter - UsageMeter contract instance
+ * @param {Object} submitter - Ethers signer paying gas
+ * @param {Object} receipt - Signed receipt from createUsageReceipt
+ * @param {number|BigInt} institutionId - Institution the receipt signer acts for (0 for a provider)
+ * @returns {Promise<Object>} The transaction receipt
+ */
+async function submitUsageReceipt(usageMeter, submitter, receipt, institutionId = 0) {
+  const meter = usageMeter.connect(submitter);
+  const args = [
+    receipt.licenseId,
+    receipt.jobId,
+    receipt.units,
+    receipt.timestamp,
+    institutionId,
+    receipt.signature,
+  ];
+
+  // Simulate first so a rejected receipt does not cost gas
+  await meter.submitReceipt.staticCall(...args);
+
+  const tx = await meter.submitReceipt(...args);
+  return await tx.wait();
+}
+
+async function main() {
+  const licenseId = process.env.LICENSE_ID;
+  const jobId = process.env.JOB_ID;
+  const units = process.env.UNITS || "1";
+  const institutionId = process.env.INSTITUTION_ID || "0";
+
+  if (!licenseId || !jobId) {
+    throw new Error("LICENSE_ID and JOB_ID are required");
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync("deployment.json", "utf8"));
+
+  const [worker] = await hre.ethers.getSigners();
+  const usageMeter = await hre.ethers.getContractAt(
+    "UsageMeter",
+    deploymentInfo.contracts.UsageMeter
+  );
+
+  console.log("AstralSeed Usage Reporter");
+  console.log("=".repeat(60));
+  console.log("Worker: ", worker.address);
+  console.log("License:", licenseId);
+  console.log("Job:    ", jobId);
+  console.log("Units:  ", units);
+  console.log();
+
+  const receipt = await createUsageReceipt(worker, await usageMeter.getAddress(), {
+    licenseId,
+    jobId,
+    units,
+  });
+  const txReceipt = await submitUsageReceipt(usageMeter, worker, receipt, institutionId);
+
+  console.log("Usage recorded in transaction:", txReceipt.hash);
+}
+
+module.exports = {
+  toJobId,
+  createUsageReceipt,
+  submitUsageReceipt,
+};
+
+// CLI execution
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -18,21 +18,153 @@ function generateNonce() {
 }
 
 /**
- * Sign an attestation message
- * @param {Object} signer - Ethers signer
- * @param {string} bioHash - The bio-hash
- * @param {number} institutionId - Institution ID
- * @param {string} minterAddress - Address of the minter
- * @param {string} nonce - Unique nonce
+ * EIP-712 type definition for MintGateway attestations
+ */
+const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "bioHash", type: "bytes32" },
+    { name: "institutionId", type: "uint256" },
+    { name: "minter", type: "address" },
+    { name: "metadataURI", type: "string" },
+    { name: "nonce", type: "bytes32" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 type definition for donor mint intents submitted by relayers
+ */
+const MINT_INTENT_TYPES = {
+  MintIntent: [
+    { name: "donor", type: "address" },
+    { name: "bioHash", type: "bytes32" },
+    { name: "institutionId", type: "uint256" },
+    { name: "metadataURI", type: "string" },
+    { name: "nonce", type: "bytes32" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Build the EIP-712 domain for a MintGateway deployment
+ * @param {string} gatewayAddress - MintGateway contract address
+ * @param {number|BigInt} chainId - Chain ID the gateway is deployed on
+ * @returns {Object} The typed data domain
+ */
+function getAttestationDomain(gatewayAddress, chainId) {
+  return {
+    name: "AstralSeed MintGateway",
+    version: "1",
+    chainId,
+    verifyingContract: gatewayAddress,
+  };
+}
+
+/**
+ * Sign an EIP-712 typed attestation for MintGateway
+ * @param {Object} signer - Ethers signer of the attesting institution
+ * @param {string} gatewayAddress - MintGateway contract address
+ * @param {Object} attestation - Attestation fields
+ * @param {string} attestation.bioHash - The bio-hash
+ * @param {number|BigInt} attestation.institutionId - Institution ID
+ * @param {string} attestation.minter - Address allowed to mint
+ * @param {string} attestation.metadataURI - Token metadata URI
+ * @param {string} attestation.nonce - Unique nonce
+ * @param {number|BigInt} attestation.deadline - Expiry timestamp (seconds)
  * @returns {Promise<string>} The signature
  */
-async function signAttestation(signer, bioHash, institutionId, minterAddress, nonce) {
-  const messageHash = ethers.solidityPackedKeccak256(
-    ["bytes32", "uint256", "address", "bytes32"],
-    [bioHash, institutionId, minterAddress, nonce]
-  );
-  
-  return await signer.signMessage(ethers.getBytes(messageHash));
+async function signTypedAttestation(signer, gatewayAddress, attestation) {
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = getAttestationDomain(gatewayAddress, chainId);
+
+  return await signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+}
+
+/**
+ * Collect an M-of-N attestation from several institution signer keys
+ * MintGateway expects the signatures concatenated in ascending signer address order
+ * @param {Array<Object>} signers - Ethers signers registered for the institution
+ * @param {string} gatewayAddress - MintGateway contract address
+ * @param {Object} attestation - Attestation fields (see signTypedAttestation)
+ * @returns {Promise<string>} The concatenated signatures
+ */
+async function signMultiAttestation(signers, gatewayAddress, attestation) {
+  const signed = [];
+  for (const signer of signers) {
+    signed.push({
+      address: BigInt(await signer.getAddress()),
+      signature: await signTypedAttestation(signer, gatewayAddress, attestation),
+    });
+  }
+
+  signed.sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+
+  return ethers.concat(signed.map((entry) => entry.signature));
+}
+
+/**
+ * Sign an EIP-712 mint intent so a relayer can mint on the donor's behalf
+ * @param {Object} signer - Ethers signer of the donor
+ * @param {string} gatewayAddress - MintGateway contract address
+ * @param {Object} intent - Intent fields (must match the institution attestation)
+ * @param {string} intent.donor - Address receiving the NFT
+ * @param {string} intent.bioHash - The bio-hash
+ * @param {number|BigInt} intent.institutionId - Institution ID
+ * @param {string} intent.metadataURI - Token metadata URI
+ * @param {string} intent.nonce - Nonce shared with the attestation
+ * @param {number|BigInt} intent.deadline - Expiry timestamp (seconds)
+ * @returns {Promise<string>} The signature
+ */
+async function signMintIntent(signer, gatewayAddress, intent) {
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = getAttestationDomain(gatewayAddress, chainId);
+
+  return await signer.signTypedData(domain, MINT_INTENT_TYPES, intent);
+}
+
+/**
+ * EIP-712 type definition for compute receipts submitted to UsageMeter
+ */
+const USAGE_RECEIPT_TYPES = {
+  UsageReceipt: [
+    { name: "licenseId", type: "uint256" },
+    { name: "jobId", type: "bytes32" },
+    { name: "units", type: "uint256" },
+    { name: "timestamp", type: "uint256" },
+  ],
+};
+
+/**
+ * Build the EIP-712 domain for a UsageMeter deployment
+ * @param {string} meterAddress - UsageMeter contract address
+ * @param {number|BigInt} chainId - Chain ID the meter is deployed on
+ * @returns {Object} The typed data domain
+ */
+function getUsageMeterDomain(meterAddress, chainId) {
+  return {
+    name: "AstralSeed UsageMeter",
+    version: "1",
+    chainId,
+    verifyingContract: meterAddress,
+  };
+}
+
+/**
+ * Sign an EIP-712 compute receipt for a job run under a license
+ * @param {Object} signer - Ethers signer of the compute provider or institution
+ * @param {string} meterAddress - UsageMeter contract address
+ * @param {Object} receipt - Receipt fields
+ * @param {number|BigInt} receipt.licenseId - License the job ran under
+ * @param {string} receipt.jobId - Unique bytes32 job ID
+ * @param {number|BigInt} receipt.units - Units of usage consumed
+ * @param {number|BigInt} receipt.timestamp - When the job ran (seconds)
+ * @returns {Promise<string>} The signature
+ */
+async function signUsageReceipt(signer, meterAddress, receipt) {
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = getUsageMeterDomain(meterAddress, chainId);
+
+  return await signer.signTypedData(domain, USAGE_RECEIPT_TYPES, receipt);
 }
 
 /**
@@ -176,7 +308,15 @@ function getDeploymentCost(receipt) {
 module.exports = {
   generateBioHash,
   generateNonce,
-  signAttestation,
+  ATTESTATION_TYPES,
+  getAttestationDomain,
+  signTypedAttestation,
+  signMultiAttestation,
+  MINT_INTENT_TYPES,
+  signMintIntent,
+  USAGE_RECEIPT_TYPES,
+  getUsageMeterDomain,
+  signUsageReceipt,
   formatTokenId,
   formatTimestamp,
   calculateLicenseDuration,
@@ -169,5 +169,165 @@ describe("BioNFT", function () {
       ).to.be.reverted;
     });
   });
-});
 
+  describe("Token Status", function () {
+    let institutionRegistry;
+    const evidenceURI = "ipfs://evidence";
+
+    beforeEach(async function () {
+      const InstitutionRegistry = await ethers.getContractFactory("InstitutionRegistry");
+      institutionRegistry = await InstitutionRegistry.deploy();
+      await institutionRegistry.waitForDeployment();
+      await institutionRegistry.registerInstitution(user2.address, "Test Lab", "metadata");
+
+      await bioNFT.setInstitutionRegistry(await institutionRegistry.getAddress());
+      await bioNFT.connect(gateway).mint(user1.address, bioHash1, 1, "ipfs://metadata1");
+    });
+
+    it("Should start tokens as active", async function () {
+      expect(await bioNFT.getTokenStatus(1)).to.equal(0); // Active
+      expect(await bioNFT.isRevoked(1)).to.be.false;
+    });
+
+    it("Should let the attesting institution revoke a token", async function () {
+      const reason = await bioNFT.REASON_CONTAMINATION();
+
+      await expect(bioNFT.connect(user2).setTokenStatus(1, 2, reason, evidenceURI))
+        .to.emit(bioNFT, "TokenStatusChanged")
+        .withArgs(1, 2, reason, evidenceURI, user2.address);
+
+      const record = await bioNFT.getStatusRecord(1);
+      expect(record.status).to.equal(2); // Revoked
+      expect(record.reasonCode).to.equal(reason);
+      expect(record.evidenceURI).to.equal(evidenceURI);
+      expect(await bioNFT.isRevoked(1)).to.be.true;
+    });
+
+    it("Should fail if caller is not the institution or owner", async function () {
+      await expect(
+        bioNFT.connect(user1).setTokenStatus(1, 2, 0, evidenceURI)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should only let the owner reinstate a revoked token", async function () {
+      await bioNFT.connect(user2).setTokenStatus(1, 2, 0, evidenceURI);
+
+      await expect(
+        bioNFT.connect(user2).setTokenStatus(1, 0, 0, "")
+      ).to.be.revertedWith("Token revoked");
+
+      await bioNFT.setTokenStatus(1, 0, 0, "");
+      expect(await bioNFT.getTokenStatus(1)).to.equal(0);
+    });
+  });
+
+  describe("Staking Locks", function () {
+    beforeEach(async function () {
+      await bioNFT.setRestakeVault(user2.address);
+      await bioNFT.connect(gateway).mint(user1.address, bioHash1, 1, "ipfs://metadata1");
+    });
+
+    it("Should only let the restake vault lock tokens", async function () {
+      await expect(bioNFT.connect(user1).lock(1)).to.be.revertedWith("Only restake vault");
+
+      await expect(bioNFT.connect(user2).lock(1)).to.emit(bioNFT, "TokenLocked").withArgs(1);
+      expect(await bioNFT.isLocked(1)).to.be.true;
+    });
+
+    it("Should block transfers until unlocked", async function () {
+      await bioNFT.connect(user2).lock(1);
+      await expect(
+        bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1)
+      ).to.be.revertedWith("Token is locked");
+
+      await expect(bioNFT.connect(user2).unlock(1)).to.emit(bioNFT, "TokenUnlocked").withArgs(1);
+      await bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+      expect(await bioNFT.ownerOf(1)).to.equal(user2.address);
+    });
+  });
+
+  describe("Consent", function () {
+    const academic = 1;
+    const commercial = 2;
+    const reidentification = 8;
+    const termsHash = ethers.keccak256(ethers.toUtf8Bytes("consent-form-v1"));
+
+    beforeEach(async function () {
+      await bioNFT.connect(gateway).mint(user1.address, bioHash1, 1, "ipfs://metadata1");
+    });
+
+    it("Should only allow non-sensitive purposes without recorded consent", async function () {
+      expect((await bioNFT.getConsent(1)).recorded).to.be.false;
+      expect(await bioNFT.isConsented(1, academic | commercial)).to.be.true;
+      expect(await bioNFT.isConsented(1, reidentification)).to.be.false;
+      expect(await bioNFT.isConsented(1, academic | reidentification)).to.be.false;
+
+      await bioNFT.connect(user1).setConsent(1, academic | reidentification, termsHash);
+      expect(await bioNFT.isConsented(1, academic | reidentification)).to.be.true;
+    });
+
+    it("Should record the donor's consent scope", async function () {
+      await expect(bioNFT.connect(user1).setConsent(1, academic | commercial, termsHash))
+        .to.emit(bioNFT, "ConsentUpdated")
+        .withArgs(1, academic | commercial, termsHash);
+
+      const consent = await bioNFT.getConsent(1);
+      expect(consent.scope).to.equal(academic | commercial);
+      expect(consent.termsHash).to.equal(termsHash);
+      expect(consent.recorded).to.be.true;
+
+      expect(await bioNFT.isConsented(1, academic)).to.be.true;
+      expect(await bioNFT.isConsented(1, academic | commercial)).to.be.true;
+      expect(await bioNFT.isConsented(1, academic | reidentification)).to.be.false;
+    });
+
+    it("Should withdraw consent for some purposes", async function () {
+      await bioNFT.connect(user1).setConsent(1, academic | commercial, termsHash);
+
+      await expect(bioNFT.connect(user1).withdrawConsent(1, commercial))
+        .to.emit(bioNFT, "ConsentUpdated")
+        .withArgs(1, academic, termsHash);
+      expect(await bioNFT.isConsented(1, commercial)).to.be.false;
+      expect(await bioNFT.isConsented(1, academic)).to.be.true;
+    });
+
+    it("Should withdraw from a token without recorded consent", async function () {
+      await bioNFT.connect(user1).withdrawConsent(1, commercial);
+
+      expect(await bioNFT.isConsented(1, commercial)).to.be.false;
+      expect(await bioNFT.isConsented(1, reidentification)).to.be.false;
+      expect(await bioNFT.isConsented(1, academic)).to.be.true;
+    });
+
+    it("Should only let the token owner change consent", async function () {
+      await expect(
+        bioNFT.connect(user2).setConsent(1, academic, termsHash)
+      ).to.be.revertedWith("Not token owner");
+      await expect(bioNFT.connect(user2).withdrawConsent(1, academic)).to.be.revertedWith(
+        "Not token owner"
+      );
+    });
+  });
+
+  describe("Royalties", function () {
+    it("Should advertise ERC-2981", async function () {
+      expect(await bioNFT.supportsInterface("0x2a55205a")).to.be.true;
+    });
+
+    it("Should not charge royalties until a splitter is set", async function () {
+      const [receiver, amount] = await bioNFT.royaltyInfo(1, ethers.parseEther("1"));
+
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0);
+    });
+
+    it("Should only let the owner set the splitter", async function () {
+      await expect(
+        bioNFT.connect(user1).setRevenueSplitter(user1.address, 1000)
+      ).to.be.revertedWithCustomError(bioNFT, "OwnableUnauthorizedAccount");
+      await expect(bioNFT.setRevenueSplitter(ethers.ZeroAddress, 1000)).to.be.revertedWith(
+        "Invalid splitter address"
+      );
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("InstitutionRegistry", function () {
   let institutionRegistry;
@@ -107,6 +108,10 @@ describe("InstitutionRegistry", function () {
         "Research Lab 1",
         "ipfs://Qm..."
       );
+      await institutionRegistry.grantRole(
+        await institutionRegistry.MINT_GATEWAY_ROLE(),
+        owner.address
+      );
     });
 
     it("Should increment attestation count", async function () {
@@ -123,6 +128,12 @@ describe("InstitutionRegistry", function () {
         institutionRegistry.incrementAttestationCount(1)
       ).to.be.revertedWith("Institution not active");
     });
+
+    it("Should only let the mint gateway increment the count", async function () {
+      await expect(
+        institutionRegistry.connect(institution2).incrementAttestationCount(1)
+      ).to.be.revertedWithCustomError(institutionRegistry, "AccessControlUnauthorizedAccount");
+    });
   });
 
   describe("Queries", function () {
@@ -154,5 +165,303 @@ describe("InstitutionRegistry", function () {
       expect(id).to.equal(1);
     });
   });
+
+  describe("Signer Management", function () {
+    let signer2, signer3;
+
+    beforeEach(async function () {
+      [, , , , signer2, signer3] = await ethers.getSigners();
+      await institutionRegistry.connect(registrar).registerInstitution(
+        institution1.address,
+        "Research Lab 1",
+        "ipfs://Qm..."
+      );
+    });
+
+    it("Should register the pubkey as a 1-of-1 signer", async function () {
+      expect(await institutionRegistry.getSigners(1)).to.deep.equal([institution1.address]);
+      expect(await institutionRegistry.getSignerThreshold(1)).to.equal(1);
+      expect(await institutionRegistry.isSigner(1, institution1.address)).to.be.true;
+    });
+
+    it("Should add signers and raise the threshold", async function () {
+      await expect(institutionRegistry.connect(registrar).addSigner(1, signer2.address))
+        .to.emit(institutionRegistry, "SignerAdded")
+        .withArgs(1, signer2.address);
+      await institutionRegistry.connect(registrar).addSigner(1, signer3.address);
+
+      await expect(institutionRegistry.connect(registrar).setSignerThreshold(1, 2))
+        .to.emit(institutionRegistry, "SignerThresholdUpdated")
+        .withArgs(1, 2);
+
+      expect(await institutionRegistry.getSigners(1)).to.have.lengthOf(3);
+      expect(await institutionRegistry.getSignerThreshold(1)).to.equal(2);
+    });
+
+    it("Should rotate a signer without changing the institution ID", async function () {
+      await expect(
+        institutionRegistry.connect(registrar).rotateSigner(1, institution1.address, signer2.address)
+      )
+        .to.emit(institutionRegistry, "SignerRemoved")
+        .withArgs(1, institution1.address)
+        .and.to.emit(institutionRegistry, "InstitutionPubkeyUpdated")
+        .withArgs(1, institution1.address, signer2.address);
+
+      expect(await institutionRegistry.isSigner(1, institution1.address)).to.be.false;
+      expect(await institutionRegistry.isSigner(1, signer2.address)).to.be.true;
+      expect((await institutionRegistry.getInstitution(1)).pubkey).to.equal(signer2.address);
+      expect(await institutionRegistry.getInstitutionIdByPubkey(signer2.address)).to.equal(1);
+      expect(await institutionRegistry.getInstitutionIdByPubkey(institution1.address)).to.equal(0);
+    });
+
+    it("Should keep a rotated-out key from withdrawing the bond", async function () {
+      await institutionRegistry.postBond(1, { value: ethers.parseEther("1") });
+      await institutionRegistry
+        .connect(registrar)
+        .rotateSigner(1, institution1.address, signer2.address);
+
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, ethers.parseEther("1"))
+      ).to.be.revertedWith("Not institution");
+      await institutionRegistry.connect(signer2).withdrawBond(1, ethers.parseEther("1"));
+    });
+
+    it("Should not remove a signer below the threshold", async function () {
+      await institutionRegistry.connect(registrar).addSigner(1, signer2.address);
+      await institutionRegistry.connect(registrar).setSignerThreshold(1, 2);
+
+      await expect(
+        institutionRegistry.connect(registrar).removeSigner(1, signer2.address)
+      ).to.be.revertedWith("Would fall below threshold");
+    });
+
+    it("Should remove a signer above the threshold", async function () {
+      await institutionRegistry.connect(registrar).addSigner(1, signer2.address);
+      await institutionRegistry.connect(registrar).removeSigner(1, institution1.address);
+
+      expect(await institutionRegistry.getSigners(1)).to.deep.equal([signer2.address]);
+      expect((await institutionRegistry.getInstitution(1)).pubkey).to.equal(signer2.address);
+    });
+
+    it("Should keep the pubkey when removing another signer", async function () {
+      await institutionRegistry.connect(registrar).addSigner(1, signer2.address);
+      await institutionRegistry.connect(registrar).removeSigner(1, signer2.address);
+
+      expect((await institutionRegistry.getInstitution(1)).pubkey).to.equal(institution1.address);
+    });
+
+    it("Should not move the pubkey onto another institution's pubkey", async function () {
+      await institutionRegistry
+        .connect(registrar)
+        .registerInstitution(institution2.address, "Lab 2", "metadata");
+
+      await expect(
+        institutionRegistry
+          .connect(registrar)
+          .rotateSigner(1, institution1.address, institution2.address)
+      ).to.be.revertedWith("Pubkey already registered");
+    });
+
+    it("Should fail to set an invalid threshold", async function () {
+      await expect(
+        institutionRegistry.connect(registrar).setSignerThreshold(1, 0)
+      ).to.be.revertedWith("Threshold must be positive");
+      await expect(
+        institutionRegistry.connect(registrar).setSignerThreshold(1, 2)
+      ).to.be.revertedWith("Threshold exceeds signers");
+    });
+
+    it("Should fail to add a duplicate signer", async function () {
+      await expect(
+        institutionRegistry.connect(registrar).addSigner(1, institution1.address)
+      ).to.be.revertedWith("Signer already added");
+    });
+
+    it("Should fail if not registrar", async function () {
+      await expect(
+        institutionRegistry.connect(institution1).addSigner(1, signer2.address)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Bonds and Slashing", function () {
+    let bioNFT, gateway, challenger;
+    const bioHash1 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
+    const bioHash2 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-2"));
+    const minimumBond = ethers.parseEther("1");
+    const challengeBond = ethers.parseEther("0.1");
+
+    beforeEach(async function () {
+      [, , , , gateway, challenger] = await ethers.getSigners();
+
+      const BioNFT = await ethers.getContractFactory("BioNFT");
+      bioNFT = await BioNFT.deploy();
+      await bioNFT.setMintGateway(gateway.address);
+      await bioNFT.setInstitutionRegistry(await institutionRegistry.getAddress());
+
+      await institutionRegistry.setBioNFT(await bioNFT.getAddress());
+      await institutionRegistry.setMinimumBond(minimumBond);
+      await institutionRegistry.setChallengeBond(challengeBond);
+
+      await institutionRegistry
+        .connect(registrar)
+        .registerInstitution(institution1.address, "Lab 1", "metadata", { value: minimumBond * 2n });
+
+      await bioNFT.connect(gateway).mint(institution2.address, bioHash1, 1, "ipfs://meta1");
+      await bioNFT.connect(gateway).mint(institution2.address, bioHash2, 1, "ipfs://meta2");
+    });
+
+    it("Should record the bond posted at registration", async function () {
+      expect((await institutionRegistry.getInstitution(1)).bond).to.equal(minimumBond * 2n);
+      expect(await institutionRegistry.hasSufficientBond(1)).to.be.true;
+    });
+
+    it("Should block attestations while the bond is below the minimum", async function () {
+      await institutionRegistry
+        .connect(registrar)
+        .registerInstitution(institution2.address, "Lab 2", "metadata");
+
+      expect(await institutionRegistry.hasSufficientBond(2)).to.be.false;
+      await institutionRegistry.grantRole(
+        await institutionRegistry.MINT_GATEWAY_ROLE(),
+        owner.address
+      );
+      await expect(institutionRegistry.incrementAttestationCount(2)).to.be.revertedWith(
+        "Insufficient institution bond"
+      );
+
+      await expect(institutionRegistry.postBond(2, { value: minimumBond }))
+        .to.emit(institutionRegistry, "BondPosted")
+        .withArgs(2, owner.address, minimumBond);
+      expect(await institutionRegistry.hasSufficientBond(2)).to.be.true;
+    });
+
+    it("Should let the institution withdraw its excess bond", async function () {
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, minimumBond + 1n)
+      ).to.be.revertedWith("Bond below minimum");
+
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, minimumBond)
+      ).to.changeEtherBalance(institution1, minimumBond);
+    });
+
+    it("Should lock the minimum bond until a deactivated institution has unbonded", async function () {
+      await institutionRegistry.deactivateInstitution(1);
+      const unlocksAt = (await time.latest()) + 14 * 24 * 60 * 60;
+      expect(await institutionRegistry.bondUnlocksAt(1)).to.equal(unlocksAt);
+
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, minimumBond * 2n)
+      ).to.be.revertedWith("Bond still unbonding");
+      await institutionRegistry.connect(institution1).withdrawBond(1, minimumBond);
+
+      await time.increaseTo(unlocksAt);
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, minimumBond)
+      ).to.changeEtherBalance(institution1, minimumBond);
+    });
+
+    it("Should keep a deactivated institution's bond locked while challenged", async function () {
+      await institutionRegistry.connect(challenger).challengeAttestation(1, "ipfs://evidence", {
+        value: challengeBond,
+      });
+      await institutionRegistry.deactivateInstitution(1);
+      await time.increase(14 * 24 * 60 * 60);
+
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, minimumBond * 2n)
+      ).to.be.revertedWith("Challenges pending");
+    });
+
+    it("Should open a challenge with a counter-bond", async function () {
+      await expect(
+        institutionRegistry.connect(challenger).challengeAttestation(1, "ipfs://evidence", {
+          value: challengeBond,
+        })
+      )
+        .to.emit(institutionRegistry, "AttestationChallenged")
+        .withArgs(1, 1, 1, challenger.address);
+
+      const challenge = await institutionRegistry.getChallenge(1);
+      expect(challenge.status).to.equal(1); // Pending
+      expect(challenge.bond).to.equal(challengeBond);
+      expect(await bioNFT.getTokenStatus(1)).to.equal(1); // Disputed
+
+      await expect(
+        institutionRegistry.connect(institution1).withdrawBond(1, 1)
+      ).to.be.revertedWith("Challenges pending");
+    });
+
+    it("Should keep the institution from clearing a challenge-raised dispute", async function () {
+      await institutionRegistry.connect(challenger).challengeAttestation(1, "ipfs://evidence", {
+        value: challengeBond,
+      });
+
+      await expect(
+        bioNFT.connect(institution1).setTokenStatus(1, 0, 0, "")
+      ).to.be.revertedWith("Attestation challenged");
+
+      await institutionRegistry.resolveChallenge(1, false, 0, []);
+      expect(await bioNFT.getTokenStatus(1)).to.equal(0); // Active
+    });
+
+    it("Should fail to challenge without enough counter-bond", async function () {
+      await expect(
+        institutionRegistry.connect(challenger).challengeAttestation(1, "ipfs://evidence", {
+          value: challengeBond - 1n,
+        })
+      ).to.be.revertedWith("Insufficient challenge bond");
+    });
+
+    it("Should slash the bond to the challenger and flag tokens when upheld", async function () {
+      await institutionRegistry
+        .connect(challenger)
+        .challengeAttestation(1, "ipfs://evidence", { value: challengeBond });
+
+      await expect(institutionRegistry.resolveChallenge(1, true, minimumBond, [2]))
+        .to.emit(institutionRegistry, "ChallengeResolved")
+        .withArgs(1, true, minimumBond);
+
+      expect(await bioNFT.isAttestationFlagged(1)).to.be.true;
+      expect(await bioNFT.isAttestationFlagged(2)).to.be.true;
+      expect(await bioNFT.isRevoked(1)).to.be.true;
+      expect((await bioNFT.getStatusRecord(2)).reasonCode).to.equal(
+        await bioNFT.REASON_FRAUDULENT_ATTESTATION()
+      );
+      expect((await institutionRegistry.getInstitution(1)).bond).to.equal(minimumBond);
+      expect((await institutionRegistry.getChallenge(1)).status).to.equal(2); // Upheld
+
+      await expect(institutionRegistry.connect(challenger).withdraw()).to.changeEtherBalance(
+        challenger,
+        minimumBond + challengeBond
+      );
+    });
+
+    it("Should forfeit the counter-bond to the institution when rejected", async function () {
+      await institutionRegistry
+        .connect(challenger)
+        .challengeAttestation(1, "ipfs://evidence", { value: challengeBond });
+
+      await institutionRegistry.resolveChallenge(1, false, 0, []);
+
+      expect(await bioNFT.isAttestationFlagged(1)).to.be.false;
+      expect(await bioNFT.getTokenStatus(1)).to.equal(0); // Active
+      expect((await institutionRegistry.getInstitution(1)).bond).to.equal(
+        minimumBond * 2n + challengeBond
+      );
+      expect(await institutionRegistry.pendingWithdrawals(challenger.address)).to.equal(0);
+    });
+
+    it("Should only let an arbiter resolve challenges", async function () {
+      await institutionRegistry
+        .connect(challenger)
+        .challengeAttestation(1, "ipfs://evidence", { value: challengeBond });
+
+      await expect(
+        institutionRegistry.connect(challenger).resolveChallenge(1, true, minimumBond, [])
+      ).to.be.revertedWith("Not arbiter");
+    });
+  });
 });
 
@@ -1,12 +1,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signTypedAttestation } = require("../scripts/utils");
 
 describe("Integration Tests", function () {
   let institutionRegistry, bioNFT, mintGateway, restakeVault, licenseManager, revenueSplitter, metadataVault;
   let owner, institution, user1, user2, protocol;
   const bioHash1 = ethers.keccak256(ethers.toUtf8Bytes("dna-sample-1"));
   const bioHash2 = ethers.keccak256(ethers.toUtf8Bytes("dna-sample-2"));
+  const academic = 1; // BioNFT.PURPOSE_ACADEMIC
 
   beforeEach(async function () {
     [owner, institution, user1, user2, protocol] = await ethers.getSigners();
@@ -28,12 +30,13 @@ describe("Integration Tests", function () {
     await mintGateway.waitForDeployment();
 
     await bioNFT.setMintGateway(await mintGateway.getAddress());
+    await institutionRegistry.grantRole(
+      await institutionRegistry.MINT_GATEWAY_ROLE(),
+      await mintGateway.getAddress()
+    );
 
     const RestakeVault = await ethers.getContractFactory("RestakeVault");
-    restakeVault = await RestakeVault.deploy(
-      await bioNFT.getAddress(),
-      ethers.parseEther("0.0001")
-    );
+    restakeVault = await RestakeVault.deploy(await bioNFT.getAddress());
     await restakeVault.waitForDeployment();
 
     const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
@@ -60,24 +63,31 @@ describe("Integration Tests", function () {
     await institutionRegistry.grantRole(REGISTRAR_ROLE, owner.address);
     await institutionRegistry.registerInstitution(institution.address, "Lab", "metadata");
     
-    await restakeVault.depositRewards({ value: ethers.parseEther("10") });
+    await restakeVault.createPool("General Research", ethers.ZeroAddress, 100000, [], 0, {
+      value: ethers.parseEther("10"),
+    });
   });
 
   describe("Complete User Journey", function () {
     it("Should support full workflow: mint -> store metadata -> stake -> license", async function () {
       // 1. Mint bio-NFT
       const nonce = ethers.randomBytes(32);
-      const messageHash = ethers.solidityPackedKeccak256(
-        ["bytes32", "uint256", "address", "bytes32"],
-        [bioHash1, 1, user1.address, nonce]
-      );
-      const signature = await institution.signMessage(ethers.getBytes(messageHash));
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signTypedAttestation(institution, await mintGateway.getAddress(), {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      });
 
       await mintGateway.connect(user1).mintBioNFT(
         bioHash1,
         1,
         "ipfs://metadata1",
         nonce,
+        deadline,
         signature
       );
 
@@ -94,14 +104,14 @@ describe("Integration Tests", function () {
 
       // 3. Stake NFT
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
-      await restakeVault.connect(user1).stake(1);
+      await restakeVault.connect(user1).stake(1, 1, 0);
 
       expect(await restakeVault.isStaked(1)).to.be.true;
 
       // 4. Wait and accumulate rewards
       await time.increase(100);
 
-      const pendingRewards = await restakeVault.pendingRewards(user1.address);
+      const pendingRewards = await restakeVault.pendingRewards(1, user1.address);
       expect(pendingRewards).to.be.gt(0);
 
       // 5. Unstake
@@ -119,8 +129,11 @@ describe("Integration Tests", function () {
         30 * 24 * 60 * 60,
         0,
         licensePrice,
-        { value: licensePrice }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: licensePrice });
 
       expect(await licenseManager.isLicenseValid(1)).to.be.true;
 
@@ -137,33 +150,43 @@ describe("Integration Tests", function () {
     it("Should support multiple users with parallel workflows", async function () {
       // User1 mints token 1
       const nonce1 = ethers.randomBytes(32);
-      const msg1 = ethers.solidityPackedKeccak256(
-        ["bytes32", "uint256", "address", "bytes32"],
-        [bioHash1, 1, user1.address, nonce1]
-      );
-      const sig1 = await institution.signMessage(ethers.getBytes(msg1));
+      const deadline1 = (await time.latest()) + 3600;
+      const sig1 = await signTypedAttestation(institution, await mintGateway.getAddress(), {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://meta1",
+        nonce: nonce1,
+        deadline: deadline1,
+      });
 
       await mintGateway.connect(user1).mintBioNFT(
         bioHash1,
         1,
         "ipfs://meta1",
         nonce1,
+        deadline1,
         sig1
       );
 
       // User2 mints token 2
       const nonce2 = ethers.randomBytes(32);
-      const msg2 = ethers.solidityPackedKeccak256(
-        ["bytes32", "uint256", "address", "bytes32"],
-        [bioHash2, 1, user2.address, nonce2]
-      );
-      const sig2 = await institution.signMessage(ethers.getBytes(msg2));
+      const deadline2 = (await time.latest()) + 3600;
+      const sig2 = await signTypedAttestation(institution, await mintGateway.getAddress(), {
+        bioHash: bioHash2,
+        institutionId: 1,
+        minter: user2.address,
+        metadataURI: "ipfs://meta2",
+        nonce: nonce2,
+        deadline: deadline2,
+      });
 
       await mintGateway.connect(user2).mintBioNFT(
         bioHash2,
         1,
         "ipfs://meta2",
         nonce2,
+        deadline2,
         sig2
       );
 
@@ -171,14 +194,14 @@ describe("Integration Tests", function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
       await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
       
-      await restakeVault.connect(user1).stake(1);
-      await restakeVault.connect(user2).stake(2);
+      await restakeVault.connect(user1).stake(1, 1, 0);
+      await restakeVault.connect(user2).stake(1, 2, 0);
 
       // Both should accumulate rewards
       await time.increase(100);
 
-      const rewards1 = await restakeVault.pendingRewards(user1.address);
-      const rewards2 = await restakeVault.pendingRewards(user2.address);
+      const rewards1 = await restakeVault.pendingRewards(1, user1.address);
+      const rewards2 = await restakeVault.pendingRewards(1, user2.address);
 
       expect(rewards1).to.be.gt(0);
       expect(rewards2).to.be.gt(0);
@@ -188,27 +211,32 @@ describe("Integration Tests", function () {
   describe("Edge Cases and Security", function () {
     beforeEach(async function () {
       const nonce = ethers.randomBytes(32);
-      const messageHash = ethers.solidityPackedKeccak256(
-        ["bytes32", "uint256", "address", "bytes32"],
-        [bioHash1, 1, user1.address, nonce]
-      );
-      const signature = await institution.signMessage(ethers.getBytes(messageHash));
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signTypedAttestation(institution, await mintGateway.getAddress(), {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      });
 
       await mintGateway.connect(user1).mintBioNFT(
         bioHash1,
         1,
         "ipfs://metadata1",
         nonce,
+        deadline,
         signature
       );
     });
 
     it("Should prevent double spending in staking", async function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
-      await restakeVault.connect(user1).stake(1);
+      await restakeVault.connect(user1).stake(1, 1, 0);
 
       await expect(
-        restakeVault.connect(user1).stake(1)
+        restakeVault.connect(user1).stake(1, 1, 0)
       ).to.be.revertedWith("Already staked");
     });
 
@@ -221,7 +249,9 @@ describe("Integration Tests", function () {
           30 * 24 * 60 * 60,
           0,
           ethers.parseEther("1"),
-          { value: ethers.parseEther("1") }
+          false,
+          false,
+          academic
         )
       ).to.be.revertedWith("Not token owner");
     });
@@ -238,17 +268,22 @@ describe("Integration Tests", function () {
   describe("Revenue Distribution", function () {
     beforeEach(async function () {
       const nonce = ethers.randomBytes(32);
-      const messageHash = ethers.solidityPackedKeccak256(
-        ["bytes32", "uint256", "address", "bytes32"],
-        [bioHash1, 1, user1.address, nonce]
-      );
-      const signature = await institution.signMessage(ethers.getBytes(messageHash));
+      const deadline = (await time.latest()) + 3600;
+      const signature = await signTypedAttestation(institution, await mintGateway.getAddress(), {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      });
 
       await mintGateway.connect(user1).mintBioNFT(
         bioHash1,
         1,
         "ipfs://metadata1",
         nonce,
+        deadline,
         signature
       );
     });
@@ -263,8 +298,12 @@ describe("Integration Tests", function () {
         0,
         0,
         licensePrice,
-        { value: licensePrice }
+        false,
+        false,
+        academic
       );
+      // Perpetual license payments are released to the splitter at once
+      await licenseManager.connect(user2).payLicense(1, { value: licensePrice });
 
       const ownerPending = await revenueSplitter.getPendingWithdrawal(user1.address);
       const institutionPending = await revenueSplitter.getPendingWithdrawal(institution.address);
@@ -3,10 +3,11 @@ const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("LicenseManager", function () {
-  let bioNFT, revenueSplitter, licenseManager, institutionRegistry;
+  let bioNFT, revenueSplitter, licenseManager, licenseEscrow, institutionRegistry;
   let owner, institution, user1, user2, protocol;
   const bioHash = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
   const oneDay = 24 * 60 * 60;
+  const academic = 1; // BioNFT.PURPOSE_ACADEMIC
 
   beforeEach(async function () {
     [owner, institution, user1, user2, protocol] = await ethers.getSigners();
@@ -47,6 +48,10 @@ describe("LicenseManager", function () {
       await revenueSplitter.getAddress()
     );
     await licenseManager.waitForDeployment();
+    licenseEscrow = await ethers.getContractAt(
+      "LicenseEscrow",
+      await licenseManager.licenseEscrow()
+    );
 
     // Mint test NFT
     await bioNFT.mint(user1.address, bioHash, 1, "ipfs://metadata");
@@ -65,7 +70,9 @@ describe("LicenseManager", function () {
           duration,
           0, // usageLimit
           price,
-          { value: price }
+          false,
+          false,
+          academic
         )
       ).to.emit(licenseManager, "LicenseIssued");
 
@@ -87,7 +94,9 @@ describe("LicenseManager", function () {
         0,
         usageLimit,
         price,
-        { value: price }
+        false,
+        false,
+        academic
       );
 
       const license = await licenseManager.getLicense(1);
@@ -105,7 +114,9 @@ describe("LicenseManager", function () {
         0,
         0,
         price,
-        { value: price }
+        false,
+        false,
+        academic
       );
 
       const license = await licenseManager.getLicense(1);
@@ -121,26 +132,47 @@ describe("LicenseManager", function () {
           oneDay,
           0,
           ethers.parseEther("1"),
-          { value: ethers.parseEther("1") }
+          false,
+          false,
+          academic
         )
       ).to.be.revertedWith("Not token owner");
     });
 
     it("Should fail with insufficient payment", async function () {
       const price = ethers.parseEther("1");
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        0,
+        oneDay,
+        0,
+        price,
+        false,
+        false,
+        academic
+      );
 
       await expect(
-        licenseManager.connect(user1).issueLicense(
-          1,
-          user2.address,
-          0,
-          oneDay,
-          0,
-          price,
-          { value: ethers.parseEther("0.5") } // Too little
-        )
+        licenseManager
+          .connect(user2)
+          .payLicense(1, { value: ethers.parseEther("0.5") }) // Too little
       ).to.be.revertedWith("Insufficient payment");
     });
+
+    it("Should fail to license a revoked token", async function () {
+      await bioNFT.setTokenStatus(1, 2, 0, "ipfs://evidence"); // Revoked
+
+      await expect(
+        licenseManager
+          .connect(user1)
+          .issueLicense(1, user2.address, 2, 0, 0, 0, false, false, academic)
+      ).to.be.revertedWith("Token revoked");
+
+      await expect(
+        revenueSplitter.distributeRoyalty(1, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Token revoked");
+    });
   });
 
   describe("License Validation", function () {
@@ -152,8 +184,11 @@ describe("LicenseManager", function () {
         oneDay * 7,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
 
       expect(await licenseManager.isLicenseValid(1)).to.be.true;
     });
@@ -166,8 +201,11 @@ describe("LicenseManager", function () {
         oneDay,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
 
       // Fast forward past expiration
       await time.increase(oneDay + 1);
@@ -183,8 +221,11 @@ describe("LicenseManager", function () {
         0,
         3, // 3 uses
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
 
       // Use license 3 times
       await licenseManager.connect(user2).recordUsage(1);
@@ -202,8 +243,11 @@ describe("LicenseManager", function () {
         0,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
 
       await time.increase(oneDay * 365); // One year later
 
@@ -220,8 +264,11 @@ describe("LicenseManager", function () {
         oneDay * 30,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
     });
 
     it("Should allow owner to revoke license", async function () {
@@ -257,8 +304,11 @@ describe("LicenseManager", function () {
         0,
         10,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
     });
 
     it("Should record license usage", async function () {
@@ -308,7 +358,9 @@ describe("LicenseManager", function () {
         oneDay,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
 
       const licenses = await licenseManager.getLicensesForToken(1);
@@ -324,7 +376,9 @@ describe("LicenseManager", function () {
         oneDay,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
 
       const licenses = await licenseManager.getLicensesForLicensee(user2.address);
@@ -341,11 +395,1092 @@ describe("LicenseManager", function () {
         oneDay,
         0,
         ethers.parseEther("1"),
-        { value: ethers.parseEther("1") }
+        false,
+        false,
+        academic
       );
 
       expect(await licenseManager.getTotalLicenses()).to.equal(1);
     });
   });
-});
 
+  describe("Sublicensing and Transfers", function () {
+    let cro;
+
+    beforeEach(async function () {
+      [, , , , , cro] = await ethers.getSigners();
+
+      // License 1: 30-day timed, transferable and sublicensable
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        0,
+        oneDay * 30,
+        0,
+        ethers.parseEther("1"),
+        true,
+        true,
+        academic
+      );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
+    });
+
+    it("Should issue a sublicense within the parent's term", async function () {
+      await expect(
+        licenseManager
+          .connect(user2)
+          .issueSublicense(1, cro.address, 0, oneDay * 10, 0, false, false)
+      )
+        .to.emit(licenseManager, "SublicenseIssued")
+        .withArgs(1, 2, cro.address);
+
+      const sublicense = await licenseManager.getLicense(2);
+      expect(sublicense.tokenId).to.equal(1);
+      expect(sublicense.licensee).to.equal(cro.address);
+      expect(sublicense.parentLicenseId).to.equal(1);
+      expect(sublicense.price).to.equal(0);
+      expect(await licenseManager.isLicenseValid(2)).to.be.true;
+      expect(await licenseManager.getSublicenses(1)).to.deep.equal([2n]);
+      expect(await licenseManager.getLicensesForToken(1)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should not let a sublicense outlast the parent", async function () {
+      await expect(
+        licenseManager
+          .connect(user2)
+          .issueSublicense(1, cro.address, 0, oneDay * 31, 0, false, false)
+      ).to.be.revertedWith("Exceeds parent license");
+
+      await expect(
+        licenseManager.connect(user2).issueSublicense(1, cro.address, 2, 0, 0, false, false)
+      ).to.be.revertedWith("Exceeds parent license");
+    });
+
+    it("Should cap sublicense usage at the parent's remaining usage", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        1, // Usage
+        0,
+        5,
+        0,
+        false,
+        true,
+        academic
+      );
+      await licenseManager.connect(user2).recordUsage(2);
+      await licenseManager.connect(user2).recordUsage(2);
+
+      await expect(
+        licenseManager.connect(user2).issueSublicense(2, cro.address, 1, 0, 4, false, false)
+      ).to.be.revertedWith("Exceeds parent license");
+
+      await licenseManager.connect(user2).issueSublicense(2, cro.address, 1, 0, 3, false, false);
+
+      // Sublicense usage draws down the parent's budget
+      for (let i = 0; i < 3; i++) {
+        await licenseManager.connect(cro).recordUsage(3);
+      }
+      expect((await licenseManager.getLicense(2)).usageCount).to.equal(5);
+      expect(await licenseManager.isLicenseValid(2)).to.be.false;
+    });
+
+    it("Should fail to sublicense without permission", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        2,
+        0,
+        0,
+        0,
+        false,
+        false,
+        academic
+      );
+
+      await expect(
+        licenseManager.connect(user2).issueSublicense(2, cro.address, 2, 0, 0, false, false)
+      ).to.be.revertedWith("License not sublicensable");
+
+      await expect(
+        licenseManager.connect(cro).issueSublicense(1, cro.address, 0, oneDay, 0, false, false)
+      ).to.be.revertedWith("Not licensee");
+    });
+
+    it("Should not grant rights the parent does not have", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        2,
+        0,
+        0,
+        0,
+        false,
+        true,
+        academic
+      );
+
+      await expect(
+        licenseManager.connect(user2).issueSublicense(2, cro.address, 2, 0, 0, true, false)
+      ).to.be.revertedWith("Exceeds parent license");
+    });
+
+    it("Should invalidate the whole tree when a parent is revoked", async function () {
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(1, cro.address, 0, oneDay * 10, 0, false, true);
+      await licenseManager
+        .connect(cro)
+        .issueSublicense(2, protocol.address, 0, oneDay, 0, false, false);
+      expect(await licenseManager.isLicenseValid(3)).to.be.true;
+
+      await licenseManager.connect(user1).revokeLicense(1);
+
+      expect(await licenseManager.isLicenseValid(2)).to.be.false;
+      expect(await licenseManager.isLicenseValid(3)).to.be.false;
+      await expect(
+        licenseManager.connect(protocol).recordUsage(3)
+      ).to.be.revertedWith("License expired or limit reached");
+    });
+
+    it("Should allow any sublicense type under a perpetual license", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        2, // Perpetual
+        0,
+        0,
+        0,
+        false,
+        true,
+        academic
+      );
+
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(2, cro.address, 0, oneDay * 365, 0, false, false);
+      await licenseManager.connect(user2).issueSublicense(2, cro.address, 1, 0, 100, false, false);
+      await licenseManager.connect(user2).issueSublicense(2, cro.address, 2, 0, 0, false, false);
+
+      expect(await licenseManager.getSublicenses(2)).to.deep.equal([3n, 4n, 5n]);
+    });
+
+    it("Should let the parent licensee revoke a sublicense", async function () {
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(1, cro.address, 0, oneDay, 0, false, false);
+
+      await expect(licenseManager.connect(user2).revokeLicense(2))
+        .to.emit(licenseManager, "LicenseRevoked")
+        .withArgs(2);
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+    });
+
+    it("Should transfer a transferable license", async function () {
+      await expect(licenseManager.connect(user2).transferLicense(1, cro.address))
+        .to.emit(licenseManager, "LicenseTransferred")
+        .withArgs(1, user2.address, cro.address);
+
+      expect((await licenseManager.getLicense(1)).licensee).to.equal(cro.address);
+      expect(await licenseManager.getLicensesForLicensee(user2.address)).to.deep.equal([]);
+      expect(await licenseManager.getLicensesForLicensee(cro.address)).to.deep.equal([1n]);
+
+      // The new licensee takes over the right to sublicense
+      await expect(
+        licenseManager.connect(user2).issueSublicense(1, user2.address, 0, oneDay, 0, false, false)
+      ).to.be.revertedWith("Not licensee");
+      await licenseManager
+        .connect(cro)
+        .issueSublicense(1, user2.address, 0, oneDay, 0, false, false);
+    });
+
+    it("Should fail to transfer a non-transferable or invalid license", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        2,
+        0,
+        0,
+        0,
+        false,
+        false,
+        academic
+      );
+      await expect(
+        licenseManager.connect(user2).transferLicense(2, cro.address)
+      ).to.be.revertedWith("License not transferable");
+
+      await expect(
+        licenseManager.connect(cro).transferLicense(1, cro.address)
+      ).to.be.revertedWith("Not licensee");
+
+      await licenseManager.connect(user1).revokeLicense(1);
+      await expect(
+        licenseManager.connect(user2).transferLicense(1, cro.address)
+      ).to.be.revertedWith("License not valid");
+    });
+  });
+
+  describe("License Tokens", function () {
+    const decodeTokenURI = (uri) => {
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+      const json = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+      const attributes = {};
+      for (const { trait_type, value } of json.attributes) {
+        attributes[trait_type] = value;
+      }
+      return { ...json, attributes };
+    };
+
+    beforeEach(async function () {
+      // License 1: usage-based, transferable and sublicensable
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        1, // Usage
+        0,
+        10,
+        ethers.parseEther("1"),
+        true,
+        true,
+        academic
+      );
+      await licenseManager.connect(user2).payLicense(1, { value: ethers.parseEther("1") });
+    });
+
+    it("Should mint a license token to the licensee", async function () {
+      expect(await licenseManager.ownerOf(1)).to.equal(user2.address);
+      expect(await licenseManager.balanceOf(user2.address)).to.equal(1);
+
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(1, protocol.address, 1, 0, 5, false, false);
+      expect(await licenseManager.ownerOf(2)).to.equal(protocol.address);
+    });
+
+    it("Should generate metadata from the license terms", async function () {
+      await licenseManager.connect(user2).recordUsage(1);
+
+      const metadata = decodeTokenURI(await licenseManager.tokenURI(1));
+      expect(metadata.name).to.equal("AstralSeed License #1");
+      expect(metadata.attributes).to.deep.equal({
+        "License Type": "Usage",
+        "Expires At": "Never",
+        "Usage Remaining": 9,
+        "Bio-NFT": 1,
+        "Parent License": 0,
+        Transferable: true,
+        Sublicensable: true,
+        Purposes: academic,
+        Valid: true,
+      });
+    });
+
+    it("Should report expiry and validity of timed licenses", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        0, // Timed
+        oneDay,
+        0,
+        0,
+        false,
+        false,
+        academic
+      );
+      const license = await licenseManager.getLicense(2);
+
+      await time.increase(oneDay + 1);
+
+      const { attributes } = decodeTokenURI(await licenseManager.tokenURI(2));
+      expect(attributes["Expires At"]).to.equal(Number(license.expiresAt));
+      expect(attributes["Usage Remaining"]).to.equal("Unlimited");
+      expect(attributes.Valid).to.be.false;
+    });
+
+    it("Should burn the license token when the license is revoked", async function () {
+      await licenseManager.connect(user1).revokeLicense(1);
+
+      await expect(licenseManager.ownerOf(1))
+        .to.be.revertedWithCustomError(licenseManager, "ERC721NonexistentToken")
+        .withArgs(1);
+      expect(await licenseManager.balanceOf(user2.address)).to.equal(0);
+    });
+
+    it("Should revoke the license when its token is burned", async function () {
+      await expect(licenseManager.connect(user2).burn(1))
+        .to.emit(licenseManager, "LicenseRevoked")
+        .withArgs(1);
+
+      expect((await licenseManager.getLicense(1)).isActive).to.be.false;
+      expect(await licenseManager.isLicenseValid(1)).to.be.false;
+      await expect(
+        licenseManager.connect(user1).revokeLicense(1)
+      ).to.be.revertedWith("License already revoked");
+    });
+
+    it("Should fail to burn someone else's license token", async function () {
+      await expect(licenseManager.connect(user1).burn(1))
+        .to.be.revertedWithCustomError(licenseManager, "ERC721InsufficientApproval");
+    });
+
+    it("Should move the license with an ERC721 transfer", async function () {
+      await expect(
+        licenseManager.connect(user2).transferFrom(user2.address, protocol.address, 1)
+      )
+        .to.emit(licenseManager, "LicenseTransferred")
+        .withArgs(1, user2.address, protocol.address);
+
+      expect((await licenseManager.getLicense(1)).licensee).to.equal(protocol.address);
+      await licenseManager.connect(protocol).recordUsage(1);
+      await expect(
+        licenseManager.connect(user2).recordUsage(1)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should block ERC721 transfers the license terms do not allow", async function () {
+      await licenseManager.connect(user1).issueLicense(
+        1,
+        user2.address,
+        2, // Perpetual
+        0,
+        0,
+        0,
+        false,
+        false,
+        academic
+      );
+
+      await expect(
+        licenseManager.connect(user2).transferFrom(user2.address, protocol.address, 2)
+      ).to.be.revertedWith("License not transferable");
+    });
+  });
+
+  describe("License Offers", function () {
+    const price = ethers.parseEther("1");
+    let expiresAt;
+
+    beforeEach(async function () {
+      expiresAt = (await time.latest()) + oneDay * 7;
+
+      // Offer 1: 30-day timed licenses, open to anyone
+      await licenseManager
+        .connect(user1)
+        .createOffer(1, 0, oneDay * 30, 0, price, false, false, academic, expiresAt, []);
+    });
+
+    it("Should publish a license offer", async function () {
+      await expect(
+        licenseManager
+          .connect(user1)
+          .createOffer(1, 1, 0, 50, price, true, false, academic, expiresAt, [1])
+      )
+        .to.emit(licenseManager, "LicenseOfferCreated")
+        .withArgs(2, 1, user1.address, price, expiresAt);
+
+      const offer = await licenseManager.getOffer(2);
+      expect(offer.seller).to.equal(user1.address);
+      expect(offer.usageLimit).to.equal(50);
+      expect(offer.transferable).to.be.true;
+      expect(offer.isActive).to.be.true;
+      expect(await licenseManager.getOffersForToken(1)).to.deep.equal([1n, 2n]);
+      expect(await licenseManager.getOfferAllowedInstitutions(2)).to.deep.equal([1n]);
+    });
+
+    it("Should fail to publish an offer without owning the token", async function () {
+      await expect(
+        licenseManager
+          .connect(user2)
+          .createOffer(1, 2, 0, 0, price, false, false, academic, expiresAt, [])
+      ).to.be.revertedWith("Not token owner");
+
+      await expect(
+        licenseManager
+          .connect(user1)
+          .createOffer(1, 2, 0, 0, price, false, false, academic, await time.latest(), [])
+      ).to.be.revertedWith("Invalid expiry");
+    });
+
+    it("Should sell licenses from a standing offer", async function () {
+      await expect(licenseManager.connect(user2).purchaseLicense(1, { value: price }))
+        .to.emit(licenseManager, "LicensePurchased")
+        .withArgs(1, 1, user2.address, price);
+      await licenseManager.connect(protocol).purchaseLicense(1, { value: price });
+
+      const license = await licenseManager.getLicense(1);
+      expect(license.licensee).to.equal(user2.address);
+      expect(license.licenseType).to.equal(0);
+      expect(license.price).to.equal(price);
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+      expect(await licenseManager.ownerOf(2)).to.equal(protocol.address);
+
+      // Both payments are escrowed over the license term
+      expect((await licenseEscrow.getEscrow(1)).balance).to.equal(price);
+      expect((await licenseEscrow.getEscrow(2)).balance).to.equal(price);
+    });
+
+    it("Should fail to buy with the wrong payment", async function () {
+      await expect(
+        licenseManager.connect(user2).purchaseLicense(1, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Incorrect payment");
+    });
+
+    it("Should fail to buy from a cancelled or expired offer", async function () {
+      await expect(licenseManager.connect(user2).cancelOffer(1)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(licenseManager.connect(user1).cancelOffer(1))
+        .to.emit(licenseManager, "LicenseOfferCancelled")
+        .withArgs(1);
+      await expect(
+        licenseManager.connect(user2).purchaseLicense(1, { value: price })
+      ).to.be.revertedWith("Offer not active");
+
+      await licenseManager
+        .connect(user1)
+        .createOffer(1, 2, 0, 0, price, false, false, academic, expiresAt, []);
+      await time.increaseTo(expiresAt + 1);
+      await expect(
+        licenseManager.connect(user2).purchaseLicense(2, { value: price })
+      ).to.be.revertedWith("Offer expired");
+    });
+
+    it("Should lapse offers when the token changes hands", async function () {
+      await bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      await expect(
+        licenseManager.connect(protocol).purchaseLicense(1, { value: price })
+      ).to.be.revertedWith("Seller no longer owns token");
+    });
+
+    it("Should restrict offers to allow-listed institutions", async function () {
+      await licenseManager
+        .connect(user1)
+        .createOffer(1, 2, 0, 0, price, false, false, academic, expiresAt, [1]);
+
+      await expect(
+        licenseManager.connect(institution).purchaseLicense(2, { value: price })
+      ).to.be.revertedWith("Not allowed to buy");
+
+      await licenseManager.setInstitutionRegistry(await institutionRegistry.getAddress());
+
+      await expect(
+        licenseManager.connect(user2).purchaseLicense(2, { value: price })
+      ).to.be.revertedWith("Not allowed to buy");
+      await licenseManager.connect(institution).purchaseLicense(2, { value: price });
+      expect((await licenseManager.getLicense(1)).licensee).to.equal(institution.address);
+    });
+  });
+
+  describe("Counter-Offers", function () {
+    const price = ethers.parseEther("1");
+    const counterPrice = ethers.parseEther("0.6");
+    let expiresAt;
+
+    beforeEach(async function () {
+      expiresAt = (await time.latest()) + oneDay * 7;
+
+      // Offer 1: 30-day timed licenses; counter-offer 1: 10 days for 0.6 ETH
+      await licenseManager
+        .connect(user1)
+        .createOffer(1, 0, oneDay * 30, 0, price, true, false, academic, expiresAt, []);
+      await licenseManager
+        .connect(user2)
+        .makeCounterOffer(1, oneDay * 10, 0, expiresAt, { value: counterPrice });
+    });
+
+    it("Should escrow a counter-offer", async function () {
+      const counterOffer = await licenseManager.getCounterOffer(1);
+      expect(counterOffer.buyer).to.equal(user2.address);
+      expect(counterOffer.duration).to.equal(oneDay * 10);
+      expect(counterOffer.price).to.equal(counterPrice);
+      expect(counterOffer.status).to.equal(0); // Pending
+      expect(await licenseManager.getCounterOffersForOffer(1)).to.deep.equal([1n]);
+      expect(
+        await ethers.provider.getBalance(await licenseManager.getAddress())
+      ).to.equal(counterPrice);
+    });
+
+    it("Should issue a license on the countered terms when accepted", async function () {
+      await expect(licenseManager.connect(user1).acceptCounterOffer(1))
+        .to.emit(licenseManager, "CounterOfferResolved")
+        .withArgs(1, 1, 1); // Accepted, license 1
+
+      const license = await licenseManager.getLicense(1);
+      expect(license.licensee).to.equal(user2.address);
+      expect(license.expiresAt).to.equal((await time.latest()) + oneDay * 10);
+      expect(license.price).to.equal(counterPrice);
+      expect(license.transferable).to.be.true;
+      expect((await licenseEscrow.getEscrow(1)).balance).to.equal(counterPrice);
+    });
+
+    it("Should refund the buyer when rejected or cancelled", async function () {
+      await expect(licenseManager.connect(user1).rejectCounterOffer(1)).to.changeEtherBalance(
+        user2,
+        counterPrice
+      );
+      expect((await licenseManager.getCounterOffer(1)).status).to.equal(2); // Rejected
+
+      await licenseManager
+        .connect(user2)
+        .makeCounterOffer(1, oneDay * 5, 0, expiresAt, { value: counterPrice });
+      await expect(licenseManager.connect(user2).cancelCounterOffer(2)).to.changeEtherBalance(
+        user2,
+        counterPrice
+      );
+      expect((await licenseManager.getCounterOffer(2)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should only let each party resolve their side", async function () {
+      await expect(
+        licenseManager.connect(user2).acceptCounterOffer(1)
+      ).to.be.revertedWith("Not token owner");
+      await expect(
+        licenseManager.connect(protocol).rejectCounterOffer(1)
+      ).to.be.revertedWith("Not token owner");
+      await expect(
+        licenseManager.connect(user1).cancelCounterOffer(1)
+      ).to.be.revertedWith("Not buyer");
+    });
+
+    it("Should not resolve a counter-offer twice", async function () {
+      await licenseManager.connect(user1).acceptCounterOffer(1);
+
+      await expect(
+        licenseManager.connect(user2).cancelCounterOffer(1)
+      ).to.be.revertedWith("Counter-offer not pending");
+    });
+
+    it("Should let buyers reclaim expired counter-offers", async function () {
+      await time.increaseTo(expiresAt + 1);
+
+      await expect(
+        licenseManager.connect(user1).acceptCounterOffer(1)
+      ).to.be.revertedWith("Counter-offer expired");
+      await expect(licenseManager.connect(user2).cancelCounterOffer(1)).to.changeEtherBalance(
+        user2,
+        counterPrice
+      );
+    });
+
+    it("Should validate counter-offer terms", async function () {
+      await expect(
+        licenseManager.connect(user2).makeCounterOffer(1, 0, 0, expiresAt, { value: counterPrice })
+      ).to.be.revertedWith("Duration required for timed license");
+    });
+  });
+
+  describe("Subscriptions", function () {
+    const oneYear = oneDay * 365;
+    const gracePeriod = oneDay * 7;
+    const price = ethers.parseEther("1");
+    let issuedAt;
+
+    beforeEach(async function () {
+      // License 1: annual subscription
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 3, oneYear, 0, price, true, true, academic);
+      issuedAt = await time.latest();
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+    });
+
+    it("Should issue a subscription with its first period paid", async function () {
+      const license = await licenseManager.getLicense(1);
+      expect(license.licenseType).to.equal(3); // Subscription
+      expect(license.expiresAt).to.equal(issuedAt + oneYear);
+
+      const subscription = await licenseManager.getSubscription(1);
+      expect(subscription.period).to.equal(oneYear);
+      expect(subscription.pricePerPeriod).to.equal(price);
+      expect(subscription.cancelled).to.be.false;
+      expect((await licenseEscrow.getEscrow(1)).balance).to.equal(price);
+    });
+
+    it("Should renew a subscription into escrow", async function () {
+      const { expiresAt } = await licenseManager.getLicense(1);
+
+      await expect(
+        licenseManager.connect(user2).renewSubscription(1, 2, { value: price * 2n })
+      )
+        .to.emit(licenseManager, "SubscriptionRenewed")
+        .withArgs(1, 2, expiresAt + BigInt(oneYear * 2), price * 2n);
+
+      expect((await licenseManager.getLicense(1)).expiresAt).to.equal(
+        expiresAt + BigInt(oneYear * 2)
+      );
+
+      // What accrued before the renewal was released, the rest streams over the new term
+      const released = await ethers.provider.getBalance(await revenueSplitter.getAddress());
+      expect(released).to.be.gt(0);
+      expect((await licenseEscrow.getEscrow(1)).balance + released).to.equal(price * 3n);
+    });
+
+    it("Should let anyone pay for a renewal", async function () {
+      await licenseManager.connect(protocol).renewSubscription(1, 1, { value: price });
+
+      expect((await licenseManager.getLicense(1)).licensee).to.equal(user2.address);
+    });
+
+    it("Should fail to renew with the wrong payment", async function () {
+      await expect(
+        licenseManager.connect(user2).renewSubscription(1, 1, { value: price / 2n })
+      ).to.be.revertedWith("Incorrect payment");
+
+      await expect(
+        licenseManager.connect(user2).renewSubscription(1, 0)
+      ).to.be.revertedWith("Invalid periods");
+    });
+
+    it("Should stay valid through the grace period", async function () {
+      const { expiresAt } = await licenseManager.getLicense(1);
+
+      await time.increaseTo(expiresAt + BigInt(gracePeriod));
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+
+      await time.increase(1);
+      expect(await licenseManager.isLicenseValid(1)).to.be.false;
+    });
+
+    it("Should continue from the old expiry when renewed in the grace period", async function () {
+      const { expiresAt } = await licenseManager.getLicense(1);
+      await time.increaseTo(expiresAt + BigInt(oneDay));
+
+      await licenseManager.connect(user2).renewSubscription(1, 1, { value: price });
+
+      expect((await licenseManager.getLicense(1)).expiresAt).to.equal(
+        expiresAt + BigInt(oneYear)
+      );
+    });
+
+    it("Should start a new period when renewed after the grace period", async function () {
+      const { expiresAt } = await licenseManager.getLicense(1);
+      await time.increaseTo(expiresAt + BigInt(gracePeriod + oneDay));
+
+      await licenseManager.connect(user2).renewSubscription(1, 1, { value: price });
+
+      expect((await licenseManager.getLicense(1)).expiresAt).to.equal(
+        (await time.latest()) + oneYear
+      );
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+    });
+
+    it("Should charge the new price for future periods", async function () {
+      const newPrice = ethers.parseEther("1.5");
+
+      await expect(
+        licenseManager.connect(user2).setSubscriptionPrice(1, newPrice)
+      ).to.be.revertedWith("Not token owner");
+      await expect(licenseManager.connect(user1).setSubscriptionPrice(1, newPrice))
+        .to.emit(licenseManager, "SubscriptionPriceUpdated")
+        .withArgs(1, newPrice);
+
+      await expect(
+        licenseManager.connect(user2).renewSubscription(1, 1, { value: price })
+      ).to.be.revertedWith("Incorrect payment");
+      await licenseManager.connect(user2).renewSubscription(1, 1, { value: newPrice });
+    });
+
+    it("Should cancel a subscription at the end of the paid period", async function () {
+      const { expiresAt } = await licenseManager.getLicense(1);
+
+      await expect(
+        licenseManager.connect(user1).cancelSubscription(1)
+      ).to.be.revertedWith("Not licensee");
+      await expect(licenseManager.connect(user2).cancelSubscription(1))
+        .to.emit(licenseManager, "SubscriptionCancelled")
+        .withArgs(1, expiresAt);
+
+      await expect(
+        licenseManager.connect(user2).renewSubscription(1, 1, { value: price })
+      ).to.be.revertedWith("Subscription cancelled");
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+
+      // No grace period once cancelled
+      await time.increaseTo(expiresAt + 1n);
+      expect(await licenseManager.isLicenseValid(1)).to.be.false;
+    });
+
+    it("Should only renew subscriptions", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 2, 0, 0, 0, false, false, academic);
+
+      await expect(
+        licenseManager.connect(user2).renewSubscription(2, 1)
+      ).to.be.revertedWith("Not a subscription");
+    });
+
+    it("Should keep sublicenses within the paid period", async function () {
+      await expect(
+        licenseManager
+          .connect(user2)
+          .issueSublicense(1, protocol.address, 3, oneDay, 0, false, false)
+      ).to.be.revertedWith("Subscriptions cannot be sublicensed");
+      await expect(
+        licenseManager.connect(user2).issueSublicense(1, protocol.address, 2, 0, 0, false, false)
+      ).to.be.revertedWith("Exceeds parent license");
+
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(1, protocol.address, 0, oneDay * 30, 0, false, false);
+      expect(await licenseManager.isLicenseValid(2)).to.be.true;
+    });
+
+    it("Should sell subscriptions from an offer", async function () {
+      const expiresAt = (await time.latest()) + oneDay;
+      await licenseManager
+        .connect(user1)
+        .createOffer(1, 3, oneYear, 0, price, false, false, academic, expiresAt, []);
+
+      await licenseManager.connect(protocol).purchaseLicense(1, { value: price });
+
+      expect((await licenseManager.getSubscription(2)).pricePerPeriod).to.equal(price);
+    });
+
+    it("Should update the grace period", async function () {
+      await expect(
+        licenseManager.connect(user1).setSubscriptionGracePeriod(0)
+      ).to.be.revertedWithCustomError(licenseManager, "OwnableUnauthorizedAccount");
+
+      await licenseManager.setSubscriptionGracePeriod(0);
+      const { expiresAt } = await licenseManager.getLicense(1);
+      await time.increaseTo(expiresAt + 1n);
+
+      expect(await licenseManager.isLicenseValid(1)).to.be.false;
+    });
+  });
+
+  describe("License Payments", function () {
+    const price = ethers.parseEther("1");
+    const term = oneDay * 30;
+
+    beforeEach(async function () {
+      // License 1: 30-day timed license awaiting payment
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 0, term, 0, price, false, false, academic);
+    });
+
+    it("Should only validate a priced license once the licensee pays", async function () {
+      expect((await licenseManager.getLicense(1)).paid).to.be.false;
+      expect(await licenseManager.isLicenseValid(1)).to.be.false;
+
+      await expect(licenseManager.connect(user2).payLicense(1, { value: price }))
+        .to.emit(licenseManager, "LicensePaid")
+        .withArgs(1, user2.address, price)
+        .and.to.emit(licenseEscrow, "PaymentEscrowed")
+        .withArgs(1, price);
+
+      expect((await licenseManager.getLicense(1)).paid).to.be.true;
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+    });
+
+    it("Should refund any excess payment", async function () {
+      await expect(
+        licenseManager.connect(user2).payLicense(1, { value: price * 2n })
+      ).to.changeEtherBalances([user2, licenseEscrow], [-price, price]);
+    });
+
+    it("Should only let the licensee pay once", async function () {
+      await expect(
+        licenseManager.connect(protocol).payLicense(1, { value: price })
+      ).to.be.revertedWith("Not licensee");
+
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+      await expect(
+        licenseManager.connect(user2).payLicense(1, { value: price })
+      ).to.be.revertedWith("License already paid");
+    });
+
+    it("Should not take payment for an expired license", async function () {
+      await time.increase(term + 1);
+
+      await expect(
+        licenseManager.connect(user2).payLicense(1, { value: price })
+      ).to.be.revertedWith("License not valid");
+    });
+
+    it("Should treat free licenses as paid", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 2, 0, 0, 0, false, false, academic);
+
+      expect((await licenseManager.getLicense(2)).paid).to.be.true;
+      expect(await licenseManager.isLicenseValid(2)).to.be.true;
+    });
+
+    it("Should release timed payments pro rata", async function () {
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+      const paidAt = BigInt(await time.latest());
+      const { expiresAt } = await licenseManager.getLicense(1);
+
+      const releaseAt = paidAt + BigInt(oneDay * 10);
+      await time.setNextBlockTimestamp(releaseAt);
+      const expected = (price * (releaseAt - paidAt)) / (expiresAt - paidAt);
+      await expect(licenseEscrow.release(1))
+        .to.emit(licenseEscrow, "PaymentReleased")
+        .withArgs(1, expected);
+      expect((await licenseEscrow.getEscrow(1)).balance).to.equal(price - expected);
+
+      // Everything is released once the term is over
+      await time.increaseTo(expiresAt);
+      await licenseEscrow.release(1);
+      expect((await licenseEscrow.getEscrow(1)).balance).to.equal(0);
+      expect(await ethers.provider.getBalance(await revenueSplitter.getAddress())).to.equal(price);
+    });
+
+    it("Should release usage payments by usage", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 1, 0, 10, price, false, false, academic);
+      await licenseManager.connect(user2).payLicense(2, { value: price });
+
+      for (let i = 0; i < 4; i++) {
+        await licenseManager.connect(user2).recordUsage(2);
+      }
+      expect(await licenseEscrow.releasable(2)).to.equal(ethers.parseEther("0.4"));
+
+      await licenseEscrow.release(2);
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.28")
+      );
+    });
+
+    it("Should release perpetual payments at once", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 2, 0, 0, price, false, false, academic);
+      await licenseManager.connect(user2).payLicense(2, { value: price });
+
+      expect((await licenseEscrow.getEscrow(2)).balance).to.equal(0);
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+    });
+
+    it("Should refund the unused portion when revoked early", async function () {
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+      const paidAt = BigInt(await time.latest());
+      const { expiresAt } = await licenseManager.getLicense(1);
+
+      const revokeAt = paidAt + BigInt(oneDay * 6);
+      await time.setNextBlockTimestamp(revokeAt);
+      const used = (price * (revokeAt - paidAt)) / (expiresAt - paidAt);
+      await expect(licenseManager.connect(user1).revokeLicense(1))
+        .to.emit(licenseEscrow, "PaymentRefunded")
+        .withArgs(1, user2.address, price - used);
+
+      expect(await licenseEscrow.pendingRefunds(user2.address)).to.equal(price - used);
+      expect(await ethers.provider.getBalance(await revenueSplitter.getAddress())).to.equal(used);
+
+      await expect(licenseEscrow.connect(user2).withdrawRefund())
+        .to.emit(licenseEscrow, "RefundWithdrawn")
+        .withArgs(user2.address, price - used);
+      await expect(licenseEscrow.connect(user2).withdrawRefund()).to.be.revertedWith(
+        "No refund to withdraw"
+      );
+    });
+
+    it("Should refund a smart-contract wallet licensee", async function () {
+      const MockWallet = await ethers.getContractFactory("MockWallet");
+      const wallet = await MockWallet.deploy();
+      await wallet.waitForDeployment();
+      const walletAddress = await wallet.getAddress();
+
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, walletAddress, 0, term, 0, price, false, false, academic);
+      await wallet.execute(
+        await licenseManager.getAddress(),
+        licenseManager.interface.encodeFunctionData("payLicense", [2]),
+        { value: price }
+      );
+      await licenseManager.connect(user1).revokeLicense(2);
+      const refund = await licenseEscrow.pendingRefunds(walletAddress);
+
+      await wallet.execute(
+        await licenseEscrow.getAddress(),
+        licenseEscrow.interface.encodeFunctionData("withdrawRefund")
+      );
+
+      expect(refund).to.be.gt(0);
+      expect(await wallet.totalReceived()).to.equal(refund);
+      expect(await licenseEscrow.pendingRefunds(walletAddress)).to.equal(0);
+    });
+
+    it("Should refund everything if the bio-NFT is revoked", async function () {
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+      await time.increase(oneDay * 10);
+      await bioNFT.setTokenStatus(1, 2, 0, "ipfs://evidence"); // Revoked
+
+      expect(await licenseEscrow.releasable(1)).to.equal(0);
+      await licenseManager.revokeLicense(1);
+
+      expect(await licenseEscrow.pendingRefunds(user2.address)).to.equal(price);
+    });
+
+    it("Should release the rest when the licensee burns their license", async function () {
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+
+      await licenseManager.connect(user2).burn(1);
+
+      expect(await licenseEscrow.pendingRefunds(user2.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(await revenueSplitter.getAddress())).to.equal(price);
+    });
+
+    it("Should only accept deposits from the license manager", async function () {
+      await expect(licenseEscrow.deposit(1, { value: price })).to.be.revertedWith(
+        "Only license manager"
+      );
+      await expect(licenseEscrow.settle(1, true)).to.be.revertedWith("Only license manager");
+    });
+  });
+
+  describe("Consent and Purposes", function () {
+    const commercial = 2; // BioNFT.PURPOSE_COMMERCIAL
+    const termsHash = ethers.keccak256(ethers.toUtf8Bytes("consent-form-v1"));
+
+    beforeEach(async function () {
+      // The donor consents to academic and commercial use
+      await bioNFT.connect(user1).setConsent(1, academic | commercial, termsHash);
+    });
+
+    it("Should record a license's purposes", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 2, 0, 0, 0, false, false, academic | commercial);
+
+      expect((await licenseManager.getLicense(1)).purposes).to.equal(academic | commercial);
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+    });
+
+    it("Should reject purposes outside the consent scope", async function () {
+      const reidentification = 8; // BioNFT.PURPOSE_REIDENTIFICATION
+
+      await expect(
+        licenseManager
+          .connect(user1)
+          .issueLicense(1, user2.address, 2, 0, 0, 0, false, false, academic | reidentification)
+      ).to.be.revertedWith("Purpose not consented");
+      await expect(
+        licenseManager.connect(user1).issueLicense(1, user2.address, 2, 0, 0, 0, false, false, 0)
+      ).to.be.revertedWith("Purpose required");
+    });
+
+    it("Should invalidate conflicting licenses when consent is withdrawn", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 1, 0, 10, 0, false, true, commercial);
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 1, 0, 10, 0, false, false, academic);
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(1, protocol.address, 1, 0, 5, false, false);
+
+      await bioNFT.connect(user1).withdrawConsent(1, commercial);
+
+      expect(await licenseManager.isLicenseValid(1)).to.be.false;
+      expect(await licenseManager.isLicenseValid(3)).to.be.false;
+      expect(await licenseManager.isLicenseValid(2)).to.be.true;
+      await expect(licenseManager.connect(user2).recordUsage(1)).to.be.revertedWith(
+        "License expired or limit reached"
+      );
+
+      // Restoring consent restores the licenses
+      await bioNFT.connect(user1).setConsent(1, academic | commercial, termsHash);
+      expect(await licenseManager.isLicenseValid(1)).to.be.true;
+    });
+
+    it("Should give sublicenses their parent's purposes", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 2, 0, 0, 0, false, true, commercial);
+      await licenseManager
+        .connect(user2)
+        .issueSublicense(1, protocol.address, 2, 0, 0, false, false);
+
+      expect((await licenseManager.getLicense(2)).purposes).to.equal(commercial);
+    });
+
+    it("Should stop selling offers once consent is withdrawn", async function () {
+      const price = ethers.parseEther("1");
+      const expiresAt = (await time.latest()) + oneDay;
+
+      await expect(
+        licenseManager
+          .connect(user1)
+          .createOffer(1, 2, 0, 0, price, false, false, 4, expiresAt, [])
+      ).to.be.revertedWith("Purpose not consented");
+
+      await licenseManager
+        .connect(user1)
+        .createOffer(1, 2, 0, 0, price, false, false, commercial, expiresAt, []);
+      await bioNFT.connect(user1).withdrawConsent(1, commercial);
+
+      await expect(
+        licenseManager.connect(user2).purchaseLicense(1, { value: price })
+      ).to.be.revertedWith("Purpose not consented");
+    });
+
+    it("Should refund payments for purposes the donor no longer consents to", async function () {
+      const price = ethers.parseEther("1");
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 0, oneDay * 30, 0, price, false, false, commercial);
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+
+      await bioNFT.connect(user1).withdrawConsent(1, commercial);
+      await time.increase(oneDay * 10);
+      expect(await licenseEscrow.releasable(1)).to.equal(0);
+
+      // The licensee can close the license themselves to get their money back
+      await licenseManager.connect(user2).burn(1);
+      expect(await licenseEscrow.pendingRefunds(user2.address)).to.equal(price);
+    });
+
+    it("Should refund the share accrued while consent was withdrawn", async function () {
+      const price = ethers.parseEther("1");
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 0, oneDay * 30, 0, price, false, false, commercial);
+      await licenseManager.connect(user2).payLicense(1, { value: price });
+      const paidAt = BigInt(await time.latest());
+      const { expiresAt } = await licenseManager.getLicense(1);
+      const streamed = (balance, from, to) => (balance * (to - from)) / (expiresAt - from);
+
+      // Settling the freeze refunds what accrued and moves the checkpoint forward
+      await bioNFT.connect(user1).withdrawConsent(1, commercial);
+      const settledAt = paidAt + BigInt(oneDay * 10);
+      await time.setNextBlockTimestamp(settledAt);
+      const frozen = streamed(price, paidAt, settledAt);
+      await expect(licenseEscrow.release(1))
+        .to.emit(licenseEscrow, "PaymentRefunded")
+        .withArgs(1, user2.address, frozen)
+        .and.not.to.emit(licenseEscrow, "PaymentReleased");
+      expect((await licenseEscrow.getEscrow(1)).checkpoint).to.equal(settledAt);
+
+      // The days until consent is restored are refunded too, and only later use is released
+      const restoredAt = settledAt + BigInt(oneDay * 5);
+      await time.setNextBlockTimestamp(restoredAt);
+      await bioNFT.connect(user1).setConsent(1, academic | commercial, termsHash);
+
+      const releasedAt = restoredAt + BigInt(oneDay * 5);
+      await time.setNextBlockTimestamp(releasedAt);
+      const remaining = price - frozen;
+      const frozenAfter = streamed(remaining, settledAt, restoredAt);
+      const used = streamed(remaining - frozenAfter, restoredAt, releasedAt);
+      await expect(licenseEscrow.release(1))
+        .to.emit(licenseEscrow, "PaymentRefunded")
+        .withArgs(1, user2.address, frozenAfter)
+        .and.to.emit(licenseEscrow, "PaymentReleased")
+        .withArgs(1, used);
+
+      expect(await licenseEscrow.pendingRefunds(user2.address)).to.equal(frozen + frozenAfter);
+      expect(await ethers.provider.getBalance(await revenueSplitter.getAddress())).to.equal(used);
+    });
+  });
+});
@@ -0,0 +1,365 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  LocalCidStore,
+  generateDataKey,
+  encryptData,
+  decryptData,
+  wrapKey,
+  unwrapKey,
+  rotateMetadataKey,
+} = require("../scripts/metadata-keys");
+const {
+  FileCidStore,
+  recoverPublicKeyFromTransaction,
+  recoverPublicKeyFromSignature,
+  storeMetadataFile,
+  grantMetadataAccess,
+  readMetadata,
+} = require("../scripts/metadata-sdk");
+
+describe("MetadataVault", function () {
+  let bioNFT, metadataVault, deployment, store;
+  let owner, user1, user2, user3;
+  let ownerKeys, user2Keys, user3Keys, dataKey, metadataCID;
+  const bioHash = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
+  const metadata = JSON.stringify({ sequencer: "NovaSeq 6000", coverage: "30x" });
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    // Encryption key pairs of the token owner and accessors
+    ownerKeys = ethers.Wallet.createRandom();
+    user2Keys = ethers.Wallet.createRandom();
+    user3Keys = ethers.Wallet.createRandom();
+
+    // Deploy BioNFT
+    const BioNFT = await ethers.getContractFactory("BioNFT");
+    bioNFT = await BioNFT.deploy();
+    await bioNFT.waitForDeployment();
+    await bioNFT.setMintGateway(owner.address);
+    await bioNFT.mint(user1.address, bioHash, 1, "ipfs://metadata");
+
+    // Deploy MetadataVault
+    const MetadataVault = await ethers.getContractFactory("MetadataVault");
+    metadataVault = await MetadataVault.deploy(await bioNFT.getAddress());
+    await metadataVault.waitForDeployment();
+    deployment = {
+      address: await metadataVault.getAddress(),
+      abi: (await artifacts.readArtifact("MetadataVault")).abi,
+    };
+
+    // Store encrypted metadata and grant two accessors
+    store = new LocalCidStore();
+    dataKey = generateDataKey();
+    metadataCID = await store.put(encryptData(metadata, dataKey));
+    await metadataVault
+      .connect(user1)
+      .storeMetadata(1, metadataCID, wrapKey(dataKey, ownerKeys.signingKey.publicKey));
+    await metadataVault
+      .connect(user1)
+      .grantAccess(1, user2.address, wrapKey(dataKey, user2Keys.signingKey.publicKey));
+    await metadataVault
+      .connect(user1)
+      .grantAccess(1, user3.address, wrapKey(dataKey, user3Keys.signingKey.publicKey));
+  });
+
+  describe("Key Wrapping", function () {
+    it("Should let accessors unwrap the data key and decrypt metadata", async function () {
+      const accessKey = await metadataVault.connect(user2).getAccessKey(1, user2.address);
+      const key = unwrapKey(accessKey, user2Keys.privateKey);
+      const cid = await metadataVault.connect(user2).getMetadataCID(1);
+
+      expect(decryptData(await store.get(cid), key).toString()).to.equal(metadata);
+    });
+
+    it("Should not unwrap with another accessor's key", async function () {
+      const accessKey = await metadataVault.connect(user2).getAccessKey(1, user2.address);
+
+      expect(() => unwrapKey(accessKey, user3Keys.privateKey)).to.throw();
+    });
+  });
+
+  describe("Key Epochs", function () {
+    it("Should record the epoch of each access key", async function () {
+      expect(await metadataVault.getEpochs(1)).to.deep.equal([0n, 0n]);
+      expect(await metadataVault.getAccessKeyEpoch(1, user2.address)).to.equal(0);
+      expect(await metadataVault.needsRotation(1)).to.be.false;
+    });
+
+    it("Should advance the epoch on revocation", async function () {
+      await expect(metadataVault.connect(user1).revokeAccess(1, user3.address))
+        .to.emit(metadataVault, "AccessRevoked")
+        .withArgs(1, user3.address)
+        .and.to.emit(metadataVault, "EpochAdvanced")
+        .withArgs(1, 1);
+
+      expect(await metadataVault.getEpochs(1)).to.deep.equal([1n, 0n]);
+      expect(await metadataVault.needsRotation(1)).to.be.true;
+    });
+
+    it("Should publish a new key and re-grant accessors in one transaction", async function () {
+      await metadataVault.connect(user1).revokeAccess(1, user3.address);
+      const accessKey = wrapKey(dataKey, user2Keys.signingKey.publicKey);
+
+      await expect(
+        metadataVault
+          .connect(user1)
+          .rotateKey(1, "local://new", "0x01", [user2.address], [accessKey])
+      )
+        .to.emit(metadataVault, "KeyRotated")
+        .withArgs(1, 1, "local://new")
+        .and.to.emit(metadataVault, "AccessKeyUpdated")
+        .withArgs(1, user2.address, 1)
+        .and.not.to.emit(metadataVault, "EpochAdvanced");
+
+      expect(await metadataVault.getEpochs(1)).to.deep.equal([1n, 1n]);
+      expect(await metadataVault.needsRotation(1)).to.be.false;
+      expect(await metadataVault.getAccessKeyEpoch(1, user2.address)).to.equal(1);
+      expect(await metadataVault.connect(user1).getEncryptionKey(1)).to.equal("0x01");
+    });
+
+    it("Should open a new epoch when rotating without a revocation", async function () {
+      await expect(metadataVault.connect(user1).rotateKey(1, "local://new", "0x01", [], []))
+        .to.emit(metadataVault, "EpochAdvanced")
+        .withArgs(1, 1);
+
+      expect(await metadataVault.getAccessKeyEpoch(1, user2.address)).to.equal(0);
+
+      await metadataVault.connect(user1).regrantAccess(1, [user2.address], ["0x02"]);
+      expect(await metadataVault.getAccessKeyEpoch(1, user2.address)).to.equal(1);
+    });
+
+    it("Should only change a stored CID and key through a rotation", async function () {
+      await expect(
+        metadataVault.connect(user1).storeMetadata(1, "local://new", "0x01")
+      ).to.be.revertedWith("Metadata already stored");
+
+      expect(await metadataVault.connect(user1).getMetadataCID(1)).to.equal(metadataCID);
+      expect(await metadataVault.getEpochs(1)).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should move the CID without changing the key or epoch", async function () {
+      await expect(metadataVault.connect(user1).updateMetadataCID(1, "local://moved"))
+        .to.emit(metadataVault, "MetadataStored")
+        .withArgs(1, "local://moved");
+
+      expect(await metadataVault.connect(user2).getMetadataCID(1)).to.equal("local://moved");
+      expect(await metadataVault.getEpochs(1)).to.deep.equal([0n, 0n]);
+      expect(await metadataVault.getAccessKeyEpoch(1, user2.address)).to.equal(0);
+      await expect(
+        metadataVault.connect(user2).updateMetadataCID(1, "local://moved")
+      ).to.be.revertedWith("Not token owner");
+    });
+
+    it("Should require a rotation before moving the CID after a revocation", async function () {
+      await metadataVault.connect(user1).revokeAccess(1, user3.address);
+
+      await expect(
+        metadataVault.connect(user1).updateMetadataCID(1, "local://moved")
+      ).to.be.revertedWith("Key rotation required");
+
+      await metadataVault.connect(user1).rotateKey(1, "local://new", "0x01", [], []);
+      await metadataVault.connect(user1).updateMetadataCID(1, "local://moved");
+      expect(await metadataVault.getEpochs(1)).to.deep.equal([1n, 1n]);
+    });
+
+    it("Should only re-grant authorized accessors", async function () {
+      await metadataVault.connect(user1).revokeAccess(1, user3.address);
+
+      await expect(
+        metadataVault.connect(user1).rotateKey(1, "local://new", "0x01", [user3.address], ["0x02"])
+      ).to.be.revertedWith("No access granted");
+      await expect(
+        metadataVault.connect(user1).rotateKey(1, "local://new", "0x01", [user2.address], [])
+      ).to.be.revertedWith("Length mismatch");
+    });
+
+    it("Should only let the token owner rotate keys", async function () {
+      await expect(
+        metadataVault.connect(user2).rotateKey(1, "local://new", "0x01", [], [])
+      ).to.be.revertedWith("Not token owner");
+      await expect(metadataVault.connect(user2).getEncryptionKey(1)).to.be.revertedWith(
+        "Not token owner"
+      );
+    });
+  });
+
+  describe("Rotation Helper", function () {
+    it("Should lock revoked accessors out of re-encrypted metadata", async function () {
+      const cachedKey = unwrapKey(
+        await metadataVault.connect(user3).getAccessKey(1, user3.address),
+        user3Keys.privateKey
+      );
+      await metadataVault.connect(user1).revokeAccess(1, user3.address);
+
+      const rotation = await rotateMetadataKey(deployment, user1, 1, {
+        store,
+        ownerPrivateKey: ownerKeys.privateKey,
+        publicKeys: { [user2.address]: user2Keys.signingKey.publicKey },
+      });
+
+      const cid = await metadataVault.connect(user2).getMetadataCID(1);
+      expect(cid).to.equal(rotation.metadataCID);
+      expect(() => decryptData(store.contents.get(cid), cachedKey)).to.throw();
+
+      const key = unwrapKey(
+        await metadataVault.connect(user2).getAccessKey(1, user2.address),
+        user2Keys.privateKey
+      );
+      expect(decryptData(await store.get(cid), key).toString()).to.equal(metadata);
+      expect(await metadataVault.needsRotation(1)).to.be.false;
+    });
+
+    it("Should let the owner unwrap the new encryption key", async function () {
+      await metadataVault.connect(user1).revokeAccess(1, user3.address);
+      const rotation = await rotateMetadataKey(deployment, user1, 1, {
+        store,
+        ownerPrivateKey: ownerKeys.privateKey,
+        publicKeys: { [user2.address]: user2Keys.signingKey.publicKey },
+      });
+
+      const encryptionKey = await metadataVault.connect(user1).getEncryptionKey(1);
+      expect(unwrapKey(encryptionKey, ownerKeys.privateKey)).to.deep.equal(rotation.dataKey);
+    });
+
+    it("Should require a public key for every remaining accessor", async function () {
+      await expect(
+        rotateMetadataKey(deployment, user1, 1, {
+          store,
+          ownerPrivateKey: ownerKeys.privateKey,
+          publicKeys: { [user2.address]: user2Keys.signingKey.publicKey },
+        })
+      ).to.be.rejectedWith(`No public key for accessor ${user3.address}`);
+    });
+  });
+
+  describe("Encryption SDK", function () {
+    const bioHash2 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-2"));
+    const record = { sample: "SRR000001", assay: "WGS", consentVersion: 2 };
+    let directory, metadataFile, fileStore, donor, researcher;
+
+    beforeEach(async function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "astralseed-"));
+      metadataFile = path.join(directory, "metadata.json");
+      fs.writeFileSync(metadataFile, JSON.stringify(record));
+      fileStore = new FileCidStore(path.join(directory, "store"));
+
+      // Wallets with local keys, funded to send transactions
+      donor = ethers.Wallet.createRandom().connect(ethers.provider);
+      researcher = ethers.Wallet.createRandom().connect(ethers.provider);
+      await owner.sendTransaction({ to: donor.address, value: ethers.parseEther("1") });
+      await owner.sendTransaction({ to: researcher.address, value: ethers.parseEther("1") });
+
+      await bioNFT.mint(donor.address, bioHash2, 1, "ipfs://metadata2");
+      await storeMetadataFile(deployment, donor, 2, metadataFile, { store: fileStore });
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("Should let the owner read back stored metadata", async function () {
+      expect(await readMetadata(deployment, donor, 2, { store: fileStore })).to.deep.equal(record);
+    });
+
+    it("Should grant access to a public key recovered from a transaction", async function () {
+      const tx = await researcher.sendTransaction({ to: researcher.address, value: 0 });
+      const publicKey = await recoverPublicKeyFromTransaction(ethers.provider, tx.hash);
+      expect(publicKey).to.equal(researcher.signingKey.publicKey);
+
+      await grantMetadataAccess(deployment, donor, 2, researcher.address, publicKey);
+
+      expect(await readMetadata(deployment, researcher, 2, { store: fileStore })).to.deep.equal(
+        record
+      );
+    });
+
+    it("Should grant access to a public key recovered from a signature", async function () {
+      const message = "AstralSeed metadata access request for token 2";
+      const publicKey = recoverPublicKeyFromSignature(
+        message,
+        await researcher.signMessage(message)
+      );
+
+      await grantMetadataAccess(deployment, donor, 2, researcher.address, publicKey);
+
+      const accessKey = await metadataVault.connect(researcher).getAccessKey(2, researcher.address);
+      expect(accessKey).to.not.equal("0x");
+      expect(await readMetadata(deployment, researcher, 2, { store: fileStore })).to.deep.equal(
+        record
+      );
+    });
+
+    it("Should refuse a public key that does not belong to the accessor", async function () {
+      await expect(
+        grantMetadataAccess(
+          deployment,
+          donor,
+          2,
+          researcher.address,
+          user2Keys.signingKey.publicKey
+        )
+      ).to.be.rejectedWith("Public key does not match accessor");
+    });
+
+    it("Should keep content on disk across store instances", async function () {
+      const cid = await metadataVault.connect(donor).getMetadataCID(2);
+      const reopened = new FileCidStore(path.join(directory, "store"));
+
+      expect(await reopened.get(cid)).to.deep.equal(await fileStore.get(cid));
+      await expect(reopened.get(`local://${"0".repeat(64)}`)).to.be.rejectedWith("Unknown CID");
+    });
+
+    it("Should refuse CIDs that could name files outside the store", async function () {
+      fs.writeFileSync(path.join(directory, "secret"), "outside the store");
+
+      await expect(fileStore.get("local://../secret")).to.be.rejectedWith("Invalid CID");
+      await expect(fileStore.get(`local://${"A".repeat(64)}`)).to.be.rejectedWith("Invalid CID");
+    });
+
+    it("Should surface filesystem errors other than a missing CID", async function () {
+      const cid = `local://${"0".repeat(64)}`;
+      fs.mkdirSync(path.join(directory, "store", "0".repeat(64)));
+
+      await expect(fileStore.get(cid)).to.be.rejectedWith("EISDIR");
+    });
+
+    it("Should rotate keys against the filesystem store", async function () {
+      await grantMetadataAccess(
+        deployment,
+        donor,
+        2,
+        researcher.address,
+        researcher.signingKey.publicKey
+      );
+      await grantMetadataAccess(
+        deployment,
+        donor,
+        2,
+        user2Keys.address,
+        user2Keys.signingKey.publicKey
+      );
+      const revokedKey = unwrapKey(
+        await metadataVault.connect(donor).getAccessKey(2, user2Keys.address),
+        user2Keys.privateKey
+      );
+      await metadataVault.connect(donor).revokeAccess(2, user2Keys.address);
+
+      const rotated = await rotateMetadataKey(deployment, donor, 2, {
+        store: fileStore,
+        ownerPrivateKey: donor.privateKey,
+        publicKeys: { [researcher.address]: researcher.signingKey.publicKey },
+      });
+
+      expect(await readMetadata(deployment, researcher, 2, { store: fileStore })).to.deep.equal(
+        record
+      );
+      const blob = await fileStore.get(rotated.metadataCID);
+      expect(() => decryptData(blob, revokedKey)).to.throw();
+    });
+  });
+});
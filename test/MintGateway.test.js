@@ -1,19 +1,43 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  signTypedAttestation,
+  signMultiAttestation,
+  signMintIntent,
+  getAttestationDomain,
+  ATTESTATION_TYPES,
+} = require("../scripts/utils");
+const { enqueueMintIntent, processQueue, readQueue } = require("../scripts/relayer");
+const { batchMint } = require("../scripts/batch-operations");
 
 describe("MintGateway", function () {
   let institutionRegistry, bioNFT, mintGateway;
   let owner, institution, user1, user2;
+  let deadline;
   const bioHash1 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
   const bioHash2 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-2"));
 
-  async function signAttestation(signer, bioHash, institutionId, minter, nonce) {
-    const messageHash = ethers.solidityPackedKeccak256(
-      ["bytes32", "uint256", "address", "bytes32"],
-      [bioHash, institutionId, minter, nonce]
-    );
-    const messageHashBytes = ethers.getBytes(messageHash);
-    return await signer.signMessage(messageHashBytes);
+  async function signAttestation(
+    signer,
+    bioHash,
+    institutionId,
+    minter,
+    nonce,
+    metadataURI = "ipfs://metadata1",
+    attestationDeadline = deadline
+  ) {
+    return await signTypedAttestation(signer, await mintGateway.getAddress(), {
+      bioHash,
+      institutionId,
+      minter,
+      metadataURI,
+      nonce,
+      deadline: attestationDeadline,
+    });
   }
 
   beforeEach(async function () {
@@ -40,6 +64,10 @@ describe("MintGateway", function () {
     // Configure BioNFT
     await bioNFT.setMintGateway(await mintGateway.getAddress());
 
+    // Let the gateway count attestations
+    const MINT_GATEWAY_ROLE = await institutionRegistry.MINT_GATEWAY_ROLE();
+    await institutionRegistry.grantRole(MINT_GATEWAY_ROLE, await mintGateway.getAddress());
+
     // Register institution
     const REGISTRAR_ROLE = await institutionRegistry.REGISTRAR_ROLE();
     await institutionRegistry.grantRole(REGISTRAR_ROLE, owner.address);
@@ -48,6 +76,8 @@ describe("MintGateway", function () {
       "Test Lab",
       "ipfs://metadata"
     );
+
+    deadline = (await time.latest()) + 3600;
   });
 
   describe("Minting", function () {
@@ -68,6 +98,7 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata1",
           nonce,
+          deadline,
           signature
         )
       ).to.emit(mintGateway, "MintRequested");
@@ -93,6 +124,7 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata1",
           nonce,
+          deadline,
           wrongSignature
         )
       ).to.be.revertedWith("Invalid signature");
@@ -115,6 +147,7 @@ describe("MintGateway", function () {
         institutionId,
         "ipfs://metadata1",
         nonce,
+        deadline,
         signature
       );
 
@@ -124,7 +157,8 @@ describe("MintGateway", function () {
         bioHash2,
         institutionId,
         user1.address,
-        nonce
+        nonce,
+        "ipfs://metadata2"
       );
 
       await expect(
@@ -133,6 +167,7 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata2",
           nonce,
+          deadline,
           signature2
         )
       ).to.be.revertedWith("Nonce already used");
@@ -159,11 +194,43 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata1",
           nonce,
+          deadline,
           signature
         )
       ).to.be.revertedWith("Institution not active");
     });
 
+    it("Should fail while the institution bond is below the minimum", async function () {
+      await institutionRegistry.setMinimumBond(ethers.parseEther("1"));
+
+      const nonce = ethers.randomBytes(32);
+      const signature = await signAttestation(institution, bioHash1, 1, user1.address, nonce);
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature
+        )
+      ).to.be.revertedWith("Insufficient institution bond");
+
+      await institutionRegistry.postBond(1, { value: ethers.parseEther("1") });
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature
+        )
+      ).to.emit(mintGateway, "MintRequested");
+    });
+
     it("Should fail with zero bio-hash", async function () {
       const institutionId = 1;
       const nonce = ethers.randomBytes(32);
@@ -181,6 +248,7 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata1",
           nonce,
+          deadline,
           signature
         )
       ).to.be.revertedWith("Invalid bio-hash");
@@ -206,6 +274,7 @@ describe("MintGateway", function () {
         institutionId,
         "ipfs://metadata1",
         nonce,
+        deadline,
         signature
       );
 
@@ -235,6 +304,7 @@ describe("MintGateway", function () {
         1,
         "ipfs://metadata1",
         nonce,
+        deadline,
         signature
       );
 
@@ -258,7 +328,8 @@ describe("MintGateway", function () {
         bioHash2,
         1,
         user2.address,
-        nonce2
+        nonce2,
+        "ipfs://metadata2"
       );
 
       await mintGateway.connect(user1).mintBioNFT(
@@ -266,6 +337,7 @@ describe("MintGateway", function () {
         1,
         "ipfs://metadata1",
         nonce1,
+        deadline,
         sig1
       );
 
@@ -274,6 +346,7 @@ describe("MintGateway", function () {
         1,
         "ipfs://metadata2",
         nonce2,
+        deadline,
         sig2
       );
 
@@ -337,6 +410,7 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata1",
           nonce,
+          deadline,
           signature
         )
       ).to.be.revertedWith("Invalid signature");
@@ -362,6 +436,7 @@ describe("MintGateway", function () {
           institutionId,
           "ipfs://metadata1",
           nonce,
+          deadline,
           signature
         )
       ).to.be.revertedWith("Invalid signature");
@@ -387,10 +462,665 @@ describe("MintGateway", function () {
           2,
           "ipfs://metadata1",
           nonce,
+          deadline,
           signature
         )
       ).to.be.revertedWith("Invalid signature");
     });
   });
+
+  describe("EIP-712 Attestations", function () {
+    it("Should match the digest computed off-chain", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const attestation = {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      };
+      const domain = getAttestationDomain(await mintGateway.getAddress(), 31337);
+
+      expect(
+        await mintGateway.hashAttestation(
+          attestation.bioHash,
+          attestation.institutionId,
+          attestation.minter,
+          attestation.metadataURI,
+          attestation.nonce,
+          attestation.deadline
+        )
+      ).to.equal(ethers.TypedDataEncoder.hash(domain, ATTESTATION_TYPES, attestation));
+      expect(await mintGateway.domainSeparator()).to.equal(
+        ethers.TypedDataEncoder.hashDomain(domain)
+      );
+    });
+
+    it("Should fail with expired attestation", async function () {
+      const nonce = ethers.randomBytes(32);
+      const expired = (await time.latest()) - 1;
+      const signature = await signAttestation(
+        institution,
+        bioHash1,
+        1,
+        user1.address,
+        nonce,
+        "ipfs://metadata1",
+        expired
+      );
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          expired,
+          signature
+        )
+      ).to.be.revertedWith("Attestation expired");
+    });
+
+    it("Should fail with mismatched metadata URI", async function () {
+      const nonce = ethers.randomBytes(32);
+      const signature = await signAttestation(
+        institution,
+        bioHash1,
+        1,
+        user1.address,
+        nonce
+      );
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://tampered",
+          nonce,
+          deadline,
+          signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should fail with extended deadline", async function () {
+      const nonce = ethers.randomBytes(32);
+      const signature = await signAttestation(
+        institution,
+        bioHash1,
+        1,
+        user1.address,
+        nonce
+      );
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline + 3600,
+          signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject attestations signed for another gateway", async function () {
+      const otherGateway = await (await ethers.getContractFactory("MintGateway")).deploy(
+        await bioNFT.getAddress(),
+        await institutionRegistry.getAddress()
+      );
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signature = await signTypedAttestation(institution, await otherGateway.getAddress(), {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      });
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject attestations signed for another chain", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const domain = getAttestationDomain(await mintGateway.getAddress(), 84532);
+      const signature = await institution.signTypedData(domain, ATTESTATION_TYPES, {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      });
+
+      await expect(
+        mintGateway.connect(user1).mintBioNFT(
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Relayed Minting", function () {
+    async function signRelayedMint(donor, nonce, metadataURI = "ipfs://metadata1") {
+      const gatewayAddress = await mintGateway.getAddress();
+      const fields = {
+        bioHash: bioHash1,
+        institutionId: 1,
+        metadataURI,
+        nonce,
+        deadline,
+      };
+      const signature = await signTypedAttestation(institution, gatewayAddress, {
+        ...fields,
+        minter: donor.address,
+      });
+      const intentSignature = await signMintIntent(donor, gatewayAddress, {
+        ...fields,
+        donor: donor.address,
+      });
+      return { signature, intentSignature };
+    }
+
+    it("Should mint to the donor when a relayer submits", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const { signature, intentSignature } = await signRelayedMint(user1, nonce);
+
+      await expect(
+        mintGateway.connect(user2).mintBioNFTFor(
+          user1.address,
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature,
+          intentSignature
+        )
+      )
+        .to.emit(mintGateway, "MintRelayed")
+        .withArgs(user1.address, user2.address, 1);
+
+      expect(await bioNFT.ownerOf(1)).to.equal(user1.address);
+      expect(await mintGateway.isNonceUsed(nonce)).to.be.true;
+    });
+
+    it("Should fail without the donor's intent signature", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const { signature } = await signRelayedMint(user1, nonce);
+      const forgedIntent = await signMintIntent(user2, await mintGateway.getAddress(), {
+        donor: user1.address,
+        bioHash: bioHash1,
+        institutionId: 1,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      });
+
+      await expect(
+        mintGateway.connect(user2).mintBioNFTFor(
+          user1.address,
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature,
+          forgedIntent
+        )
+      ).to.be.revertedWith("Invalid intent signature");
+    });
+
+    it("Should fail if the attestation names another minter", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const { signature } = await signRelayedMint(user2, nonce);
+      const { intentSignature } = await signRelayedMint(user1, nonce);
+
+      await expect(
+        mintGateway.connect(user2).mintBioNFTFor(
+          user1.address,
+          bioHash1,
+          1,
+          "ipfs://metadata1",
+          nonce,
+          deadline,
+          signature,
+          intentSignature
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should not allow replaying a relayed mint", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const { signature, intentSignature } = await signRelayedMint(user1, nonce);
+      const args = [
+        user1.address,
+        bioHash1,
+        1,
+        "ipfs://metadata1",
+        nonce,
+        deadline,
+        signature,
+        intentSignature,
+      ];
+
+      await mintGateway.connect(user2).mintBioNFTFor(...args);
+
+      await expect(mintGateway.connect(user2).mintBioNFTFor(...args)).to.be.revertedWith(
+        "Nonce already used"
+      );
+    });
+
+    it("Should process a queue file of signed intents", async function () {
+      const queuePath = path.join(os.tmpdir(), `relay-queue-${Date.now()}.json`);
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const { signature, intentSignature } = await signRelayedMint(user1, nonce);
+
+      enqueueMintIntent(queuePath, {
+        donor: user1.address,
+        bioHash: bioHash1,
+        institutionId: 1,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+        signature,
+        intentSignature,
+      });
+      // Replayed nonce should be reported as failed, not abort the run
+      enqueueMintIntent(queuePath, {
+        donor: user1.address,
+        bioHash: bioHash1,
+        institutionId: 1,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+        signature,
+        intentSignature,
+      });
+
+      try {
+        const summary = await processQueue(mintGateway, user2, queuePath);
+        const entries = readQueue(queuePath);
+
+        expect(summary).to.deep.equal({ minted: 1, failed: 1 });
+        expect(entries[0].status).to.equal("minted");
+        expect(entries[0].tokenId).to.equal("1");
+        expect(entries[1].status).to.equal("failed");
+        expect(await bioNFT.ownerOf(1)).to.equal(user1.address);
+      } finally {
+        fs.rmSync(queuePath, { force: true });
+      }
+    });
+  });
+
+  describe("Batch Minting", function () {
+    const bioHash3 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-3"));
+
+    async function signBatch(bioHashes, minter = user1) {
+      const nonces = bioHashes.map(() => ethers.hexlify(ethers.randomBytes(32)));
+      const metadataURIs = bioHashes.map((_, i) => `ipfs://batch${i}`);
+      const deadlines = bioHashes.map(() => deadline);
+      const signatures = [];
+      for (let i = 0; i < bioHashes.length; i++) {
+        signatures.push(
+          await signAttestation(
+            institution,
+            bioHashes[i],
+            1,
+            minter.address,
+            nonces[i],
+            metadataURIs[i]
+          )
+        );
+      }
+      return { metadataURIs, nonces, deadlines, signatures };
+    }
+
+    it("Should mint every item in a valid batch", async function () {
+      const bioHashes = [bioHash1, bioHash2, bioHash3];
+      const { metadataURIs, nonces, deadlines, signatures } = await signBatch(bioHashes);
+
+      await mintGateway
+        .connect(user1)
+        .mintBioNFTBatch(bioHashes, 1, metadataURIs, nonces, deadlines, signatures);
+
+      expect(await bioNFT.totalSupply()).to.equal(3);
+      expect(await bioNFT.ownerOf(3)).to.equal(user1.address);
+      expect(await bioNFT.tokenURI(2)).to.equal("ipfs://batch1");
+      expect((await institutionRegistry.getInstitution(1)).attestationCount).to.equal(3);
+    });
+
+    it("Should report failed items without reverting the batch", async function () {
+      const bioHashes = [bioHash1, bioHash2, bioHash1];
+      const { metadataURIs, nonces, deadlines, signatures } = await signBatch(bioHashes);
+      signatures[1] = signatures[0];
+
+      const tx = mintGateway
+        .connect(user1)
+        .mintBioNFTBatch(bioHashes, 1, metadataURIs, nonces, deadlines, signatures);
+
+      await expect(tx)
+        .to.emit(mintGateway, "BatchMintFailed")
+        .withArgs(1, bioHash2, "Invalid signature");
+      await expect(tx)
+        .to.emit(mintGateway, "BatchMintFailed")
+        .withArgs(2, bioHash1, "Bio-hash already minted");
+
+      expect(await bioNFT.totalSupply()).to.equal(1);
+      expect(await mintGateway.isNonceUsed(nonces[0])).to.be.true;
+      expect(await mintGateway.isNonceUsed(nonces[2])).to.be.false;
+      expect((await institutionRegistry.getInstitution(1)).attestationCount).to.equal(1);
+    });
+
+    it("Should fail with mismatched array lengths", async function () {
+      const { metadataURIs, nonces, deadlines, signatures } = await signBatch([bioHash1]);
+
+      await expect(
+        mintGateway
+          .connect(user1)
+          .mintBioNFTBatch([bioHash1, bioHash2], 1, metadataURIs, nonces, deadlines, signatures)
+      ).to.be.revertedWith("Array length mismatch");
+    });
+
+    it("Should mint a CSV manifest in gas-bounded chunks", async function () {
+      const bioHashes = [bioHash1, bioHash2, bioHash3];
+      const { metadataURIs, nonces, deadlines, signatures } = await signBatch(bioHashes);
+      const manifestPath = path.join(os.tmpdir(), `manifest-${Date.now()}.csv`);
+      const resultsPath = path.join(os.tmpdir(), `results-${Date.now()}.json`);
+      const rows = bioHashes.map((bioHash, i) =>
+        [bioHash, 1, metadataURIs[i], nonces[i], deadlines[i], signatures[i]].join(",")
+      );
+      fs.writeFileSync(
+        manifestPath,
+        ["bioHash,institutionId,metadataURI,nonce,deadline,signature", ...rows].join("\n")
+      );
+
+      try {
+        const results = await batchMint(manifestPath, {
+          resultsPath,
+          maxChunkSize: 2,
+          mintGateway,
+          signer: user1,
+        });
+
+        expect(results.map((result) => result.tokenId)).to.deep.equal(["1", "2", "3"]);
+        expect(new Set(results.map((result) => result.txHash)).size).to.equal(2);
+        expect(JSON.parse(fs.readFileSync(resultsPath, "utf8"))).to.deep.equal(results);
+        expect(await bioNFT.ownerOf(3)).to.equal(user1.address);
+      } finally {
+        fs.rmSync(manifestPath, { force: true });
+        fs.rmSync(resultsPath, { force: true });
+      }
+    });
+
+    it("Should keep minting and recording results past a chunk that throws", async function () {
+      const bioHashes = [bioHash1, bioHash2, bioHash3];
+      const { metadataURIs, nonces, deadlines, signatures } = await signBatch(bioHashes);
+      const manifestPath = path.join(os.tmpdir(), `manifest-${Date.now()}.json`);
+      const resultsPath = path.join(os.tmpdir(), `results-${Date.now()}.json`);
+      const items = bioHashes.map((bioHash, i) => ({
+        bioHash,
+        institutionId: 1,
+        metadataURI: metadataURIs[i],
+        nonce: nonces[i],
+        deadline: deadlines[i].toString(),
+        signature: signatures[i],
+      }));
+      // A malformed bio-hash makes the middle item throw before it reaches the chain
+      items[1].bioHash = "0x1234";
+      fs.writeFileSync(manifestPath, JSON.stringify(items));
+
+      try {
+        const results = await batchMint(manifestPath, {
+          resultsPath,
+          maxChunkSize: 3,
+          mintGateway,
+          signer: user1,
+        });
+
+        expect(results.map((result) => result.status)).to.deep.equal([
+          "minted",
+          "failed",
+          "minted",
+        ]);
+        expect(results[0].tokenId).to.equal("1");
+        expect(results[1].error).to.be.a("string");
+        expect(results[2].tokenId).to.equal("2");
+        expect(JSON.parse(fs.readFileSync(resultsPath, "utf8"))).to.deep.equal(results);
+        expect(await bioNFT.tokenURI(2)).to.equal("ipfs://batch2");
+      } finally {
+        fs.rmSync(manifestPath, { force: true });
+        fs.rmSync(resultsPath, { force: true });
+      }
+    });
+  });
+
+  describe("Multi-signer Attestations", function () {
+    let signer2, signer3;
+
+    beforeEach(async function () {
+      [, , , , signer2, signer3] = await ethers.getSigners();
+      await institutionRegistry.addSigner(1, signer2.address);
+      await institutionRegistry.addSigner(1, signer3.address);
+      await institutionRegistry.setSignerThreshold(1, 2);
+    });
+
+    function attestationFor(nonce) {
+      return {
+        bioHash: bioHash1,
+        institutionId: 1,
+        minter: user1.address,
+        metadataURI: "ipfs://metadata1",
+        nonce,
+        deadline,
+      };
+    }
+
+    function mint(nonce, signature) {
+      return mintGateway
+        .connect(user1)
+        .mintBioNFT(bioHash1, 1, "ipfs://metadata1", nonce, deadline, signature);
+    }
+
+    it("Should mint with M distinct signatures", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signature = await signMultiAttestation(
+        [signer2, institution],
+        await mintGateway.getAddress(),
+        attestationFor(nonce)
+      );
+
+      await expect(mint(nonce, signature)).to.emit(mintGateway, "MintRequested");
+      expect(await bioNFT.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it("Should fail with fewer signatures than the threshold", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signature = await signAttestation(institution, bioHash1, 1, user1.address, nonce);
+
+      await expect(mint(nonce, signature)).to.be.revertedWith("Insufficient signatures");
+    });
+
+    it("Should fail with a repeated signer", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signature = await signAttestation(institution, bioHash1, 1, user1.address, nonce);
+
+      await expect(mint(nonce, ethers.concat([signature, signature]))).to.be.revertedWith(
+        "Signers not in ascending order"
+      );
+    });
+
+    it("Should fail if any signer is not registered", async function () {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signature = await signMultiAttestation(
+        [institution, user2],
+        await mintGateway.getAddress(),
+        attestationFor(nonce)
+      );
+
+      await expect(mint(nonce, signature)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject a rotated-out signer", async function () {
+      await institutionRegistry.rotateSigner(1, signer3.address, user2.address);
+
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const stale = await signMultiAttestation(
+        [institution, signer3],
+        await mintGateway.getAddress(),
+        attestationFor(nonce)
+      );
+      await expect(mint(nonce, stale)).to.be.revertedWith("Invalid signature");
+
+      const rotated = await signMultiAttestation(
+        [institution, user2],
+        await mintGateway.getAddress(),
+        attestationFor(nonce)
+      );
+      await expect(mint(nonce, rotated)).to.emit(mintGateway, "MintRequested");
+      expect(await bioNFT.getInstitutionId(1)).to.equal(1);
+    });
+  });
+
+  describe("Mint Quotas", function () {
+    const bioHash3 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-3"));
+
+    async function mintAs(bioHash) {
+      const nonce = ethers.hexlify(ethers.randomBytes(32));
+      const signature = await signAttestation(institution, bioHash, 1, user1.address, nonce);
+      return mintGateway
+        .connect(user1)
+        .mintBioNFT(bioHash, 1, "ipfs://metadata1", nonce, deadline, signature);
+    }
+
+    it("Should be unlimited by default", async function () {
+      const [windowRemaining, lifetimeRemaining, nextSlotAt] = await mintGateway.getRemainingQuota(
+        1
+      );
+
+      expect(windowRemaining).to.equal(ethers.MaxUint256);
+      expect(lifetimeRemaining).to.equal(ethers.MaxUint256);
+      expect(nextSlotAt).to.equal(0);
+    });
+
+    it("Should enforce the per-window quota and reset after the window", async function () {
+      await expect(mintGateway.setMintQuota(1, 2, 24 * 60 * 60, 0))
+        .to.emit(mintGateway, "MintQuotaUpdated")
+        .withArgs(1, 2, 24 * 60 * 60, 0);
+
+      await mintAs(bioHash1);
+      expect((await mintGateway.getRemainingQuota(1))[0]).to.equal(1);
+      await mintAs(bioHash2);
+      expect((await mintGateway.getRemainingQuota(1))[0]).to.equal(0);
+
+      await expect(mintAs(bioHash3)).to.be.revertedWith("Attestation quota exceeded for window");
+
+      await time.increase(24 * 60 * 60);
+      deadline = (await time.latest()) + 3600;
+
+      expect((await mintGateway.getRemainingQuota(1))[0]).to.equal(2);
+      await expect(mintAs(bioHash3)).to.emit(mintGateway, "MintRequested");
+    });
+
+    it("Should not allow a burst across a window boundary", async function () {
+      const day = 24 * 60 * 60;
+      await mintGateway.setMintQuota(1, 2, day, 0);
+      deadline = (await time.latest()) + 2 * day;
+
+      await mintAs(bioHash1);
+      const firstMintAt = await time.latest();
+      await time.increase(day - 60 * 60);
+      await mintAs(bioHash2);
+      const secondMintAt = await time.latest();
+
+      // Only the first mint has left the window
+      await time.increaseTo(firstMintAt + day);
+      expect((await mintGateway.getRemainingQuota(1))[0]).to.equal(1);
+      await mintAs(bioHash3);
+
+      const [windowRemaining, , nextSlotAt] = await mintGateway.getRemainingQuota(1);
+      expect(windowRemaining).to.equal(0);
+      expect(nextSlotAt).to.equal(secondMintAt + day);
+      await expect(mintAs(ethers.keccak256(ethers.toUtf8Bytes("sample-dna-4")))).to.be.revertedWith(
+        "Attestation quota exceeded for window"
+      );
+    });
+
+    it("Should apply a lowered limit to recent mints", async function () {
+      await mintGateway.setMintQuota(1, 3, 60 * 60, 0);
+      await mintAs(bioHash1);
+      await mintAs(bioHash2);
+
+      await mintGateway.setMintQuota(1, 1, 60 * 60, 0);
+      expect((await mintGateway.getRemainingQuota(1))[0]).to.equal(0);
+      await expect(mintAs(bioHash3)).to.be.revertedWith("Attestation quota exceeded for window");
+
+      await mintGateway.setMintQuota(1, 3, 60 * 60, 0);
+      expect((await mintGateway.getRemainingQuota(1))[0]).to.equal(2);
+    });
+
+    it("Should enforce the lifetime cap", async function () {
+      await mintGateway.setMintQuota(1, 0, 0, 1);
+
+      await mintAs(bioHash1);
+      expect((await mintGateway.getRemainingQuota(1))[1]).to.equal(0);
+
+      await expect(mintAs(bioHash2)).to.be.revertedWith("Lifetime attestation cap reached");
+    });
+
+    it("Should report over-quota batch items without reverting", async function () {
+      await mintGateway.setMintQuota(1, 1, 60 * 60, 0);
+
+      const bioHashes = [bioHash1, bioHash2];
+      const nonces = bioHashes.map(() => ethers.hexlify(ethers.randomBytes(32)));
+      const signatures = [
+        await signAttestation(institution, bioHash1, 1, user1.address, nonces[0], "ipfs://a"),
+        await signAttestation(institution, bioHash2, 1, user1.address, nonces[1], "ipfs://b"),
+      ];
+
+      await expect(
+        mintGateway
+          .connect(user1)
+          .mintBioNFTBatch(
+            bioHashes,
+            1,
+            ["ipfs://a", "ipfs://b"],
+            nonces,
+            [deadline, deadline],
+            signatures
+          )
+      )
+        .to.emit(mintGateway, "BatchMintFailed")
+        .withArgs(1, bioHash2, "Attestation quota exceeded for window");
+
+      expect(await bioNFT.totalSupply()).to.equal(1);
+    });
+
+    it("Should only let registrars set quotas", async function () {
+      await expect(mintGateway.connect(user1).setMintQuota(1, 1, 60, 0)).to.be.revertedWith(
+        "Not registrar"
+      );
+      await expect(mintGateway.setMintQuota(1, 1, 0, 0)).to.be.revertedWith(
+        "Window duration required"
+      );
+    });
+  });
 });
 
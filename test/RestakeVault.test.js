@@ -1,10 +1,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { parseEvents } = require("../scripts/utils");
 
 describe("RestakeVault", function () {
   let bioNFT, restakeVault, mintGateway;
   let owner, gateway, user1, user2;
+  const poolId = 1;
+  const rewardsDuration = 100000; // 10 ETH over 100000 seconds
   const rewardRate = ethers.parseEther("0.0001"); // 0.0001 ETH per second
   const bioHash1 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
   const bioHash2 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-2"));
@@ -20,40 +24,51 @@ describe("RestakeVault", function () {
 
     // Deploy RestakeVault
     const RestakeVault = await ethers.getContractFactory("RestakeVault");
-    restakeVault = await RestakeVault.deploy(await bioNFT.getAddress(), rewardRate);
+    restakeVault = await RestakeVault.deploy(await bioNFT.getAddress());
     await restakeVault.waitForDeployment();
 
     // Mint test NFTs
     await bioNFT.connect(gateway).mint(user1.address, bioHash1, 1, "ipfs://meta1");
     await bioNFT.connect(gateway).mint(user2.address, bioHash2, 1, "ipfs://meta2");
 
-    // Fund rewards pool
-    await restakeVault.depositRewards({ value: ethers.parseEther("10") });
+    // Create and fund a research pool
+    await restakeVault.createPool("General Research", ethers.ZeroAddress, rewardsDuration, [], 0, {
+      value: ethers.parseEther("10"),
+    });
   });
 
   describe("Staking", function () {
     it("Should stake a BioNFT", async function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
 
-      await expect(restakeVault.connect(user1).stake(1))
+      await expect(restakeVault.connect(user1).stake(poolId, 1, 0))
         .to.emit(restakeVault, "Staked");
 
       expect(await restakeVault.isStaked(1)).to.be.true;
       expect(await bioNFT.ownerOf(1)).to.equal(await restakeVault.getAddress());
     });
 
+    it("Should fail to stake a revoked token", async function () {
+      await bioNFT.setTokenStatus(1, 2, 0, "ipfs://evidence"); // Revoked
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+
+      await expect(restakeVault.connect(user1).stake(poolId, 1, 0)).to.be.revertedWith(
+        "Token revoked"
+      );
+    });
+
     it("Should fail to stake if not token owner", async function () {
       await expect(
-        restakeVault.connect(user2).stake(1)
+        restakeVault.connect(user2).stake(poolId, 1, 0)
       ).to.be.revertedWith("Not token owner");
     });
 
     it("Should fail to stake already staked token", async function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
-      await restakeVault.connect(user1).stake(1);
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
 
       await expect(
-        restakeVault.connect(user1).stake(1)
+        restakeVault.connect(user1).stake(poolId, 1, 0)
       ).to.be.revertedWith("Already staked");
     });
 
@@ -61,8 +76,8 @@ describe("RestakeVault", function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
       await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
 
-      await restakeVault.connect(user1).stake(1);
-      await restakeVault.connect(user2).stake(2);
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await restakeVault.connect(user2).stake(poolId, 2, 0);
 
       const user1Tokens = await restakeVault.getStakedTokens(user1.address);
       const user2Tokens = await restakeVault.getStakedTokens(user2.address);
@@ -77,7 +92,7 @@ describe("RestakeVault", function () {
   describe("Unstaking", function () {
     beforeEach(async function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
-      await restakeVault.connect(user1).stake(1);
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
     });
 
     it("Should unstake a BioNFT", async function () {
@@ -115,13 +130,13 @@ describe("RestakeVault", function () {
   describe("Rewards", function () {
     beforeEach(async function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
-      await restakeVault.connect(user1).stake(1);
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
     });
 
     it("Should calculate pending rewards correctly", async function () {
       await time.increase(100);
 
-      const pending = await restakeVault.pendingRewards(user1.address);
+      const pending = await restakeVault.pendingRewards(poolId, user1.address);
       const expected = rewardRate * 100n;
 
       expect(pending).to.be.closeTo(expected, ethers.parseEther("0.001"));
@@ -132,7 +147,7 @@ describe("RestakeVault", function () {
 
       const initialBalance = await ethers.provider.getBalance(user1.address);
       
-      await expect(restakeVault.connect(user1).claimRewards())
+      await expect(restakeVault.connect(user1).claimRewards(poolId))
         .to.emit(restakeVault, "RewardsClaimed");
 
       const finalBalance = await ethers.provider.getBalance(user1.address);
@@ -141,10 +156,10 @@ describe("RestakeVault", function () {
 
     it("Should accumulate rewards over time", async function () {
       await time.increase(50);
-      const pending1 = await restakeVault.pendingRewards(user1.address);
+      const pending1 = await restakeVault.pendingRewards(poolId, user1.address);
 
       await time.increase(50);
-      const pending2 = await restakeVault.pendingRewards(user1.address);
+      const pending2 = await restakeVault.pendingRewards(poolId, user1.address);
 
       expect(pending2).to.be.gt(pending1);
     });
@@ -153,18 +168,18 @@ describe("RestakeVault", function () {
       // User2 stakes after 50 seconds
       await time.increase(50);
       await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
-      await restakeVault.connect(user2).stake(2);
+      await restakeVault.connect(user2).stake(poolId, 2, 0);
 
       // Wait another 50 seconds
       await time.increase(50);
 
-      const pending1 = await restakeVault.pendingRewards(user1.address);
-      const pending2 = await restakeVault.pendingRewards(user2.address);
+      const pending1 = await restakeVault.pendingRewards(poolId, user1.address);
+      const pending2 = await restakeVault.pendingRewards(poolId, user2.address);
 
-      // User1 should have ~100 seconds worth
-      const expected1 = rewardRate * 100n;
-      // User2 should have ~50 seconds worth
-      const expected2 = rewardRate * 50n;
+      // User1 earns alone for ~50 seconds, then half for ~50 seconds
+      const expected1 = rewardRate * 75n;
+      // User2 earns half for ~50 seconds
+      const expected2 = rewardRate * 25n;
 
       expect(pending1).to.be.closeTo(expected1, ethers.parseEther("0.001"));
       expect(pending2).to.be.closeTo(expected2, ethers.parseEther("0.001"));
@@ -174,27 +189,38 @@ describe("RestakeVault", function () {
   describe("Configuration", function () {
     it("Should allow owner to update reward rate", async function () {
       const newRate = ethers.parseEther("0.0002");
-      await restakeVault.setRewardRate(newRate);
-      expect(await restakeVault.rewardRate()).to.equal(newRate);
+      await restakeVault.setRewardRate(poolId, newRate);
+      expect((await restakeVault.getPool(poolId)).rewardRate).to.equal(newRate);
     });
 
     it("Should allow owner to deposit rewards", async function () {
       const amount = ethers.parseEther("5");
-      await restakeVault.depositRewards({ value: amount });
+      await restakeVault.depositRewards(poolId, { value: amount });
       
-      expect(await restakeVault.getRewardsPool()).to.be.gte(amount);
+      expect(await restakeVault.getRewardsPool(poolId)).to.be.gte(amount);
     });
 
     it("Should allow owner emergency withdraw", async function () {
       const amount = ethers.parseEther("1");
-      await restakeVault.emergencyWithdraw(amount);
-      
-      // Verify funds were withdrawn (check contract balance decreased)
+      const vaultAddress = await restakeVault.getAddress();
+      await setBalance(vaultAddress, (await ethers.provider.getBalance(vaultAddress)) + amount);
+
+      await expect(restakeVault.emergencyWithdraw(amount)).to.changeEtherBalances(
+        [restakeVault, owner],
+        [-amount, amount]
+      );
+    });
+
+    it("Should not emergency withdraw ETH budgeted for rewards", async function () {
+      await expect(restakeVault.emergencyWithdraw(1n)).to.be.revertedWith("Exceeds surplus");
+      expect(await restakeVault.budgetedRewards(ethers.ZeroAddress)).to.equal(
+        await ethers.provider.getBalance(await restakeVault.getAddress())
+      );
     });
 
     it("Should fail if non-owner tries to configure", async function () {
       await expect(
-        restakeVault.connect(user1).setRewardRate(rewardRate)
+        restakeVault.connect(user1).setRewardRate(poolId, rewardRate)
       ).to.be.reverted;
 
       await expect(
@@ -203,23 +229,539 @@ describe("RestakeVault", function () {
     });
   });
 
+  describe("Smart-contract Wallets", function () {
+    it("Should pay ETH rewards to a smart-contract wallet staker", async function () {
+      const MockWallet = await ethers.getContractFactory("MockWallet");
+      const wallet = await MockWallet.deploy();
+      const walletAddress = await wallet.getAddress();
+      const vaultAddress = await restakeVault.getAddress();
+      await bioNFT.connect(user1).transferFrom(user1.address, walletAddress, 1);
+
+      await wallet.execute(
+        await bioNFT.getAddress(),
+        bioNFT.interface.encodeFunctionData("approve", [vaultAddress, 1])
+      );
+      await wallet.execute(
+        vaultAddress,
+        restakeVault.interface.encodeFunctionData("stake", [poolId, 1, 0])
+      );
+      await time.increase(100);
+
+      await wallet.execute(
+        vaultAddress,
+        restakeVault.interface.encodeFunctionData("claimRewards", [poolId])
+      );
+      expect(await wallet.totalReceived()).to.be.closeTo(rewardRate * 101n, 10n);
+    });
+  });
+
   describe("Stake Info", function () {
     it("Should return correct stake information", async function () {
       await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
-      await restakeVault.connect(user1).stake(1);
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
 
-      const [staker, stakedAt] = await restakeVault.getStakeInfo(1);
+      const { staker, stakedAt } = await restakeVault.getStakeInfo(1);
 
       expect(staker).to.equal(user1.address);
       expect(stakedAt).to.be.gt(0);
     });
 
     it("Should return empty info for unstaked token", async function () {
-      const [staker, stakedAt] = await restakeVault.getStakeInfo(1);
+      const { staker, stakedAt } = await restakeVault.getStakeInfo(1);
 
       expect(staker).to.equal(ethers.ZeroAddress);
       expect(stakedAt).to.equal(0);
     });
   });
+
+  describe("Reward Accounting", function () {
+    beforeEach(async function () {
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+    });
+
+    it("Should never distribute more than the deposited budget", async function () {
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await time.increase(rewardsDuration * 2);
+
+      const pending = await restakeVault.pendingRewards(poolId, user1.address);
+      expect(pending).to.be.lte(ethers.parseEther("10"));
+      expect(pending).to.be.closeTo(ethers.parseEther("10"), ethers.parseEther("0.001"));
+
+      await expect(restakeVault.connect(user1).claimRewards(poolId)).to.emit(
+        restakeVault,
+        "RewardsClaimed"
+      );
+    });
+
+    it("Should split rewards by number of staked tokens", async function () {
+      const bioHash3 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-3"));
+      await bioNFT.connect(gateway).mint(user1.address, bioHash3, 1, "ipfs://meta3");
+      await bioNFT.connect(user1).setApprovalForAll(await restakeVault.getAddress(), true);
+      await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
+
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await restakeVault.connect(user1).stake(poolId, 3, 0);
+      await restakeVault.connect(user2).stake(poolId, 2, 0);
+      const start1 = await restakeVault.pendingRewards(poolId, user1.address);
+
+      await time.increase(300);
+
+      const earned1 = (await restakeVault.pendingRewards(poolId, user1.address)) - start1;
+      const earned2 = await restakeVault.pendingRewards(poolId, user2.address);
+
+      expect(earned1).to.be.closeTo(rewardRate * 200n, ethers.parseEther("0.001"));
+      expect(earned2).to.be.closeTo(rewardRate * 100n, ethers.parseEther("0.001"));
+    });
+
+    it("Should not change accrued rewards when the reward rate changes", async function () {
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await time.increase(100);
+
+      const newRate = rewardRate * 2n;
+      await restakeVault.setRewardRate(poolId, newRate);
+      const accrued = await restakeVault.pendingRewards(poolId, user1.address);
+      expect(accrued).to.be.closeTo(rewardRate * 101n, rewardRate);
+
+      await time.increase(100);
+      expect(await restakeVault.pendingRewards(poolId, user1.address)).to.equal(
+        accrued + newRate * 100n
+      );
+    });
+
+    it("Should carry what a new reward rate cannot spread into the next deposit", async function () {
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await time.increase(100);
+
+      // The remaining budget is not a whole number of seconds at this rate
+      const newRate = rewardRate * 3n + 7n;
+      await restakeVault.setRewardRate(poolId, newRate);
+      const carried = (await restakeVault.getPool(poolId)).undistributedRewards;
+      expect(carried).to.be.gt(0);
+
+      await time.increaseTo((await restakeVault.getPool(poolId)).periodFinish);
+      await restakeVault.connect(user1).claimRewards(poolId);
+
+      // Everything else was paid out, and what is left is still scheduled for the pool
+      expect((await restakeVault.getPool(poolId)).rewardsBalance).to.equal(carried);
+      expect(await restakeVault.budgetedRewards(ethers.ZeroAddress)).to.equal(carried);
+
+      const amount = ethers.parseEther("1");
+      await restakeVault.depositRewards(poolId, { value: amount });
+      const pool = await restakeVault.getPool(poolId);
+      expect(pool.rewardRate).to.equal((amount + carried) / BigInt(rewardsDuration));
+      expect(pool.undistributedRewards).to.equal((amount + carried) % BigInt(rewardsDuration));
+    });
+
+    it("Should pause the reward period while nothing is staked", async function () {
+      await time.increase(1000);
+
+      const tx = await restakeVault.connect(user1).stake(poolId, 1, 0);
+      const block = await ethers.provider.getBlock(tx.blockNumber);
+
+      const pool = await restakeVault.getPool(poolId);
+      expect(pool.periodFinish).to.equal(block.timestamp + rewardsDuration);
+    });
+
+    it("Should fail to change the duration during an active period", async function () {
+      await expect(restakeVault.setRewardsDuration(poolId, 7 * 24 * 60 * 60)).to.be.revertedWith(
+        "Reward period active"
+      );
+    });
+  });
+
+  describe("Research Pools", function () {
+    let institutionRegistry, sponsor;
+
+    beforeEach(async function () {
+      sponsor = (await ethers.getSigners())[4];
+
+      const InstitutionRegistry = await ethers.getContractFactory("InstitutionRegistry");
+      institutionRegistry = await InstitutionRegistry.deploy();
+      await institutionRegistry.waitForDeployment();
+      await institutionRegistry.registerInstitution(sponsor.address, "Sponsor Lab", "metadata");
+
+      await restakeVault.setInstitutionRegistry(await institutionRegistry.getAddress());
+    });
+
+    it("Should let a sponsoring institution create a funded pool", async function () {
+      await expect(
+        restakeVault
+          .connect(sponsor)
+          .createPool("Oncology Cohort", ethers.ZeroAddress, rewardsDuration, [1], 1, {
+            value: ethers.parseEther("20"),
+          })
+      )
+        .to.emit(restakeVault, "PoolCreated")
+        .withArgs(2, "Oncology Cohort", sponsor.address, 1);
+
+      const pool = await restakeVault.getPool(2);
+      expect(pool.sponsor).to.equal(sponsor.address);
+      expect(pool.sponsorInstitutionId).to.equal(1);
+      expect(pool.rewardsBalance).to.equal(ethers.parseEther("20"));
+      expect(await restakeVault.getEligibleInstitutions(2)).to.deep.equal([1n]);
+      expect(await restakeVault.getTotalPools()).to.equal(2);
+    });
+
+    it("Should fail to create a pool without sponsoring an institution", async function () {
+      await expect(
+        restakeVault
+          .connect(user1)
+          .createPool("Rogue Pool", ethers.ZeroAddress, rewardsDuration, [], 1)
+      ).to.be.revertedWith("Not authorized to create pool");
+    });
+
+    it("Should only let the pool sponsor or owner deposit rewards", async function () {
+      await restakeVault
+        .connect(sponsor)
+        .createPool("Oncology Cohort", ethers.ZeroAddress, rewardsDuration, [], 1);
+
+      await expect(
+        restakeVault.connect(user1).depositRewards(2, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Not pool admin");
+
+      await expect(
+        restakeVault.connect(sponsor).depositRewards(2, { value: ethers.parseEther("1") })
+      ).to.emit(restakeVault, "RewardsDeposited");
+    });
+
+    it("Should reject tokens from ineligible institutions", async function () {
+      await restakeVault
+        .connect(sponsor)
+        .createPool("Cohort B", ethers.ZeroAddress, rewardsDuration, [2], 1);
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+
+      expect(await restakeVault.isEligible(2, 1)).to.be.false;
+      await expect(restakeVault.connect(user1).stake(2, 1, 0)).to.be.revertedWith(
+        "Token not eligible for pool"
+      );
+    });
+
+    it("Should track rewards and stakers separately per pool", async function () {
+      await restakeVault
+        .connect(sponsor)
+        .createPool("Oncology Cohort", ethers.ZeroAddress, rewardsDuration, [1], 1, {
+          value: ethers.parseEther("20"),
+        });
+
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+      await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await restakeVault.connect(user2).stake(2, 2, 0);
+
+      await time.increase(100);
+
+      expect(await restakeVault.getPoolStakers(poolId)).to.deep.equal([user1.address]);
+      expect(await restakeVault.getPoolStakers(2)).to.deep.equal([user2.address]);
+      expect(await restakeVault.getStakePool(2)).to.equal(2);
+      expect(await restakeVault.pendingRewards(2, user1.address)).to.equal(0);
+      expect(await restakeVault.pendingRewards(2, user2.address)).to.equal(rewardRate * 200n);
+
+      await restakeVault.connect(user2).unstake(2);
+      expect(await restakeVault.getPoolStakers(2)).to.deep.equal([]);
+      expect((await restakeVault.getPool(2)).totalStaked).to.equal(0);
+    });
+  });
+
+  describe("ERC-20 Rewards", function () {
+    let usdc;
+    const budget = 100000n * 10n ** 6n; // 100,000 USDC over 100000 seconds
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.waitForDeployment();
+
+      await usdc.mint(owner.address, budget);
+      await usdc.approve(await restakeVault.getAddress(), budget);
+    });
+
+    it("Should fail to create a pool with a token that is not allowed", async function () {
+      await expect(
+        restakeVault.createPool("USDC Pool", await usdc.getAddress(), rewardsDuration, [], 0)
+      ).to.be.revertedWith("Reward token not allowed");
+    });
+
+    it("Should pay rewards in the pool's ERC-20 token", async function () {
+      await restakeVault.setRewardTokenAllowed(await usdc.getAddress(), true);
+      await restakeVault.createPool("USDC Pool", await usdc.getAddress(), rewardsDuration, [], 0);
+
+      await expect(
+        restakeVault.depositRewards(2, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Pool pays in ERC-20");
+      await restakeVault.depositTokenRewards(2, budget);
+      expect(await restakeVault.getRewardsPool(2)).to.equal(budget);
+
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+      await restakeVault.connect(user1).stake(2, 1, 0);
+      await time.increase(100);
+
+      await expect(restakeVault.connect(user1).claimRewards(2)).to.emit(
+        restakeVault,
+        "RewardsClaimed"
+      );
+      expect(await usdc.balanceOf(user1.address)).to.be.closeTo(101n * 10n ** 6n, 10n ** 6n);
+    });
+
+    it("Should only let the owner withdraw tokens beyond pool budgets", async function () {
+      await restakeVault.setRewardTokenAllowed(await usdc.getAddress(), true);
+      await restakeVault.createPool("USDC Pool", await usdc.getAddress(), rewardsDuration, [], 0);
+      await restakeVault.depositTokenRewards(2, budget - 10n);
+      await usdc.transfer(await restakeVault.getAddress(), 10n);
+
+      await expect(
+        restakeVault.emergencyWithdrawToken(await usdc.getAddress(), 11n)
+      ).to.be.revertedWith("Exceeds surplus");
+      await restakeVault.emergencyWithdrawToken(await usdc.getAddress(), 10n);
+
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+      await restakeVault.connect(user1).stake(2, 1, 0);
+      await time.increase(rewardsDuration);
+      await restakeVault.connect(user1).claimRewards(2);
+
+      expect(await restakeVault.budgetedRewards(await usdc.getAddress())).to.equal(
+        await usdc.balanceOf(await restakeVault.getAddress())
+      );
+    });
+
+    it("Should fail to deposit ERC-20 rewards into an ETH pool", async function () {
+      await expect(restakeVault.depositTokenRewards(poolId, budget)).to.be.revertedWith(
+        "Pool pays in ETH"
+      );
+    });
+  });
+
+  describe("Stake In Place", function () {
+    beforeEach(async function () {
+      await bioNFT.setRestakeVault(await restakeVault.getAddress());
+    });
+
+    it("Should stake a soulbound token without moving it", async function () {
+      await bioNFT.connect(user1).setSoulbound(1, true);
+
+      await expect(restakeVault.connect(user1).stakeInPlace(poolId, 1, 0))
+        .to.emit(restakeVault, "Staked")
+        .withArgs(poolId, 1, user1.address, false, anyValue);
+
+      expect(await bioNFT.ownerOf(1)).to.equal(user1.address);
+      expect(await bioNFT.isLocked(1)).to.be.true;
+      expect(await restakeVault.isStaked(1)).to.be.true;
+      expect(await restakeVault.isCustodial(1)).to.be.false;
+    });
+
+    it("Should block transfers while staked in place", async function () {
+      await restakeVault.connect(user1).stakeInPlace(poolId, 1, 0);
+
+      await expect(
+        bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1)
+      ).to.be.revertedWith("Token is locked");
+    });
+
+    it("Should accrue the same rewards as custodial stakes", async function () {
+      await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
+      await restakeVault.connect(user1).stakeInPlace(poolId, 1, 0);
+      await restakeVault.connect(user2).stake(poolId, 2, 0);
+      const start1 = await restakeVault.pendingRewards(poolId, user1.address);
+
+      await time.increase(100);
+
+      const earned1 = (await restakeVault.pendingRewards(poolId, user1.address)) - start1;
+      const earned2 = await restakeVault.pendingRewards(poolId, user2.address);
+      expect(earned1).to.equal(earned2);
+    });
+
+    it("Should lift the lock and pay rewards on unstake", async function () {
+      await restakeVault.connect(user1).stakeInPlace(poolId, 1, 0);
+      await time.increase(100);
+
+      await expect(restakeVault.connect(user1).unstake(1)).to.emit(restakeVault, "RewardsClaimed");
+
+      expect(await bioNFT.isLocked(1)).to.be.false;
+      expect(await restakeVault.isStaked(1)).to.be.false;
+      await bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+      expect(await bioNFT.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("Should only report beneficial owners of tokens the vault holds", async function () {
+      await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
+      await restakeVault.connect(user1).stakeInPlace(poolId, 1, 0);
+      await restakeVault.connect(user2).stake(poolId, 2, 0);
+
+      expect(await restakeVault.beneficialOwnerOf(1)).to.equal(ethers.ZeroAddress);
+      expect(await restakeVault.beneficialOwnerOf(2)).to.equal(user2.address);
+
+      await restakeVault.connect(user2).unstake(2);
+      expect(await restakeVault.beneficialOwnerOf(2)).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Lock-up Terms", function () {
+    const oneDay = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 1);
+      await bioNFT.connect(user2).approve(await restakeVault.getAddress(), 2);
+    });
+
+    it("Should offer default terms with boosted multipliers", async function () {
+      const terms = await restakeVault.getLockTerms();
+      expect(terms).to.deep.equal([30n * 86400n, 90n * 86400n, 365n * 86400n]);
+      expect(await restakeVault.lockMultipliers(0)).to.equal(10000);
+      expect(await restakeVault.lockMultipliers(365 * oneDay)).to.equal(15000);
+    });
+
+    it("Should expose the term, unlock time and multiplier of a stake", async function () {
+      await restakeVault.connect(user1).stake(poolId, 1, 90 * oneDay);
+
+      const info = await restakeVault.getStakeInfo(1);
+      expect(info.lockTerm).to.equal(90 * oneDay);
+      expect(info.unlockTime).to.equal(info.stakedAt + BigInt(90 * oneDay));
+      expect(info.multiplierBps).to.equal(12500);
+    });
+
+    it("Should fail to stake with a term that is not offered", async function () {
+      await expect(restakeVault.connect(user1).stake(poolId, 1, 7 * oneDay)).to.be.revertedWith(
+        "Invalid lock term"
+      );
+    });
+
+    it("Should weight rewards by the lock-up multiplier", async function () {
+      await restakeVault.connect(user1).stake(poolId, 1, 365 * oneDay);
+      await restakeVault.connect(user2).stake(poolId, 2, 0);
+      const start1 = await restakeVault.pendingRewards(poolId, user1.address);
+
+      await time.increase(100);
+
+      const earned1 = (await restakeVault.pendingRewards(poolId, user1.address)) - start1;
+      const earned2 = await restakeVault.pendingRewards(poolId, user2.address);
+      expect(earned1).to.be.closeTo(rewardRate * 60n, 10n);
+      expect(earned2).to.be.closeTo(rewardRate * 40n, 10n);
+    });
+
+    it("Should revert early unstakes by default", async function () {
+      await restakeVault.connect(user1).stake(poolId, 1, 30 * oneDay);
+
+      await expect(restakeVault.connect(user1).unstake(1)).to.be.revertedWith(
+        "Lock-up period active"
+      );
+
+      await time.increase(30 * oneDay);
+      await restakeVault.connect(user1).unstake(1);
+      expect(await restakeVault.isStaked(1)).to.be.false;
+    });
+
+    it("Should forfeit rewards to the pool when early exit is allowed", async function () {
+      await restakeVault.setEarlyExitPolicy(poolId, true, 5000);
+      await restakeVault.connect(user1).stake(poolId, 1, 30 * oneDay);
+      await time.increase(100);
+
+      const initialBalance = await ethers.provider.getBalance(user1.address);
+      const tx = await restakeVault.connect(user1).unstake(1);
+      const receipt = await tx.wait();
+      const received =
+        (await ethers.provider.getBalance(user1.address)) -
+        initialBalance +
+        receipt.gasUsed * receipt.gasPrice;
+
+      const [forfeited] = parseEvents(receipt, restakeVault, "RewardsForfeited");
+      const accrued = rewardRate * 101n;
+      expect(forfeited.amount).to.be.closeTo(accrued / 2n, 10n);
+      expect(received + forfeited.amount).to.be.closeTo(accrued, 10n);
+      expect((await restakeVault.getPool(poolId)).rewardRate).to.be.gt(rewardRate);
+    });
+
+    it("Should only forfeit the early-exiting token's own rewards", async function () {
+      const bioHash3 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-3"));
+      await bioNFT.connect(gateway).mint(user1.address, bioHash3, 1, "ipfs://meta3");
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 3);
+      await restakeVault.setEarlyExitPolicy(poolId, true, 5000);
+
+      // Token 1 earns alone for 100 seconds, then token 3 joins on a lock-up
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await time.increase(99);
+      await restakeVault.connect(user1).stake(poolId, 3, 30 * oneDay);
+      await time.increase(99);
+
+      const receipt = await (await restakeVault.connect(user1).unstake(3)).wait();
+      const [forfeited] = parseEvents(receipt, restakeVault, "RewardsForfeited");
+
+      // Token 3 earned 11/21 of the 100 seconds it was staked
+      const tokenAccrued = (rewardRate * 100n * 11000n) / 21000n;
+      expect(forfeited.amount).to.be.closeTo(tokenAccrued / 2n, 10n);
+    });
+
+    it("Should still forfeit after claiming rewards just before an early exit", async function () {
+      await restakeVault.setEarlyExitPolicy(poolId, true, 5000);
+      await restakeVault.connect(user1).stake(poolId, 1, 30 * oneDay);
+      await time.increase(99);
+
+      // Rewards the token accrues while locked are held back, not paid out
+      await expect(restakeVault.connect(user1).claimRewards(poolId)).to.changeEtherBalance(
+        user1,
+        0
+      );
+      expect(await restakeVault.getLockedRewards(1)).to.be.closeTo(rewardRate * 100n, 10n);
+      expect(await restakeVault.pendingRewards(poolId, user1.address)).to.be.closeTo(
+        rewardRate * 100n,
+        10n
+      );
+
+      const receipt = await (await restakeVault.connect(user1).unstake(1)).wait();
+      const [forfeited] = parseEvents(receipt, restakeVault, "RewardsForfeited");
+      expect(forfeited.amount).to.be.closeTo((rewardRate * 101n) / 2n, 10n);
+    });
+
+    it("Should leave a multi-token staker's other rewards untouched", async function () {
+      const bioHash3 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-3"));
+      await bioNFT.connect(gateway).mint(user1.address, bioHash3, 1, "ipfs://meta3");
+      await bioNFT.connect(user1).approve(await restakeVault.getAddress(), 3);
+      await restakeVault.setEarlyExitPolicy(poolId, true, 5000);
+
+      // Token 1 earns alone for 100 seconds, then token 3 joins on a lock-up
+      await restakeVault.connect(user1).stake(poolId, 1, 0);
+      await time.increase(99);
+      await restakeVault.connect(user1).stake(poolId, 3, 30 * oneDay);
+      await time.increase(99);
+
+      // Only token 1's rewards are claimable
+      const token1Share = (rewardRate * 100n * 10000n) / 21000n;
+      const claimed = parseEvents(
+        await (await restakeVault.connect(user1).claimRewards(poolId)).wait(),
+        restakeVault,
+        "RewardsClaimed"
+      )[0].amount;
+      expect(claimed).to.be.closeTo(rewardRate * 100n + token1Share, 10n);
+      await time.increase(99);
+
+      const initialBalance = await ethers.provider.getBalance(user1.address);
+      const receipt = await (await restakeVault.connect(user1).unstake(3)).wait();
+      const received =
+        (await ethers.provider.getBalance(user1.address)) -
+        initialBalance +
+        receipt.gasUsed * receipt.gasPrice;
+      const [forfeited] = parseEvents(receipt, restakeVault, "RewardsForfeited");
+
+      // The penalty comes only out of token 3's 200 seconds at 11/21 of the pool
+      const token3Accrued = (rewardRate * 200n * 11000n) / 21000n;
+      expect(forfeited.amount).to.be.closeTo(token3Accrued / 2n, 10n);
+      expect(received).to.be.closeTo(token1Share + token3Accrued - forfeited.amount, 10n);
+    });
+
+    it("Should only let the pool admin set the early exit policy", async function () {
+      await expect(
+        restakeVault.connect(user1).setEarlyExitPolicy(poolId, true, 5000)
+      ).to.be.revertedWith("Not pool admin");
+    });
+
+    it("Should let the owner change the offered terms", async function () {
+      await restakeVault.setLockTerm(180 * oneDay, 13000);
+      await restakeVault.setLockTerm(30 * oneDay, 0);
+
+      const terms = [...(await restakeVault.getLockTerms())];
+      expect(terms).to.have.members([365n * 86400n, 90n * 86400n, 180n * 86400n]);
+      await expect(restakeVault.connect(user1).stake(poolId, 1, 30 * oneDay)).to.be.revertedWith(
+        "Invalid lock term"
+      );
+    });
+  });
 });
 
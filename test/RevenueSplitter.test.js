@@ -0,0 +1,738 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("RevenueSplitter", function () {
+  let bioNFT, institutionRegistry, revenueSplitter, usdc;
+  let owner, institution, user1, payer, protocol, advocate, user2;
+  const bioHash = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
+  const payment = 1000n * 10n ** 6n; // 1,000 USDC
+
+  beforeEach(async function () {
+    [owner, institution, user1, payer, protocol, advocate, user2] = await ethers.getSigners();
+
+    // Deploy InstitutionRegistry and register institution
+    const InstitutionRegistry = await ethers.getContractFactory("InstitutionRegistry");
+    institutionRegistry = await InstitutionRegistry.deploy();
+    await institutionRegistry.waitForDeployment();
+    await institutionRegistry.registerInstitution(institution.address, "Test Lab", "metadata");
+
+    // Deploy BioNFT
+    const BioNFT = await ethers.getContractFactory("BioNFT");
+    bioNFT = await BioNFT.deploy();
+    await bioNFT.waitForDeployment();
+    await bioNFT.setMintGateway(owner.address);
+
+    // Deploy RevenueSplitter
+    const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+    revenueSplitter = await RevenueSplitter.deploy(
+      await bioNFT.getAddress(),
+      await institutionRegistry.getAddress(),
+      protocol.address
+    );
+    await revenueSplitter.waitForDeployment();
+
+    // Deploy mock USDC and fund the payer
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    await usdc.mint(payer.address, payment);
+    await usdc.connect(payer).approve(await revenueSplitter.getAddress(), payment);
+
+    // Mint test NFT
+    await bioNFT.mint(user1.address, bioHash, 1, "ipfs://metadata");
+  });
+
+  describe("ETH Royalties", function () {
+    it("Should split and withdraw ETH royalties", async function () {
+      const amount = ethers.parseEther("1");
+
+      await expect(revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount }))
+        .to.emit(revenueSplitter, "RoyaltyDistributed")
+        .withArgs(
+          1,
+          ethers.ZeroAddress,
+          amount,
+          user1.address,
+          institution.address,
+          protocol.address
+        );
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+
+      await expect(revenueSplitter.connect(user1).withdraw()).to.changeEtherBalance(
+        user1,
+        ethers.parseEther("0.7")
+      );
+    });
+  });
+
+  describe("ERC-20 Royalties", function () {
+    it("Should fail to distribute a token that is not allowed", async function () {
+      await expect(
+        revenueSplitter.connect(payer).distributeTokenRoyalty(1, await usdc.getAddress(), payment)
+      ).to.be.revertedWith("Payment token not allowed");
+    });
+
+    it("Should split ERC-20 royalties into per-token balances", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await revenueSplitter.setPaymentTokenAllowed(usdcAddress, true);
+
+      await expect(revenueSplitter.connect(payer).distributeTokenRoyalty(1, usdcAddress, payment))
+        .to.emit(revenueSplitter, "RoyaltyDistributed")
+        .withArgs(1, usdcAddress, payment, user1.address, institution.address, protocol.address);
+
+      expect(await revenueSplitter.getPendingTokenWithdrawal(usdcAddress, user1.address)).to.equal(
+        700n * 10n ** 6n
+      );
+      expect(
+        await revenueSplitter.getPendingTokenWithdrawal(usdcAddress, institution.address)
+      ).to.equal(200n * 10n ** 6n);
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(0);
+    });
+
+    it("Should withdraw ERC-20 royalties", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await revenueSplitter.setPaymentTokenAllowed(usdcAddress, true);
+      await revenueSplitter.connect(payer).distributeTokenRoyalty(1, usdcAddress, payment);
+
+      await expect(revenueSplitter.connect(protocol).withdrawToken(usdcAddress))
+        .to.emit(revenueSplitter, "Withdrawn")
+        .withArgs(protocol.address, usdcAddress, 100n * 10n ** 6n, protocol.address);
+
+      expect(await usdc.balanceOf(protocol.address)).to.equal(100n * 10n ** 6n);
+      await expect(revenueSplitter.connect(protocol).withdrawToken(usdcAddress)).to.be.revertedWith(
+        "No funds to withdraw"
+      );
+    });
+
+    it("Should not withdraw ETH through the ERC-20 withdrawal", async function () {
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: ethers.parseEther("1") });
+
+      await expect(
+        revenueSplitter.connect(user1).withdrawToken(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid token address");
+    });
+
+    it("Should fail if non-owner tries to allow a token", async function () {
+      await expect(
+        revenueSplitter.connect(payer).setPaymentTokenAllowed(await usdc.getAddress(), true)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Custom Splits", function () {
+    const amount = ethers.parseEther("1");
+    const partnerSplit = {
+      nftOwnerShare: 6000,
+      institutionShare: 3000,
+      protocolShare: 1000,
+      payees: [],
+    };
+
+    it("Should apply an institution split to its tokens", async function () {
+      await expect(revenueSplitter.setInstitutionSplit(1, partnerSplit))
+        .to.emit(revenueSplitter, "InstitutionSplitSet")
+        .withArgs(1);
+
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.6")
+      );
+      expect(await revenueSplitter.getPendingWithdrawal(institution.address)).to.equal(
+        ethers.parseEther("0.3")
+      );
+      expect((await revenueSplitter.getSplit(1)).nftOwnerShare).to.equal(6000);
+    });
+
+    it("Should fall back to the global shares once an institution split is cleared", async function () {
+      await revenueSplitter.setInstitutionSplit(1, partnerSplit);
+      await expect(revenueSplitter.clearInstitutionSplit(1))
+        .to.emit(revenueSplitter, "InstitutionSplitCleared")
+        .withArgs(1);
+
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+    });
+
+    it("Should send part of the owner's share to extra payees", async function () {
+      const split = {
+        nftOwnerShare: 5000,
+        institutionShare: 2000,
+        protocolShare: 1000,
+        payees: [{ account: advocate.address, share: 2000 }],
+      };
+      await expect(revenueSplitter.connect(user1).proposeTokenSplit(1, split))
+        .to.emit(revenueSplitter, "TokenSplitProposed")
+        .withArgs(1, user1.address);
+      await expect(revenueSplitter.acceptTokenSplit(1))
+        .to.emit(revenueSplitter, "TokenSplitSet")
+        .withArgs(1, user1.address);
+
+      await expect(revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount }))
+        .to.emit(revenueSplitter, "PayeeCredited")
+        .withArgs(1, ethers.ZeroAddress, advocate.address, ethers.parseEther("0.2"));
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.5")
+      );
+      expect(await revenueSplitter.getPendingWithdrawal(advocate.address)).to.equal(
+        ethers.parseEther("0.2")
+      );
+    });
+
+    it("Should prefer a token split over an institution split", async function () {
+      await revenueSplitter.setInstitutionSplit(1, partnerSplit);
+      await revenueSplitter.proposeTokenSplit(1, {
+        nftOwnerShare: 8000,
+        institutionShare: 1000,
+        protocolShare: 1000,
+        payees: [],
+      });
+      await revenueSplitter.connect(user1).acceptTokenSplit(1);
+
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.8")
+      );
+    });
+
+    it("Should require the token owner's consent for a token split", async function () {
+      await revenueSplitter.proposeTokenSplit(1, partnerSplit);
+
+      await expect(revenueSplitter.acceptTokenSplit(1)).to.be.revertedWith("Not token owner");
+      await expect(
+        revenueSplitter.connect(payer).proposeTokenSplit(1, partnerSplit)
+      ).to.be.revertedWith("Not authorized");
+
+      await revenueSplitter.connect(user1).proposeTokenSplit(1, partnerSplit);
+      await expect(revenueSplitter.connect(user1).acceptTokenSplit(1)).to.be.revertedWith(
+        "Not authorized"
+      );
+    });
+
+    it("Should drop a token split when the token changes hands", async function () {
+      await revenueSplitter.connect(user1).proposeTokenSplit(1, partnerSplit);
+      await revenueSplitter.acceptTokenSplit(1);
+      await bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      expect(await revenueSplitter.getPendingWithdrawal(user2.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+    });
+
+    it("Should not accept a proposal from a former token owner", async function () {
+      await revenueSplitter.connect(user1).proposeTokenSplit(1, partnerSplit);
+      await bioNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      await expect(revenueSplitter.acceptTokenSplit(1)).to.be.revertedWith("Token changed hands");
+    });
+
+    it("Should let either party clear a token split", async function () {
+      await revenueSplitter.connect(user1).proposeTokenSplit(1, partnerSplit);
+      await revenueSplitter.acceptTokenSplit(1);
+
+      await expect(revenueSplitter.connect(user1).clearTokenSplit(1))
+        .to.emit(revenueSplitter, "TokenSplitCleared")
+        .withArgs(1);
+
+      const [, consentingOwner] = await revenueSplitter.getTokenSplit(1);
+      expect(consentingOwner).to.equal(ethers.ZeroAddress);
+      await expect(revenueSplitter.acceptTokenSplit(1)).to.be.revertedWith("No proposed split");
+    });
+
+    it("Should validate splits", async function () {
+      await expect(
+        revenueSplitter.setInstitutionSplit(1, { ...partnerSplit, protocolShare: 500 })
+      ).to.be.revertedWith("Shares must sum to 10000");
+      await expect(
+        revenueSplitter.setInstitutionSplit(1, {
+          ...partnerSplit,
+          nftOwnerShare: 5000,
+          payees: [{ account: ethers.ZeroAddress, share: 1000 }],
+        })
+      ).to.be.revertedWith("Invalid payee");
+      await expect(
+        revenueSplitter.setInstitutionSplit(1, {
+          nftOwnerShare: 0,
+          institutionShare: 0,
+          protocolShare: 0,
+          payees: Array(11).fill({ account: advocate.address, share: 1 }),
+        })
+      ).to.be.revertedWith("Too many payees");
+      await expect(
+        revenueSplitter.connect(user1).setInstitutionSplit(1, partnerSplit)
+      ).to.be.revertedWithCustomError(revenueSplitter, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Custodians", function () {
+    const amount = ethers.parseEther("1");
+    let restakeVault, vaultAddress;
+
+    beforeEach(async function () {
+      const RestakeVault = await ethers.getContractFactory("RestakeVault");
+      restakeVault = await RestakeVault.deploy(await bioNFT.getAddress());
+      await restakeVault.waitForDeployment();
+      vaultAddress = await restakeVault.getAddress();
+
+      await restakeVault.createPool("General Research", ethers.ZeroAddress, 100000, [], 0);
+      await bioNFT.connect(user1).approve(vaultAddress, 1);
+      await restakeVault.connect(user1).stake(1, 1, 0);
+    });
+
+    it("Should credit the staker of a token held by a registered custodian", async function () {
+      await expect(revenueSplitter.setCustodian(vaultAddress, true))
+        .to.emit(revenueSplitter, "CustodianUpdated")
+        .withArgs(vaultAddress, true);
+
+      await expect(revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount }))
+        .to.emit(revenueSplitter, "RoyaltyDistributed")
+        .withArgs(
+          1,
+          ethers.ZeroAddress,
+          amount,
+          user1.address,
+          institution.address,
+          protocol.address
+        );
+
+      expect(await revenueSplitter.beneficialOwnerOf(1)).to.equal(user1.address);
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+      expect(await revenueSplitter.getPendingWithdrawal(vaultAddress)).to.equal(0);
+    });
+
+    it("Should let a staker keep managing their token split", async function () {
+      await revenueSplitter.setCustodian(vaultAddress, true);
+      await revenueSplitter.connect(user1).proposeTokenSplit(1, {
+        nftOwnerShare: 6000,
+        institutionShare: 3000,
+        protocolShare: 1000,
+        payees: [],
+      });
+      await revenueSplitter.acceptTokenSplit(1);
+
+      expect((await revenueSplitter.getSplit(1)).nftOwnerShare).to.equal(6000);
+    });
+
+    it("Should recover royalties stranded at a custodian", async function () {
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+      expect(await revenueSplitter.getPendingWithdrawal(vaultAddress)).to.equal(
+        ethers.parseEther("0.7")
+      );
+
+      await expect(
+        revenueSplitter.recoverStrandedRoyalties(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          ethers.parseEther("0.7")
+        )
+      ).to.be.revertedWith("Not a custodian");
+
+      await revenueSplitter.setCustodian(vaultAddress, true);
+      await expect(
+        revenueSplitter.recoverStrandedRoyalties(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          ethers.parseEther("0.7")
+        )
+      )
+        .to.emit(revenueSplitter, "StrandedRoyaltiesRecovered")
+        .withArgs(vaultAddress, ethers.ZeroAddress, user1.address, ethers.parseEther("0.7"));
+
+      expect(await revenueSplitter.getPendingWithdrawal(vaultAddress)).to.equal(0);
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+    });
+
+    it("Should not recover more than the custodian's balance", async function () {
+      await revenueSplitter.setCustodian(vaultAddress, true);
+
+      await expect(
+        revenueSplitter.recoverStrandedRoyalties(vaultAddress, ethers.ZeroAddress, user1.address, 1)
+      ).to.be.revertedWith("Insufficient balance");
+      await expect(
+        revenueSplitter
+          .connect(user1)
+          .recoverStrandedRoyalties(vaultAddress, ethers.ZeroAddress, user1.address, 0)
+      ).to.be.revertedWithCustomError(revenueSplitter, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should fall back to the holder for custodians that cannot report an owner", async function () {
+      // MockERC20 does not implement IBeneficialOwner
+      const usdcAddress = await usdc.getAddress();
+      await bioNFT.mint(
+        user2.address,
+        ethers.keccak256(ethers.toUtf8Bytes("dna-2")),
+        1,
+        "ipfs://2"
+      );
+      await bioNFT.connect(user2).transferFrom(user2.address, usdcAddress, 2);
+      await revenueSplitter.setCustodian(usdcAddress, true);
+
+      expect(await revenueSplitter.beneficialOwnerOf(2)).to.equal(usdcAddress);
+    });
+  });
+
+  describe("Withdrawals", function () {
+    const amount = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+    });
+
+    it("Should withdraw ETH to a smart-contract wallet", async function () {
+      const MockWallet = await ethers.getContractFactory("MockWallet");
+      const wallet = await MockWallet.deploy();
+      await wallet.waitForDeployment();
+      const walletAddress = await wallet.getAddress();
+
+      await expect(revenueSplitter.connect(user1).withdrawTo(walletAddress))
+        .to.emit(revenueSplitter, "Withdrawn")
+        .withArgs(user1.address, ethers.ZeroAddress, ethers.parseEther("0.7"), walletAddress);
+
+      expect(await wallet.totalReceived()).to.equal(ethers.parseEther("0.7"));
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(0);
+    });
+
+    it("Should withdraw ERC-20 royalties to another address", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await revenueSplitter.setPaymentTokenAllowed(usdcAddress, true);
+      await revenueSplitter.connect(payer).distributeTokenRoyalty(1, usdcAddress, payment);
+
+      await revenueSplitter.connect(institution).withdrawTokenTo(usdcAddress, user2.address);
+
+      expect(await usdc.balanceOf(user2.address)).to.equal(200n * 10n ** 6n);
+      await expect(
+        revenueSplitter.connect(institution).withdrawTokenTo(ethers.ZeroAddress, user2.address)
+      ).to.be.revertedWith("Invalid token address");
+    });
+
+    it("Should fail to withdraw to the zero address", async function () {
+      await expect(
+        revenueSplitter.connect(user1).withdrawTo(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid address");
+    });
+  });
+
+  describe("Vesting", function () {
+    const amount = ethers.parseEther("1");
+    const duration = 1000;
+
+    const granularity = 100n; // duration / MAX_VESTING_TRANCHES
+
+    beforeEach(async function () {
+      await expect(revenueSplitter.setVestingDuration(duration))
+        .to.emit(revenueSplitter, "VestingDurationUpdated")
+        .withArgs(duration);
+
+      // Start each test on a rounding boundary, so a credit's vesting end is exactly one period away
+      const now = BigInt(await time.latest());
+      await time.setNextBlockTimestamp((now / granularity + 1n) * granularity);
+    });
+
+    it("Should vest institution and protocol shares but pay owners at once", async function () {
+      await expect(revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount })).to.emit(
+        revenueSplitter,
+        "VestingScheduled"
+      );
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+      expect(await revenueSplitter.getPendingWithdrawal(institution.address)).to.equal(0);
+      const [vesting] = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+      expect(vesting.balance).to.equal(ethers.parseEther("0.2"));
+      expect(vesting.end).to.equal(vesting.checkpoint + BigInt(duration));
+    });
+
+    it("Should vest linearly over the vesting period", async function () {
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+      const [{ checkpoint }] = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        protocol.address
+      );
+
+      await time.increaseTo(checkpoint + BigInt(duration / 4));
+
+      expect(await revenueSplitter.vestedAmount(ethers.ZeroAddress, protocol.address)).to.equal(
+        ethers.parseEther("0.025")
+      );
+      expect(await revenueSplitter.claimableAmount(ethers.ZeroAddress, user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+
+      await time.increaseTo(checkpoint + BigInt(duration));
+      expect(await revenueSplitter.claimableAmount(ethers.ZeroAddress, protocol.address)).to.equal(
+        ethers.parseEther("0.1")
+      );
+    });
+
+    it("Should withdraw only the vested part", async function () {
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+      const [{ checkpoint }] = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+
+      await time.setNextBlockTimestamp(checkpoint + BigInt(duration / 2));
+      await expect(revenueSplitter.connect(institution).withdraw()).to.changeEtherBalance(
+        revenueSplitter,
+        -ethers.parseEther("0.1")
+      );
+
+      const [vesting] = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+      expect(vesting.balance).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should vest each credit on its own schedule", async function () {
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+      const [first] = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+
+      await time.setNextBlockTimestamp(first.checkpoint + BigInt(duration / 2));
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      const tranches = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+      expect(tranches.length).to.equal(2);
+      expect(tranches[0].end).to.equal(first.end);
+      expect(tranches[1].end).to.equal(tranches[1].checkpoint + BigInt(duration));
+
+      // The first credit still vests fully at its own end, and the second is halfway there
+      await time.setNextBlockTimestamp(first.end);
+      await expect(revenueSplitter.connect(institution).withdraw()).to.changeEtherBalance(
+        institution,
+        ethers.parseEther("0.3")
+      );
+
+      const [remaining] = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+      expect(remaining.balance).to.equal(ethers.parseEther("0.1"));
+      expect(remaining.end).to.equal(tranches[1].end);
+    });
+
+    it("Should share a tranche between credits that round to the same end", async function () {
+      // Both credits land in the same rounding step, between two boundaries
+      const boundary = (BigInt(await time.latest()) / granularity + 1n) * granularity;
+      await time.setNextBlockTimestamp(boundary + 50n);
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+      await time.setNextBlockTimestamp(boundary + granularity);
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      const tranches = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+      expect(tranches.length).to.equal(1);
+      expect(tranches[0].end).to.equal(boundary + granularity + BigInt(duration));
+
+      // What the first credit vested before the second arrived is settled, the rest vests from now
+      const settled = await revenueSplitter.getPendingWithdrawal(institution.address);
+      expect(settled).to.equal((ethers.parseEther("0.2") * 50n) / 1050n);
+      expect(tranches[0].balance).to.equal(ethers.parseEther("0.4") - settled);
+
+      await time.increaseTo(tranches[0].end);
+      expect(
+        await revenueSplitter.claimableAmount(ethers.ZeroAddress, institution.address)
+      ).to.equal(ethers.parseEther("0.4"));
+    });
+
+    it("Should keep withdrawal gas flat after many small credits", async function () {
+      const creditOverPeriod = async () => {
+        for (let i = 0; i < 100; i++) {
+          await revenueSplitter.connect(payer).distributeRoyalty(1, { value: 1000n });
+          await time.increase(9);
+        }
+      };
+
+      await creditOverPeriod();
+      const tranches = await revenueSplitter.getVestingTranches(
+        ethers.ZeroAddress,
+        institution.address
+      );
+      expect(tranches.length).to.be.at.most(11);
+      const firstGas = (await (await revenueSplitter.connect(institution).withdraw()).wait())
+        .gasUsed;
+
+      await creditOverPeriod();
+      await creditOverPeriod();
+      const laterGas = (await (await revenueSplitter.connect(institution).withdraw()).wait())
+        .gasUsed;
+
+      expect(laterGas).to.be.closeTo(firstGas, firstGas / 10n);
+    });
+
+    it("Should credit shares at once when vesting is turned off", async function () {
+      await revenueSplitter.setVestingDuration(0);
+      await revenueSplitter.connect(payer).distributeRoyalty(1, { value: amount });
+
+      expect(await revenueSplitter.getPendingWithdrawal(institution.address)).to.equal(
+        ethers.parseEther("0.2")
+      );
+    });
+
+    it("Should fail if not owner", async function () {
+      await expect(
+        revenueSplitter.connect(user1).setVestingDuration(0)
+      ).to.be.revertedWithCustomError(revenueSplitter, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Secondary Sales", function () {
+    const salePrice = ethers.parseEther("10");
+    let receiverAddress;
+
+    beforeEach(async function () {
+      await bioNFT.setRevenueSplitter(await revenueSplitter.getAddress(), 1000);
+      receiverAddress = await revenueSplitter.royaltyReceiverOf(1);
+    });
+
+    it("Should point BioNFT royalties at the token's receiver", async function () {
+      const [receiver, amount] = await bioNFT.royaltyInfo(1, salePrice);
+
+      expect(receiver).to.equal(receiverAddress);
+      expect(amount).to.equal(ethers.parseEther("1"));
+      expect(await revenueSplitter.royaltyReceiverOf(2)).to.not.equal(receiverAddress);
+    });
+
+    it("Should split ETH royalties paid to the token's receiver", async function () {
+      await payer.sendTransaction({ to: receiverAddress, value: ethers.parseEther("1") });
+
+      await expect(revenueSplitter.collectRoyalties(1, ethers.ZeroAddress))
+        .to.emit(revenueSplitter, "RoyaltyReceiverDeployed")
+        .withArgs(1, receiverAddress)
+        .and.to.emit(revenueSplitter, "RoyaltyDistributed")
+        .withArgs(
+          1,
+          ethers.ZeroAddress,
+          ethers.parseEther("1"),
+          user1.address,
+          institution.address,
+          protocol.address
+        );
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("0.7")
+      );
+      expect(await ethers.provider.getBalance(receiverAddress)).to.equal(0);
+    });
+
+    it("Should keep collecting once the receiver is deployed", async function () {
+      await payer.sendTransaction({ to: receiverAddress, value: ethers.parseEther("1") });
+      await revenueSplitter.collectRoyalties(1, ethers.ZeroAddress);
+
+      await payer.sendTransaction({ to: receiverAddress, value: ethers.parseEther("1") });
+      const receiver = await ethers.getContractAt("RoyaltyReceiver", receiverAddress);
+      await expect(receiver.connect(payer).forward(ethers.ZeroAddress)).to.not.emit(
+        revenueSplitter,
+        "RoyaltyReceiverDeployed"
+      );
+
+      expect(await revenueSplitter.getPendingWithdrawal(user1.address)).to.equal(
+        ethers.parseEther("1.4")
+      );
+    });
+
+    it("Should split ERC-20 royalties paid to the token's receiver", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await revenueSplitter.setPaymentTokenAllowed(usdcAddress, true);
+      await usdc.connect(payer).transfer(receiverAddress, payment);
+
+      await revenueSplitter.collectRoyalties(1, usdcAddress);
+
+      expect(await revenueSplitter.getPendingTokenWithdrawal(usdcAddress, user1.address)).to.equal(
+        700n * 10n ** 6n
+      );
+      expect(await usdc.balanceOf(receiverAddress)).to.equal(0);
+    });
+
+    it("Should fail when there is nothing to collect", async function () {
+      await expect(revenueSplitter.collectRoyalties(1, ethers.ZeroAddress)).to.be.revertedWith(
+        "No royalties to collect"
+      );
+    });
+
+    it("Should hold royalties for revoked tokens in the receiver", async function () {
+      await payer.sendTransaction({ to: receiverAddress, value: ethers.parseEther("1") });
+      await bioNFT.setTokenStatus(1, 2, 0, "ipfs://evidence"); // Revoked
+
+      await expect(revenueSplitter.collectRoyalties(1, ethers.ZeroAddress)).to.be.revertedWith(
+        "Token revoked"
+      );
+      expect(await ethers.provider.getBalance(receiverAddress)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should let the owner rescue royalties for revoked tokens", async function () {
+      await payer.sendTransaction({ to: receiverAddress, value: ethers.parseEther("1") });
+      await bioNFT.setTokenStatus(1, 2, 0, "ipfs://evidence"); // Revoked
+
+      await expect(
+        revenueSplitter.connect(user1).rescueRoyalties(1, ethers.ZeroAddress, user1.address)
+      ).to.be.revertedWithCustomError(revenueSplitter, "OwnableUnauthorizedAccount");
+      await expect(
+        revenueSplitter.rescueRoyalties(1, ethers.ZeroAddress, payer.address)
+      ).to.changeEtherBalances(
+        [receiverAddress, payer],
+        [-ethers.parseEther("1"), ethers.parseEther("1")]
+      );
+      await expect(
+        revenueSplitter.rescueRoyalties(1, ethers.ZeroAddress, payer.address)
+      ).to.be.revertedWith("No royalties to rescue");
+    });
+
+    it("Should let the owner rescue payment tokens that are not allow-listed", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await usdc.connect(payer).transfer(receiverAddress, payment);
+
+      await expect(revenueSplitter.collectRoyalties(1, usdcAddress)).to.be.revertedWith(
+        "Payment token not allowed"
+      );
+      await expect(revenueSplitter.rescueRoyalties(1, usdcAddress, payer.address))
+        .to.emit(revenueSplitter, "RoyaltiesRescued")
+        .withArgs(1, usdcAddress, payer.address, payment);
+
+      expect(await usdc.balanceOf(receiverAddress)).to.equal(0);
+    });
+
+    it("Should not rescue royalties that can be collected", async function () {
+      await payer.sendTransaction({ to: receiverAddress, value: ethers.parseEther("1") });
+
+      await expect(
+        revenueSplitter.rescueRoyalties(1, ethers.ZeroAddress, payer.address)
+      ).to.be.revertedWith("Royalties can be collected");
+
+      await revenueSplitter.collectRoyalties(1, ethers.ZeroAddress);
+      const receiver = await ethers.getContractAt("RoyaltyReceiver", receiverAddress);
+      await expect(receiver.rescue(ethers.ZeroAddress, payer.address)).to.be.revertedWith(
+        "Only revenue splitter"
+      );
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SubscriptionRenewer", function () {
+  let bioNFT, institutionRegistry, revenueSplitter, licenseManager, renewer;
+  let owner, institution, user1, user2, keeper, other;
+  let expiresAt;
+  const bioHash = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
+  const oneYear = 365 * 24 * 60 * 60;
+  const price = ethers.parseEther("1");
+  const academic = 1; // BioNFT.PURPOSE_ACADEMIC
+
+  beforeEach(async function () {
+    [owner, institution, user1, user2, keeper, other] = await ethers.getSigners();
+
+    // Deploy InstitutionRegistry
+    const InstitutionRegistry = await ethers.getContractFactory("InstitutionRegistry");
+    institutionRegistry = await InstitutionRegistry.deploy();
+    await institutionRegistry.waitForDeployment();
+
+    const REGISTRAR_ROLE = await institutionRegistry.REGISTRAR_ROLE();
+    await institutionRegistry.grantRole(REGISTRAR_ROLE, owner.address);
+    await institutionRegistry.registerInstitution(institution.address, "Test Lab", "metadata");
+
+    // Deploy BioNFT
+    const BioNFT = await ethers.getContractFactory("BioNFT");
+    bioNFT = await BioNFT.deploy();
+    await bioNFT.waitForDeployment();
+    await bioNFT.setMintGateway(owner.address);
+
+    // Deploy RevenueSplitter
+    const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+    revenueSplitter = await RevenueSplitter.deploy(
+      await bioNFT.getAddress(),
+      await institutionRegistry.getAddress(),
+      owner.address
+    );
+    await revenueSplitter.waitForDeployment();
+
+    // Deploy LicenseManager
+    const LicenseManager = await ethers.getContractFactory("LicenseManager");
+    licenseManager = await LicenseManager.deploy(
+      await bioNFT.getAddress(),
+      await revenueSplitter.getAddress()
+    );
+    await licenseManager.waitForDeployment();
+
+    // Deploy SubscriptionRenewer
+    const SubscriptionRenewer = await ethers.getContractFactory("SubscriptionRenewer");
+    renewer = await SubscriptionRenewer.deploy(await licenseManager.getAddress());
+    await renewer.waitForDeployment();
+
+    // License 1: annual subscription with its first period paid
+    await bioNFT.mint(user1.address, bioHash, 1, "ipfs://metadata");
+    await licenseManager
+      .connect(user1)
+      .issueLicense(1, user2.address, 3, oneYear, 0, price, true, false, academic);
+    await licenseManager.connect(user2).payLicense(1, { value: price });
+    ({ expiresAt } = await licenseManager.getLicense(1));
+  });
+
+  describe("Opting in", function () {
+    it("Should opt in with a prepaid balance", async function () {
+      await expect(renewer.connect(user2).enableAutoRenew(1, price, { value: price * 2n }))
+        .to.emit(renewer, "AutoRenewEnabled")
+        .withArgs(1, user2.address, price, price * 2n);
+
+      const renewal = await renewer.getAutoRenewal(1, user2.address);
+      expect(renewal.enabled).to.be.true;
+      expect(renewal.maxPricePerPeriod).to.equal(price);
+      expect(renewal.balance).to.equal(price * 2n);
+    });
+
+    it("Should only let the licensee opt in", async function () {
+      await expect(
+        renewer.connect(other).enableAutoRenew(1, price, { value: price })
+      ).to.be.revertedWith("Not licensee");
+    });
+
+    it("Should not opt in to a cancelled subscription", async function () {
+      await licenseManager.connect(user2).cancelSubscription(1);
+
+      await expect(
+        renewer.connect(user2).enableAutoRenew(1, price, { value: price })
+      ).to.be.revertedWith("Subscription cancelled");
+    });
+
+    it("Should only opt in to subscriptions", async function () {
+      await licenseManager
+        .connect(user1)
+        .issueLicense(1, user2.address, 2, 0, 0, 0, false, false, academic);
+
+      await expect(renewer.connect(user2).enableAutoRenew(2, price)).to.be.revertedWith(
+        "Not a subscription"
+      );
+    });
+  });
+
+  describe("Renewing", function () {
+    beforeEach(async function () {
+      await renewer.connect(user2).enableAutoRenew(1, price, { value: price * 2n });
+    });
+
+    it("Should renew one period from the prepaid balance once due", async function () {
+      await expect(renewer.connect(keeper).renew(1)).to.be.revertedWith("Renewal not due");
+
+      await time.increaseTo(expiresAt);
+      await expect(renewer.connect(keeper).renew(1))
+        .to.emit(renewer, "SubscriptionAutoRenewed")
+        .withArgs(1, user2.address, price)
+        .and.to.emit(licenseManager, "SubscriptionRenewed")
+        .withArgs(1, 1, expiresAt + BigInt(oneYear), price);
+
+      expect((await renewer.getAutoRenewal(1, user2.address)).balance).to.equal(price);
+      expect((await licenseManager.getLicense(1)).expiresAt).to.equal(expiresAt + BigInt(oneYear));
+    });
+
+    it("Should stop when the prepaid balance runs out", async function () {
+      await time.increaseTo(expiresAt);
+      await renewer.renew(1);
+      await time.increaseTo(expiresAt + BigInt(oneYear));
+      await renewer.renew(1);
+      await time.increaseTo(expiresAt + BigInt(oneYear * 2));
+
+      await expect(renewer.renew(1)).to.be.revertedWith("Insufficient prepaid funds");
+    });
+
+    it("Should not renew above the licensee's price limit", async function () {
+      await licenseManager.connect(user1).setSubscriptionPrice(1, price * 2n);
+      await time.increaseTo(expiresAt);
+
+      await expect(renewer.renew(1)).to.be.revertedWith("Price above auto-renew limit");
+    });
+
+    it("Should not renew a subscription the licensee cancelled", async function () {
+      await licenseManager.connect(user2).cancelSubscription(1);
+      await time.increaseTo(expiresAt);
+
+      await expect(renewer.renew(1)).to.be.revertedWith("Subscription cancelled");
+    });
+
+    it("Should not renew from a previous licensee's balance", async function () {
+      await licenseManager.connect(user2).transferLicense(1, other.address);
+      await time.increaseTo(expiresAt);
+
+      await expect(renewer.renew(1)).to.be.revertedWith("Auto-renew not enabled");
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("Should opt out and refund the unused balance", async function () {
+      await renewer.connect(user2).enableAutoRenew(1, price, { value: price });
+
+      await expect(renewer.connect(user2).cancelAutoRenew(1)).to.changeEtherBalances(
+        [renewer, user2],
+        [-price, price]
+      );
+      expect((await renewer.getAutoRenewal(1, user2.address)).enabled).to.be.false;
+
+      await time.increaseTo(expiresAt);
+      await expect(renewer.renew(1)).to.be.revertedWith("Auto-renew not enabled");
+    });
+
+    it("Should refund a former licensee", async function () {
+      await renewer.connect(user2).enableAutoRenew(1, price, { value: price });
+      await licenseManager.connect(user2).transferLicense(1, other.address);
+
+      await expect(renewer.connect(user2).cancelAutoRenew(1))
+        .to.emit(renewer, "AutoRenewCancelled")
+        .withArgs(1, user2.address, price);
+    });
+
+    it("Should fail to cancel without opting in", async function () {
+      await expect(renewer.connect(user2).cancelAutoRenew(1)).to.be.revertedWith(
+        "Auto-renew not enabled"
+      );
+    });
+  });
+});
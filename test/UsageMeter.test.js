@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createUsageReceipt, submitUsageReceipt } = require("../scripts/usage-reporter");
+
+describe("UsageMeter", function () {
+  let bioNFT, institutionRegistry, revenueSplitter, licenseManager, usageMeter;
+  let owner, institution, user1, user2, provider, other, foreignLab;
+  let meterAddress;
+  const bioHash = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-1"));
+  const academic = 1; // BioNFT.PURPOSE_ACADEMIC
+
+  const submit = (receipt, institutionId = 0) =>
+    usageMeter.submitReceipt(
+      receipt.licenseId,
+      receipt.jobId,
+      receipt.units,
+      receipt.timestamp,
+      institutionId,
+      receipt.signature
+    );
+
+  beforeEach(async function () {
+    [owner, institution, user1, user2, provider, other, foreignLab] = await ethers.getSigners();
+
+    // Deploy InstitutionRegistry
+    const InstitutionRegistry = await ethers.getContractFactory("InstitutionRegistry");
+    institutionRegistry = await InstitutionRegistry.deploy();
+    await institutionRegistry.waitForDeployment();
+
+    const REGISTRAR_ROLE = await institutionRegistry.REGISTRAR_ROLE();
+    await institutionRegistry.grantRole(REGISTRAR_ROLE, owner.address);
+    await institutionRegistry.registerInstitution(institution.address, "Test Lab", "metadata");
+
+    // Deploy BioNFT
+    const BioNFT = await ethers.getContractFactory("BioNFT");
+    bioNFT = await BioNFT.deploy();
+    await bioNFT.waitForDeployment();
+    await bioNFT.setMintGateway(owner.address);
+
+    // Deploy RevenueSplitter
+    const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+    revenueSplitter = await RevenueSplitter.deploy(
+      await bioNFT.getAddress(),
+      await institutionRegistry.getAddress(),
+      owner.address
+    );
+    await revenueSplitter.waitForDeployment();
+
+    // Deploy LicenseManager
+    const LicenseManager = await ethers.getContractFactory("LicenseManager");
+    licenseManager = await LicenseManager.deploy(
+      await bioNFT.getAddress(),
+      await revenueSplitter.getAddress()
+    );
+    await licenseManager.waitForDeployment();
+
+    // Deploy UsageMeter
+    const UsageMeter = await ethers.getContractFactory("UsageMeter");
+    usageMeter = await UsageMeter.deploy(
+      await bioNFT.getAddress(),
+      await licenseManager.getAddress(),
+      await institutionRegistry.getAddress()
+    );
+    await usageMeter.waitForDeployment();
+    meterAddress = await usageMeter.getAddress();
+
+    await licenseManager.setUsageMeter(meterAddress);
+    await usageMeter.setComputeProvider(1, provider.address, true);
+
+    // License 1: usage-based with 10 units, sublicensable
+    await bioNFT.mint(user1.address, bioHash, 1, "ipfs://metadata");
+    await licenseManager
+      .connect(user1)
+      .issueLicense(1, user2.address, 1, 0, 10, 0, false, true, academic);
+  });
+
+  describe("Receipts", function () {
+    it("Should record units from a compute provider receipt", async function () {
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "alignment-job-1",
+        units: 4,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt))
+        .to.emit(usageMeter, "UsageMetered")
+        .withArgs(1, receipt.jobId, provider.address, 4, receipt.timestamp)
+        .and.to.emit(licenseManager, "LicenseUsed")
+        .withArgs(1, 4);
+
+      expect((await licenseManager.getLicense(1)).usageCount).to.equal(4);
+      expect(await usageMeter.isJobRecorded(1, receipt.jobId)).to.be.true;
+    });
+
+    it("Should accept receipts signed for an institution", async function () {
+      const receipt = await createUsageReceipt(institution, meterAddress, {
+        licenseId: 1,
+        jobId: "lab-job-1",
+        units: 2,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt)).to.be.revertedWith("Unauthorized receipt signer");
+      await submit(receipt, 1);
+
+      expect((await licenseManager.getLicense(1)).usageCount).to.equal(2);
+    });
+
+    it("Should reject receipts from unregistered signers", async function () {
+      const receipt = await createUsageReceipt(other, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt)).to.be.revertedWith("Unauthorized receipt signer");
+      await expect(submit(receipt, 1)).to.be.revertedWith("Unauthorized receipt signer");
+    });
+
+    it("Should reject receipts signed for another institution", async function () {
+      await institutionRegistry.registerInstitution(foreignLab.address, "Foreign Lab", "metadata");
+      const receipt = await createUsageReceipt(foreignLab, meterAddress, {
+        licenseId: 1,
+        jobId: "foreign-job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt, 2)).to.be.revertedWith("Unauthorized receipt signer");
+      await expect(submit(receipt, 1)).to.be.revertedWith("Unauthorized receipt signer");
+    });
+
+    it("Should reject receipts from providers registered for another token", async function () {
+      const bioHash2 = ethers.keccak256(ethers.toUtf8Bytes("sample-dna-2"));
+      await bioNFT.mint(user1.address, bioHash2, 1, "ipfs://metadata2");
+      await usageMeter.setComputeProvider(2, other.address, true);
+      const receipt = await createUsageReceipt(other, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt)).to.be.revertedWith("Unauthorized receipt signer");
+    });
+
+    it("Should reject tampered receipts", async function () {
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit({ ...receipt, units: "9" })).to.be.revertedWith(
+        "Unauthorized receipt signer"
+      );
+    });
+
+    it("Should not record the same job twice", async function () {
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+      await submit(receipt);
+
+      await expect(submit(receipt)).to.be.revertedWith("Receipt already recorded");
+    });
+
+    it("Should reject stale and future receipts", async function () {
+      const now = await time.latest();
+      const stale = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: now - 8 * 24 * 60 * 60,
+      });
+      const future = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-2",
+        units: 1,
+        timestamp: now + 3600,
+      });
+
+      await expect(submit(stale)).to.be.revertedWith("Receipt expired");
+      await expect(submit(future)).to.be.revertedWith("Receipt from the future");
+    });
+
+    it("Should not meter past the usage limit", async function () {
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 11,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt)).to.be.revertedWith("Exceeds usage limit");
+    });
+
+    it("Should not meter revoked licenses", async function () {
+      await licenseManager.connect(user1).revokeLicense(1);
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+
+      await expect(submit(receipt)).to.be.revertedWith("License not active");
+    });
+
+    it("Should draw sublicense usage down on the parent", async function () {
+      await licenseManager.connect(user2).issueSublicense(1, other.address, 1, 0, 5, false, false);
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 2,
+        jobId: "cro-job-1",
+        units: 3,
+        timestamp: await time.latest(),
+      });
+      await submit(receipt);
+
+      expect((await licenseManager.getLicense(2)).usageCount).to.equal(3);
+      expect((await licenseManager.getLicense(1)).usageCount).to.equal(3);
+    });
+
+    it("Should submit receipts with the reporter helper", async function () {
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 5,
+      });
+
+      await submitUsageReceipt(usageMeter, other, receipt);
+
+      expect((await licenseManager.getLicense(1)).usageCount).to.equal(5);
+    });
+  });
+
+  describe("Metering in LicenseManager", function () {
+    it("Should stop licensees from self-reporting metered usage", async function () {
+      await expect(licenseManager.connect(user2).recordUsage(1)).to.be.revertedWith(
+        "Usage is metered"
+      );
+    });
+
+    it("Should only accept metered usage from the usage meter", async function () {
+      await expect(licenseManager.connect(user2).recordMeteredUsage(1, 1)).to.be.revertedWith(
+        "Only usage meter"
+      );
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should remove compute providers", async function () {
+      await expect(usageMeter.setComputeProvider(1, provider.address, false))
+        .to.emit(usageMeter, "ComputeProviderUpdated")
+        .withArgs(1, provider.address, false);
+
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: await time.latest(),
+      });
+      await expect(submit(receipt)).to.be.revertedWith("Unauthorized receipt signer");
+    });
+
+    it("Should update the maximum receipt age", async function () {
+      await expect(usageMeter.setMaxReceiptAge(3600))
+        .to.emit(usageMeter, "MaxReceiptAgeUpdated")
+        .withArgs(3600);
+
+      const receipt = await createUsageReceipt(provider, meterAddress, {
+        licenseId: 1,
+        jobId: "job-1",
+        units: 1,
+        timestamp: (await time.latest()) - 7200,
+      });
+      await expect(submit(receipt)).to.be.revertedWith("Receipt expired");
+    });
+
+    it("Should fail if not owner", async function () {
+      await expect(
+        usageMeter.connect(other).setComputeProvider(1, other.address, true)
+      ).to.be.revertedWithCustomError(usageMeter, "OwnableUnauthorizedAccount");
+    });
+  });
+});